@@ -1,14 +1,29 @@
-import React, { Suspense, useRef, useMemo, useState, useEffect, createContext, useContext, useCallback } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { ScrollControls, Scroll, useScroll, Stars, MeshDistortMaterial, Float, MeshWobbleMaterial } from '@react-three/drei';
-import { motion } from 'framer-motion';
+import React, { Suspense, useRef, useState, useEffect, useCallback, useMemo } from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
+import { View } from '@react-three/drei';
+import { Routes, Route, Navigate, Link, useParams, useMatch, useLocation, useNavigate, useNavigationType, useSearchParams } from 'react-router-dom';
 import * as THREE from 'three';
-
-// ============================================================
-// CONTROLS CONTEXT - Share tweakable values across components
-// ============================================================
-const ControlsContext = createContext({});
-const useControls = () => useContext(ControlsContext);
+import { MotionConfig, useReducedMotion as usePrefersReducedMotion } from 'framer-motion';
+import {
+  RingTunnel, ParticleTunnel, MorphingSphere, WobblingTorus, LiquidPlane, NoiseSphere,
+  ExplodedCube, ExplodedIcosahedron, WireframeGlobe, DNAHelix, FloatingCards, MountainLayers,
+  FocusPull, BokehParticles, SplineCamera, OrbitPath, ShapeMorph, BlobMorph,
+  CircleReveal, WipeReveal, GridScroll, WaveUVDistortion, ZoomOrbit, SpeedOrbit,
+  ScalePop, SpinHover, TrackingSphere, LazyFollow, EmissionPulse, ColorShift,
+  AttractGrid, RepelField, SurfaceRipple, WaveRing,
+  TiltCard, FlipCard, LetterSpread, GlitchText, SlideButton, MorphButton, ZoomReveal, ShutterReveal,
+  AnimationScene, MouseScene, PreviewScene, ControlsContext, CONTROLS_CONFIG, CONTROL_PRESETS,
+  QualityContext, QualityMonitor, resolveQuality, useReducedMotion,
+} from './effects';
+import { createFrameClock, FrameClockProbe, ScrollProgressProbe, useTimeline, TimelineStrip, serializeTimeline } from './timeline';
+import { createScrollGroup, ScrollSync, usePointerMirror } from './compare';
+import { CommandPalette, useCommandPaletteHotkey, MOD_KEY } from './commandPalette';
+import { createRovingKeyDown, isTextEntry, ScrollKeys, ShortcutsOverlay } from './shortcuts';
+import { DEFAULT_CAPTURE, CaptureProbe, useElementCapture, CaptureMenu } from './capture';
+import { DEFAULT_RECORDING, RecordingProbe, RecordMenu } from './recorder';
+import { createPerfLog, readPerfHudVisible, writePerfHudVisible, PerfProbe, PerfHud } from './perfHud';
+import { useRenderPause, RenderLoopProbe, PausedBadge } from './renderLoop';
+import { SceneSlot } from './sceneSlot';
 
 // ============================================================
 // ANIMATION CATEGORIES DATA
@@ -52,17 +67,20 @@ useFrame(() => {
   const progress = scroll.range(0, 0.5);
   group.position.z = progress * 100;
 });`,
-      explanation: 'scroll.range(start, distance) returns 0→1 as you scroll through that section. Multiply by travel distance to move the camera forward through the rings.'
+      explanation: 'scroll.range(start, distance) returns 0→1 as you scroll through that section. Multiply by travel distance to move the camera forward through the rings.',
+      reducedMotion: 'The rings stop counter-rotating. Scroll still flies you through the tunnel.'
     },
     {
       title: 'Particle Warp Effect',
       code: `// Position particles in cylindrical tunnel
-const angle = Math.random() * Math.PI * 2;
-const radius = 2 + Math.random() * 4;
+const random = createRandom(seed);
+const angle = random() * Math.PI * 2;
+const radius = 2 + random() * 4;
 position.x = Math.cos(angle) * radius;
 position.y = Math.sin(angle) * radius;
-position.z = -Math.random() * 150;`,
-      explanation: 'Particles are placed in a cylinder formation using polar coordinates. The Z spread creates the tunnel depth. Scroll moves the entire point cloud toward the camera.'
+position.z = -random() * 150;`,
+      explanation: 'Particles are placed in a cylinder formation using polar coordinates. The Z spread creates the tunnel depth. Scroll moves the entire point cloud toward the camera. A seeded generator stands in for Math.random, so the same seed always builds the same starfield.',
+      reducedMotion: 'No ambient motion to pause: the starfield only moves when you scroll.'
     }
   ],
   velocity: [
@@ -75,7 +93,8 @@ useFrame(() => {
   
   mesh.material.distort = 0.2 + velocity.current * 0.5;
 });`,
-      explanation: 'scroll.delta gives instantaneous scroll speed. Lerp smooths the value to prevent jitter. The distort property on MeshDistortMaterial warps the geometry.'
+      explanation: 'scroll.delta gives instantaneous scroll speed. Lerp smooths the value to prevent jitter. The distort property on MeshDistortMaterial warps the geometry.',
+      reducedMotion: 'Idle spin, Float bobbing and the distortion noise hold still. Scroll speed still distorts the sphere.'
     },
     {
       title: 'Wobble Factor from Speed',
@@ -86,7 +105,8 @@ useFrame(() => {
   
   mesh.material.factor = 0.5 + velocity.current * 0.8;
 });`,
-      explanation: 'MeshWobbleMaterial\'s factor property controls wobble intensity. Higher scroll speed = more dramatic wobble effect.'
+      explanation: 'MeshWobbleMaterial\'s factor property controls wobble intensity. Higher scroll speed = more dramatic wobble effect.',
+      reducedMotion: 'Idle spin, Float bobbing and the wobble animation hold still. Scroll speed still drives the wobble factor.'
     }
   ],
   shader: [
@@ -97,7 +117,8 @@ float wave = sin(pos.x * 3.5 + uTime * 2.5) * 0.35
            + sin(pos.y * 4.5 + uTime * 2.0) * 0.25;
 
 pos.z += wave * (1.0 + uVelocity * 3.5);`,
-      explanation: 'Multiple sine waves at different frequencies create organic motion. uVelocity (from scroll.delta) amplifies the waves when scrolling fast.'
+      explanation: 'Multiple sine waves at different frequencies create organic motion. uVelocity (from scroll.delta) amplifies the waves when scrolling fast.',
+      reducedMotion: 'uTime stops advancing, so the waves freeze in place. Scroll velocity still swells them.'
     },
     {
       title: 'Procedural Noise Displacement',
@@ -109,7 +130,8 @@ float noise(vec3 p) {
 
 // Displace along normals
 pos += normal * noise(pos + uTime) * amplitude;`,
-      explanation: 'Pseudo-random noise displaces each vertex along its normal. Time parameter animates the noise pattern. Amplitude controlled by scroll velocity.'
+      explanation: 'Pseudo-random noise displaces each vertex along its normal. Time parameter animates the noise pattern. Amplitude controlled by scroll velocity.',
+      reducedMotion: 'uTime and the slow spin stop, leaving a still surface. Scroll velocity still pushes the displacement.'
     }
   ],
   exploded: [
@@ -125,7 +147,8 @@ useFrame(() => {
       .addScaledVector(part.direction, dist);
   });
 });`,
-      explanation: 'Each part has an origin and direction vector. scroll.range returns 0→1 over that scroll section. Multiply direction by distance to separate parts.'
+      explanation: 'Each part has an origin and direction vector. scroll.range returns 0→1 over that scroll section. Multiply direction by distance to separate parts.',
+      reducedMotion: 'The cube stops spinning; the parts still separate as you scroll.'
     },
     {
       title: 'Radial Explosion Pattern',
@@ -139,7 +162,8 @@ const direction = new Vector3(
 // Animate outward
 mesh.position.copy(origin)
   .addScaledVector(direction, explosionDist);`,
-      explanation: 'Spherical coordinates create directions pointing outward from center. Normalizing ensures consistent explosion distance regardless of starting position.'
+      explanation: 'Spherical coordinates create directions pointing outward from center. Normalizing ensures consistent explosion distance regardless of starting position.',
+      reducedMotion: 'The icosahedron stops spinning; the faces still fly apart as you scroll.'
     }
   ],
   rotation: [
@@ -151,7 +175,8 @@ useFrame(() => {
   const rotation = scroll.offset * Math.PI * 4;
   mesh.rotation.y = rotation;
 });`,
-      explanation: 'scroll.offset gives total scroll progress (0 at top, 1 at bottom). Multiply by 2π for one full rotation, or 4π for two rotations over the full scroll.'
+      explanation: 'scroll.offset gives total scroll progress (0 at top, 1 at bottom). Multiply by 2π for one full rotation, or 4π for two rotations over the full scroll.',
+      reducedMotion: 'The ambient tilt stops. Rotation is scroll-mapped, so it stays.'
     },
     {
       title: 'Helix Point Generation',
@@ -162,7 +187,8 @@ for (let i = 0; i < 30; i++) {
   strand1[i] = [cos(t) * radius, i * spacing, sin(t) * radius];
   strand2[i] = [cos(t + PI) * radius, i * spacing, sin(t + PI) * radius];
 }`,
-      explanation: 'Two strands offset by π (180°) create the double helix. The t parameter spirals around Y axis while i*spacing moves up vertically.'
+      explanation: 'Two strands offset by π (180°) create the double helix. The t parameter spirals around Y axis while i*spacing moves up vertically.',
+      reducedMotion: 'Unchanged: every movement comes from scroll.offset.'
     }
   ],
   parallax: [
@@ -180,7 +206,8 @@ useFrame(() => {
     mesh[i].position.y = scroll.offset * l.speed * 8;
   });
 });`,
-      explanation: 'Objects further from camera (larger negative Z) move slower. This mimics real-world parallax where distant objects appear to move less.'
+      explanation: 'Objects further from camera (larger negative Z) move slower. This mimics real-world parallax where distant objects appear to move less.',
+      reducedMotion: 'The cards stop swaying. Parallax is scroll-driven, so it stays.'
     },
     {
       title: 'Floating Card Parallax',
@@ -194,7 +221,8 @@ useFrame(() => {
     mesh[i].rotation.y = sin(time + i) * 0.1;
   });
 });`,
-      explanation: 'Each card has its own Z position and speed multiplier. Adding subtle rotation on a sine wave gives the scene more life and depth.'
+      explanation: 'Each card has its own Z position and speed multiplier. Adding subtle rotation on a sine wave gives the scene more life and depth.',
+      reducedMotion: 'Unchanged: the layers only move with scroll.'
     }
   ],
   dof: [
@@ -210,17 +238,22 @@ useFrame(() => {
     obj.scale.setScalar(1 - dist * 0.05);
   });
 });`,
-      explanation: 'Calculate distance from current focus point. Objects further from focus become more transparent/smaller, simulating depth of field blur.'
+      explanation: 'Calculate distance from current focus point. Objects further from focus become more transparent/smaller, simulating depth of field blur.',
+      reducedMotion: 'Unchanged: focus follows scroll, with no ambient motion.'
     },
     {
       title: 'Bokeh Particle Effect',
       code: `// Bokeh circles scale with distance from focus
 const bokehSize = baseSize * (1 + distFromFocus * 0.5);
-const bokehOpacity = 1 / (1 + distFromFocus);
-
-particle.scale.setScalar(bokehSize);
-particle.material.opacity = bokehOpacity;`,
-      explanation: 'Out-of-focus lights become larger, softer circles (bokeh). Size increases and opacity decreases with distance from focal plane.'
+opacities[i] = 1 / (1 + distFromFocus);
+
+// Every circle is one instance of a single mesh
+dummy.position.copy(particle.position);
+dummy.scale.setScalar(bokehSize);
+dummy.updateMatrix();
+mesh.setMatrixAt(i, dummy.matrix);`,
+      explanation: 'Out-of-focus lights become larger, softer circles (bokeh). Size increases and opacity decreases with distance from focal plane. All circles share one instanced mesh, so thousands of them still cost a single draw call; instanceShader(\'opacity\') reads each one\'s opacity from an attribute.',
+      reducedMotion: 'Unchanged: the bokeh only shifts with scroll.'
     }
   ],
   camerapath: [
@@ -237,7 +270,8 @@ useFrame(() => {
   camera.position.copy(position);
   camera.lookAt(lookAt);
 });`,
-      explanation: 'CatmullRomCurve3 creates smooth path through points. scroll.offset (0-1) maps directly to curve parameter t. LookAt slightly ahead for smooth rotation.'
+      explanation: 'CatmullRomCurve3 creates smooth path through points. scroll.offset (0-1) maps directly to curve parameter t. LookAt slightly ahead for smooth rotation.',
+      reducedMotion: 'Unchanged: the camera only travels when you scroll.'
     },
     {
       title: 'Orbital Camera Motion',
@@ -250,7 +284,8 @@ useFrame(() => {
   camera.position.z = Math.sin(angle) * radius;
   camera.lookAt(0, 0, 0);
 });`,
-      explanation: 'Polar coordinates create circular orbit. scroll.offset maps to angle (0-2π for full orbit). Camera always looks at center.'
+      explanation: 'Polar coordinates create circular orbit. scroll.offset maps to angle (0-2π for full orbit). Camera always looks at center.',
+      reducedMotion: 'Unchanged: the orbit angle comes from scroll.offset.'
     }
   ],
   morph: [
@@ -267,7 +302,8 @@ useFrame(() => {
   });
   geometry.attributes.position.needsUpdate = true;
 });`,
-      explanation: 'Store vertex positions for both shapes. Linear interpolation (lerp) blends between them based on scroll. Update geometry each frame.'
+      explanation: 'Store vertex positions for both shapes. Linear interpolation (lerp) blends between them based on scroll. Update geometry each frame.',
+      reducedMotion: 'The shape stops spinning. The scroll-driven morph stages still play.'
     },
     {
       title: 'Scale-Based Morph',
@@ -279,7 +315,8 @@ useFrame(() => {
   mesh.scale.x = lerp(1, t < 0.5 ? 2 : 0.5, t * 2);
   mesh.scale.y = lerp(1, t < 0.5 ? 0.1 : 3, t * 2);
 });`,
-      explanation: 'Non-uniform scaling creates shape transformation illusion. Multi-stage lerp allows complex morph sequences.'
+      explanation: 'Non-uniform scaling creates shape transformation illusion. Multi-stage lerp allows complex morph sequences.',
+      reducedMotion: 'Spin, Float bobbing and the distortion noise hold still. Scroll still drives how far the blob distorts.'
     }
   ],
   reveal: [
@@ -297,7 +334,8 @@ void main() {
   if (dist > radius) discard;
   gl_FragColor = texture2D(uTexture, vUv);
 }`,
-      explanation: 'Fragment shader discards pixels outside radius. uProgress (from scroll) expands the circle. Creates iris/portal reveal effect.'
+      explanation: 'Fragment shader discards pixels outside radius. uProgress (from scroll) expands the circle. Creates iris/portal reveal effect.',
+      reducedMotion: 'Unchanged: the reveal is tied to scroll position.'
     },
     {
       title: 'Directional Wipe',
@@ -310,7 +348,8 @@ useFrame(() => {
     new Plane(new Vector3(1, 0, 0), -10 + t * 20)
   ];
 });`,
-      explanation: 'Three.js clipping planes cut geometry. Moving plane position with scroll creates wipe effect. Direction vector controls wipe angle.'
+      explanation: 'Three.js clipping planes cut geometry. Moving plane position with scroll creates wipe effect. Direction vector controls wipe angle.',
+      reducedMotion: 'Unchanged: the wipe is tied to scroll position.'
     }
   ],
   uvscroll: [
@@ -325,7 +364,8 @@ useFrame(() => {
   
   mesh.material.map.needsUpdate = true;
 });`,
-      explanation: 'Texture.offset shifts UV coordinates. Scroll drives the offset for synchronized movement. Works with repeating textures for infinite scroll.'
+      explanation: 'Texture.offset shifts UV coordinates. Scroll drives the offset for synchronized movement. Works with repeating textures for infinite scroll.',
+      reducedMotion: 'uTime stops advancing. The grid still scrolls with the page.'
     },
     {
       title: 'Shader UV Distortion',
@@ -335,7 +375,8 @@ distortedUV.x += sin(vUv.y * 10.0 + uScroll * 5.0) * 0.1;
 distortedUV.y += cos(vUv.x * 10.0 + uScroll * 3.0) * 0.1;
 
 vec4 color = texture2D(uTexture, distortedUV);`,
-      explanation: 'Sine/cosine waves distort UV lookup. Scroll offset animates the phase. Creates liquid/heat wave effect on textures.'
+      explanation: 'Sine/cosine waves distort UV lookup. Scroll offset animates the phase. Creates liquid/heat wave effect on textures.',
+      reducedMotion: 'uTime stops advancing. The wave phase still follows scroll.'
     }
   ],
   orbit: [
@@ -348,7 +389,8 @@ useFrame(() => {
   const zoom = 5 + scroll.offset * 15;
   camera.position.normalize().multiplyScalar(zoom);
 });`,
-      explanation: 'OrbitControls handles rotation via mouse drag. Scroll independently controls camera distance (zoom). Separates two interaction types.'
+      explanation: 'OrbitControls handles rotation via mouse drag. Scroll independently controls camera distance (zoom). Separates two interaction types.',
+      reducedMotion: 'Auto-rotate is skipped even when enabled. Scroll still zooms.'
     },
     {
       title: 'Auto-Orbit with Scroll Speed',
@@ -359,7 +401,8 @@ useFrame(() => {
   
   group.rotation.y += (baseSpeed + scrollBoost) * delta;
 });`,
-      explanation: 'Continuous rotation at base speed. Scroll velocity (delta) adds temporary boost. Creates responsive, dynamic orbit feel.'
+      explanation: 'Continuous rotation at base speed. Scroll velocity (delta) adds temporary boost. Creates responsive, dynamic orbit feel.',
+      reducedMotion: 'The base spin and the wobble stop. Fast scrolling still adds a temporary spin that settles back to rest.'
     }
   ],
   hovertransform: [
@@ -377,7 +420,8 @@ useFrame(() => {
   const target = hovered ? 1.4 : 1;
   mesh.scale.lerp(new Vector3(target, target, target), 0.1);
 });`,
-      explanation: 'R3F meshes support onPointerOver/Out events. Use a hovered state flag and lerp the scale each frame for a smooth transition instead of an instant jump.'
+      explanation: 'R3F meshes support onPointerOver/Out events. Use a hovered state flag and lerp the scale each frame for a smooth transition instead of an instant jump.',
+      reducedMotion: 'Unchanged: boxes only scale while hovered.'
     },
     {
       title: 'Hover Spin with Deceleration',
@@ -389,7 +433,8 @@ useFrame((state, delta) => {
   spinSpeed.current = lerp(spinSpeed.current, target, 0.05);
   mesh.rotation.y += spinSpeed.current * delta;
 });`,
-      explanation: 'Track spin speed in a ref. Lerp toward target speed (fast when hovered, zero when not). Multiply by delta for frame-rate independent rotation.'
+      explanation: 'Track spin speed in a ref. Lerp toward target speed (fast when hovered, zero when not). Multiply by delta for frame-rate independent rotation.',
+      reducedMotion: 'The idle sway stops. Hovering still spins a knot up, since that motion is user-initiated.'
     }
   ],
   mousefollow: [
@@ -405,7 +450,8 @@ useFrame((state) => {
   mesh.position.x = lerp(mesh.position.x, targetX, 0.08);
   mesh.position.y = lerp(mesh.position.y, targetY, 0.08);
 });`,
-      explanation: 'state.pointer gives normalized mouse coordinates (-1 to 1). Scale to world units and lerp each frame for smooth following with natural lag.'
+      explanation: 'state.pointer gives normalized mouse coordinates (-1 to 1). Scale to world units and lerp each frame for smooth following with natural lag.',
+      reducedMotion: 'The idle spin and distortion noise stop. The sphere still follows the pointer.'
     },
     {
       title: 'Staggered Chain Follow',
@@ -419,7 +465,8 @@ useFrame((state) => {
     positions[i].lerp(positions[i - 1], 0.08);
   }
 });`,
-      explanation: 'Leader-follower pattern: first element tracks the mouse directly, each subsequent element follows the one before it. Lower lerp values create more lag.'
+      explanation: 'Leader-follower pattern: first element tracks the mouse directly, each subsequent element follows the one before it. Lower lerp values create more lag.',
+      reducedMotion: 'The spheres stop tumbling. The chain still follows the pointer.'
     }
   ],
   hoverglow: [
@@ -431,7 +478,8 @@ useFrame(() => {
   const current = mesh.material.emissiveIntensity;
   mesh.material.emissiveIntensity = lerp(current, target, 0.08);
 });`,
-      explanation: 'MeshStandardMaterial has emissive and emissiveIntensity properties. Lerping the intensity on hover creates a smooth glow-up effect without post-processing.'
+      explanation: 'MeshStandardMaterial has emissive and emissiveIntensity properties. Lerping the intensity on hover creates a smooth glow-up effect without post-processing.',
+      reducedMotion: 'The idle spin and Float bobbing stop. Hover still ramps up the glow.'
     },
     {
       title: 'Distance-Based Color Shift',
@@ -443,7 +491,8 @@ useFrame((state) => {
     obj.material.color.setHSL(hue, 0.8, 0.55);
   });
 });`,
-      explanation: 'Calculate distance from each object to the mouse world position. Map that distance to a hue value so objects near the cursor shift color.'
+      explanation: 'Calculate distance from each object to the mouse world position. Map that distance to a hue value so objects near the cursor shift color.',
+      reducedMotion: 'The bobbing stops. Colors still shift near the cursor.'
     }
   ],
   magnetic: [
@@ -461,7 +510,8 @@ useFrame((state) => {
     obj.position.add(dir.normalize().multiplyScalar(force));
   });
 });`,
-      explanation: 'Inverse-square attraction: force = strength / distance^2. Objects close to cursor feel strong pull, distant objects barely move. Add small constant to avoid division by zero.'
+      explanation: 'Inverse-square attraction: force = strength / distance^2. Objects close to cursor feel strong pull, distant objects barely move. Add small constant to avoid division by zero.',
+      reducedMotion: 'Unchanged: the grid only moves in response to the pointer.'
     },
     {
       title: 'Spring-Back to Rest Position',
@@ -479,7 +529,8 @@ useFrame(() => {
     obj.position.lerp(restPositions[i], 0.03);
   });
 });`,
-      explanation: 'Two competing forces: repulsion pushes objects away from cursor within a radius, while a spring constantly pulls them back to their rest positions. The balance creates a lively magnetic field.'
+      explanation: 'Two competing forces: repulsion pushes objects away from cursor within a radius, while a spring constantly pulls them back to their rest positions. The balance creates a lively magnetic field.',
+      reducedMotion: 'Unchanged: objects only move in response to the pointer.'
     }
   ],
   ripple: [
@@ -495,7 +546,8 @@ void main() {
              * exp(-dist * 5.0) * uStrength;
   pos.z += wave;
 }`,
-      explanation: 'Raycaster gives UV coordinates where mouse hits the plane. Use distance from that UV to create concentric sine waves, with exponential falloff so the effect is strongest near the cursor.'
+      explanation: 'Raycaster gives UV coordinates where mouse hits the plane. Use distance from that UV to create concentric sine waves, with exponential falloff so the effect is strongest near the cursor.',
+      reducedMotion: 'uTime stops, so the waves stop travelling. The static ripple still follows the cursor.'
     },
     {
       title: 'Concentric Ring Pulse',
@@ -510,7 +562,8 @@ useFrame((state) => {
     ring.mesh.material.opacity = opacity;
   });
 });`,
-      explanation: 'Each ring tracks when it was spawned. Over time it expands (scale) and fades (opacity). New rings spawn periodically at the current mouse position.'
+      explanation: 'Each ring tracks when it was spawned. Over time it expands (scale) and fades (opacity). New rings spawn periodically at the current mouse position.',
+      reducedMotion: 'The rings stop pulsing. They still trail the pointer.'
     }
   ],
   cardhover: [
@@ -529,7 +582,8 @@ const handleMouseMove = (e) => {
 <motion.div style={{
   transform: \`perspective(800px) rotateX(\${rotateX}deg) rotateY(\${rotateY}deg)\`
 }} />`,
-      explanation: 'Calculate mouse position relative to card center (normalized -0.5 to 0.5). Map to rotation angles. CSS perspective() creates the 3D depth effect.'
+      explanation: 'Calculate mouse position relative to card center (normalized -0.5 to 0.5). Map to rotation angles. CSS perspective() creates the 3D depth effect.',
+      reducedMotion: 'No tilt. The hovered card brightens with a short fade instead of the spring.'
     },
     {
       title: 'Card Flip on Hover',
@@ -549,7 +603,8 @@ const handleMouseMove = (e) => {
     Back
   </div>
 </motion.div>`,
-      explanation: 'framer-motion whileHover rotates 180deg. backface-visibility: hidden ensures only the facing side shows. preserve-3d keeps children in 3D space during rotation.'
+      explanation: 'framer-motion whileHover rotates 180deg. backface-visibility: hidden ensures only the facing side shows. preserve-3d keeps children in 3D space during rotation.',
+      reducedMotion: 'The card does not rotate. Front and back cross-fade in place over flipDuration.'
     }
   ],
   texthover: [
@@ -568,7 +623,8 @@ const handleMouseMove = (e) => {
     {char}
   </motion.span>
 ))}`,
-      explanation: 'Split text into individual characters wrapped in motion.span. Each has a whileHover animation with incremental delay based on index, creating a wave-like stagger.'
+      explanation: 'Split text into individual characters wrapped in motion.span. Each has a whileHover animation with incremental delay based on index, creating a wave-like stagger.',
+      reducedMotion: 'framer-motion skips the lift, so letters change color without moving.'
     },
     {
       title: 'Glitch Effect on Hover',
@@ -583,7 +639,8 @@ const handleMouseMove = (e) => {
   50% { clip-path: inset(10% 0 70% 0); transform: translate(-1px); }
   100% { clip-path: inset(40% 0 20% 0); transform: translate(1px); }
 }`,
-      explanation: 'clip-path: inset() randomly reveals horizontal slices. Combined with small translate offsets, this creates a digital glitch distortion effect on hover.'
+      explanation: 'clip-path: inset() randomly reveals horizontal slices. Combined with small translate offsets, this creates a digital glitch distortion effect on hover.',
+      reducedMotion: 'The jitter loop is dropped. Hovered words keep the static color-split shadow.'
     }
   ],
   buttonhover: [
@@ -601,7 +658,8 @@ const handleMouseMove = (e) => {
 >
   Hover Me
 </motion.button>`,
-      explanation: 'Background gradient is 200% wide so half is hidden. On hover, backgroundPosition shifts to reveal the other half, creating a smooth color slide effect.'
+      explanation: 'Background gradient is 200% wide so half is hidden. On hover, backgroundPosition shifts to reveal the other half, creating a smooth color slide effect.',
+      reducedMotion: 'framer-motion skips the scale. The gradient slide and glow still fade in.'
     },
     {
       title: 'Morph Shape Button',
@@ -616,7 +674,8 @@ const handleMouseMove = (e) => {
 >
   Hover Me
 </motion.button>`,
-      explanation: 'framer-motion smoothly interpolates borderRadius from default to 50px (pill shape). Combined with scale and boxShadow changes for a complete morph effect.'
+      explanation: 'framer-motion smoothly interpolates borderRadius from default to 50px (pill shape). Combined with scale and boxShadow changes for a complete morph effect.',
+      reducedMotion: 'framer-motion skips the scale. Radius and colors still change on hover.'
     }
   ],
   imagehover: [
@@ -636,7 +695,8 @@ const handleMouseMove = (e) => {
     <h3>Title</h3>
   </motion.div>
 </div>`,
-      explanation: 'Image scales up within an overflow:hidden container so it zooms without expanding the card. Overlay text fades in and slides up simultaneously.'
+      explanation: 'Image scales up within an overflow:hidden container so it zooms without expanding the card. Overlay text fades in and slides up simultaneously.',
+      reducedMotion: 'framer-motion skips the zoom and slide. The caption still fades in.'
     },
     {
       title: 'Shutter Reveal Effect',
@@ -655,2394 +715,795 @@ const handleMouseMove = (e) => {
     }}
   />
 ))}`,
-      explanation: '5 horizontal bars cover the image. On hover each bar scales to 0 height with a staggered delay, creating a venetian blind reveal effect.'
+      explanation: '5 horizontal bars cover the image. On hover each bar scales to 0 height with a staggered delay, creating a venetian blind reveal effect.',
+      reducedMotion: 'framer-motion removes the bars instantly instead of animating them.'
     }
   ]
 };
 
 // ============================================================
-// CONTROLS CONFIG - Tweakable parameters with guardrails
+// SHAREABLE CONTROLS - Serialize tweak values to/from the URL
+// ============================================================
+
+// Snap a value onto the min/max/step grid of a CONTROLS_CONFIG entry
+const snapToControl = (ctrl, value) => {
+  const clamped = THREE.MathUtils.clamp(value, ctrl.min, ctrl.max);
+  const snapped = ctrl.min + Math.round((clamped - ctrl.min) / ctrl.step) * ctrl.step;
+  const decimals = (String(ctrl.step).split('.')[1] || '').length;
+  return parseFloat(Math.min(snapped, ctrl.max).toFixed(decimals));
+};
+
+// One value -> query string form: colors drop the '#', vectors are comma-separated
+const serializeControl = (ctrl, value) => {
+  switch (ctrl.type) {
+    case 'boolean': return value ? '1' : '0';
+    case 'color': return String(value).replace(/^#/, '');
+    case 'vec3': return value.join(',');
+    default: return String(value);
+  }
+};
+
+// Parse one untrusted value - a query string or preset JSON - for its CONTROLS_CONFIG
+// entry. Returns undefined when it can't be used, so the default applies
+const coerceControl = (ctrl, raw) => {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return undefined;
+  switch (ctrl.type) {
+    case 'boolean':
+      if (raw === true || raw === '1' || raw === 'true') return true;
+      if (raw === false || raw === '0' || raw === 'false') return false;
+      return undefined;
+    case 'color': {
+      const hex = String(raw).replace(/^#/, '').toLowerCase();
+      return /^[0-9a-f]{6}$/.test(hex) ? `#${hex}` : undefined;
+    }
+    case 'select':
+      return ctrl.options.find(option => String(option.value) === String(raw))?.value;
+    case 'vec3': {
+      const parts = (Array.isArray(raw) ? raw : String(raw).split(',')).map(Number);
+      if (parts.length !== 3 || !parts.every(Number.isFinite)) return undefined;
+      return parts.map(part => snapToControl(ctrl, part));
+    }
+    default: {
+      const value = Number(raw);
+      return Number.isFinite(value) ? snapToControl(ctrl, value) : undefined;
+    }
+  }
+};
+
+// Controls -> query string, in CONTROLS_CONFIG order so links are stable.
+// Only the active example's controls are written; hidden values stay in state
+const encodeControls = (controls, controlsConfig) => {
+  const params = new URLSearchParams();
+  controlsConfig.forEach(ctrl => {
+    if (controls[ctrl.key] !== undefined) params.set(ctrl.key, serializeControl(ctrl, controls[ctrl.key]));
+  });
+  return params.toString();
+};
+
+// Coerce untrusted raw values onto CONTROLS_CONFIG, dropping unknown keys and malformed values
+const sanitizeControls = (category, readRaw) => {
+  const controls = {};
+  (CONTROLS_CONFIG[category] || []).forEach(ctrl => {
+    const value = coerceControl(ctrl, readRaw(ctrl.key));
+    if (value !== undefined) controls[ctrl.key] = value;
+  });
+  return controls;
+};
+
+// Query string -> controls
+const decodeControls = (searchParams, category) => sanitizeControls(category, key => searchParams.get(key));
+
+// ============================================================
+// USER PRESETS - Saved looks persisted in localStorage
+// ============================================================
+const PRESET_STORAGE_KEY = 'immersive-horizons:presets';
+
+// Validate an untrusted { [category]: [{ name, values }] } library against CONTROLS_CONFIG
+const sanitizePresetLibrary = (library) => {
+  const clean = {};
+  if (!library || typeof library !== 'object') return clean;
+  Object.entries(library).forEach(([category, presets]) => {
+    if (!CONTROLS_CONFIG[category] || !Array.isArray(presets)) return;
+    const valid = presets
+      .filter(p => p && typeof p.name === 'string' && p.name.trim())
+      .map(p => ({ name: p.name.trim(), values: sanitizeControls(category, key => p.values?.[key]) }));
+    if (valid.length) clean[category] = valid;
+  });
+  return clean;
+};
+
+const readUserPresets = () => {
+  try {
+    return sanitizePresetLibrary(JSON.parse(window.localStorage.getItem(PRESET_STORAGE_KEY)));
+  } catch {
+    return {};
+  }
+};
+
+const writeUserPresets = (library) => {
+  try {
+    window.localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(library));
+  } catch {
+    // Storage full or disabled - presets stay available for this session only
+  }
+};
+
+// Add or replace presets by name, keeping existing order
+const mergePresets = (existing = [], incoming = []) => {
+  const merged = [...existing];
+  incoming.forEach(preset => {
+    const index = merged.findIndex(p => p.name === preset.name);
+    if (index === -1) merged.push(preset);
+    else merged[index] = preset;
+  });
+  return merged;
+};
+
+// ============================================================
+// ANIMATIONS MAP
 // ============================================================
-const CONTROLS_CONFIG = {
+// `controls` lists the CONTROLS_CONFIG keys an example actually reads. Keys are
+// shared across a category, so values carry over when switching examples.
+// `tags` drive the sidebar's tag filters; each one must appear in EFFECT_TAGS.
+// `alt` describes what the scene shows for screen readers, which can't see the canvas
+// `inputDriven` marks canvas effects with no motion of their own, which render on
+// demand - as every canvas effect does while motion is reduced
+const ANIMATIONS = {
   tunnel: [
-    { key: 'ringCount', label: 'Ring Count', min: 10, max: 80, step: 5, default: 50 },
-    { key: 'ringSpacing', label: 'Ring Spacing', min: 1, max: 5, step: 0.5, default: 2.5 },
-    { key: 'travelSpeed', label: 'Travel Speed', min: 50, max: 200, step: 10, default: 100 },
-    { key: 'hueStart', label: 'Color Hue', min: 0, max: 360, step: 10, default: 180 },
+    { name: 'Ring Tunnel', component: RingTunnel, description: 'Fly through concentric light rings', controls: ['ringCount', 'ringSpacing', 'travelSpeed', 'hueStart', 'ringShape'], tags: [], alt: 'Dozens of thin glowing rings in shifting hues recede into the distance, forming a tunnel the view flies through as you scroll.' },
+    { name: 'Particle Starfield', component: ParticleTunnel, description: 'Warp through a field of particles', controls: ['travelSpeed', 'hueStart', 'seed'], inputDriven: true, tags: ['particles'], alt: 'Thousands of small colored points arranged in a long cylinder stream toward the viewer like a warp-speed starfield.' }
   ],
   velocity: [
-    { key: 'distortIntensity', label: 'Distort Intensity', min: 0.1, max: 1.5, step: 0.1, default: 0.5 },
-    { key: 'baseSpeed', label: 'Base Animation', min: 0.5, max: 5, step: 0.5, default: 2 },
-    { key: 'velocityMultiplier', label: 'Velocity Effect', min: 20, max: 150, step: 10, default: 80 },
+    { name: 'Morphing Sphere', component: MorphingSphere, description: 'Sphere distorts with scroll speed', controls: ['distortIntensity', 'baseSpeed', 'velocityMultiplier', 'color'], tags: ['distortion'], alt: 'A glossy purple sphere floats in the center; its surface ripples and bulges harder the faster you scroll.' },
+    { name: 'Wobbling Torus Knot', component: WobblingTorus, description: 'Complex shape wobbles with velocity', controls: ['distortIntensity', 'baseSpeed', 'velocityMultiplier'], tags: ['distortion'], alt: 'A pink torus knot hovers and slowly turns; its surface wobbles more strongly with scroll speed.' }
   ],
   shader: [
-    { key: 'waveFrequency', label: 'Wave Frequency', min: 1, max: 8, step: 0.5, default: 3.5 },
-    { key: 'waveAmplitude', label: 'Wave Height', min: 0.1, max: 1, step: 0.1, default: 0.35 },
-    { key: 'timeSpeed', label: 'Animation Speed', min: 0.5, max: 5, step: 0.5, default: 2.5 },
+    { name: 'Liquid Waves', component: LiquidPlane, description: 'Custom shader creating fluid motion', controls: ['waveFrequency', 'waveAmplitude', 'timeSpeed', 'colorStart', 'colorEnd'], tags: ['shader'], alt: 'A tilted sheet colored from cyan to pink undulates in overlapping waves that swell while scrolling.' },
+    { name: 'Noise Displacement', component: NoiseSphere, description: 'Procedural noise deforms geometry', controls: ['waveAmplitude', 'timeSpeed'], tags: ['shader', 'distortion'], alt: 'A purple-to-orange sphere with a rough, noisy surface that spikes outward as you scroll.' }
   ],
   exploded: [
-    { key: 'maxExplosion', label: 'Max Distance', min: 1, max: 8, step: 0.5, default: 4 },
-    { key: 'rotationSpeed', label: 'Rotation Speed', min: 0.05, max: 0.5, step: 0.05, default: 0.2 },
+    { name: 'Exploded Cube', component: ExplodedCube, description: 'Cube separates into 6 faces', controls: ['maxExplosion', 'rotationSpeed'], tags: ['wireframe'], alt: 'Six cyan slabs around a white wireframe core drift apart from a closed cube as you scroll, then rejoin.' },
+    { name: 'Exploded Icosahedron', component: ExplodedIcosahedron, description: '20 triangular faces separate', controls: ['maxExplosion', 'rotationSpeed'], tags: [], alt: 'A cluster of twenty small purple pyramids bursts outward from a tight ball as you scroll.' }
   ],
   rotation: [
-    { key: 'rotationMultiplier', label: 'Rotation Amount', min: 1, max: 8, step: 1, default: 4 },
-    { key: 'tiltAmount', label: 'Tilt Intensity', min: 0, max: 0.5, step: 0.05, default: 0.2 },
+    { name: 'Wireframe Globe', component: WireframeGlobe, description: 'Scroll offset maps to rotation', controls: ['rotationMultiplier', 'tiltAmount'], tags: ['wireframe'], alt: 'Purple wireframe spheres with two orbit rings and a solid core rotate as you scroll.' },
+    { name: 'DNA Helix', component: DNAHelix, description: 'Double helix rotates with scroll', controls: ['rotationMultiplier'], inputDriven: true, tags: [], alt: 'Two strands of colored beads joined by white rungs form a double helix that twists with scroll.' }
   ],
   parallax: [
-    { key: 'speedMultiplier', label: 'Speed Range', min: 2, max: 15, step: 1, default: 8 },
-    { key: 'depthRange', label: 'Depth Spread', min: 5, max: 20, step: 1, default: 12 },
+    { name: 'Floating Cards', component: FloatingCards, description: 'Cards at different depths move at different speeds', controls: ['speedMultiplier'], tags: [], alt: 'Six colored rectangular cards hang at different depths and slide vertically at different speeds as you scroll.' },
+    { name: 'Mountain Layers', component: MountainLayers, description: 'Layered landscape with depth parallax', controls: ['speedMultiplier', 'depthRange'], inputDriven: true, tags: [], alt: 'Five flat bands in shades of indigo stand at different depths under a pale moon and rise at different rates as you scroll.' }
   ],
   dof: [
-    { key: 'focusDistance', label: 'Focus Distance', min: 0, max: 20, step: 1, default: 10 },
-    { key: 'blurIntensity', label: 'Blur Intensity', min: 0.1, max: 1, step: 0.1, default: 0.5 },
-    { key: 'focalRange', label: 'Focal Range', min: 1, max: 10, step: 0.5, default: 3 },
+    { name: 'Focus Pull', component: FocusPull, description: 'Objects blur based on distance from focus point', controls: ['focusDistance', 'blurIntensity', 'focalRange', 'objectCount', 'seed'], inputDriven: true, tags: [], alt: 'Blue spheres, boxes and octahedrons scattered in depth; shapes near the focus distance stay solid while the rest fade out.' },
+    { name: 'Bokeh Particles', component: BokehParticles, description: 'Out-of-focus lights become soft circles', controls: ['focusDistance', 'blurIntensity', 'particleCount', 'seed'], inputDriven: true, tags: ['particles'], alt: 'Flat discs of cyan and blue light scattered in depth; discs far from the focus distance turn faint.' }
   ],
   camerapath: [
-    { key: 'pathSpeed', label: 'Path Speed', min: 0.5, max: 3, step: 0.25, default: 1 },
-    { key: 'pathRadius', label: 'Path Radius', min: 5, max: 20, step: 1, default: 10 },
-    { key: 'pathHeight', label: 'Path Height', min: 0, max: 10, step: 0.5, default: 3 },
+    { name: 'Spline Camera', component: SplineCamera, description: 'Camera follows a curved path through space', controls: ['pathSpeed', 'pathRadius', 'pathHeight', 'pathCenter'], inputDriven: true, tags: ['camera'], alt: 'A pink cone marker travels along a faint cyan curve that winds between colored boxes as you scroll.' },
+    { name: 'Orbit Path', component: OrbitPath, description: 'Camera orbits around central object', controls: ['pathSpeed', 'pathRadius', 'pathCenter'], inputDriven: true, tags: ['camera', 'wireframe'], alt: 'A glowing cyan sphere orbits a purple wireframe icosahedron along a faint ring, its position around the ring set by scroll.' }
   ],
   morph: [
-    { key: 'morphSpeed', label: 'Morph Speed', min: 0.5, max: 3, step: 0.25, default: 1 },
-    { key: 'morphEasing', label: 'Easing Strength', min: 1, max: 5, step: 0.5, default: 2 },
+    { name: 'Shape Morph', component: ShapeMorph, description: 'Geometry transforms through multiple shapes', controls: ['morphSpeed'], tags: [], alt: 'A pink cube stretches into a flat disc, then a tall pillar, then back to a cube as you scroll.' },
+    { name: 'Blob Morph', component: BlobMorph, description: 'Organic distortion morphing with scroll', controls: ['morphSpeed', 'morphEasing'], tags: ['distortion'], alt: 'A green organic blob floats in place and distorts more heavily as you scroll down.' }
   ],
   reveal: [
-    { key: 'revealSpeed', label: 'Reveal Speed', min: 0.5, max: 3, step: 0.25, default: 1 },
-    { key: 'edgeSoftness', label: 'Edge Softness', min: 0, max: 0.5, step: 0.05, default: 0.1 },
+    { name: 'Circle Reveal', component: CircleReveal, description: 'Content reveals through expanding circle', controls: ['revealSpeed', 'edgeSoftness'], inputDriven: true, tags: ['shader'], alt: 'A circle grows from the center of a dark indigo panel, revealing a cyan-to-purple gradient as you scroll.' },
+    { name: 'Wipe Reveal', component: WipeReveal, description: 'Horizontal wipe reveals content bars', controls: ['revealSpeed'], inputDriven: true, tags: [], alt: 'Five tall colored bars grow in one after another from left to right as you scroll.' }
   ],
   uvscroll: [
-    { key: 'scrollSpeed', label: 'Scroll Speed', min: 0.5, max: 5, step: 0.5, default: 2 },
-    { key: 'distortAmount', label: 'Distortion', min: 0, max: 0.3, step: 0.02, default: 0.1 },
+    { name: 'Grid Scroll', component: GridScroll, description: 'Scrolling grid pattern effect', controls: ['scrollSpeed'], tags: ['shader'], alt: 'A tilted dark plane covered in a cyan line grid that slides along as you scroll.' },
+    { name: 'Wave UV Distortion', component: WaveUVDistortion, description: 'Wavy distortion on UV coordinates', controls: ['scrollSpeed', 'distortAmount'], tags: ['shader', 'distortion'], alt: 'A pink, purple and cyan gradient panel whose colors bend in wavy bands as you scroll.' }
   ],
   orbit: [
-    { key: 'orbitSpeed', label: 'Orbit Speed', min: 0.1, max: 2, step: 0.1, default: 0.5 },
-    { key: 'zoomRange', label: 'Zoom Range', min: 5, max: 25, step: 1, default: 15 },
-    { key: 'autoRotate', label: 'Auto Rotate', min: 0, max: 1, step: 0.1, default: 0.5 },
+    { name: 'Zoom Orbit', component: ZoomOrbit, description: 'Auto rotation with scroll-based zoom', controls: ['orbitSpeed', 'zoomRange', 'autoRotate'], tags: ['wireframe'], alt: 'A purple torus knot inside a faint cyan wireframe copy slowly rotates and grows as you scroll.' },
+    { name: 'Speed Orbit', component: SpeedOrbit, description: 'Rotation speed based on scroll velocity', controls: ['orbitSpeed'], tags: [], alt: 'Six colored octahedrons orbit a glowing white sphere, spinning faster while you scroll.' }
   ],
+  // Mouseover - 3D Canvas
   hovertransform: [
-    { key: 'hoverScale', label: 'Hover Scale', min: 1.1, max: 2.0, step: 0.1, default: 1.4 },
-    { key: 'lerpSpeed', label: 'Smoothness', min: 0.02, max: 0.2, step: 0.02, default: 0.1 },
-    { key: 'spinRate', label: 'Spin Speed', min: 1, max: 8, step: 0.5, default: 3 },
+    { name: 'Scale Pop', component: ScalePop, description: 'Grid of boxes scale up on hover with glow', controls: ['hoverScale', 'lerpSpeed', 'gridSize'], inputDriven: true, tags: [], alt: 'A grid of colored cubes, four by four by default; the cube under the pointer grows and glows.' },
+    { name: 'Spin Hover', component: SpinHover, description: 'Torus knots spin while hovered', controls: ['spinRate'], tags: [], alt: 'Six torus knots arranged in a ring; each one spins up while the pointer is over it.' }
   ],
   mousefollow: [
-    { key: 'followSpeed', label: 'Follow Speed', min: 0.02, max: 0.2, step: 0.02, default: 0.08 },
-    { key: 'trailCount', label: 'Trail Count', min: 3, max: 12, step: 1, default: 8 },
-    { key: 'worldScale', label: 'Movement Range', min: 2, max: 8, step: 0.5, default: 5 },
+    { name: 'Tracking Sphere', component: TrackingSphere, description: 'Sphere follows mouse position in 3D', controls: ['followSpeed', 'worldScale'], tags: ['distortion'], alt: 'A glowing cyan sphere with a rippling surface follows the pointer around the scene.' },
+    { name: 'Lazy Follow', component: LazyFollow, description: 'Chain of spheres follow with staggered delay', controls: ['followSpeed', 'trailCount', 'worldScale'], tags: [], alt: 'A chain of shrinking spheres trails the pointer, each one lagging behind the one before.' }
   ],
   hoverglow: [
-    { key: 'glowIntensity', label: 'Glow Intensity', min: 0.5, max: 3.0, step: 0.1, default: 2.0 },
-    { key: 'fadeSpeed', label: 'Fade Speed', min: 0.02, max: 0.15, step: 0.01, default: 0.08 },
+    { name: 'Emission Pulse', component: EmissionPulse, description: 'Emissive glow ramps up on hover', controls: ['glowIntensity', 'fadeSpeed'], tags: [], alt: 'A large purple faceted sphere floats in the center and glows brightly, shifting toward cyan, when hovered.' },
+    { name: 'Color Shift', component: ColorShift, description: 'Objects shift hue near cursor', controls: ['fadeSpeed'], tags: [], alt: 'A ring of twelve spheres; those nearest the pointer shift toward yellow and glow.' }
   ],
   magnetic: [
-    { key: 'attractStrength', label: 'Attract Force', min: 0.01, max: 0.15, step: 0.01, default: 0.06 },
-    { key: 'springBack', label: 'Spring Back', min: 0.01, max: 0.1, step: 0.01, default: 0.03 },
-    { key: 'repelRadius', label: 'Repel Radius', min: 1, max: 5, step: 0.5, default: 2.5 },
+    { name: 'Attract Grid', component: AttractGrid, description: 'Grid pulled toward mouse position', controls: ['attractStrength', 'gridSize'], inputDriven: true, tags: [], alt: 'A grid of small dots, eight by eight by default, is pulled toward the pointer and springs back when it leaves.' },
+    { name: 'Repel Field', component: RepelField, description: 'Objects pushed away from cursor', controls: ['springBack', 'repelRadius', 'seed'], inputDriven: true, tags: [], alt: 'Thirty scattered purple and pink shapes are pushed away from the pointer and drift back afterwards.' }
   ],
   ripple: [
-    { key: 'rippleStrength', label: 'Ripple Strength', min: 0.1, max: 1.0, step: 0.1, default: 0.4 },
-    { key: 'rippleFreq', label: 'Wave Frequency', min: 10, max: 50, step: 5, default: 30 },
-    { key: 'rippleDecay', label: 'Decay Rate', min: 1, max: 10, step: 0.5, default: 5 },
+    { name: 'Surface Ripple', component: SurfaceRipple, description: 'Shader waves from pointer position', controls: ['rippleStrength', 'rippleFreq', 'rippleDecay'], tags: ['shader'], alt: 'A cyan-to-purple plane with concentric waves spreading from the point under the cursor.' },
+    { name: 'Wave Ring', component: WaveRing, description: 'Concentric rings pulse from cursor', controls: [], tags: [], alt: 'Ten concentric colored rings pulse in and out and shift toward the pointer.' }
   ],
+  // Mouseover - DOM
   cardhover: [
-    { key: 'maxTilt', label: 'Max Tilt (deg)', min: 5, max: 30, step: 1, default: 15 },
-    { key: 'flipDuration', label: 'Flip Speed', min: 0.2, max: 1.0, step: 0.1, default: 0.6 },
+    { name: 'Tilt Card', component: TiltCard, description: '3D perspective tilt on mouse move', controls: ['maxTilt'], tags: ['DOM', 'framer-motion'], alt: 'Three gradient cards named Aurora, Nebula and Prism tilt in 3D toward the pointer.' },
+    { name: 'Flip Card', component: FlipCard, description: 'Card flips to reveal back on hover', controls: ['flipDuration'], tags: ['DOM', 'framer-motion'], alt: 'Three cards showing React, Three.js and Framer flip over on hover to reveal a short description.' }
   ],
   texthover: [
-    { key: 'letterDelay', label: 'Letter Delay', min: 0.01, max: 0.08, step: 0.005, default: 0.03 },
-    { key: 'liftHeight', label: 'Lift Height', min: 5, max: 25, step: 1, default: 12 },
+    { name: 'Letter Spread', component: LetterSpread, description: 'Letters animate upward with stagger', controls: ['letterDelay', 'liftHeight'], tags: ['DOM', 'framer-motion', 'text'], alt: 'The words HOVER, THESE, WORDS; hovered letters lift up one after another and turn cyan.' },
+    { name: 'Glitch Text', component: GlitchText, description: 'Digital glitch distortion on hover', controls: [], tags: ['DOM', 'framer-motion', 'text'], alt: 'The words GLITCH, EFFECT, HOVER; a hovered word jitters with offset cyan and pink copies.' }
   ],
   buttonhover: [
-    { key: 'slideDuration', label: 'Slide Speed', min: 0.2, max: 1.0, step: 0.1, default: 0.5 },
-    { key: 'morphRadius', label: 'Morph Radius', min: 10, max: 50, step: 5, default: 50 },
+    { name: 'Slide Button', component: SlideButton, description: 'Gradient slides across on hover', controls: ['slideDuration'], tags: ['DOM', 'framer-motion'], alt: 'Four gradient buttons: Get Started, Learn More, Sign Up and Download. Hovering slides the gradient across.' },
+    { name: 'Morph Button', component: MorphButton, description: 'Button morphs shape and fills on hover', controls: ['morphRadius'], tags: ['DOM', 'framer-motion'], alt: 'Four outlined buttons: Primary, Secondary, Accent and Success. Hovering fills each one and rounds it into a pill.' }
   ],
   imagehover: [
-    { key: 'zoomScale', label: 'Zoom Amount', min: 1.05, max: 1.4, step: 0.05, default: 1.15 },
-    { key: 'shutterBars', label: 'Shutter Bars', min: 3, max: 8, step: 1, default: 5 },
+    { name: 'Zoom Reveal', component: ZoomReveal, description: 'Image zooms with text overlay on hover', controls: ['zoomScale'], tags: ['DOM', 'framer-motion'], alt: 'Three gradient image cards; hovering zooms the image and raises a caption such as Mountain Peak.' },
+    { name: 'Shutter Reveal', component: ShutterReveal, description: 'Venetian blind reveal effect', controls: ['shutterBars'], tags: ['DOM', 'framer-motion'], alt: 'Three cards covered by dark horizontal slats that open like blinds on hover to show Project Alpha, Beta and Gamma.' }
   ]
 };
 
+// The Tweak panel entries for one example, falling back to the whole category
+// for examples that don't declare their own
+const getExampleControls = (category, exampleIndex) => {
+  const shared = CONTROLS_CONFIG[category] || [];
+  const keys = ANIMATIONS[category]?.[exampleIndex]?.controls;
+  return keys ? shared.filter(ctrl => keys.includes(ctrl.key)) : shared;
+};
+
 // ============================================================
-// TUNNEL EFFECTS
+// FILE HELPERS
 // ============================================================
+const downloadFile = (filename, contents, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
 
-// Performance: Memoized to prevent unnecessary re-renders when parent updates
-const RingTunnel = React.memo(() => {
-  const groupRef = useRef();
-  const ringsRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const ringCount = controls.ringCount || 50;
-  const ringSpacing = controls.ringSpacing || 2.5;
-  const travelSpeed = controls.travelSpeed || 100;
-  const hueStart = controls.hueStart || 180;
-  
-  const rings = useMemo(() => 
-    new Array(ringCount).fill(0).map((_, i) => ({
-      z: -i * ringSpacing,
-      hue: hueStart + i * 3,
-      opacity: Math.max(0.15, 1 - i * 0.018)
-    })), [ringCount, ringSpacing, hueStart]);
-
-  useFrame((state) => {
-    if (!groupRef.current) return;
-    const progress = scroll.range(0, 0.5);
-    groupRef.current.position.z = progress * travelSpeed;
-    
-    ringsRef.current.forEach((ring, i) => {
-      if (ring) ring.rotation.z = state.clock.elapsedTime * (i % 2 ? 0.1 : -0.1);
-    });
-  });
-
-  return (
-    <group ref={groupRef}>
-      {rings.map((ring, i) => (
-        <mesh key={i} ref={el => ringsRef.current[i] = el} position={[0, 0, ring.z]}>
-          <torusGeometry args={[3.5, 0.04, 8, 80]} />
-          <meshBasicMaterial color={`hsl(${ring.hue}, 80%, 55%)`} transparent opacity={ring.opacity} />
-        </mesh>
-      ))}
-      <pointLight position={[0, 0, -ringCount * ringSpacing]} intensity={8} color="#22d3ee" distance={120} />
-    </group>
-  );
-});
-
-const ParticleTunnel = React.memo(() => {
-  const pointsRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const travelSpeed = controls.travelSpeed || 120;
-  const hueStart = controls.hueStart || 180;
-  
-  const particles = useMemo(() => {
-    const positions = new Float32Array(2000 * 3);
-    const colors = new Float32Array(2000 * 3);
-    
-    for (let i = 0; i < 2000; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = 2 + Math.random() * 4;
-      positions[i * 3] = Math.cos(angle) * radius;
-      positions[i * 3 + 1] = Math.sin(angle) * radius;
-      positions[i * 3 + 2] = -Math.random() * 150;
-      
-      const color = new THREE.Color(`hsl(${hueStart + Math.random() * 60}, 80%, 60%)`);
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
-    return { positions, colors };
-  }, [hueStart]);
-
-  useFrame(() => {
-    if (!pointsRef.current) return;
-    const progress = scroll.range(0, 0.5);
-    pointsRef.current.position.z = progress * travelSpeed;
-  });
+// Resolves to false rather than rejecting when the Clipboard API is missing,
+// permission is denied or the document doesn't have focus
+const copyText = (text) => (navigator.clipboard
+  ? navigator.clipboard.writeText(text).then(() => true, () => false)
+  : Promise.resolve(false));
 
-  return (
-    <points ref={pointsRef}>
-      <bufferGeometry>
-        <bufferAttribute attach="attributes-position" count={2000} array={particles.positions} itemSize={3} />
-        <bufferAttribute attach="attributes-color" count={2000} array={particles.colors} itemSize={3} />
-      </bufferGeometry>
-      <pointsMaterial size={0.08} vertexColors transparent opacity={0.9} sizeAttenuation />
-    </points>
-  );
-});
+// "Ring Tunnel" -> "ring-tunnel", for download names
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
 
 // ============================================================
-// VELOCITY DEFORMATION
+// CODE PANEL COMPONENT
 // ============================================================
-
-const MorphingSphere = React.memo(() => {
-  const meshRef = useRef();
-  const scroll = useScroll();
-  const velocity = useRef(0);
-  const controls = useControls();
-  
-  const distortIntensity = controls.distortIntensity || 0.5;
-  const baseSpeed = controls.baseSpeed || 2;
-  const velocityMultiplier = controls.velocityMultiplier || 80;
-
-  useFrame((state) => {
-    if (!meshRef.current) return;
-    velocity.current = THREE.MathUtils.lerp(velocity.current, Math.abs(scroll.delta) * velocityMultiplier, 0.08);
-    
-    meshRef.current.rotation.x = state.clock.elapsedTime * 0.4;
-    meshRef.current.rotation.y = state.clock.elapsedTime * 0.6;
-    
-    if (meshRef.current.material) {
-      meshRef.current.material.distort = 0.2 + Math.min(velocity.current * distortIntensity, 0.8);
-      meshRef.current.material.speed = baseSpeed + velocity.current * 0.05;
-    }
-  });
-
-  return (
-    <Float speed={1.5} rotationIntensity={0.3}>
-      <mesh ref={meshRef} scale={2.5}>
-        <icosahedronGeometry args={[1, 8]} />
-        <MeshDistortMaterial color="#a855f7" emissive="#7c3aed" emissiveIntensity={0.5} roughness={0.15} metalness={0.85} distort={0.3} speed={baseSpeed} />
-      </mesh>
-    </Float>
-  );
-});
-
-const WobblingTorus = React.memo(() => {
-  const meshRef = useRef();
-  const scroll = useScroll();
-  const velocity = useRef(0);
-  const controls = useControls();
-  
-  const distortIntensity = controls.distortIntensity || 0.8;
-  const baseSpeed = controls.baseSpeed || 2;
-  const velocityMultiplier = controls.velocityMultiplier || 60;
-
-  useFrame((state) => {
-    if (!meshRef.current) return;
-    velocity.current = THREE.MathUtils.lerp(velocity.current, Math.abs(scroll.delta) * velocityMultiplier, 0.1);
-    
-    meshRef.current.rotation.x = state.clock.elapsedTime * 0.3;
-    meshRef.current.rotation.y = state.clock.elapsedTime * 0.5;
-    
-    if (meshRef.current.material) {
-      meshRef.current.material.factor = 0.5 + velocity.current * distortIntensity;
-    }
-  });
-
-  return (
-    <Float speed={2} rotationIntensity={0.4}>
-      <mesh ref={meshRef} scale={2}>
-        <torusKnotGeometry args={[1, 0.35, 128, 32]} />
-        <MeshWobbleMaterial color="#ec4899" emissive="#be185d" emissiveIntensity={0.4} factor={0.5} speed={baseSpeed} />
-      </mesh>
-    </Float>
-  );
-});
+const CodeBlock = ({ code }) => (
+  <pre className="code-block">
+    <code>{code}</code>
+  </pre>
+);
 
 // ============================================================
-// SHADER EFFECTS
+// CONTROL WIDGETS - One Tweak panel input per CONTROLS_CONFIG type
 // ============================================================
+const AXES = ['X', 'Y', 'Z'];
+
+// How screen readers should say CONTROLS_CONFIG units ("15°" reads as "15 degrees")
+const UNIT_NAMES = { '°': 'degrees', s: 'seconds', px: 'pixels' };
+
+// Header readout; vectors show their values in the inputs instead
+const formatControlValue = (ctrl, value) => {
+  switch (ctrl.type) {
+    case 'boolean': return value ? 'On' : 'Off';
+    case 'select': return ctrl.options.find(option => option.value === value)?.label ?? value;
+    case 'vec3': return null;
+    default: return ctrl.unit ? `${value}${ctrl.unit}` : value;
+  }
+};
 
-const LiquidPlane = React.memo(() => {
-  const matRef = useRef();
-  const scroll = useScroll();
-  const vel = useRef(0);
-  const controls = useControls();
-  
-  const waveFrequency = controls.waveFrequency || 3.5;
-  const waveAmplitude = controls.waveAmplitude || 0.35;
-  const timeSpeed = controls.timeSpeed || 2.5;
-
-  const shader = useMemo(() => ({
-    uniforms: { uTime: { value: 0 }, uVelocity: { value: 0 }, uFreq: { value: waveFrequency }, uAmp: { value: waveAmplitude } },
-    vertexShader: `
-      uniform float uTime; uniform float uVelocity; uniform float uFreq; uniform float uAmp;
-      varying vec2 vUv; varying float vWave;
-      void main() {
-        vUv = uv;
-        vec3 pos = position;
-        float wave = sin(pos.x * uFreq + uTime) * uAmp + sin(pos.y * (uFreq + 1.0) + uTime * 0.8) * (uAmp * 0.7);
-        pos.z += wave * (1.0 + uVelocity * 3.5);
-        vWave = pos.z;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform float uTime; varying vec2 vUv; varying float vWave;
-      void main() {
-        vec3 cyan = vec3(0.133, 0.827, 0.933);
-        vec3 pink = vec3(0.925, 0.282, 0.6);
-        vec3 color = mix(cyan, pink, vUv.x + sin(uTime * 0.5) * 0.15);
-        color *= 0.9 + vWave * 0.15;
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `
-  }), [waveFrequency, waveAmplitude]);
-
-  useFrame((state) => {
-    if (!matRef.current) return;
-    vel.current = THREE.MathUtils.lerp(vel.current, Math.abs(scroll.delta) * 40, 0.1);
-    matRef.current.uniforms.uTime.value = state.clock.elapsedTime * timeSpeed;
-    matRef.current.uniforms.uVelocity.value = vel.current;
-  });
-
-  return (
-    <mesh rotation={[-0.3, 0, 0]}>
-      <planeGeometry args={[8, 6, 80, 80]} />
-      <shaderMaterial ref={matRef} args={[shader]} side={THREE.DoubleSide} />
-    </mesh>
-  );
-});
-
-const NoiseSphere = React.memo(() => {
-  const matRef = useRef();
-  const meshRef = useRef();
-  const scroll = useScroll();
-  const vel = useRef(0);
-  const controls = useControls();
-  
-  const waveAmplitude = controls.waveAmplitude || 0.3;
-  const timeSpeed = controls.timeSpeed || 0.5;
-
-  const shader = useMemo(() => ({
-    uniforms: { uTime: { value: 0 }, uVelocity: { value: 0 }, uAmp: { value: waveAmplitude } },
-    vertexShader: `
-      uniform float uTime; uniform float uVelocity; uniform float uAmp;
-      varying vec2 vUv; varying float vDisplacement;
-      float noise(vec3 p) { return fract(sin(dot(p, vec3(12.9898, 78.233, 45.5432))) * 43758.5453); }
-      void main() {
-        vUv = uv;
-        vec3 pos = position;
-        float n = noise(pos * 2.0 + uTime);
-        float displacement = n * (uAmp + uVelocity * 0.8);
-        pos += normal * displacement;
-        vDisplacement = displacement;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform float uTime; varying vec2 vUv; varying float vDisplacement;
-      void main() {
-        vec3 purple = vec3(0.659, 0.341, 0.969);
-        vec3 orange = vec3(0.969, 0.533, 0.133);
-        vec3 color = mix(purple, orange, vDisplacement * 2.0 + sin(uTime) * 0.2);
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `
-  }), [waveAmplitude]);
-
-  useFrame((state) => {
-    if (!matRef.current || !meshRef.current) return;
-    vel.current = THREE.MathUtils.lerp(vel.current, Math.abs(scroll.delta) * 40, 0.1);
-    matRef.current.uniforms.uTime.value = state.clock.elapsedTime * timeSpeed;
-    matRef.current.uniforms.uVelocity.value = vel.current;
-    meshRef.current.rotation.y = state.clock.elapsedTime * 0.2;
-  });
-
-  return (
-    <mesh ref={meshRef} scale={2.5}>
-      <icosahedronGeometry args={[1, 32]} />
-      <shaderMaterial ref={matRef} args={[shader]} />
-    </mesh>
-  );
+const spokenControlValue = (ctrl, value) => (ctrl.unit ? `${value} ${UNIT_NAMES[ctrl.unit] ?? ctrl.unit}` : String(value));
+
+// Links each control's header label to its input
+const controlInputId = (ctrl) => `control-input-${ctrl.key}`;
+
+const ControlInput = React.memo(({ ctrl, value, onChange }) => {
+  const testId = `control-${ctrl.key}`;
+  const inputId = controlInputId(ctrl);
+
+  switch (ctrl.type) {
+    case 'color':
+      return (
+        <input
+          type="color"
+          id={inputId}
+          value={value}
+          onChange={(e) => onChange(ctrl.key, e.target.value)}
+          className="control-color"
+          data-testid={testId}
+        />
+      );
+    case 'boolean':
+      return (
+        <button
+          type="button"
+          role="switch"
+          id={inputId}
+          aria-checked={value}
+          onClick={() => onChange(ctrl.key, !value)}
+          className={`control-switch ${value ? 'on' : ''}`}
+          data-testid={testId}
+        >
+          <span className="control-switch-thumb" />
+        </button>
+      );
+    case 'select':
+      return (
+        <select
+          id={inputId}
+          value={value}
+          onChange={(e) => onChange(ctrl.key, ctrl.options.find(option => String(option.value) === e.target.value)?.value)}
+          className="control-select"
+          data-testid={testId}
+        >
+          {ctrl.options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      );
+    case 'seed':
+      return (
+        <div className="control-seed">
+          <input
+            type="number"
+            id={inputId}
+            min={ctrl.min}
+            max={ctrl.max}
+            step={ctrl.step}
+            value={value}
+            onChange={(e) => {
+              const next = parseInt(e.target.value, 10);
+              if (Number.isFinite(next)) onChange(ctrl.key, THREE.MathUtils.clamp(next, ctrl.min, ctrl.max));
+            }}
+            data-testid={testId}
+          />
+          <button
+            type="button"
+            className="preset-btn"
+            onClick={() => onChange(ctrl.key, THREE.MathUtils.randInt(ctrl.min, ctrl.max))}
+            title="Pick a new random seed"
+            data-testid={`${testId}-shuffle`}
+          >
+            Shuffle
+          </button>
+        </div>
+      );
+    case 'vec3':
+      return (
+        <div className="control-vec3" role="group" aria-labelledby={`${inputId}-label`} data-testid={testId}>
+          {AXES.map((axis, i) => (
+            <label key={axis} className="control-axis">
+              <span aria-hidden="true">{axis}</span>
+              <input
+                type="number"
+                aria-label={`${ctrl.label} ${axis}`}
+                min={ctrl.min}
+                max={ctrl.max}
+                step={ctrl.step}
+                value={value[i]}
+                onChange={(e) => {
+                  // Ignore half-typed input like '-' until it parses
+                  const next = parseFloat(e.target.value);
+                  if (!Number.isFinite(next)) return;
+                  const clamped = THREE.MathUtils.clamp(next, ctrl.min, ctrl.max);
+                  onChange(ctrl.key, value.map((v, j) => (j === i ? clamped : v)));
+                }}
+                data-testid={`${testId}-${axis.toLowerCase()}`}
+              />
+            </label>
+          ))}
+        </div>
+      );
+    default:
+      return (
+        <>
+          <input
+            type="range"
+            id={inputId}
+            min={ctrl.min}
+            max={ctrl.max}
+            step={ctrl.step}
+            value={value}
+            aria-valuetext={spokenControlValue(ctrl, value)}
+            onChange={(e) => onChange(ctrl.key, parseFloat(e.target.value))}
+            className="control-slider"
+            data-testid={testId}
+          />
+          <div className="control-range" aria-hidden="true">
+            <span>{ctrl.min}</span>
+            <span>{ctrl.max}</span>
+          </div>
+        </>
+      );
+  }
 });
 
 // ============================================================
-// EXPLODED VIEWS
+// CONTROLS HISTORY - Undo/redo for Tweak panel edits
 // ============================================================
-
-const ExplodedCube = React.memo(() => {
-  const groupRef = useRef();
-  const partsRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const maxExplosion = controls.maxExplosion || 4;
-  const rotationSpeed = controls.rotationSpeed || 0.2;
-
-  const parts = useMemo(() => [
-    { pos: [0, 1, 0], rot: [0, 0, 0], color: '#22d3ee', dir: [0, 1, 0] },
-    { pos: [0, -1, 0], rot: [0, 0, 0], color: '#06b6d4', dir: [0, -1, 0] },
-    { pos: [1, 0, 0], rot: [0, 0, Math.PI/2], color: '#0891b2', dir: [1, 0, 0] },
-    { pos: [-1, 0, 0], rot: [0, 0, Math.PI/2], color: '#0e7490', dir: [-1, 0, 0] },
-    { pos: [0, 0, 1], rot: [Math.PI/2, 0, 0], color: '#155e75', dir: [0, 0, 1] },
-    { pos: [0, 0, -1], rot: [Math.PI/2, 0, 0], color: '#164e63', dir: [0, 0, -1] },
-  ], []);
-
-  useFrame((state) => {
-    if (!groupRef.current) return;
-    const explosion = scroll.range(0.2, 0.6);
-    const dist = explosion * maxExplosion;
-    
-    partsRef.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const p = parts[i];
-      mesh.position.set(p.pos[0] + p.dir[0] * dist, p.pos[1] + p.dir[1] * dist, p.pos[2] + p.dir[2] * dist);
+const HISTORY_LIMIT = 50;
+// Edits to the same control closer together than this are one drag
+const COALESCE_MS = 600;
+
+/**
+ * Controls state with an undo stack, initialised like useState. `commitControls`
+ * records a user edit; plain `setControls` changes values without a history
+ * step (timeline playback).
+ */
+const useControlsHistory = (initControls) => {
+  const [controls, setControls] = useState(initControls);
+  const [history, setHistory] = useState(() => ({ entries: [{ label: 'Opened', controls }], index: 0 }));
+  const controlsRef = useRef(controls);
+  controlsRef.current = controls;
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  const lastEdit = useRef(null);
+
+  const commitControls = useCallback((label, update, coalesceKey = null) => {
+    const next = typeof update === 'function' ? update(controlsRef.current) : update;
+    const now = Date.now();
+    const coalesce = coalesceKey !== null
+      && lastEdit.current?.key === coalesceKey
+      && now - lastEdit.current.time < COALESCE_MS;
+    lastEdit.current = { key: coalesceKey, time: now };
+    controlsRef.current = next;
+    setControls(next);
+    setHistory(prev => {
+      const entries = prev.entries.slice(0, prev.index + 1);
+      if (coalesce) entries[entries.length - 1] = { label, controls: next };
+      else entries.push({ label, controls: next });
+      const kept = entries.slice(-HISTORY_LIMIT);
+      return { entries: kept, index: kept.length - 1 };
     });
-    
-    groupRef.current.rotation.x = state.clock.elapsedTime * rotationSpeed;
-    groupRef.current.rotation.y = state.clock.elapsedTime * rotationSpeed * 1.5;
-  });
+  }, []);
 
-  return (
-    <group ref={groupRef}>
-      {parts.map((p, i) => (
-        <mesh key={i} ref={el => partsRef.current[i] = el} position={p.pos} rotation={p.rot}>
-          <boxGeometry args={[2.2, 0.2, 2.2]} />
-          <meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.35} metalness={0.9} roughness={0.1} />
-        </mesh>
-      ))}
-      <mesh scale={0.6}><icosahedronGeometry args={[1, 2]} /><meshBasicMaterial color="#fff" wireframe /></mesh>
-      <pointLight intensity={3} color="#22d3ee" distance={8} />
-    </group>
-  );
-});
+  const resetHistory = useCallback((next) => {
+    lastEdit.current = null;
+    setControls(next);
+    setHistory({ entries: [{ label: 'Opened', controls: next }], index: 0 });
+  }, []);
 
-const ExplodedIcosahedron = React.memo(() => {
-  const groupRef = useRef();
-  const partsRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const maxExplosion = controls.maxExplosion || 3;
-  const rotationSpeed = controls.rotationSpeed || 0.25;
-
-  const parts = useMemo(() => {
-    const faces = [];
-    for (let i = 0; i < 20; i++) {
-      const angle1 = (i / 20) * Math.PI * 2;
-      const angle2 = ((i % 5) / 5) * Math.PI;
-      faces.push({
-        pos: [Math.sin(angle1) * 1.2, Math.cos(angle2) * 1.2 - 0.5, Math.cos(angle1) * 1.2],
-        dir: [Math.sin(angle1), Math.cos(angle2) - 0.4, Math.cos(angle1)],
-        color: `hsl(${280 + i * 4}, 70%, 55%)`
-      });
-    }
-    return faces;
+  const goTo = useCallback((index) => {
+    const entry = historyRef.current.entries[index];
+    if (!entry) return;
+    lastEdit.current = null;
+    setControls(entry.controls);
+    setHistory(prev => ({ ...prev, index }));
   }, []);
 
-  useFrame((state) => {
-    if (!groupRef.current) return;
-    const explosion = scroll.range(0.2, 0.6);
-    const dist = explosion * maxExplosion;
-    
-    partsRef.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const p = parts[i];
-      mesh.position.set(p.pos[0] + p.dir[0] * dist, p.pos[1] + p.dir[1] * dist, p.pos[2] + p.dir[2] * dist);
-    });
-    
-    groupRef.current.rotation.y = state.clock.elapsedTime * rotationSpeed;
-  });
+  // Values moved off the current step without a commit (timeline playback)
+  // undo back to that step first
+  const isDetached = controls !== history.entries[history.index].controls;
+
+  const undo = useCallback(() => {
+    const { entries, index } = historyRef.current;
+    goTo(controlsRef.current !== entries[index].controls ? index : index - 1);
+  }, [goTo]);
+
+  const redo = useCallback(() => {
+    goTo(historyRef.current.index + 1);
+  }, [goTo]);
+
+  return {
+    controls, setControls, commitControls, resetHistory,
+    history: {
+      entries: history.entries,
+      index: history.index,
+      canUndo: history.index > 0 || isDetached,
+      canRedo: history.index < history.entries.length - 1,
+      undo, redo, goTo,
+    },
+  };
+};
 
-  return (
-    <group ref={groupRef} scale={2}>
-      {parts.map((p, i) => (
-        <mesh key={i} ref={el => partsRef.current[i] = el} position={p.pos}>
-          <tetrahedronGeometry args={[0.35]} />
-          <meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.3} metalness={0.8} roughness={0.2} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#a855f7" distance={6} />
-    </group>
-  );
-});
+const HistoryList = React.memo(({ history }) => (
+  <div className="control-item" data-testid="history">
+    <div className="control-header">
+      <span className="control-label">History</span>
+    </div>
+    <div className="preset-actions">
+      <button className="preset-btn" onClick={history.undo} disabled={!history.canUndo} title="Undo (Ctrl/Cmd+Z)" data-testid="history-undo">
+        Undo
+      </button>
+      <button className="preset-btn" onClick={history.redo} disabled={!history.canRedo} title="Redo (Shift+Ctrl/Cmd+Z)" data-testid="history-redo">
+        Redo
+      </button>
+    </div>
+    {/* Newest first; steps after the current one stay listed until a new edit replaces them */}
+    <ol className="history-list" data-testid="history-list">
+      {history.entries.map((entry, i) => (
+        <li key={i}>
+          <button
+            className={`history-entry ${i === history.index ? 'active' : ''} ${i > history.index ? 'undone' : ''}`}
+            onClick={() => history.goTo(i)}
+            aria-current={i === history.index ? 'step' : undefined}
+            data-testid={`history-entry-${i}`}
+          >
+            {entry.label}
+          </button>
+        </li>
+      )).reverse()}
+    </ol>
+  </div>
+));
 
 // ============================================================
-// ROTATION MAPPING
+// PRESET MANAGER - Built-in + saved presets in the Tweak tab
 // ============================================================
+const PresetManager = ({ category, controlsConfig, controls, onApply }) => {
+  const [library, setLibrary] = useState(readUserPresets);
+  const [selectedId, setSelectedId] = useState(null);
+  const fileInputRef = useRef();
 
-const WireframeGlobe = React.memo(() => {
-  const groupRef = useRef();
-  const innerRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const rotationMultiplier = controls.rotationMultiplier || 4;
-  const tiltAmount = controls.tiltAmount || 0.2;
-
-  useFrame((state) => {
-    if (!groupRef.current) return;
-    const rot = scroll.offset * Math.PI * rotationMultiplier;
-    groupRef.current.rotation.y = rot;
-    groupRef.current.rotation.x = Math.sin(state.clock.elapsedTime * 0.3) * tiltAmount;
-    if (innerRef.current) innerRef.current.rotation.y = -rot * 0.5;
-  });
+  useEffect(() => {
+    writeUserPresets(library);
+  }, [library]);
 
-  return (
-    <group ref={groupRef}>
-      <mesh><sphereGeometry args={[3, 40, 40]} /><meshStandardMaterial color="#7c3aed" emissive="#a855f7" emissiveIntensity={0.4} wireframe /></mesh>
-      <mesh scale={0.8}><sphereGeometry args={[3, 28, 28]} /><meshStandardMaterial color="#8b5cf6" emissive="#c084fc" emissiveIntensity={0.25} wireframe transparent opacity={0.5} /></mesh>
-      <mesh ref={innerRef} scale={0.4}><icosahedronGeometry args={[3, 3]} /><meshStandardMaterial color="#c084fc" emissive="#e879f9" emissiveIntensity={0.6} metalness={0.8} roughness={0.2} /></mesh>
-      <mesh rotation={[Math.PI/2, 0, 0]}><torusGeometry args={[4, 0.025, 16, 100]} /><meshBasicMaterial color="#a855f7" transparent opacity={0.7} /></mesh>
-      <mesh rotation={[Math.PI/3, Math.PI/5, 0]}><torusGeometry args={[4.3, 0.025, 16, 100]} /><meshBasicMaterial color="#8b5cf6" transparent opacity={0.5} /></mesh>
-      <pointLight intensity={4} color="#c084fc" distance={15} />
-    </group>
-  );
-});
+  const config = CONTROLS_CONFIG[category] || [];
+  const options = [
+    ...(CONTROL_PRESETS[category] || []).map(preset => ({ id: `builtin:${preset.name}`, preset, saved: false })),
+    ...(library[category] || []).map(preset => ({ id: `saved:${preset.name}`, preset, saved: true })),
+  ];
 
-const DNAHelix = React.memo(() => {
-  const groupRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const rotationMultiplier = controls.rotationMultiplier || 6;
-
-  const helixPoints = useMemo(() => {
-    const points = [];
-    for (let i = 0; i < 30; i++) {
-      const t = i / 30 * Math.PI * 4;
-      points.push({
-        pos1: [Math.cos(t) * 1.5, i * 0.3 - 4.5, Math.sin(t) * 1.5],
-        pos2: [Math.cos(t + Math.PI) * 1.5, i * 0.3 - 4.5, Math.sin(t + Math.PI) * 1.5],
-        color: `hsl(${180 + i * 6}, 75%, 55%)`
+  // The dropdown shows the last picked preset while its values are untouched,
+  // otherwise whichever preset happens to match the values in effect. Only the
+  // visible controls a preset sets are compared, since applying one leaves the
+  // rest alone; saving still captures the whole category
+  const currentValue = (ctrl) => String(controls[ctrl.key] ?? ctrl.default);
+  const isApplied = (values) => {
+    const compared = controlsConfig.filter(ctrl => ctrl.key in values);
+    return compared.length > 0 && compared.every(ctrl => String(values[ctrl.key]) === currentValue(ctrl));
+  };
+  const matches = options.filter(option => isApplied(option.preset.values));
+  const active = matches.find(option => option.id === selectedId) ?? matches[0];
+
+  const updateSaved = (update) => {
+    setLibrary(prev => ({ ...prev, [category]: update(prev[category] || []) }));
+  };
+
+  const askForName = (message, initial = '') => {
+    const name = window.prompt(message, initial)?.trim();
+    if (!name) return null;
+    const taken = (library[category] || []).some(p => p.name === name);
+    if (taken && !window.confirm(`A preset named "${name}" already exists. Replace it?`)) return null;
+    return name;
+  };
+
+  const handleSelect = (e) => {
+    const option = options.find(o => o.id === e.target.value);
+    if (!option) return;
+    setSelectedId(option.id);
+    // Merged over the current values, so a built-in look keeps the seed and anything else it doesn't set
+    onApply(`Preset: ${option.preset.name}`, prev => ({ ...prev, ...option.preset.values }));
+  };
+
+  const handleSave = () => {
+    const name = askForName('Save current values as preset:');
+    if (!name) return;
+    const values = Object.fromEntries(config.map(ctrl => [ctrl.key, controls[ctrl.key] ?? ctrl.default]));
+    updateSaved(saved => mergePresets(saved, [{ name, values }]));
+    setSelectedId(`saved:${name}`);
+  };
+
+  const handleRename = () => {
+    const oldName = active.preset.name;
+    const name = askForName('Rename preset:', oldName);
+    if (!name || name === oldName) return;
+    updateSaved(saved => saved
+      .filter(p => p.name !== name)
+      .map(p => (p.name === oldName ? { ...p, name } : p)));
+    setSelectedId(`saved:${name}`);
+  };
+
+  const handleDelete = () => {
+    const { name } = active.preset;
+    if (!window.confirm(`Delete preset "${name}"?`)) return;
+    updateSaved(saved => saved.filter(p => p.name !== name));
+  };
+
+  const handleExport = () => {
+    downloadFile('immersive-horizons-presets.json', JSON.stringify({ version: 1, presets: library }, null, 2));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = JSON.parse(await file.text());
+      const imported = sanitizePresetLibrary(parsed.presets ?? parsed);
+      if (!Object.keys(imported).length) throw new Error('no valid presets found');
+      setLibrary(prev => {
+        const next = { ...prev };
+        Object.entries(imported).forEach(([cat, presets]) => {
+          next[cat] = mergePresets(prev[cat], presets);
+        });
+        return next;
       });
+    } catch (err) {
+      window.alert(`Could not import presets: ${err.message}`);
     }
-    return points;
-  }, []);
+  };
 
-  useFrame(() => {
-    if (!groupRef.current) return;
-    groupRef.current.rotation.y = scroll.offset * Math.PI * rotationMultiplier;
-  });
+  const isSaved = Boolean(active?.saved);
+  const hasSaved = Object.values(library).some(presets => presets.length > 0);
 
   return (
-    <group ref={groupRef}>
-      {helixPoints.map((p, i) => (
-        <group key={i}>
-          <mesh position={p.pos1}><sphereGeometry args={[0.2, 16, 16]} /><meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.4} /></mesh>
-          <mesh position={p.pos2}><sphereGeometry args={[0.2, 16, 16]} /><meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.4} /></mesh>
-          {i % 3 === 0 && (
-            <mesh position={[(p.pos1[0] + p.pos2[0])/2, p.pos1[1], (p.pos1[2] + p.pos2[2])/2]} rotation={[0, Math.atan2(p.pos2[2] - p.pos1[2], p.pos2[0] - p.pos1[0]), Math.PI/2]}>
-              <cylinderGeometry args={[0.05, 0.05, 3, 8]} />
-              <meshBasicMaterial color="#ffffff" transparent opacity={0.4} />
-            </mesh>
-          )}
-        </group>
-      ))}
-    </group>
+    <div className="control-item preset-manager" data-testid="preset-manager">
+      <div className="control-header">
+        <label className="control-label" htmlFor="preset-select">Preset</label>
+      </div>
+      <select
+        id="preset-select"
+        className="preset-select"
+        value={active?.id ?? ''}
+        onChange={handleSelect}
+        data-testid="preset-select"
+      >
+        <option value="" disabled>Custom</option>
+        <optgroup label="Built-in">
+          {options.filter(o => !o.saved).map(o => <option key={o.id} value={o.id}>{o.preset.name}</option>)}
+        </optgroup>
+        {options.some(o => o.saved) && (
+          <optgroup label="Saved">
+            {options.filter(o => o.saved).map(o => <option key={o.id} value={o.id}>{o.preset.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      <div className="preset-actions">
+        <button className="preset-btn" onClick={handleSave} data-testid="preset-save">Save</button>
+        <button className="preset-btn" onClick={handleRename} disabled={!isSaved} data-testid="preset-rename">Rename</button>
+        <button className="preset-btn" onClick={handleDelete} disabled={!isSaved} data-testid="preset-delete">Delete</button>
+        <button className="preset-btn" onClick={() => fileInputRef.current.click()} data-testid="preset-import">Import</button>
+        <button className="preset-btn" onClick={handleExport} disabled={!hasSaved} data-testid="preset-export">Export</button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+      </div>
+    </div>
   );
-});
+};
 
-// ============================================================
-// PARALLAX LAYERS
-// ============================================================
+// What the panel's status region says after each action: [worked, failed]
+const ACTION_MESSAGES = {
+  link: ['Link copied', 'Could not copy the link'],
+  snippet: ['Code copied', 'Could not copy the code'],
+  export: [null, 'Could not export the component'],
+};
 
-const FloatingCards = React.memo(() => {
-  const cardsRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const speedMultiplier = controls.speedMultiplier || 8;
-
-  const cards = useMemo(() => [
-    { pos: [-3, 2, -5], speed: 0.3, color: '#22d3ee', size: [1.5, 2, 0.1] },
-    { pos: [3, -1, -8], speed: 0.5, color: '#a855f7', size: [2, 1.2, 0.1] },
-    { pos: [-2, -2, -3], speed: 0.2, color: '#ec4899', size: [1.2, 1.8, 0.1] },
-    { pos: [2, 1.5, -6], speed: 0.4, color: '#10b981', size: [1.8, 1, 0.1] },
-    { pos: [0, 0, -10], speed: 0.6, color: '#f59e0b', size: [2.5, 1.5, 0.1] },
-    { pos: [-4, 0, -7], speed: 0.45, color: '#6366f1', size: [1.4, 2.2, 0.1] },
-  ], []);
-
-  useFrame((state) => {
-    cardsRef.current.forEach((card, i) => {
-      if (!card) return;
-      const c = cards[i];
-      card.position.y = c.pos[1] + scroll.offset * c.speed * speedMultiplier;
-      card.rotation.y = Math.sin(state.clock.elapsedTime + i) * 0.1;
-    });
+const RightPanel = ({
+  isOpen, onToggle, activeTab, setActiveTab, category, example,
+  controls, setControls, commitControls, history, editingLabel, scrollProgressRef, frameClock, actionsRef,
+}) => {
+  const snippets = CODE_SNIPPETS[category]?.[example] || CODE_SNIPPETS[category]?.[0];
+  // Performance: Stable identity keeps the timeline's playback loop from restarting every render
+  const controlsConfig = useMemo(() => getExampleControls(category, example), [category, example]);
+  const categoryData = CATEGORIES.find(c => c.id === category);
+  const exampleName = ANIMATIONS[category][example].name;
+
+  // Lives here rather than in the Tweak tab so playback survives switching to Code
+  const timeline = useTimeline({
+    resetKey: `${category}-${example}`, controlsConfig, setControls, scrollProgressRef, frameClock,
   });
+  const { track } = timeline;
 
-  return (
-    <group>
-      {cards.map((c, i) => (
-        <mesh key={i} ref={el => cardsRef.current[i] = el} position={c.pos}>
-          <boxGeometry args={c.size} />
-          <meshStandardMaterial color={c.color} emissive={c.color} emissiveIntensity={0.3} metalness={0.5} roughness={0.3} />
-        </mesh>
-      ))}
-    </group>
-  );
-});
-
-const MountainLayers = React.memo(() => {
-  const layersRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const speedMultiplier = controls.speedMultiplier || 8;
-  const depthRange = controls.depthRange || 12;
-
-  const layers = useMemo(() => {
-    const baseZ = -15;
-    const spacing = depthRange / 5;
-    return [
-      { z: baseZ, color: '#1e1b4b', height: 4, speed: 0.1 },
-      { z: baseZ + spacing, color: '#312e81', height: 3.5, speed: 0.2 },
-      { z: baseZ + spacing * 2, color: '#4338ca', height: 3, speed: 0.35 },
-      { z: baseZ + spacing * 3, color: '#6366f1', height: 2.5, speed: 0.5 },
-      { z: baseZ + spacing * 4, color: '#818cf8', height: 2, speed: 0.7 },
-    ];
-  }, [depthRange]);
-
-  useFrame(() => {
-    layersRef.current.forEach((layer, i) => {
-      if (!layer) return;
-      layer.position.y = -2 + scroll.offset * layers[i].speed * speedMultiplier;
-    });
-  });
+  // Performance: Memoize event handlers to prevent unnecessary re-renders
+  // Note: setState functions from useState are stable and don't need to be in dependency arrays
+  // Each control gets its own coalescing key so a slider drag is a single undo step
+  const handleControlChange = useCallback((key, value) => {
+    const ctrl = controlsConfig.find(c => c.key === key);
+    const readout = formatControlValue(ctrl, value) ?? value.join(', ');
+    commitControls(`${ctrl.label}: ${readout}`, prev => ({ ...prev, [key]: value }), key);
+  }, [controlsConfig, commitControls]);
 
-  return (
-    <group>
-      {layers.map((l, i) => (
-        <mesh key={i} ref={el => layersRef.current[i] = el} position={[0, -2, l.z]}>
-          <planeGeometry args={[20, l.height * 2]} />
-          <meshBasicMaterial color={l.color} side={THREE.DoubleSide} />
-        </mesh>
-      ))}
-      <mesh position={[0, 4, -20]}><circleGeometry args={[1.5, 32]} /><meshBasicMaterial color="#fef3c7" /></mesh>
-    </group>
-  );
-});
+  const handleResetControls = useCallback(() => {
+    commitControls('Reset to defaults', {});
+  }, [commitControls]);
 
-// ============================================================
-// DEPTH OF FIELD EFFECTS
-// ============================================================
+  const handleCodeTab = useCallback(() => {
+    setActiveTab('code');
+  }, []);
 
-// Example 1: Focus Pull - Objects blur based on distance from focus point
-const FocusPull = React.memo(() => {
-  const groupRef = useRef();
-  const objectsRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const focusDistance = controls.focusDistance || 10;
-  const blurIntensity = controls.blurIntensity || 0.5;
-  const focalRange = controls.focalRange || 3;
-
-  const objects = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < 15; i++) {
-      items.push({
-        position: [(Math.random() - 0.5) * 8, (Math.random() - 0.5) * 6, -i * 1.5 - 2],
-        scale: 0.3 + Math.random() * 0.4,
-        color: `hsl(${200 + i * 10}, 70%, 55%)`,
-        type: i % 3
-      });
-    }
-    return items;
+  const handleTweakTab = useCallback(() => {
+    setActiveTab('tweak');
   }, []);
 
-  useFrame(() => {
-    if (!groupRef.current) return;
-    const currentFocus = scroll.offset * focusDistance * 2;
-    
-    objectsRef.current.forEach((obj, i) => {
-      if (!obj) return;
-      const dist = Math.abs(-objects[i].position[2] - currentFocus);
-      const blur = Math.min(dist / focalRange, 1) * blurIntensity;
-      
-      obj.material.opacity = 1 - blur * 0.7;
-      obj.scale.setScalar(objects[i].scale * (1 + blur * 0.3));
-    });
-  });
+  // Feedback for the last copy or export: { action: 'link' | 'snippet' | 'export', ok }.
+  // Shown on the button that ran it and read out by the panel's status region
+  const [actionStatus, setActionStatus] = useState(null);
 
-  return (
-    <group ref={groupRef}>
-      {objects.map((obj, i) => (
-        <mesh key={i} ref={el => objectsRef.current[i] = el} position={obj.position} scale={obj.scale}>
-          {obj.type === 0 && <sphereGeometry args={[1, 16, 16]} />}
-          {obj.type === 1 && <boxGeometry args={[1, 1, 1]} />}
-          {obj.type === 2 && <octahedronGeometry args={[1]} />}
-          <meshStandardMaterial color={obj.color} emissive={obj.color} emissiveIntensity={0.3} transparent />
-        </mesh>
-      ))}
-      <pointLight position={[0, 0, 0]} intensity={2} color="#22d3ee" />
-    </group>
-  );
-});
+  useEffect(() => {
+    if (!actionStatus) return;
+    const timer = setTimeout(() => setActionStatus(null), 1500);
+    return () => clearTimeout(timer);
+  }, [actionStatus]);
 
-// Example 2: Bokeh Particles - Out of focus lights become soft circles
-const BokehParticles = React.memo(() => {
-  const groupRef = useRef();
-  const particlesRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const focusDistance = controls.focusDistance || 10;
-  const blurIntensity = controls.blurIntensity || 0.5;
-
-  const particles = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < 50; i++) {
-      items.push({
-        position: [(Math.random() - 0.5) * 12, (Math.random() - 0.5) * 8, -Math.random() * 20 - 2],
-        baseScale: 0.1 + Math.random() * 0.15,
-        color: `hsl(${Math.random() * 60 + 180}, 80%, 60%)`
-      });
-    }
-    return items;
+  const reportAction = useCallback((action, ok) => {
+    setActionStatus({ action, ok });
+    return ok;
   }, []);
 
-  useFrame(() => {
-    const currentFocus = scroll.offset * focusDistance * 2;
-    
-    particlesRef.current.forEach((p, i) => {
-      if (!p) return;
-      const dist = Math.abs(-particles[i].position[2] - currentFocus);
-      const bokehSize = particles[i].baseScale * (1 + dist * blurIntensity * 0.3);
-      const opacity = 1 / (1 + dist * 0.1);
-      
-      p.scale.setScalar(bokehSize);
-      p.material.opacity = opacity;
-    });
-  });
+  const actionLabel = (action, idle, done, failed) => {
+    if (actionStatus?.action !== action) return idle;
+    return actionStatus.ok ? done : failed;
+  };
+
+  // Loaded on demand: the exporter inlines the app source, which is too large for the main chunk.
+  // Resolves to whether the download started
+  const handleExportComponent = useCallback(async () => {
+    try {
+      const { buildComponentModule } = await import('./componentExport');
+      const { filename, source } = buildComponentModule({
+        exampleName,
+        component: ANIMATIONS[category][example].component,
+        category: categoryData,
+        controlsConfig,
+        controls,
+      });
+      downloadFile(filename, source, 'text/javascript');
+      // Ship the keyframe track next to the component it animates
+      if (track.keyframes.length) {
+        downloadFile(filename.replace(/\.jsx$/, '.timeline.json'), serializeTimeline(track, { category, example: exampleName }));
+      }
+      return true;
+    } catch {
+      return reportAction('export', false);
+    }
+  }, [category, example, exampleName, categoryData, controlsConfig, controls, track, reportAction]);
 
-  return (
-    <group ref={groupRef}>
-      {particles.map((p, i) => (
-        <mesh key={i} ref={el => particlesRef.current[i] = el} position={p.position}>
-          <circleGeometry args={[1, 32]} />
-          <meshBasicMaterial color={p.color} transparent side={THREE.DoubleSide} />
-        </mesh>
-      ))}
-    </group>
+  const handleCopySnippet = useCallback(
+    () => copyText(snippets.code).then(ok => reportAction('snippet', ok)),
+    [snippets, reportAction],
   );
-});
-
-// ============================================================
-// CAMERA PATH EFFECTS
-// ============================================================
-
-// Example 1: Spline Camera - Camera follows a curved path
-const SplineCamera = React.memo(() => {
-  const groupRef = useRef();
-  const pathRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const pathRadius = controls.pathRadius || 10;
-  const pathHeight = controls.pathHeight || 3;
-
-  // Performance: Memoize geometry args to avoid recreation on every render
-  const boxGeometryArgs = useMemo(() => [1, 1, 1], []);
-  const sceneObjects = useMemo(() => 
-    [...Array(8)].map((_, i) => ({
-      position: [Math.cos(i * 0.8) * 5, Math.sin(i * 0.5) * 2, Math.sin(i * 0.8) * 5],
-      color: `hsl(${i * 45}, 70%, 50%)`
-    })), []);
-
-  const pathPoints = useMemo(() => {
-    const points = [];
-    for (let i = 0; i <= 20; i++) {
-      const t = i / 20;
-      const angle = t * Math.PI * 2;
-      points.push(new THREE.Vector3(
-        Math.cos(angle) * pathRadius,
-        Math.sin(t * Math.PI * 2) * pathHeight,
-        Math.sin(angle) * pathRadius
-      ));
-    }
-    return points;
-  }, [pathRadius, pathHeight]);
 
-  const curve = useMemo(() => new THREE.CatmullRomCurve3(pathPoints, true), [pathPoints]);
+  const handleExportTimeline = useCallback(() => {
+    downloadFile(`${slugify(exampleName)}.timeline.json`, serializeTimeline(track, { category, example: exampleName }));
+  }, [category, exampleName, track]);
 
-  useFrame(() => {
-    if (!groupRef.current) return;
-    const t = scroll.offset;
-    const position = curve.getPointAt(t);
-    
-    // Visualize camera position with a marker
-    groupRef.current.position.copy(position);
-    groupRef.current.rotation.y = t * Math.PI * 4;
-  });
+  const { pathname } = useLocation();
 
-  return (
-    <group>
-      {/* Path visualization */}
-      <line ref={pathRef}>
-        <bufferGeometry>
-          <bufferAttribute
-            attach="attributes-position"
-            count={pathPoints.length}
-            array={new Float32Array(pathPoints.flatMap(p => [p.x, p.y, p.z]))}
-            itemSize={3}
-          />
-        </bufferGeometry>
-        <lineBasicMaterial color="#22d3ee" transparent opacity={0.5} />
-      </line>
-      
-      {/* Camera marker */}
-      <group ref={groupRef}>
-        <mesh>
-          <coneGeometry args={[0.5, 1, 4]} />
-          <meshStandardMaterial color="#ec4899" emissive="#ec4899" emissiveIntensity={0.5} />
-        </mesh>
-        <pointLight intensity={2} color="#ec4899" distance={5} />
-      </group>
-      
-      {/* Scene objects to fly past */}
-      {sceneObjects.map((obj, i) => (
-        <mesh key={i} position={obj.position}>
-          <boxGeometry args={boxGeometryArgs} />
-          <meshStandardMaterial color={obj.color} />
-        </mesh>
-      ))}
-    </group>
-  );
-});
+  // Build the link from state rather than window.location, which lags behind the debounced sync
+  const handleCopyLink = useCallback(() => {
+    const query = encodeControls(controls, getExampleControls(category, example));
+    const url = `${window.location.origin}${pathname}${query ? `?${query}` : ''}`;
+    return copyText(url).then(ok => reportAction('link', ok));
+  }, [controls, category, example, pathname, reportAction]);
 
-// Example 2: Orbit Path - Camera orbits around central object
-const OrbitPath = React.memo(() => {
-  const orbitRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const pathRadius = controls.pathRadius || 8;
+  // Lets the command palette run actions that depend on panel state. Each resolves to whether it worked
+  useEffect(() => {
+    if (actionsRef) {
+      actionsRef.current = { exportComponent: handleExportComponent, copySnippet: handleCopySnippet, copyLink: handleCopyLink };
+    }
+  }, [actionsRef, handleExportComponent, handleCopySnippet, handleCopyLink]);
 
-  useFrame((state) => {
-    if (!orbitRef.current) return;
-    const angle = scroll.offset * Math.PI * 2;
-    
-    orbitRef.current.position.x = Math.cos(angle) * pathRadius;
-    orbitRef.current.position.z = Math.sin(angle) * pathRadius;
-    orbitRef.current.position.y = Math.sin(scroll.offset * Math.PI * 4) * 2;
-    orbitRef.current.lookAt(0, 0, 0);
-  });
+  const statusMessage = actionStatus && ACTION_MESSAGES[actionStatus.action][actionStatus.ok ? 0 : 1];
 
   return (
-    <group>
-      {/* Central object */}
-      <mesh>
-        <icosahedronGeometry args={[2, 2]} />
-        <meshStandardMaterial color="#a855f7" emissive="#7c3aed" emissiveIntensity={0.5} wireframe />
-      </mesh>
-      <mesh scale={1.5}>
-        <icosahedronGeometry args={[2, 1]} />
-        <meshStandardMaterial color="#c084fc" transparent opacity={0.2} wireframe />
-      </mesh>
-      
-      {/* Orbiting camera marker */}
-      <group ref={orbitRef}>
-        <mesh>
-          <sphereGeometry args={[0.4, 16, 16]} />
-          <meshStandardMaterial color="#22d3ee" emissive="#22d3ee" emissiveIntensity={0.8} />
-        </mesh>
-        <pointLight intensity={3} color="#22d3ee" distance={8} />
-      </group>
+    <>
+      {/* Toggle Button */}
+      <button 
+        className={`panel-toggle ${isOpen ? 'open' : ''}`} 
+        onClick={onToggle}
+        data-testid="panel-toggle"
+        title={isOpen ? 'Close panel' : 'Open panel'}
+        aria-label={isOpen ? 'Close code and controls panel' : 'Open code and controls panel'}
+        aria-expanded={isOpen}
+        aria-controls="right-panel"
+      >
+        <span aria-hidden="true">{isOpen ? '→' : '←'}</span>
+      </button>
       
-      {/* Orbit ring */}
-      <mesh rotation={[Math.PI / 2, 0, 0]}>
-        <torusGeometry args={[pathRadius, 0.02, 16, 100]} />
-        <meshBasicMaterial color="#22d3ee" transparent opacity={0.3} />
-      </mesh>
-    </group>
-  );
-});
-
-// ============================================================
-// MORPH TARGETS
-// ============================================================
-
-// Example 1: Shape Morph - Geometry interpolates between shapes
-const ShapeMorph = React.memo(() => {
-  const meshRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const morphSpeed = controls.morphSpeed || 1;
-
-  useFrame((state) => {
-    if (!meshRef.current) return;
-    const t = scroll.offset * morphSpeed;
-    
-    // Morph via scale transformation
-    const phase = t * 3;
-    const stage = Math.floor(phase) % 3;
-    const progress = phase - Math.floor(phase);
-    
-    let scaleX, scaleY, scaleZ;
-    
-    if (stage === 0) {
-      // Cube to flat disc
-      scaleX = THREE.MathUtils.lerp(1, 2.5, progress);
-      scaleY = THREE.MathUtils.lerp(1, 0.1, progress);
-      scaleZ = THREE.MathUtils.lerp(1, 2.5, progress);
-    } else if (stage === 1) {
-      // Flat disc to tall pillar
-      scaleX = THREE.MathUtils.lerp(2.5, 0.3, progress);
-      scaleY = THREE.MathUtils.lerp(0.1, 4, progress);
-      scaleZ = THREE.MathUtils.lerp(2.5, 0.3, progress);
-    } else {
-      // Pillar back to cube
-      scaleX = THREE.MathUtils.lerp(0.3, 1, progress);
-      scaleY = THREE.MathUtils.lerp(4, 1, progress);
-      scaleZ = THREE.MathUtils.lerp(0.3, 1, progress);
-    }
-    
-    meshRef.current.scale.set(scaleX, scaleY, scaleZ);
-    meshRef.current.rotation.y = state.clock.elapsedTime * 0.5;
-  });
-
-  return (
-    <group>
-      <mesh ref={meshRef}>
-        <boxGeometry args={[1.5, 1.5, 1.5]} />
-        <meshStandardMaterial color="#ec4899" emissive="#be185d" emissiveIntensity={0.4} metalness={0.8} roughness={0.2} />
-      </mesh>
-      <pointLight position={[3, 3, 3]} intensity={2} color="#ec4899" />
-    </group>
-  );
-});
-
-// Example 2: Blob Morph - Organic shape morphing
-const BlobMorph = React.memo(() => {
-  const meshRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const morphSpeed = controls.morphSpeed || 1;
-  const morphEasing = controls.morphEasing || 2;
-
-  useFrame((state) => {
-    if (!meshRef.current) return;
-    const t = scroll.offset;
-    const time = state.clock.elapsedTime;
-    
-    // Animated distortion based on scroll
-    const distort = 0.2 + t * 0.6;
-    meshRef.current.material.distort = distort;
-    meshRef.current.material.speed = morphSpeed + t * morphEasing;
-    
-    meshRef.current.rotation.x = time * 0.2;
-    meshRef.current.rotation.y = time * 0.3;
-  });
-
-  return (
-    <Float speed={1.5} rotationIntensity={0.2}>
-      <mesh ref={meshRef} scale={2}>
-        <icosahedronGeometry args={[1, 8]} />
-        <MeshDistortMaterial
-          color="#10b981"
-          emissive="#059669"
-          emissiveIntensity={0.4}
-          roughness={0.2}
-          metalness={0.8}
-          distort={0.3}
-          speed={2}
-        />
-      </mesh>
-    </Float>
-  );
-});
-
-// ============================================================
-// REVEAL EFFECTS
-// ============================================================
-
-// Example 1: Circle Reveal - Content reveals through expanding circle
-const CircleReveal = React.memo(() => {
-  const groupRef = useRef();
-  const maskRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const revealSpeed = controls.revealSpeed || 1;
-  const edgeSoftness = controls.edgeSoftness || 0.1;
-
-  const revealShader = useMemo(() => ({
-    uniforms: {
-      uProgress: { value: 0 },
-      uSoftness: { value: edgeSoftness }
-    },
-    vertexShader: `
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform float uProgress;
-      uniform float uSoftness;
-      varying vec2 vUv;
-      
-      void main() {
-        vec2 center = vec2(0.5);
-        float dist = distance(vUv, center);
-        float radius = uProgress * 0.75;
-        
-        float alpha = smoothstep(radius + uSoftness, radius - uSoftness, dist);
-        
-        vec3 color = mix(
-          vec3(0.133, 0.827, 0.933),
-          vec3(0.659, 0.341, 0.969),
-          vUv.y
-        );
-        
-        gl_FragColor = vec4(color, alpha);
-      }
-    `
-  }), [edgeSoftness]);
-
-  useFrame(() => {
-    if (!maskRef.current) return;
-    maskRef.current.uniforms.uProgress.value = scroll.offset * revealSpeed;
-  });
-
-  return (
-    <group ref={groupRef}>
-      <mesh>
-        <planeGeometry args={[8, 6]} />
-        <shaderMaterial ref={maskRef} args={[revealShader]} transparent />
-      </mesh>
-      
-      {/* Hidden content behind */}
-      <mesh position={[0, 0, -0.1]}>
-        <planeGeometry args={[8, 6]} />
-        <meshBasicMaterial color="#1e1b4b" />
-      </mesh>
-    </group>
-  );
-});
-
-// Example 2: Wipe Reveal - Horizontal wipe effect
-const WipeReveal = React.memo(() => {
-  const contentRef = useRef([]);
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const revealSpeed = controls.revealSpeed || 1;
-
-  const items = useMemo(() => [
-    { x: -3, color: '#22d3ee' },
-    { x: -1.5, color: '#a855f7' },
-    { x: 0, color: '#ec4899' },
-    { x: 1.5, color: '#f59e0b' },
-    { x: 3, color: '#10b981' },
-  ], []);
-
-  useFrame(() => {
-    const progress = scroll.offset * revealSpeed;
-    
-    contentRef.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const itemProgress = (progress - i * 0.15) * 2;
-      const scale = THREE.MathUtils.clamp(itemProgress, 0, 1);
-      
-      mesh.scale.y = scale;
-      mesh.material.opacity = scale;
-    });
-  });
-
-  return (
-    <group>
-      {items.map((item, i) => (
-        <mesh key={i} ref={el => contentRef.current[i] = el} position={[item.x, 0, 0]}>
-          <boxGeometry args={[1, 4, 0.5]} />
-          <meshStandardMaterial color={item.color} emissive={item.color} emissiveIntensity={0.3} transparent />
-        </mesh>
-      ))}
-    </group>
-  );
-});
-
-// ============================================================
-// TEXTURE/UV SCROLL EFFECTS
-// ============================================================
-
-// Example 1: Grid Scroll - Scrolling grid pattern
-const GridScroll = React.memo(() => {
-  const meshRef = useRef();
-  const matRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const scrollSpeed = controls.scrollSpeed || 2;
-
-  const gridShader = useMemo(() => ({
-    uniforms: {
-      uTime: { value: 0 },
-      uScroll: { value: 0 }
-    },
-    vertexShader: `
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform float uTime;
-      uniform float uScroll;
-      varying vec2 vUv;
-      
-      void main() {
-        vec2 uv = vUv;
-        uv.y += uScroll;
-        
-        float gridX = step(0.9, fract(uv.x * 10.0));
-        float gridY = step(0.9, fract(uv.y * 10.0));
-        float grid = max(gridX, gridY);
-        
-        vec3 bgColor = vec3(0.05);
-        vec3 lineColor = vec3(0.133, 0.827, 0.933);
-        
-        vec3 color = mix(bgColor, lineColor, grid);
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `
-  }), []);
-
-  useFrame((state) => {
-    if (!matRef.current) return;
-    matRef.current.uniforms.uTime.value = state.clock.elapsedTime;
-    matRef.current.uniforms.uScroll.value = scroll.offset * scrollSpeed;
-  });
-
-  return (
-    <mesh ref={meshRef} rotation={[-0.5, 0, 0]}>
-      <planeGeometry args={[12, 8, 1, 1]} />
-      <shaderMaterial ref={matRef} args={[gridShader]} />
-    </mesh>
-  );
-});
-
-// Example 2: Wave UV Distortion
-const WaveUVDistortion = React.memo(() => {
-  const matRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const scrollSpeed = controls.scrollSpeed || 2;
-  const distortAmount = controls.distortAmount || 0.1;
-
-  const waveShader = useMemo(() => ({
-    uniforms: {
-      uTime: { value: 0 },
-      uScroll: { value: 0 },
-      uDistort: { value: distortAmount }
-    },
-    vertexShader: `
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform float uTime;
-      uniform float uScroll;
-      uniform float uDistort;
-      varying vec2 vUv;
-      
-      void main() {
-        vec2 uv = vUv;
-        uv.x += sin(vUv.y * 10.0 + uScroll * 5.0) * uDistort;
-        uv.y += cos(vUv.x * 10.0 + uScroll * 3.0) * uDistort;
-        
-        vec3 color1 = vec3(0.925, 0.282, 0.6);
-        vec3 color2 = vec3(0.659, 0.341, 0.969);
-        vec3 color3 = vec3(0.133, 0.827, 0.933);
-        
-        vec3 color = mix(color1, color2, uv.x);
-        color = mix(color, color3, uv.y);
-        
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `
-  }), [distortAmount]);
-
-  useFrame((state) => {
-    if (!matRef.current) return;
-    matRef.current.uniforms.uTime.value = state.clock.elapsedTime;
-    matRef.current.uniforms.uScroll.value = scroll.offset * scrollSpeed;
-  });
-
-  return (
-    <mesh>
-      <planeGeometry args={[8, 6, 1, 1]} />
-      <shaderMaterial ref={matRef} args={[waveShader]} />
-    </mesh>
-  );
-});
-
-// ============================================================
-// ORBIT CONTROLS EFFECTS
-// ============================================================
-
-// Example 1: Zoom Orbit - Mouse orbit with scroll zoom
-const ZoomOrbit = React.memo(() => {
-  const groupRef = useRef();
-  const scroll = useScroll();
-  const controls = useControls();
-  
-  const zoomRange = controls.zoomRange || 15;
-  const autoRotate = controls.autoRotate || 0.5;
-
-  useFrame((state) => {
-    if (!groupRef.current) return;
-    
-    // Auto rotation
-    groupRef.current.rotation.y += autoRotate * 0.01;
-    
-    // Scroll controls zoom (scale as proxy for zoom)
-    const zoom = 1 + scroll.offset * (zoomRange / 10);
-    groupRef.current.scale.setScalar(zoom);
-  });
-
-  return (
-    <group ref={groupRef}>
-      <mesh>
-        <torusKnotGeometry args={[1, 0.3, 128, 32]} />
-        <meshStandardMaterial color="#a855f7" emissive="#7c3aed" emissiveIntensity={0.4} metalness={0.8} roughness={0.2} />
-      </mesh>
-      <mesh scale={1.5}>
-        <torusKnotGeometry args={[1, 0.3, 64, 16]} />
-        <meshStandardMaterial color="#22d3ee" wireframe transparent opacity={0.3} />
-      </mesh>
-      <pointLight intensity={2} color="#a855f7" distance={10} />
-    </group>
-  );
-});
-
-// Example 2: Speed Orbit - Rotation speed based on scroll velocity
-const SpeedOrbit = React.memo(() => {
-  const groupRef = useRef();
-  const scroll = useScroll();
-  const velocityRef = useRef(0);
-  const rotationRef = useRef(0);
-  const controls = useControls();
-  
-  const orbitSpeed = controls.orbitSpeed || 0.5;
-
-  // Performance: Memoize geometry args and orbiting objects
-  const octahedronGeometryArgs = useMemo(() => [0.8], []);
-  const sphereGeometryArgs = useMemo(() => [1, 32, 32], []);
-  const orbitingObjects = useMemo(() => 
-    [...Array(6)].map((_, i) => ({
-      position: [Math.cos(i * Math.PI / 3) * 3, 0, Math.sin(i * Math.PI / 3) * 3],
-      color: `hsl(${i * 60 + 180}, 70%, 55%)`,
-      emissive: `hsl(${i * 60 + 180}, 70%, 35%)`
-    })), []);
-
-  useFrame((state, delta) => {
-    if (!groupRef.current) return;
-    
-    // Track velocity
-    const targetVel = Math.abs(scroll.delta) * 50;
-    velocityRef.current = THREE.MathUtils.lerp(velocityRef.current, targetVel, 0.1);
-    
-    // Base rotation + velocity boost
-    const speed = orbitSpeed + velocityRef.current * 0.5;
-    rotationRef.current += speed * delta;
-    
-    groupRef.current.rotation.y = rotationRef.current;
-    groupRef.current.rotation.x = Math.sin(state.clock.elapsedTime * 0.5) * 0.2;
-  });
-
-  return (
-    <group ref={groupRef}>
-      {orbitingObjects.map((obj, i) => (
-        <mesh key={i} position={obj.position}>
-          <octahedronGeometry args={octahedronGeometryArgs} />
-          <meshStandardMaterial 
-            color={obj.color} 
-            emissive={obj.emissive}
-            emissiveIntensity={0.4}
-          />
-        </mesh>
-      ))}
-      <mesh>
-        <sphereGeometry args={sphereGeometryArgs} />
-        <meshStandardMaterial color="#ffffff" emissive="#ffffff" emissiveIntensity={0.5} />
-      </mesh>
-      <pointLight intensity={3} color="#ffffff" distance={10} />
-    </group>
-  );
-});
-
-// ============================================================
-// HOVER TRANSFORM EFFECTS
-// ============================================================
-
-const ScalePop = React.memo(() => {
-  const groupRef = useRef();
-  const meshRefs = useRef([]);
-  const hoveredIndex = useRef(-1);
-  const controls = useControls();
-
-  const hoverScale = controls.hoverScale || 1.4;
-  const lerpSpeed = controls.lerpSpeed || 0.1;
-
-  const boxes = useMemo(() => {
-    const items = [];
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
-        items.push({
-          position: [(col - 1.5) * 1.8, (row - 1.5) * 1.8, 0],
-          color: `hsl(${(row * 4 + col) * 22 + 180}, 70%, 55%)`,
-          index: row * 4 + col,
-        });
-      }
-    }
-    return items;
-  }, []);
-
-  useFrame(() => {
-    meshRefs.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const isHovered = i === hoveredIndex.current;
-      const targetScale = isHovered ? hoverScale : 1;
-      mesh.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), lerpSpeed);
-
-      if (isHovered) {
-        mesh.material.emissiveIntensity = THREE.MathUtils.lerp(mesh.material.emissiveIntensity, 0.8, 0.1);
-      } else {
-        mesh.material.emissiveIntensity = THREE.MathUtils.lerp(mesh.material.emissiveIntensity, 0.2, 0.1);
-      }
-    });
-  });
-
-  return (
-    <group ref={groupRef}>
-      {boxes.map((box, i) => (
-        <mesh
-          key={i}
-          ref={el => meshRefs.current[i] = el}
-          position={box.position}
-          onPointerOver={() => { hoveredIndex.current = i; }}
-          onPointerOut={() => { if (hoveredIndex.current === i) hoveredIndex.current = -1; }}
-        >
-          <boxGeometry args={[1.2, 1.2, 1.2]} />
-          <meshStandardMaterial color={box.color} emissive={box.color} emissiveIntensity={0.2} metalness={0.7} roughness={0.3} />
-        </mesh>
-      ))}
-    </group>
-  );
-});
-
-const SpinHover = React.memo(() => {
-  const meshRefs = useRef([]);
-  const spinSpeeds = useRef([]);
-  const hoveredSet = useRef(new Set());
-  const controls = useControls();
-
-  const spinRate = controls.spinRate || 3;
-
-  const shapes = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < 6; i++) {
-      const angle = (i / 6) * Math.PI * 2;
-      items.push({
-        position: [Math.cos(angle) * 3, Math.sin(angle) * 3, 0],
-        color: `hsl(${i * 60 + 200}, 75%, 55%)`,
-      });
-      spinSpeeds.current[i] = 0;
-    }
-    return items;
-  }, []);
-
-  useFrame((state, delta) => {
-    meshRefs.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const target = hoveredSet.current.has(i) ? spinRate : 0;
-      spinSpeeds.current[i] = THREE.MathUtils.lerp(spinSpeeds.current[i], target, 0.05);
-      mesh.rotation.y += spinSpeeds.current[i] * delta;
-      mesh.rotation.x = Math.sin(state.clock.elapsedTime * 0.5 + i) * 0.2;
-    });
-  });
-
-  return (
-    <group>
-      {shapes.map((shape, i) => (
-        <mesh
-          key={i}
-          ref={el => meshRefs.current[i] = el}
-          position={shape.position}
-          onPointerOver={() => hoveredSet.current.add(i)}
-          onPointerOut={() => hoveredSet.current.delete(i)}
-        >
-          <torusKnotGeometry args={[0.6, 0.2, 64, 16]} />
-          <meshStandardMaterial color={shape.color} emissive={shape.color} emissiveIntensity={0.3} metalness={0.8} roughness={0.2} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#22d3ee" distance={10} />
-    </group>
-  );
-});
-
-// ============================================================
-// MOUSE FOLLOW EFFECTS
-// ============================================================
-
-const TrackingSphere = React.memo(() => {
-  const meshRef = useRef();
-  const controls = useControls();
-
-  const followSpeed = controls.followSpeed || 0.08;
-  const worldScale = controls.worldScale || 5;
-
-  useFrame((state) => {
-    if (!meshRef.current) return;
-    const targetX = state.pointer.x * worldScale;
-    const targetY = state.pointer.y * (worldScale * 0.6);
-
-    meshRef.current.position.x = THREE.MathUtils.lerp(meshRef.current.position.x, targetX, followSpeed);
-    meshRef.current.position.y = THREE.MathUtils.lerp(meshRef.current.position.y, targetY, followSpeed);
-
-    meshRef.current.rotation.x = state.clock.elapsedTime * 0.4;
-    meshRef.current.rotation.y = state.clock.elapsedTime * 0.6;
-  });
-
-  return (
-    <group>
-      <mesh ref={meshRef} scale={1.5}>
-        <icosahedronGeometry args={[1, 4]} />
-        <MeshDistortMaterial color="#22d3ee" emissive="#0891b2" emissiveIntensity={0.5} roughness={0.2} metalness={0.8} distort={0.3} speed={2} />
-      </mesh>
-      <pointLight intensity={2} color="#22d3ee" distance={12} />
-    </group>
-  );
-});
-
-const LazyFollow = React.memo(() => {
-  const meshRefs = useRef([]);
-  const positions = useRef([]);
-  const controls = useControls();
-
-  const followSpeed = controls.followSpeed || 0.08;
-  const trailCount = controls.trailCount || 8;
-  const worldScale = controls.worldScale || 5;
-
-  const spheres = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < trailCount; i++) {
-      items.push({
-        scale: 0.4 - i * 0.03,
-        color: `hsl(${180 + i * 15}, 80%, ${60 - i * 3}%)`,
-      });
-      positions.current[i] = new THREE.Vector3(0, 0, 0);
-    }
-    return items;
-  }, [trailCount]);
-
-  useFrame((state) => {
-    // Leader follows mouse
-    const targetX = state.pointer.x * worldScale;
-    const targetY = state.pointer.y * (worldScale * 0.6);
-    positions.current[0].lerp(new THREE.Vector3(targetX, targetY, 0), followSpeed);
-
-    // Followers chase the one ahead
-    for (let i = 1; i < positions.current.length; i++) {
-      positions.current[i].lerp(positions.current[i - 1], followSpeed * 0.8);
-    }
-
-    // Update mesh positions
-    meshRefs.current.forEach((mesh, i) => {
-      if (!mesh || !positions.current[i]) return;
-      mesh.position.copy(positions.current[i]);
-      mesh.rotation.x = state.clock.elapsedTime * (0.5 + i * 0.1);
-      mesh.rotation.y = state.clock.elapsedTime * (0.3 + i * 0.1);
-    });
-  });
-
-  return (
-    <group>
-      {spheres.map((s, i) => (
-        <mesh key={i} ref={el => meshRefs.current[i] = el} scale={s.scale}>
-          <icosahedronGeometry args={[1, 2]} />
-          <meshStandardMaterial color={s.color} emissive={s.color} emissiveIntensity={0.4} metalness={0.7} roughness={0.3} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#22d3ee" distance={10} />
-    </group>
-  );
-});
-
-// ============================================================
-// HOVER GLOW EFFECTS
-// ============================================================
-
-const EmissionPulse = React.memo(() => {
-  const meshRef = useRef();
-  const hovered = useRef(false);
-  const controls = useControls();
-
-  const glowIntensity = controls.glowIntensity || 2.0;
-  const fadeSpeed = controls.fadeSpeed || 0.08;
-
-  useFrame((state) => {
-    if (!meshRef.current) return;
-    const target = hovered.current ? glowIntensity : 0.3;
-    meshRef.current.material.emissiveIntensity = THREE.MathUtils.lerp(
-      meshRef.current.material.emissiveIntensity, target, fadeSpeed
-    );
-
-    const colorTarget = hovered.current ? 1.0 : 0.5;
-    const t = THREE.MathUtils.lerp(meshRef.current.userData.colorT || 0.5, colorTarget, fadeSpeed);
-    meshRef.current.userData.colorT = t;
-    const hue = THREE.MathUtils.lerp(280, 190, t);
-    meshRef.current.material.emissive.setHSL(hue / 360, 0.8, 0.5);
-
-    meshRef.current.rotation.x = state.clock.elapsedTime * 0.3;
-    meshRef.current.rotation.y = state.clock.elapsedTime * 0.5;
-  });
-
-  return (
-    <group>
-      <Float speed={1.5} rotationIntensity={0.2}>
-        <mesh
-          ref={meshRef}
-          scale={2.5}
-          onPointerOver={() => { hovered.current = true; }}
-          onPointerOut={() => { hovered.current = false; }}
-        >
-          <icosahedronGeometry args={[1, 3]} />
-          <meshStandardMaterial color="#a855f7" emissive="#a855f7" emissiveIntensity={0.3} metalness={0.9} roughness={0.1} />
-        </mesh>
-      </Float>
-      <pointLight intensity={2} color="#a855f7" distance={15} />
-    </group>
-  );
-});
-
-const ColorShift = React.memo(() => {
-  const meshRefs = useRef([]);
-  const controls = useControls();
-
-  const fadeSpeed = controls.fadeSpeed || 0.08;
-
-  const spheres = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < 12; i++) {
-      const angle = (i / 12) * Math.PI * 2;
-      items.push({
-        position: [Math.cos(angle) * 3.5, Math.sin(angle) * 3.5, 0],
-        baseHue: 180 + i * 15,
-      });
-    }
-    return items;
-  }, []);
-
-  useFrame((state) => {
-    const mouseX = state.pointer.x * 5;
-    const mouseY = state.pointer.y * 3;
-    const mousePos = new THREE.Vector3(mouseX, mouseY, 0);
-
-    meshRefs.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const dist = mesh.position.distanceTo(mousePos);
-      const influence = Math.max(0, 1 - dist / 5);
-
-      const hue = THREE.MathUtils.lerp(spheres[i].baseHue, 60, influence);
-      mesh.material.color.setHSL(hue / 360, 0.8, 0.55);
-      mesh.material.emissive.setHSL(hue / 360, 0.8, 0.3);
-      mesh.material.emissiveIntensity = THREE.MathUtils.lerp(mesh.material.emissiveIntensity, 0.2 + influence * 1.5, fadeSpeed);
-
-      mesh.position.y = spheres[i].position[1] + Math.sin(state.clock.elapsedTime + i * 0.5) * 0.2;
-    });
-  });
-
-  return (
-    <group>
-      {spheres.map((s, i) => (
-        <mesh key={i} ref={el => meshRefs.current[i] = el} position={s.position}>
-          <sphereGeometry args={[0.5, 24, 24]} />
-          <meshStandardMaterial color={`hsl(${s.baseHue}, 80%, 55%)`} emissive={`hsl(${s.baseHue}, 80%, 30%)`} emissiveIntensity={0.2} metalness={0.6} roughness={0.3} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#22d3ee" distance={12} />
-    </group>
-  );
-});
-
-// ============================================================
-// MAGNETIC CURSOR EFFECTS
-// ============================================================
-
-const AttractGrid = React.memo(() => {
-  const meshRefs = useRef([]);
-  const controls = useControls();
-
-  const attractStrength = controls.attractStrength || 0.06;
-
-  const grid = useMemo(() => {
-    const items = [];
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        items.push({
-          rest: new THREE.Vector3((col - 3.5) * 0.9, (row - 3.5) * 0.9, 0),
-          color: `hsl(${(row * 8 + col) * 5 + 180}, 70%, 55%)`,
-        });
-      }
-    }
-    return items;
-  }, []);
-
-  useFrame((state) => {
-    const mouseX = state.pointer.x * 5;
-    const mouseY = state.pointer.y * 3;
-    const mousePos = new THREE.Vector3(mouseX, mouseY, 0);
-
-    meshRefs.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const rest = grid[i].rest;
-
-      // Attract toward mouse
-      const dir = mousePos.clone().sub(mesh.position);
-      const dist = dir.length();
-      const force = attractStrength / (dist * dist + 0.5);
-      mesh.position.add(dir.normalize().multiplyScalar(force));
-
-      // Spring back to rest
-      mesh.position.lerp(rest, 0.02);
-    });
-  });
-
-  return (
-    <group>
-      {grid.map((g, i) => (
-        <mesh key={i} ref={el => meshRefs.current[i] = el} position={g.rest.toArray()}>
-          <sphereGeometry args={[0.15, 12, 12]} />
-          <meshStandardMaterial color={g.color} emissive={g.color} emissiveIntensity={0.3} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#a855f7" distance={10} />
-    </group>
-  );
-});
-
-const RepelField = React.memo(() => {
-  const meshRefs = useRef([]);
-  const controls = useControls();
-
-  const springBack = controls.springBack || 0.03;
-  const repelRadius = controls.repelRadius || 2.5;
-
-  const objects = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < 30; i++) {
-      items.push({
-        rest: new THREE.Vector3(
-          (Math.random() - 0.5) * 8,
-          (Math.random() - 0.5) * 6,
-          (Math.random() - 0.5) * 2
-        ),
-        color: `hsl(${Math.random() * 60 + 270}, 70%, 55%)`,
-        scale: 0.15 + Math.random() * 0.2,
-      });
-    }
-    return items;
-  }, []);
-
-  useFrame((state) => {
-    const mouseX = state.pointer.x * 5;
-    const mouseY = state.pointer.y * 3;
-    const mousePos = new THREE.Vector3(mouseX, mouseY, 0);
-
-    meshRefs.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const away = mesh.position.clone().sub(mousePos);
-      const dist = away.length();
-
-      if (dist < repelRadius) {
-        const force = (repelRadius - dist) * 0.05;
-        mesh.position.add(away.normalize().multiplyScalar(force));
-      }
-
-      // Spring back
-      mesh.position.lerp(objects[i].rest, springBack);
-    });
-  });
-
-  return (
-    <group>
-      {objects.map((obj, i) => (
-        <mesh key={i} ref={el => meshRefs.current[i] = el} position={obj.rest.toArray()} scale={obj.scale}>
-          <dodecahedronGeometry args={[1]} />
-          <meshStandardMaterial color={obj.color} emissive={obj.color} emissiveIntensity={0.3} metalness={0.7} roughness={0.3} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#ec4899" distance={10} />
-    </group>
-  );
-});
-
-// ============================================================
-// RIPPLE HOVER EFFECTS
-// ============================================================
-
-const SurfaceRipple = React.memo(() => {
-  const matRef = useRef();
-  const mouseUV = useRef(new THREE.Vector2(0.5, 0.5));
-  const controls = useControls();
-
-  const rippleStrength = controls.rippleStrength || 0.4;
-  const rippleFreq = controls.rippleFreq || 30;
-  const rippleDecay = controls.rippleDecay || 5;
-
-  const shader = useMemo(() => ({
-    uniforms: {
-      uTime: { value: 0 },
-      uMouse: { value: new THREE.Vector2(0.5, 0.5) },
-      uStrength: { value: rippleStrength },
-      uFreq: { value: rippleFreq },
-      uDecay: { value: rippleDecay },
-    },
-    vertexShader: `
-      uniform float uTime;
-      uniform vec2 uMouse;
-      uniform float uStrength;
-      uniform float uFreq;
-      uniform float uDecay;
-      varying vec2 vUv;
-      varying float vWave;
-      void main() {
-        vUv = uv;
-        vec3 pos = position;
-        float dist = distance(uv, uMouse);
-        float wave = sin(dist * uFreq - uTime * 5.0) * exp(-dist * uDecay) * uStrength;
-        pos.z += wave;
-        vWave = wave;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform float uTime;
-      varying vec2 vUv;
-      varying float vWave;
-      void main() {
-        vec3 cyan = vec3(0.133, 0.827, 0.933);
-        vec3 purple = vec3(0.659, 0.341, 0.969);
-        vec3 color = mix(cyan, purple, vUv.y + vWave * 0.5);
-        color += vWave * 0.3;
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `
-  }), [rippleStrength, rippleFreq, rippleDecay]);
-
-  useFrame((state) => {
-    if (!matRef.current) return;
-    matRef.current.uniforms.uTime.value = state.clock.elapsedTime;
-    matRef.current.uniforms.uMouse.value.copy(mouseUV.current);
-  });
-
-  const handlePointerMove = useCallback((e) => {
-    if (e.uv) {
-      mouseUV.current.copy(e.uv);
-    }
-  }, []);
-
-  return (
-    <mesh rotation={[-0.4, 0, 0]} onPointerMove={handlePointerMove}>
-      <planeGeometry args={[10, 7, 100, 100]} />
-      <shaderMaterial ref={matRef} args={[shader]} side={THREE.DoubleSide} />
-    </mesh>
-  );
-});
-
-const WaveRing = React.memo(() => {
-  const ringsRef = useRef([]);
-  const controls = useControls();
-
-  const rings = useMemo(() => {
-    const items = [];
-    for (let i = 0; i < 10; i++) {
-      items.push({
-        baseRadius: 0.5 + i * 0.4,
-        color: `hsl(${180 + i * 15}, 80%, 55%)`,
-        phase: i * 0.3,
-      });
-    }
-    return items;
-  }, []);
-
-  useFrame((state) => {
-    const mouseX = state.pointer.x * 3;
-    const mouseY = state.pointer.y * 2;
-    const time = state.clock.elapsedTime;
-
-    ringsRef.current.forEach((mesh, i) => {
-      if (!mesh) return;
-      const ring = rings[i];
-      const pulse = Math.sin(time * 3 - ring.phase * 2) * 0.15;
-      const scale = ring.baseRadius + pulse;
-
-      mesh.scale.set(scale, scale, 1);
-      mesh.position.x = mouseX * (0.1 * i);
-      mesh.position.y = mouseY * (0.1 * i);
-      mesh.material.opacity = 0.8 - i * 0.06;
-    });
-  });
-
-  return (
-    <group>
-      {rings.map((ring, i) => (
-        <mesh key={i} ref={el => ringsRef.current[i] = el} rotation={[0, 0, 0]}>
-          <torusGeometry args={[1, 0.03, 16, 80]} />
-          <meshBasicMaterial color={ring.color} transparent opacity={0.8} />
-        </mesh>
-      ))}
-      <pointLight intensity={2} color="#22d3ee" distance={10} />
-    </group>
-  );
-});
-
-// ============================================================
-// DOM-BASED MOUSEOVER COMPONENTS
-// ============================================================
-
-// Card Hover - TiltCard
-const TiltCard = React.memo(() => {
-  const [rotateX, setRotateX] = useState(0);
-  const [rotateY, setRotateY] = useState(0);
-  const [isHovered, setIsHovered] = useState(false);
-  const controls = useControls();
-  const maxTilt = controls.maxTilt || 15;
-
-  const handleMouseMove = useCallback((e) => {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width - 0.5;
-    const y = (e.clientY - rect.top) / rect.height - 0.5;
-    setRotateX(-y * maxTilt);
-    setRotateY(x * maxTilt);
-  }, [maxTilt]);
-
-  const handleMouseLeave = useCallback(() => {
-    setRotateX(0);
-    setRotateY(0);
-    setIsHovered(false);
-  }, []);
-
-  return (
-    <div style={{ display: 'flex', gap: '2rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
-      {[
-        { title: 'Aurora', subtitle: 'Northern Lights', gradient: 'linear-gradient(135deg, #0891b2, #a855f7)' },
-        { title: 'Nebula', subtitle: 'Deep Space', gradient: 'linear-gradient(135deg, #7c3aed, #ec4899)' },
-        { title: 'Prism', subtitle: 'Light Refraction', gradient: 'linear-gradient(135deg, #22d3ee, #10b981)' },
-      ].map((card, i) => (
-        <motion.div
-          key={i}
-          onMouseMove={handleMouseMove}
-          onMouseEnter={() => setIsHovered(true)}
-          onMouseLeave={handleMouseLeave}
-          animate={{ rotateX, rotateY }}
-          transition={{ type: 'spring', stiffness: 150, damping: 15 }}
-          style={{
-            width: 220,
-            height: 300,
-            borderRadius: 16,
-            background: card.gradient,
-            display: 'flex',
-            flexDirection: 'column',
-            justifyContent: 'flex-end',
-            padding: 24,
-            cursor: 'pointer',
-            transformStyle: 'preserve-3d',
-            boxShadow: isHovered ? '0 25px 50px rgba(0,0,0,0.5)' : '0 10px 30px rgba(0,0,0,0.3)',
-            border: '1px solid rgba(255,255,255,0.1)',
-          }}
-        >
-          <div style={{ transform: 'translateZ(30px)' }}>
-            <h3 style={{ color: '#fff', fontSize: 22, fontWeight: 700, margin: 0 }}>{card.title}</h3>
-            <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: 13, margin: '4px 0 0' }}>{card.subtitle}</p>
-          </div>
-        </motion.div>
-      ))}
-    </div>
-  );
-});
-
-// Card Hover - FlipCard
-const FlipCard = React.memo(() => {
-  const controls = useControls();
-  const flipDuration = controls.flipDuration || 0.6;
-
-  const cards = useMemo(() => [
-    { front: 'React', back: 'Component-based UI library', color: '#22d3ee', icon: '⚛' },
-    { front: 'Three.js', back: '3D graphics library for WebGL', color: '#a855f7', icon: '△' },
-    { front: 'Framer', back: 'Production-ready motion library', color: '#ec4899', icon: '◆' },
-  ], []);
-
-  return (
-    <div style={{ display: 'flex', gap: '2rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
-      {cards.map((card, i) => (
-        <motion.div
-          key={i}
-          whileHover={{ rotateY: 180 }}
-          transition={{ duration: flipDuration }}
-          style={{
-            width: 200,
-            height: 260,
-            cursor: 'pointer',
-            transformStyle: 'preserve-3d',
-            perspective: 1000,
-          }}
-        >
-          {/* Front */}
-          <div style={{
-            position: 'absolute', inset: 0, borderRadius: 16,
-            background: `linear-gradient(145deg, ${card.color}22, ${card.color}44)`,
-            border: `1px solid ${card.color}66`,
-            backfaceVisibility: 'hidden',
-            display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: 12,
-          }}>
-            <span style={{ fontSize: 48 }}>{card.icon}</span>
-            <h3 style={{ color: '#fff', fontSize: 20, fontWeight: 600, margin: 0 }}>{card.front}</h3>
-          </div>
-          {/* Back */}
-          <div style={{
-            position: 'absolute', inset: 0, borderRadius: 16,
-            background: `linear-gradient(145deg, ${card.color}44, ${card.color}22)`,
-            border: `1px solid ${card.color}66`,
-            backfaceVisibility: 'hidden',
-            transform: 'rotateY(180deg)',
-            display: 'flex', alignItems: 'center', justifyContent: 'center',
-            padding: 24, textAlign: 'center',
-          }}>
-            <p style={{ color: '#fff', fontSize: 15, lineHeight: 1.5 }}>{card.back}</p>
-          </div>
-        </motion.div>
-      ))}
-    </div>
-  );
-});
-
-// Text Hover - LetterSpread
-const LetterSpread = React.memo(() => {
-  const controls = useControls();
-  const letterDelay = controls.letterDelay || 0.03;
-  const liftHeight = controls.liftHeight || 12;
-
-  const texts = useMemo(() => ['HOVER', 'THESE', 'WORDS'], []);
-
-  return (
-    <div style={{ display: 'flex', flexDirection: 'column', gap: '3rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
-      {texts.map((text, ti) => (
-        <motion.div
-          key={ti}
-          whileHover="hovered"
-          style={{ display: 'flex', cursor: 'pointer', gap: 2 }}
-        >
-          {text.split('').map((char, ci) => (
-            <motion.span
-              key={ci}
-              variants={{
-                hovered: { y: -liftHeight, color: '#22d3ee', transition: { delay: ci * letterDelay, type: 'spring', stiffness: 300 } },
-              }}
-              style={{ fontSize: 48, fontWeight: 800, color: '#ffffff', letterSpacing: 4, display: 'inline-block' }}
-            >
-              {char}
-            </motion.span>
-          ))}
-        </motion.div>
-      ))}
-    </div>
-  );
-});
-
-// Text Hover - GlitchText
-const GlitchText = React.memo(() => {
-  const [hoveredIndex, setHoveredIndex] = useState(-1);
-
-  const lines = useMemo(() => ['GLITCH', 'EFFECT', 'HOVER'], []);
-
-  return (
-    <div style={{ display: 'flex', flexDirection: 'column', gap: '2.5rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
-      {lines.map((text, i) => (
-        <div
-          key={i}
-          onMouseEnter={() => setHoveredIndex(i)}
-          onMouseLeave={() => setHoveredIndex(-1)}
-          style={{ position: 'relative', cursor: 'pointer' }}
-        >
-          <span style={{
-            fontSize: 52, fontWeight: 900, color: '#fff',
-            letterSpacing: 6, display: 'inline-block',
-            textShadow: hoveredIndex === i
-              ? '2px 0 #22d3ee, -2px 0 #ec4899, 0 2px #a855f7'
-              : 'none',
-            animation: hoveredIndex === i ? 'none' : 'none',
-          }}>
-            {hoveredIndex === i ? (
-              text.split('').map((char, ci) => (
-                <motion.span
-                  key={ci}
-                  animate={{
-                    x: [0, -2, 3, -1, 0],
-                    y: [0, 1, -2, 1, 0],
-                    opacity: [1, 0.8, 1, 0.7, 1],
-                  }}
-                  transition={{ duration: 0.3, repeat: Infinity, delay: ci * 0.02 }}
-                  style={{ display: 'inline-block' }}
-                >
-                  {char}
-                </motion.span>
-              ))
-            ) : text}
-          </span>
-          {hoveredIndex === i && (
-            <>
-              <span style={{
-                position: 'absolute', top: 2, left: 2, fontSize: 52, fontWeight: 900,
-                color: '#22d3ee', opacity: 0.5, letterSpacing: 6, clipPath: 'inset(20% 0 40% 0)',
-              }}>{text}</span>
-              <span style={{
-                position: 'absolute', top: -2, left: -2, fontSize: 52, fontWeight: 900,
-                color: '#ec4899', opacity: 0.5, letterSpacing: 6, clipPath: 'inset(60% 0 10% 0)',
-              }}>{text}</span>
-            </>
-          )}
-        </div>
-      ))}
-    </div>
-  );
-});
-
-// Button Effects - SlideButton
-const SlideButton = React.memo(() => {
-  const controls = useControls();
-  const slideDuration = controls.slideDuration || 0.5;
-
-  const buttons = useMemo(() => [
-    { label: 'Get Started', gradient: 'linear-gradient(90deg, #22d3ee 0%, #a855f7 50%, #22d3ee 100%)' },
-    { label: 'Learn More', gradient: 'linear-gradient(90deg, #a855f7 0%, #ec4899 50%, #a855f7 100%)' },
-    { label: 'Sign Up', gradient: 'linear-gradient(90deg, #ec4899 0%, #f59e0b 50%, #ec4899 100%)' },
-    { label: 'Download', gradient: 'linear-gradient(90deg, #10b981 0%, #22d3ee 50%, #10b981 100%)' },
-  ], []);
-
-  return (
-    <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
-      {buttons.map((btn, i) => (
-        <motion.button
-          key={i}
-          whileHover={{ backgroundPosition: '100% 0', scale: 1.05, boxShadow: '0 0 30px rgba(34,211,238,0.3)' }}
-          transition={{ duration: slideDuration }}
-          style={{
-            padding: '14px 48px',
-            fontSize: 16,
-            fontWeight: 600,
-            color: '#fff',
-            border: '1px solid rgba(255,255,255,0.15)',
-            borderRadius: 8,
-            cursor: 'pointer',
-            background: btn.gradient,
-            backgroundSize: '200% 100%',
-            backgroundPosition: '0% 0',
-            letterSpacing: 1,
-          }}
-        >
-          {btn.label}
-        </motion.button>
-      ))}
-    </div>
-  );
-});
-
-// Button Effects - MorphButton
-const MorphButton = React.memo(() => {
-  const controls = useControls();
-  const morphRadius = controls.morphRadius || 50;
-
-  const buttons = useMemo(() => [
-    { label: 'Primary', color: '#22d3ee', bg: 'rgba(34,211,238,0.1)' },
-    { label: 'Secondary', color: '#a855f7', bg: 'rgba(168,85,247,0.1)' },
-    { label: 'Accent', color: '#ec4899', bg: 'rgba(236,72,153,0.1)' },
-    { label: 'Success', color: '#10b981', bg: 'rgba(16,185,129,0.1)' },
-  ], []);
-
-  return (
-    <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
-      {buttons.map((btn, i) => (
-        <motion.button
-          key={i}
-          whileHover={{
-            borderRadius: morphRadius,
-            scale: 1.08,
-            backgroundColor: btn.color,
-            color: '#050505',
-            boxShadow: `0 0 25px ${btn.color}66`,
-          }}
-          transition={{ type: 'spring', stiffness: 200, damping: 15 }}
-          style={{
-            padding: '14px 48px',
-            fontSize: 16,
-            fontWeight: 600,
-            color: btn.color,
-            border: `2px solid ${btn.color}`,
-            borderRadius: 8,
-            cursor: 'pointer',
-            background: btn.bg,
-            letterSpacing: 1,
-            minWidth: 180,
-          }}
-        >
-          {btn.label}
-        </motion.button>
-      ))}
-    </div>
-  );
-});
-
-// Image Hover - ZoomReveal
-const ZoomReveal = React.memo(() => {
-  const controls = useControls();
-  const zoomScale = controls.zoomScale || 1.15;
-
-  const images = useMemo(() => [
-    { title: 'Mountain Peak', subtitle: 'Elevation 4,200m', gradient: 'linear-gradient(135deg, #1e3a5f, #0891b2)' },
-    { title: 'Ocean Deep', subtitle: 'Depth 3,800m', gradient: 'linear-gradient(135deg, #1e1b4b, #6366f1)' },
-    { title: 'Desert Dunes', subtitle: 'Temperature 52°C', gradient: 'linear-gradient(135deg, #78350f, #f59e0b)' },
-  ], []);
-
-  return (
-    <div style={{ display: 'flex', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
-      {images.map((img, i) => (
-        <motion.div
-          key={i}
-          whileHover="hovered"
-          style={{
-            width: 220, height: 280, borderRadius: 12,
-            overflow: 'hidden', position: 'relative', cursor: 'pointer',
-            border: '1px solid rgba(255,255,255,0.08)',
-          }}
-        >
-          <motion.div
-            variants={{ hovered: { scale: zoomScale } }}
-            transition={{ duration: 0.4 }}
-            style={{
-              width: '100%', height: '100%',
-              background: img.gradient,
-            }}
-          />
-          <motion.div
-            variants={{
-              hovered: { opacity: 1, y: 0 },
-            }}
-            initial={{ opacity: 0, y: 20 }}
-            transition={{ duration: 0.3 }}
-            style={{
-              position: 'absolute', bottom: 0, left: 0, right: 0,
-              padding: 20,
-              background: 'linear-gradient(transparent, rgba(0,0,0,0.8))',
-            }}
-          >
-            <h3 style={{ color: '#fff', fontSize: 18, fontWeight: 700, margin: 0 }}>{img.title}</h3>
-            <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: 12, margin: '4px 0 0' }}>{img.subtitle}</p>
-          </motion.div>
-        </motion.div>
-      ))}
-    </div>
-  );
-});
-
-// Image Hover - ShutterReveal
-const ShutterReveal = React.memo(() => {
-  const controls = useControls();
-  const shutterBars = controls.shutterBars || 5;
-
-  const images = useMemo(() => [
-    { gradient: 'linear-gradient(135deg, #22d3ee, #a855f7)', label: 'Project Alpha' },
-    { gradient: 'linear-gradient(135deg, #a855f7, #ec4899)', label: 'Project Beta' },
-    { gradient: 'linear-gradient(135deg, #ec4899, #f59e0b)', label: 'Project Gamma' },
-  ], []);
-
-  return (
-    <div style={{ display: 'flex', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
-      {images.map((img, idx) => (
-        <motion.div
-          key={idx}
-          whileHover="revealed"
-          initial="hidden"
-          style={{
-            width: 220, height: 280, borderRadius: 12,
-            overflow: 'hidden', position: 'relative', cursor: 'pointer',
-            border: '1px solid rgba(255,255,255,0.08)',
-          }}
-        >
-          {/* Background image/gradient */}
-          <div style={{ position: 'absolute', inset: 0, background: img.gradient, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-            <span style={{ color: '#fff', fontSize: 18, fontWeight: 700 }}>{img.label}</span>
-          </div>
-          {/* Shutter bars */}
-          {[...Array(shutterBars)].map((_, i) => (
-            <motion.div
-              key={i}
-              variants={{
-                hidden: { scaleY: 1 },
-                revealed: { scaleY: 0, transition: { delay: i * 0.05, duration: 0.3 } },
-              }}
-              style={{
-                position: 'absolute',
-                top: `${(i / shutterBars) * 100}%`,
-                left: 0, right: 0,
-                height: `${100 / shutterBars}%`,
-                background: '#0a0a0a',
-                transformOrigin: 'top',
-              }}
-            />
-          ))}
-        </motion.div>
-      ))}
-    </div>
-  );
-});
-
-// ============================================================
-// SCENE WRAPPER
-// ============================================================
-const AnimationScene = ({ children, pages = 3 }) => (
-  <>
-    <ambientLight intensity={0.3} />
-    <pointLight position={[-10, 10, 10]} intensity={2} color="#22d3ee" />
-    <pointLight position={[10, -10, -10]} intensity={2} color="#ec4899" />
-    <Stars radius={100} depth={50} count={2000} factor={4} fade speed={0.5} />
-    <fog attach="fog" args={['#050505', 10, 80]} />
-    <ScrollControls pages={pages} damping={0.12}>
-      <Scroll>{children}</Scroll>
-    </ScrollControls>
-  </>
-);
-
-// ============================================================
-// MOUSE SCENE WRAPPER (no ScrollControls)
-// ============================================================
-const MouseScene = ({ children }) => (
-  <>
-    <ambientLight intensity={0.3} />
-    <pointLight position={[-10, 10, 10]} intensity={2} color="#22d3ee" />
-    <pointLight position={[10, -10, -10]} intensity={2} color="#ec4899" />
-    <Stars radius={100} depth={50} count={2000} factor={4} fade speed={0.5} />
-    <fog attach="fog" args={['#050505', 10, 80]} />
-    {children}
-  </>
-);
-
-// ============================================================
-// ANIMATIONS MAP
-// ============================================================
-const ANIMATIONS = {
-  tunnel: [
-    { name: 'Ring Tunnel', component: RingTunnel, description: 'Fly through concentric light rings' },
-    { name: 'Particle Starfield', component: ParticleTunnel, description: 'Warp through a field of particles' }
-  ],
-  velocity: [
-    { name: 'Morphing Sphere', component: MorphingSphere, description: 'Sphere distorts with scroll speed' },
-    { name: 'Wobbling Torus Knot', component: WobblingTorus, description: 'Complex shape wobbles with velocity' }
-  ],
-  shader: [
-    { name: 'Liquid Waves', component: LiquidPlane, description: 'Custom shader creating fluid motion' },
-    { name: 'Noise Displacement', component: NoiseSphere, description: 'Procedural noise deforms geometry' }
-  ],
-  exploded: [
-    { name: 'Exploded Cube', component: ExplodedCube, description: 'Cube separates into 6 faces' },
-    { name: 'Exploded Icosahedron', component: ExplodedIcosahedron, description: '20 triangular faces separate' }
-  ],
-  rotation: [
-    { name: 'Wireframe Globe', component: WireframeGlobe, description: 'Scroll offset maps to rotation' },
-    { name: 'DNA Helix', component: DNAHelix, description: 'Double helix rotates with scroll' }
-  ],
-  parallax: [
-    { name: 'Floating Cards', component: FloatingCards, description: 'Cards at different depths move at different speeds' },
-    { name: 'Mountain Layers', component: MountainLayers, description: 'Layered landscape with depth parallax' }
-  ],
-  dof: [
-    { name: 'Focus Pull', component: FocusPull, description: 'Objects blur based on distance from focus point' },
-    { name: 'Bokeh Particles', component: BokehParticles, description: 'Out-of-focus lights become soft circles' }
-  ],
-  camerapath: [
-    { name: 'Spline Camera', component: SplineCamera, description: 'Camera follows a curved path through space' },
-    { name: 'Orbit Path', component: OrbitPath, description: 'Camera orbits around central object' }
-  ],
-  morph: [
-    { name: 'Shape Morph', component: ShapeMorph, description: 'Geometry transforms through multiple shapes' },
-    { name: 'Blob Morph', component: BlobMorph, description: 'Organic distortion morphing with scroll' }
-  ],
-  reveal: [
-    { name: 'Circle Reveal', component: CircleReveal, description: 'Content reveals through expanding circle' },
-    { name: 'Wipe Reveal', component: WipeReveal, description: 'Horizontal wipe reveals content bars' }
-  ],
-  uvscroll: [
-    { name: 'Grid Scroll', component: GridScroll, description: 'Scrolling grid pattern effect' },
-    { name: 'Wave UV Distortion', component: WaveUVDistortion, description: 'Wavy distortion on UV coordinates' }
-  ],
-  orbit: [
-    { name: 'Zoom Orbit', component: ZoomOrbit, description: 'Auto rotation with scroll-based zoom' },
-    { name: 'Speed Orbit', component: SpeedOrbit, description: 'Rotation speed based on scroll velocity' }
-  ],
-  // Mouseover - 3D Canvas
-  hovertransform: [
-    { name: 'Scale Pop', component: ScalePop, description: 'Grid of boxes scale up on hover with glow' },
-    { name: 'Spin Hover', component: SpinHover, description: 'Torus knots spin while hovered' }
-  ],
-  mousefollow: [
-    { name: 'Tracking Sphere', component: TrackingSphere, description: 'Sphere follows mouse position in 3D' },
-    { name: 'Lazy Follow', component: LazyFollow, description: 'Chain of spheres follow with staggered delay' }
-  ],
-  hoverglow: [
-    { name: 'Emission Pulse', component: EmissionPulse, description: 'Emissive glow ramps up on hover' },
-    { name: 'Color Shift', component: ColorShift, description: 'Objects shift hue near cursor' }
-  ],
-  magnetic: [
-    { name: 'Attract Grid', component: AttractGrid, description: 'Grid pulled toward mouse position' },
-    { name: 'Repel Field', component: RepelField, description: 'Objects pushed away from cursor' }
-  ],
-  ripple: [
-    { name: 'Surface Ripple', component: SurfaceRipple, description: 'Shader waves from pointer position' },
-    { name: 'Wave Ring', component: WaveRing, description: 'Concentric rings pulse from cursor' }
-  ],
-  // Mouseover - DOM
-  cardhover: [
-    { name: 'Tilt Card', component: TiltCard, description: '3D perspective tilt on mouse move' },
-    { name: 'Flip Card', component: FlipCard, description: 'Card flips to reveal back on hover' }
-  ],
-  texthover: [
-    { name: 'Letter Spread', component: LetterSpread, description: 'Letters animate upward with stagger' },
-    { name: 'Glitch Text', component: GlitchText, description: 'Digital glitch distortion on hover' }
-  ],
-  buttonhover: [
-    { name: 'Slide Button', component: SlideButton, description: 'Gradient slides across on hover' },
-    { name: 'Morph Button', component: MorphButton, description: 'Button morphs shape and fills on hover' }
-  ],
-  imagehover: [
-    { name: 'Zoom Reveal', component: ZoomReveal, description: 'Image zooms with text overlay on hover' },
-    { name: 'Shutter Reveal', component: ShutterReveal, description: 'Venetian blind reveal effect' }
-  ]
-};
-
-// ============================================================
-// CODE PANEL COMPONENT
-// ============================================================
-const CodeBlock = ({ code }) => (
-  <pre className="code-block">
-    <code>{code}</code>
-  </pre>
-);
-
-const RightPanel = ({ isOpen, onToggle, activeTab, setActiveTab, category, example, controls, setControls }) => {
-  const snippets = CODE_SNIPPETS[category]?.[example] || CODE_SNIPPETS[category]?.[0];
-  const controlsConfig = CONTROLS_CONFIG[category] || [];
-
-  // Performance: Memoize event handlers to prevent unnecessary re-renders
-  // Note: setState functions from useState are stable and don't need to be in dependency arrays
-  const handleControlChange = useCallback((key, value) => {
-    setControls(prev => ({ ...prev, [key]: parseFloat(value) }));
-  }, []);
-
-  const handleResetControls = useCallback(() => {
-    setControls({});
-  }, []);
-
-  const handleCodeTab = useCallback(() => {
-    setActiveTab('code');
-  }, []);
-
-  const handleTweakTab = useCallback(() => {
-    setActiveTab('tweak');
-  }, []);
+      {/* Outside the panel so palette-run actions are announced while it's closed */}
+      <p className="visually-hidden" role="status" data-testid="panel-status">{statusMessage}</p>
 
-  return (
-    <>
-      {/* Toggle Button */}
-      <button 
-        className={`panel-toggle ${isOpen ? 'open' : ''}`} 
-        onClick={onToggle}
-        data-testid="panel-toggle"
-        title={isOpen ? 'Close panel' : 'Open panel'}
-      >
-        {isOpen ? '→' : '←'}
-      </button>
-      
-      {/* Panel */}
-      <aside className={`right-panel ${isOpen ? 'open' : ''}`} data-testid="right-panel">
+      {/* Panel - hidden from the tab order while closed, see .right-panel */}
+      <aside className={`right-panel ${isOpen ? 'open' : ''}`} id="right-panel" aria-label="Code and controls" data-testid="right-panel">
         {/* Tabs */}
-        <div className="panel-tabs">
+        <div className="panel-tabs" role="tablist" aria-label="Panel view">
           <button 
             className={`panel-tab ${activeTab === 'code' ? 'active' : ''}`}
             onClick={handleCodeTab}
+            role="tab"
+            id="panel-tab-code"
+            aria-selected={activeTab === 'code'}
+            aria-controls="panel-content"
             data-testid="tab-code"
           >
             Code
@@ -3050,6 +1511,10 @@ const RightPanel = ({ isOpen, onToggle, activeTab, setActiveTab, category, examp
           <button 
             className={`panel-tab ${activeTab === 'tweak' ? 'active' : ''}`}
             onClick={handleTweakTab}
+            role="tab"
+            id="panel-tab-tweak"
+            aria-selected={activeTab === 'tweak'}
+            aria-controls="panel-content"
             data-testid="tab-tweak"
           >
             Tweak
@@ -3057,49 +1522,96 @@ const RightPanel = ({ isOpen, onToggle, activeTab, setActiveTab, category, examp
         </div>
         
         {/* Content */}
-        <div className="panel-content">
+        <div className="panel-content" id="panel-content" role="tabpanel" aria-labelledby={`panel-tab-${activeTab}`}>
           {activeTab === 'code' && snippets && (
             <div className="code-section">
               <h3 className="snippet-title">{snippets.title}</h3>
               <CodeBlock code={snippets.code} />
               <p className="snippet-explanation">{snippets.explanation}</p>
+              {snippets.reducedMotion && (
+                <p className="snippet-motion" data-testid="snippet-reduced-motion">
+                  <strong>Reduced motion:</strong> {snippets.reducedMotion}
+                </p>
+              )}
+              <div className="tweak-actions">
+                <button className="reset-btn" onClick={handleCopySnippet} data-testid="copy-snippet">
+                  {actionLabel('snippet', 'Copy Code', 'Code Copied!', 'Copy Failed')}
+                </button>
+                <button
+                  className="reset-btn"
+                  onClick={handleExportComponent}
+                  data-testid="export-component"
+                  title="Download this example as a self-contained .jsx module"
+                >
+                  {actionLabel('export', 'Export Component', 'Export Component', 'Export Failed')}
+                </button>
+              </div>
             </div>
           )}
           
           {activeTab === 'tweak' && (
             <div className="tweak-section">
-              <p className="tweak-intro">Adjust parameters to see how they affect the animation.</p>
+              {editingLabel && <span className="control-value" data-testid="editing-side">{editingLabel}</span>}
+              <p className="tweak-intro" data-testid="tweak-intro">
+                {controlsConfig.length > 0
+                  ? 'Adjust parameters to see how they affect the animation.'
+                  : 'This example has no adjustable parameters.'}
+              </p>
+
+              {controlsConfig.length > 0 && (
+                <PresetManager category={category} controlsConfig={controlsConfig} controls={controls} onApply={commitControls} />
+              )}
               
-              {controlsConfig.map(ctrl => (
-                <div key={ctrl.key} className="control-item">
-                  <div className="control-header">
-                    <label className="control-label">{ctrl.label}</label>
-                    <span className="control-value">{controls[ctrl.key] ?? ctrl.default}</span>
-                  </div>
-                  <input
-                    type="range"
-                    min={ctrl.min}
-                    max={ctrl.max}
-                    step={ctrl.step}
-                    value={controls[ctrl.key] ?? ctrl.default}
-                    onChange={(e) => handleControlChange(ctrl.key, e.target.value)}
-                    className="control-slider"
-                    data-testid={`control-${ctrl.key}`}
-                  />
-                  <div className="control-range">
-                    <span>{ctrl.min}</span>
-                    <span>{ctrl.max}</span>
+              {controlsConfig.map(ctrl => {
+                const value = controls[ctrl.key] ?? ctrl.default;
+                const readout = formatControlValue(ctrl, value);
+                return (
+                  <div key={ctrl.key} className="control-item">
+                    <div className="control-header">
+                      {/* Vectors label their group by id; a <label> can only name one input */}
+                      <label
+                        className="control-label"
+                        id={`${controlInputId(ctrl)}-label`}
+                        htmlFor={ctrl.type === 'vec3' ? undefined : controlInputId(ctrl)}
+                      >
+                        {ctrl.label}
+                      </label>
+                      {readout !== null && <span className="control-value">{readout}</span>}
+                    </div>
+                    <ControlInput ctrl={ctrl} value={value} onChange={handleControlChange} />
                   </div>
-                </div>
-              ))}
+                );
+              })}
               
-              <button 
-                className="reset-btn"
-                onClick={handleResetControls}
-                data-testid="reset-controls"
-              >
-                Reset to Defaults
-              </button>
+              {controlsConfig.length > 0 && history && <HistoryList history={history} />}
+
+              {controlsConfig.length > 0 && (
+                <TimelineStrip
+                  timeline={timeline}
+                  controlsConfig={controlsConfig}
+                  controls={controls}
+                  canFollowScroll={categoryData.type === 'scroll'}
+                  onExport={handleExportTimeline}
+                />
+              )}
+
+              <div className="tweak-actions">
+                <button 
+                  className="reset-btn"
+                  onClick={handleResetControls}
+                  data-testid="reset-controls"
+                >
+                  Reset to Defaults
+                </button>
+                <button
+                  className="reset-btn"
+                  onClick={handleCopyLink}
+                  data-testid="copy-link"
+                  title="Copy a link to this effect with the current values"
+                >
+                  {actionLabel('link', 'Copy Link', 'Link Copied!', 'Copy Failed')}
+                </button>
+              </div>
             </div>
           )}
         </div>
@@ -3108,26 +1620,675 @@ const RightPanel = ({ isOpen, onToggle, activeTab, setActiveTab, category, examp
   );
 };
 
+// ============================================================
+// EFFECT VIEWPORT - One rendered example with its own controls
+// ============================================================
+// Compare mode renders two of these side by side. Viewport A's Canvas stays
+// mounted on every route and swaps examples through a keyed SceneSlot; rendering
+// pauses while hidden or off screen and runs on demand for input-driven effects.
+const EffectViewport = React.memo(({
+  category, exampleIndex, controls, quality, onQualityFactor, viewportRef, galleryRef, scrollGroup, scrollProgressRef,
+  frameClock, captureRef, recorderRef, perfLog, keyboardScroll = false, children,
+}) => {
+  // No category on the gallery and 404 page
+  const categoryData = CATEGORIES.find(c => c.id === category);
+  const anim = categoryData ? ANIMATIONS[category][exampleIndex] : null;
+  const Effect = anim?.component;
+  const isDom = categoryData?.renderer === 'dom';
+  const isCanvasExample = Boolean(anim) && !isDom;
+  const isStopped = isDom || (!anim && !galleryRef);
+  const sceneKey = anim ? `${category}-${exampleIndex}` : null;
+  const domSceneRef = useRef();
+  useElementCapture(captureRef, domSceneRef, isDom);
+
+  const [antialias] = useState(quality.antialias);
+
+  const reducedMotion = useReducedMotion();
+  const pause = useRenderPause(viewportRef);
+  const [isIdle, setIsIdle] = useState(false);
+  // Tiles track their place in the grid every frame, so the gallery never renders on demand
+  const onDemand = !galleryRef && !perfLog && (anim?.inputDriven || reducedMotion);
+  const frameloop = isStopped || pause ? 'never' : onDemand ? 'demand' : 'always';
+  const pauseStatus = !isCanvasExample ? null : pause ?? (onDemand && isIdle ? 'idle' : null);
+  // A new example needs a few frames to settle as much as new control values do
+  const sceneChanges = useMemo(() => ({ sceneKey, controls }), [sceneKey, controls]);
+
+  return (
+    <div className="effect-viewport" ref={viewportRef}>
+      <ControlsContext.Provider value={controls}>
+        <QualityContext.Provider value={quality}>
+          {/* DOM effects keep their own semantics; a canvas is only pixels, so `alt` stands in for it */}
+          {isDom && (
+            <div className="dom-scene" key={sceneKey} ref={domSceneRef} role="group" aria-label={anim.alt}>
+              <Effect />
+            </div>
+          )}
+          <Canvas
+            role={isCanvasExample ? 'img' : undefined}
+            aria-label={isCanvasExample ? anim.alt : undefined}
+            aria-hidden={!isCanvasExample || undefined}
+            style={isStopped ? { display: 'none' } : undefined}
+            data-testid="viewport-canvas"
+            camera={{ position: [0, 0, 10], fov: 55 }}
+            dpr={quality.dpr}
+            frameloop={frameloop}
+            gl={{ antialias, powerPreference: 'high-performance' }}
+          >
+            <RenderLoopProbe changes={sceneChanges} onIdleChange={setIsIdle} />
+            {onQualityFactor && <QualityMonitor key={sceneKey} factor={quality.factor} onChange={onQualityFactor} />}
+            {isCanvasExample && (
+              <SceneSlot key={sceneKey}>
+                <color attach="background" args={['#050505']} />
+                {captureRef && <CaptureProbe captureRef={captureRef} />}
+                {frameClock && <FrameClockProbe clock={frameClock} />}
+                {perfLog && <PerfProbe log={perfLog} category={category} exampleIndex={exampleIndex} name={anim.name} />}
+                <Suspense fallback={null}>
+                  {categoryData.type === 'mouse' ? (
+                    <MouseScene>
+                      <Effect />
+                      {recorderRef && <RecordingProbe recorderRef={recorderRef} />}
+                    </MouseScene>
+                  ) : (
+                    <AnimationScene pages={3}>
+                      <Effect />
+                      {scrollProgressRef && <ScrollProgressProbe progressRef={scrollProgressRef} />}
+                      {scrollGroup && <ScrollSync group={scrollGroup} />}
+                      {keyboardScroll && <ScrollKeys />}
+                      {recorderRef && <RecordingProbe recorderRef={recorderRef} />}
+                    </AnimationScene>
+                  )}
+                </Suspense>
+              </SceneSlot>
+            )}
+            {galleryRef && <GalleryPort eventSource={galleryRef} />}
+          </Canvas>
+        </QualityContext.Provider>
+      </ControlsContext.Provider>
+      {pauseStatus && <PausedBadge status={pauseStatus} type={categoryData.type} />}
+      {children}
+    </div>
+  );
+});
+
+const CompareBadge = ({ side, editing, onEdit, onPromote }) => (
+  <div className={`compare-badge ${editing ? 'editing' : ''}`} data-testid={`compare-badge-${side}`}>
+    <span className="compare-side">{side.toUpperCase()}</span>
+    <button className="preset-btn" onClick={onEdit} disabled={editing} data-testid={`compare-edit-${side}`}>
+      {editing ? 'Editing' : 'Edit'}
+    </button>
+    <button className="preset-btn" onClick={onPromote} title={`Keep ${side.toUpperCase()} and leave compare mode`} data-testid={`compare-promote-${side}`}>
+      Keep
+    </button>
+  </div>
+);
+
+// ============================================================
+// ROUTING - Every category/example has a deep-linkable URL
+// ============================================================
+// Example numbers in the URL are 1-based to match the "Example N" tabs
+const effectPath = (categoryId, exampleIndex = 0) => `/effects/${categoryId}/${exampleIndex + 1}`;
+const DEFAULT_PATH = effectPath(CATEGORIES[0].id);
+
+// Resolve route params against CATEGORIES / ANIMATIONS; null when unknown
+const resolveEffectRoute = (categoryId, exampleParam) => {
+  const category = CATEGORIES.find(c => c.id === categoryId);
+  if (!category) return null;
+  if (!/^\d+$/.test(exampleParam || '')) return null;
+  const exampleIndex = parseInt(exampleParam, 10) - 1;
+  if (!ANIMATIONS[categoryId]?.[exampleIndex]) return null;
+  return { category, exampleIndex };
+};
+
+const CategoryRedirect = () => {
+  const { categoryId } = useParams();
+  return <Navigate to={effectPath(categoryId)} replace />;
+};
+
+const NotFound = () => (
+  <div className="not-found" data-testid="not-found">
+    <span className="not-found-code">404</span>
+    <h2 className="not-found-title">Effect not found</h2>
+    <p className="not-found-desc">There is no effect at this address. Pick a category from the sidebar or start from the beginning.</p>
+    <Link className="reset-btn" to={DEFAULT_PATH} data-testid="not-found-home">
+      Go to {CATEGORIES[0].name}
+    </Link>
+  </div>
+);
+
+// ============================================================
+// SEARCH - Full-text search and tag filtering in the sidebar
+// ============================================================
+// Chip order for the tag filters
+const EFFECT_TAGS = ['shader', 'particles', 'distortion', 'wireframe', 'camera', 'text', 'DOM', 'framer-motion'];
+
+// A hit in an example's name outranks one buried in a code explanation
+const SEARCH_FIELDS = [
+  { key: 'name', weight: 5 },
+  { key: 'categoryName', weight: 3 },
+  { key: 'description', weight: 2 },
+  { key: 'categoryDescription', weight: 2 },
+  { key: 'tags', weight: 2 },
+  { key: 'snippetTitle', weight: 1 },
+  { key: 'snippetExplanation', weight: 1 },
+  { key: 'alt', weight: 1 },
+];
+
+// Fields that can supply the line of context under a result, best first
+const EXCERPT_FIELDS = ['description', 'snippetTitle', 'snippetExplanation', 'categoryDescription', 'alt'];
+
+// One record per example, matching the snippet the Code tab shows for it
+const SEARCH_INDEX = CATEGORIES.flatMap(category =>
+  ANIMATIONS[category.id].map((anim, exampleIndex) => {
+    const snippet = CODE_SNIPPETS[category.id]?.[exampleIndex] || CODE_SNIPPETS[category.id]?.[0];
+    return {
+      category,
+      exampleIndex,
+      tags: anim.tags,
+      fields: {
+        name: anim.name,
+        categoryName: category.name,
+        description: anim.description,
+        categoryDescription: category.description,
+        snippetTitle: snippet?.title || '',
+        snippetExplanation: snippet?.explanation || '',
+        // Typing a tag finds the same examples as its chip
+        tags: anim.tags.join(' '),
+        // What the effect looks like, e.g. "purple" or "cards"
+        alt: anim.alt,
+      },
+    };
+  }),
+);
+
+const toSearchTerms = (query) => query.toLowerCase().split(/\s+/).filter(Boolean);
+
+// Every term must appear in some field and every selected tag must be present.
+// Ties keep catalog order (Array.prototype.sort is stable)
+const searchEffects = (terms, tags) => SEARCH_INDEX
+  .filter(entry => tags.every(tag => entry.tags.includes(tag)))
+  .map(entry => {
+    let score = 0;
+    for (const term of terms) {
+      const weights = SEARCH_FIELDS
+        .filter(({ key }) => entry.fields[key].toLowerCase().includes(term))
+        .map(({ weight }) => weight);
+      if (!weights.length) return null;
+      score += Math.max(...weights);
+    }
+    return { ...entry, score };
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.score - a.score);
+
+// The first excerpt field containing a term, trimmed to `radius` characters around the hit
+const findExcerpt = (fields, terms, radius = 40) => {
+  for (const key of EXCERPT_FIELDS) {
+    const text = fields[key];
+    const lower = text.toLowerCase();
+    const hit = terms.map(term => lower.indexOf(term)).filter(i => i !== -1).sort((a, b) => a - b)[0];
+    if (hit === undefined) continue;
+    const start = Math.max(0, hit - radius);
+    const end = Math.min(text.length, hit + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+  return fields.description;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap every occurrence of a search term in <mark>
+const Highlight = ({ text, terms }) => {
+  if (!terms.length) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  // split() with a capture group puts the matches at odd indexes
+  return text.split(pattern).map((part, i) => (
+    i % 2 ? <mark key={i} className="search-mark">{part}</mark> : part
+  ));
+};
+
+// Search box + tag chips; the category list (children) shows while nothing is filtered
+const SidebarSearch = ({ children }) => {
+  const [query, setQuery] = useState('');
+  const [tags, setTags] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef();
+  const navigate = useNavigate();
+
+  const terms = useMemo(() => toSearchTerms(query), [query]);
+  const isFiltering = terms.length > 0 || tags.length > 0;
+  const results = useMemo(() => (isFiltering ? searchEffects(terms, tags) : []), [isFiltering, terms, tags]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [terms, tags]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const toggleTag = useCallback((tag) => {
+    setTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+  }, []);
+
+  const handleClear = useCallback(() => {
+    setQuery('');
+    setTags([]);
+  }, []);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      const { category, exampleIndex } = results[activeIndex];
+      navigate(effectPath(category.id, exampleIndex));
+    } else if (e.key === 'Escape') {
+      handleClear();
+    }
+  }, [results, activeIndex, navigate, handleClear]);
+
+  return (
+    <>
+      <div className="sidebar-search">
+        <input
+          type="search"
+          className="search-input"
+          placeholder="Search effects…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-label="Search effects"
+          aria-expanded={isFiltering}
+          aria-controls="search-results"
+          aria-activedescendant={results.length ? `search-result-${activeIndex}` : undefined}
+          data-testid="search-input"
+        />
+        <div className="search-tags" role="group" aria-label="Filter by tag">
+          {EFFECT_TAGS.map(tag => (
+            <button
+              key={tag}
+              className={`search-tag ${tags.includes(tag) ? 'active' : ''}`}
+              onClick={() => toggleTag(tag)}
+              aria-pressed={tags.includes(tag)}
+              data-testid={`search-tag-${tag}`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!isFiltering ? children : (
+        <div className="sidebar-categories search-results" id="search-results" role="listbox" ref={listRef} data-testid="search-results">
+          <div className="sidebar-section-label">
+            {results.length} {results.length === 1 ? 'result' : 'results'}
+          </div>
+          {results.map(({ category, exampleIndex, fields }, i) => (
+            <Link
+              key={`${category.id}-${exampleIndex}`}
+              id={`search-result-${i}`}
+              to={effectPath(category.id, exampleIndex)}
+              className={`category-btn search-result ${i === activeIndex ? 'selected' : ''}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              onMouseEnter={() => setActiveIndex(i)}
+              data-testid={`search-result-${i}`}
+            >
+              <span className="category-icon" aria-hidden="true">{category.icon}</span>
+              <div className="category-info">
+                <span className="category-name"><Highlight text={fields.name} terms={terms} /></span>
+                <span className="search-result-category"><Highlight text={fields.categoryName} terms={terms} /></span>
+                <span className="category-desc"><Highlight text={findExcerpt(fields, terms)} terms={terms} /></span>
+              </div>
+            </Link>
+          ))}
+          {!results.length && (
+            <div className="search-empty">
+              <p>No effects match.</p>
+              <button className="preset-btn" onClick={handleClear} data-testid="search-clear">Clear filters</button>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+// ============================================================
+// GALLERY - Every example live in one grid
+// ============================================================
+// Canvas tiles are drei <View>s scissored out of viewport A's Canvas, which sits
+// behind the grid while it's open, so the page keeps the one WebGL context it
+// already has. Tiles only mount their scene while near the visible area of the
+// grid, and a SceneSlot per tile frees it again when it scrolls away.
+const GALLERY_ITEMS = CATEGORIES.flatMap(category =>
+  ANIMATIONS[category.id].map((anim, exampleIndex) => ({ category, exampleIndex, anim })),
+);
+
+// true while `ref` is within `margin` of the scroll container's visible area
+const useNearViewport = (ref, rootRef, margin = '200px') => {
+  const [isNear, setIsNear] = useState(false);
+
+  useEffect(() => {
+    const el = ref.current;
+    // No observer (old browsers, jsdom): render everything rather than nothing
+    if (!el || typeof IntersectionObserver === 'undefined') {
+      setIsNear(true);
+      return undefined;
+    }
+    const observer = new IntersectionObserver(
+      ([entry]) => setIsNear(entry.isIntersecting),
+      { root: rootRef.current, rootMargin: margin },
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref, rootRef, margin]);
+
+  return isNear;
+};
+
+// Performance: Memoized so scrolling the grid only re-renders tiles that change visibility
+const GalleryTile = React.memo(({ category, exampleIndex, anim, scrollRef }) => {
+  const tileRef = useRef();
+  const isNear = useNearViewport(tileRef, scrollRef);
+  const navigate = useNavigate();
+  const path = effectPath(category.id, exampleIndex);
+  const Effect = anim.component;
+
+  const handleOpen = useCallback(() => navigate(path), [navigate, path]);
+
+  let preview = <div className="gallery-preview gallery-placeholder" role="img" aria-label={anim.alt}><span aria-hidden="true">{category.icon}</span></div>;
+  if (isNear && category.renderer === 'dom') {
+    preview = (
+      <div className="gallery-preview gallery-dom" role="group" aria-label={anim.alt}>
+        <div className="dom-scene"><Effect /></div>
+      </div>
+    );
+  } else if (isNear) {
+    preview = (
+      <View className="gallery-preview" role="img" aria-label={anim.alt}>
+        <SceneSlot>
+          <PreviewScene type={category.type}>
+            <Effect />
+          </PreviewScene>
+        </SceneSlot>
+      </View>
+    );
+  }
+
+  return (
+    <div className="gallery-tile" ref={tileRef} onClick={handleOpen} data-testid={`gallery-tile-${category.id}-${exampleIndex}`}>
+      {preview}
+      <Link className="gallery-caption" to={path} onClick={(e) => e.stopPropagation()}>
+        <span className="gallery-name">{anim.name}</span>
+        <span className="gallery-category"><span aria-hidden="true">{category.icon}</span> {category.name}</span>
+      </Link>
+    </div>
+  );
+});
+
+// `scrollRef` is shared with viewport A, whose canvas takes its pointer events from the grid
+const Gallery = ({ scrollRef }) => (
+  <div className="gallery" data-testid="gallery">
+    <div className="gallery-scroll" ref={scrollRef}>
+      <div className="gallery-header">
+        <h2 className="gallery-title">All Effects</h2>
+        <p className="gallery-desc">
+          {GALLERY_ITEMS.length} examples across {CATEGORIES.length} categories. Click one to open it.
+        </p>
+      </div>
+      <div className="gallery-grid">
+        {GALLERY_ITEMS.map(({ category, exampleIndex, anim }) => (
+          <GalleryTile
+            key={`${category.id}-${exampleIndex}`}
+            category={category}
+            exampleIndex={exampleIndex}
+            anim={anim}
+            scrollRef={scrollRef}
+          />
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+// Lives in viewport A's Canvas while the gallery is open. The grid sits on top
+// of the canvas, so events are taken from its scroll element and handed back to
+// the canvas afterwards
+const GalleryEvents = ({ eventSource }) => {
+  const get = useThree(state => state.get);
+
+  useEffect(() => {
+    const previous = get().events.connected;
+    get().events.connect?.(eventSource.current);
+    return () => get().events.connect?.(previous);
+  }, [get, eventSource]);
+
+  return null;
+};
+
+// Views put back the event target they found when they unmount. GalleryEvents
+// comes after the port so its cleanup runs last and has the final word
+const GalleryPort = ({ eventSource }) => (
+  <>
+    <Suspense fallback={null}>
+      <View.Port />
+    </Suspense>
+    <GalleryEvents eventSource={eventSource} />
+  </>
+);
+
+// ============================================================
+// MOTION PREFERENCE - System / Reduced / Full, persisted in localStorage
+// ============================================================
+// Values are framer's <MotionConfig reducedMotion> settings. Effects read the
+// result through useReducedMotion in effects/motion.js
+const MOTION_STORAGE_KEY = 'immersive-horizons:motion';
+const MOTION_MODES = [
+  { value: 'user', label: 'System', title: 'Follow the operating system setting' },
+  { value: 'always', label: 'Reduced', title: 'Pause ambient motion and replace springs with fades' },
+  { value: 'never', label: 'Full', title: 'Animate everything, whatever the system setting' },
+];
+
+const readMotionMode = () => {
+  try {
+    const mode = window.localStorage.getItem(MOTION_STORAGE_KEY);
+    return MOTION_MODES.some(m => m.value === mode) ? mode : 'user';
+  } catch {
+    return 'user';
+  }
+};
+
+const writeMotionMode = (mode) => {
+  try {
+    window.localStorage.setItem(MOTION_STORAGE_KEY, mode);
+  } catch {
+    // Storage full or disabled - the choice lasts for this session only
+  }
+};
+
+const MotionToggle = React.memo(({ mode, onChange }) => (
+  <div className="motion-toggle" role="group" aria-label="Motion" data-testid="motion-toggle">
+    <span className="motion-toggle-label">Motion</span>
+    {MOTION_MODES.map(m => (
+      <button
+        key={m.value}
+        className={`preset-btn ${mode === m.value ? 'active' : ''}`}
+        onClick={() => onChange(m.value)}
+        aria-pressed={mode === m.value}
+        title={m.title}
+        data-testid={`motion-${m.value}`}
+      >
+        {m.label}
+      </button>
+    ))}
+  </div>
+));
+
+// ============================================================
+// QUALITY - Auto / Low / Medium / High, persisted in localStorage
+// ============================================================
+// Levels are defined in effects/quality.js. Auto starts at High and follows the
+// frame rate of viewport A from there
+const QUALITY_STORAGE_KEY = 'immersive-horizons:quality';
+const QUALITY_MODES = [
+  { value: 'auto', label: 'Auto', title: 'Lower or raise quality to keep the frame rate smooth' },
+  { value: 'low', label: 'Low', title: 'Lowest resolution and detail, no antialiasing' },
+  { value: 'medium', label: 'Medium', title: 'Reduced resolution and detail, antialiased' },
+  { value: 'high', label: 'High', title: 'Full resolution and detail, antialiased' },
+];
+
+const readQualityMode = () => {
+  try {
+    const mode = window.localStorage.getItem(QUALITY_STORAGE_KEY);
+    return QUALITY_MODES.some(m => m.value === mode) ? mode : 'auto';
+  } catch {
+    return 'auto';
+  }
+};
+
+const writeQualityMode = (mode) => {
+  try {
+    window.localStorage.setItem(QUALITY_STORAGE_KEY, mode);
+  } catch {
+    // Storage full or disabled - the choice lasts for this session only
+  }
+};
+
+// In Auto, the button's tooltip says which level the monitor has settled on.
+// `antialiasOnReload` is set when the chosen level antialiases differently from
+// the canvas, which only picks that up when the page loads again
+const QualityToggle = React.memo(({ mode, level, antialiasOnReload, onChange }) => (
+  <div className="motion-toggle quality-toggle" role="group" aria-label="Quality" data-testid="quality-toggle">
+    <span className="motion-toggle-label">Quality</span>
+    {QUALITY_MODES.map(m => (
+      <button
+        key={m.value}
+        className={`preset-btn ${mode === m.value ? 'active' : ''}`}
+        onClick={() => onChange(m.value)}
+        aria-pressed={mode === m.value}
+        title={m.value === 'auto' && mode === 'auto' ? `${m.title} (now ${QUALITY_MODES.find(q => q.value === level).label})` : m.title}
+        data-testid={`quality-${m.value}`}
+      >
+        {m.label}
+      </button>
+    ))}
+    <p className="quality-note" role="status" data-testid="quality-note">
+      {antialiasOnReload !== null && `Antialiasing turns ${antialiasOnReload ? 'on' : 'off'} after a reload`}
+    </p>
+  </div>
+));
+
+// ============================================================
+// ROUTE ANNOUNCER - Tells screen readers which effect is showing
+// ============================================================
+// Client-side navigation doesn't announce anything on its own. The region is in
+// the page from the first render, so only changes are read out, not the initial load.
+const describeRoute = ({ gallery, route }) => {
+  if (gallery) return `All Effects gallery, ${GALLERY_ITEMS.length} examples`;
+  if (!route) return 'Effect not found';
+  const { category, exampleIndex } = route;
+  const examples = ANIMATIONS[category.id];
+  return `${examples[exampleIndex].name}, example ${exampleIndex + 1} of ${examples.length} in ${category.name}`;
+};
+
+const RouteAnnouncer = ({ message }) => (
+  <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true" data-testid="route-announcer">
+    {message}
+  </div>
+);
+
 // ============================================================
 // MAIN APP
 // ============================================================
-export default function App() {
-  const [activeCategory, setActiveCategory] = useState('tunnel');
-  const [activeExample, setActiveExample] = useState(0);
+const handleSidebarKeyDown = createRovingKeyDown('.category-btn', 'vertical');
+const handleExampleTabsKeyDown = createRovingKeyDown('a.example-tab', 'horizontal');
+
+// One element serves the examples, the gallery and the 404 page, so moving
+// between them keeps controls, undo history and the loaded canvas
+const Showcase = () => {
+  const effectMatch = useMatch('/effects/:categoryId/:exampleIndex');
+  const gallery = useMatch('/gallery') !== null;
+  const route = effectMatch && resolveEffectRoute(effectMatch.params.categoryId, effectMatch.params.exampleIndex);
+  const activeCategory = route?.category.id ?? null;
+  const activeExample = route?.exampleIndex ?? 0;
+
   const [isLoading, setIsLoading] = useState(true);
   const [isPanelOpen, setIsPanelOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('code');
-  const [controls, setControls] = useState({});
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { controls, setControls, commitControls, resetHistory, history } = useControlsHistory(
+    () => decodeControls(searchParams, activeCategory),
+  );
+  // Written by the canvas every frame; read by scroll-driven timelines
+  const scrollProgressRef = useRef(0);
+  // Steps time-driven timelines with viewport A's frames
+  const [frameClock] = useState(createFrameClock);
+
+  // A/B compare: side B gets its own controls and undo history, seeded from A.
+  // Both viewports share scroll position and pointer input so only the values differ
+  const {
+    controls: compareControls,
+    setControls: setCompareControls,
+    commitControls: commitCompareControls,
+    resetHistory: resetCompareHistory,
+    history: compareHistory,
+  } = useControlsHistory(null);
+  const [editingSide, setEditingSide] = useState('a');
+  const [scrollGroup] = useState(createScrollGroup);
+  const viewportARef = useRef();
+  const viewportBRef = useRef();
+  const galleryScrollRef = useRef();
+  const isComparing = compareControls !== null;
+  usePointerMirror(viewportARef, viewportBRef, isComparing);
 
   useEffect(() => {
     const timer = setTimeout(() => setIsLoading(false), 800);
     return () => clearTimeout(timer);
   }, []);
 
+  // The category and query string the controls last took values from. The gallery
+  // and 404 page leave them alone, so the way back keeps the example's values
+  const syncedRef = useRef({ category: activeCategory, query: searchParams.toString() });
+  const navigationType = useNavigationType();
   useEffect(() => {
-    setActiveExample(0);
-    setControls({}); // Reset controls when category changes
-  }, [activeCategory]);
+    if (!activeCategory) return;
+    const query = searchParams.toString();
+    const synced = syncedRef.current;
+    if (activeCategory !== synced.category) {
+      syncedRef.current = { category: activeCategory, query };
+      // Reset controls when category changes, honouring values from a shared link
+      resetHistory(decodeControls(searchParams, activeCategory));
+      resetCompareHistory(null);
+      setEditingSide('a');
+      return;
+    }
+    if (query === synced.query) return;
+    syncedRef.current = { ...synced, query };
+    // In-app links carry no values and the mirror below fills them in; back and
+    // forward, or a link with values, set the controls from the URL
+    if (!query && navigationType !== 'POP') return;
+    const controlsConfig = getExampleControls(activeCategory, activeExample);
+    const next = decodeControls(searchParams, activeCategory);
+    if (encodeControls(next, controlsConfig) === encodeControls(controls, controlsConfig)) return;
+    commitControls('Opened link', next);
+  }, [activeCategory, activeExample, searchParams, navigationType, controls, resetHistory, resetCompareHistory, commitControls]);
+
+  // Mirror controls into the query string; debounced so slider drags don't flood history
+  useEffect(() => {
+    if (!activeCategory) return;
+    const query = encodeControls(controls, getExampleControls(activeCategory, activeExample));
+    if (query === searchParams.toString()) return;
+    const timer = setTimeout(() => {
+      syncedRef.current = { category: activeCategory, query };
+      setSearchParams(query, { replace: true });
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [controls, activeCategory, activeExample, searchParams, setSearchParams]);
 
   // Performance: Memoize event handlers to prevent unnecessary re-renders
   // Note: setState functions from useState are stable and don't need to be in dependency arrays
@@ -3135,28 +2296,239 @@ export default function App() {
     setIsPanelOpen(prev => !prev);
   }, []);
 
-  const handleSetCategory = useCallback((catId) => {
-    setActiveCategory(catId);
+  const handleToggleCompare = useCallback(() => {
+    resetCompareHistory(isComparing ? null : controls);
+    setEditingSide('a');
+  }, [isComparing, controls, resetCompareHistory]);
+
+  const handlePromote = useCallback((side) => {
+    if (side === 'b') commitControls('Kept B from compare', compareControls);
+    resetCompareHistory(null);
+    setEditingSide('a');
+  }, [commitControls, compareControls, resetCompareHistory]);
+
+  const isEditingB = isComparing && editingSide === 'b';
+
+  // Undo/redo shortcuts go to the side the Tweak panel is editing, except where
+  // a text field has its own undo
+  const editedHistory = isEditingB ? compareHistory : history;
+  const { undo, redo } = editedHistory;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || isTextEntry(e.target)) return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // ---- Motion preference ----
+  const [motionMode, setMotionMode] = useState(readMotionMode);
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const reducedMotion = motionMode === 'always' || (motionMode === 'user' && Boolean(prefersReducedMotion));
+  const handleMotionModeChange = useCallback((mode) => {
+    setMotionMode(mode);
+    writeMotionMode(mode);
   }, []);
 
-  const handleSetExample = useCallback((exampleIndex) => {
-    setActiveExample(exampleIndex);
+  // ---- Quality level (Auto follows viewport A's frame rate) ----
+  const [qualityMode, setQualityMode] = useState(readQualityMode);
+  const [autoQualityFactor, setAutoQualityFactor] = useState(1);
+  const quality = useMemo(() => resolveQuality(qualityMode, autoQualityFactor), [qualityMode, autoQualityFactor]);
+  // Viewport A's canvas keeps the antialiasing it was created with; Auto loads at High
+  const [canvasAntialias] = useState(quality.antialias);
+  const loadAntialias = resolveQuality(qualityMode).antialias;
+  const antialiasOnReload = loadAntialias === canvasAntialias ? null : loadAntialias;
+  const handleQualityModeChange = useCallback((mode) => {
+    setQualityMode(mode);
+    writeQualityMode(mode);
   }, []);
 
-  const currentAnimations = ANIMATIONS[activeCategory];
-  const CurrentComponent = currentAnimations[activeExample].component;
+  // ---- PNG capture and clip recording (always of viewport A) ----
+  const captureRef = useRef(null);
+  const recorderRef = useRef(null);
+  // 'capture' | 'record' | null - one menu at a time
+  const [openMenu, setOpenMenu] = useState(null);
+  const [captureOptions, setCaptureOptions] = useState(DEFAULT_CAPTURE);
+  const [recordOptions, setRecordOptions] = useState(DEFAULT_RECORDING);
+  const handleToggleCapture = useCallback(() => setOpenMenu(prev => (prev === 'capture' ? null : 'capture')), []);
+  const handleToggleRecord = useCallback(() => setOpenMenu(prev => (prev === 'record' ? null : 'record')), []);
+  const handleCloseMenu = useCallback(() => setOpenMenu(null), []);
+
+  const handleCapture = useCallback(async (options) => {
+    if (!captureRef.current) throw new Error('The effect is still loading');
+    const blob = await captureRef.current(options);
+    const slug = slugify(ANIMATIONS[activeCategory][activeExample].name);
+    downloadFile(`${slug}-${options.width}x${options.height}.png`, blob, 'image/png');
+  }, [activeCategory, activeExample]);
+
+  const handleRecord = useCallback(async (options, hooks) => {
+    if (!recorderRef.current) throw new Error('The effect is still loading');
+    const blob = await recorderRef.current.record(options, hooks);
+    const slug = slugify(ANIMATIONS[activeCategory][activeExample].name);
+    downloadFile(`${slug}-${options.width}x${options.height}.${options.format}`, blob, blob.type);
+  }, [activeCategory, activeExample]);
+
+  // ---- Performance HUD (samples viewport A) ----
+  const [perfLog] = useState(createPerfLog);
+  const [isPerfHudVisible, setIsPerfHudVisible] = useState(readPerfHudVisible);
+  const handleTogglePerfHud = useCallback(() => setIsPerfHudVisible(prev => !prev), []);
+  useEffect(() => writePerfHudVisible(isPerfHudVisible), [isPerfHudVisible]);
+  const handleExportPerf = useCallback(() => {
+    downloadFile('effect-performance.json', JSON.stringify(perfLog.toJSON(), null, 2));
+  }, [perfLog]);
+
+  // ---- Command palette ----
+  const navigate = useNavigate();
+  const panelActionsRef = useRef(null);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const handleTogglePalette = useCallback(() => setIsPaletteOpen(prev => !prev), []);
+  const handleClosePalette = useCallback(() => setIsPaletteOpen(false), []);
+  useCommandPaletteHotkey(handleTogglePalette);
+
+  // ---- Shell shortcuts (listed in SHORTCUTS) ----
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+  const handleCloseShortcuts = useCallback(() => setIsShortcutsOpen(false), []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTextEntry(e.target)) return;
+      if (e.key === '?') {
+        setIsShortcutsOpen(prev => !prev);
+      } else if (e.key === 'Escape' && isShortcutsOpen) {
+        setIsShortcutsOpen(false);
+      } else if (e.key === '[' || e.key === ']') {
+        const step = e.key === ']' ? 1 : -1;
+        const index = CATEGORIES.findIndex(c => c.id === activeCategory);
+        // From the gallery or a 404, ] starts at the first category and [ at the last
+        const next = index === -1
+          ? (step === 1 ? 0 : CATEGORIES.length - 1)
+          : (index + step + CATEGORIES.length) % CATEGORIES.length;
+        navigate(effectPath(CATEGORIES[next].id));
+      } else if (/^[1-9]$/.test(e.key) && activeCategory && ANIMATIONS[activeCategory][e.key - 1]) {
+        navigate(effectPath(activeCategory, e.key - 1));
+      } else if (e.key.toLowerCase() === 'p' && route) {
+        handleTogglePanel();
+      } else if (e.key.toLowerCase() === 'f' && route) {
+        handleTogglePerfHud();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isShortcutsOpen, activeCategory, route, navigate, handleTogglePanel, handleTogglePerfHud]);
+
+  const commands = useMemo(() => {
+    const effectCommands = CATEGORIES.flatMap(category => ANIMATIONS[category.id].map((anim, i) => ({
+      id: `effect:${category.id}:${i}`,
+      label: anim.name,
+      group: 'Effect',
+      hint: category.name,
+      keywords: `${category.name} ${anim.description} ${anim.tags.join(' ')}`,
+      run: () => navigate(effectPath(category.id, i)),
+    })));
+    const pages = [
+      { id: 'page:gallery', label: 'Open gallery', group: 'Go to', keywords: 'all effects overview grid', run: () => navigate('/gallery') },
+      { id: 'help:shortcuts', label: 'Keyboard shortcuts', group: 'Help', hint: '?', keywords: 'keys bindings help', run: () => setIsShortcutsOpen(true) },
+      ...MOTION_MODES.map(m => ({
+        id: `motion:${m.value}`,
+        label: `Motion: ${m.label}`,
+        group: 'Setting',
+        hint: motionMode === m.value ? 'Current' : undefined,
+        keywords: 'reduced motion animation accessibility prefers-reduced-motion',
+        run: () => handleMotionModeChange(m.value),
+      })),
+      ...QUALITY_MODES.map(m => ({
+        id: `quality:${m.value}`,
+        label: `Quality: ${m.label}`,
+        group: 'Setting',
+        hint: qualityMode === m.value ? 'Current' : undefined,
+        keywords: 'performance resolution dpr antialiasing detail fps adaptive',
+        run: () => handleQualityModeChange(m.value),
+      })),
+    ];
+    if (!route) return [...pages, ...effectCommands];
+
+    // Edits go to whichever side the Tweak panel is showing
+    const commitPanel = isEditingB ? commitCompareControls : commitControls;
+    const showTab = (tab) => {
+      setIsPanelOpen(true);
+      setActiveTab(tab);
+    };
+    // Panel actions report failure on their buttons, so open the panel to show it
+    const runPanelAction = (action, tab) => async () => {
+      const ok = await panelActionsRef.current?.[action]();
+      if (ok === false) showTab(tab);
+    };
+    const actions = [
+      { id: 'panel:toggle', label: isPanelOpen ? 'Close side panel' : 'Open side panel', group: 'Action', run: handleTogglePanel },
+      { id: 'panel:code', label: 'Show code', group: 'Action', keywords: 'code tab snippet', run: () => showTab('code') },
+      { id: 'panel:tweak', label: 'Show tweak controls', group: 'Action', keywords: 'tweak tab parameters sliders', run: () => showTab('tweak') },
+      { id: 'controls:reset', label: 'Reset controls to defaults', group: 'Action', run: () => commitPanel('Reset to defaults', {}) },
+      { id: 'history:undo', label: 'Undo', group: 'Action', hint: `${MOD_KEY}+Z`, run: undo },
+      { id: 'history:redo', label: 'Redo', group: 'Action', hint: `Shift+${MOD_KEY}+Z`, run: redo },
+      { id: 'snippet:copy', label: 'Copy code snippet', group: 'Action', keywords: 'clipboard', run: runPanelAction('copySnippet', 'code') },
+      { id: 'export:component', label: 'Export component', group: 'Action', keywords: 'download jsx module', run: runPanelAction('exportComponent', 'code') },
+      { id: 'link:copy', label: 'Copy link to this effect', group: 'Action', keywords: 'share url clipboard', run: runPanelAction('copyLink', 'tweak') },
+      { id: 'compare:toggle', label: isComparing ? 'Leave A/B compare' : 'Compare A/B', group: 'Action', keywords: 'side by side', run: handleToggleCompare },
+      { id: 'capture:open', label: 'Capture PNG', group: 'Action', keywords: 'screenshot image still picture download', run: () => setOpenMenu('capture') },
+      { id: 'record:open', label: 'Record video or GIF', group: 'Action', keywords: 'webm gif clip animation movie export', run: () => setOpenMenu('record') },
+      { id: 'perf:toggle', label: isPerfHudVisible ? 'Hide performance HUD' : 'Show performance HUD', group: 'Action', hint: 'F', keywords: 'fps frame time draw calls stats profiler', run: handleTogglePerfHud },
+      { id: 'perf:export', label: 'Export performance stats', group: 'Action', keywords: 'fps json download benchmark', run: handleExportPerf },
+    ];
+    return [...actions, ...pages, ...effectCommands];
+  }, [
+    route, navigate, isPanelOpen, isComparing, isEditingB, motionMode, qualityMode, isPerfHudVisible,
+    commitControls, commitCompareControls, handleTogglePanel, handleToggleCompare, handleMotionModeChange, handleQualityModeChange, handleTogglePerfHud, handleExportPerf, undo, redo,
+  ]);
+
+  const currentAnimations = route ? ANIMATIONS[activeCategory] : [];
   const currentInfo = currentAnimations[activeExample];
 
-  const activeCategoryData = CATEGORIES.find(c => c.id === activeCategory);
+  const activeCategoryData = route?.category;
+  // Side B's values stay put while the gallery or 404 page is open
+  const showCompare = Boolean(route) && isComparing;
   const isMouseCategory = activeCategoryData?.type === 'mouse';
-  const isDomRenderer = activeCategoryData?.renderer === 'dom';
+
+  const announcement = describeRoute({ gallery, route });
+
+  // The skip link moves focus itself; a bare #hash would go through the router
+  const handleSkipToMain = useCallback((e) => {
+    e.preventDefault();
+    document.getElementById('main-content')?.focus();
+  }, []);
 
   const scrollCategories = CATEGORIES.filter(c => c.type === 'scroll');
   const mouseCategories = CATEGORIES.filter(c => c.type === 'mouse');
 
+  const renderCategoryLink = (cat) => (
+    <Link
+      key={cat.id}
+      to={effectPath(cat.id)}
+      className={`category-btn ${activeCategory === cat.id ? 'active' : ''}`}
+      aria-current={activeCategory === cat.id ? 'page' : undefined}
+      tabIndex={activeCategory === cat.id ? 0 : -1}
+      data-testid={`category-${cat.id}`}
+      title={cat.name}
+    >
+      <span className="category-icon" aria-hidden="true">{cat.icon}</span>
+      <div className="category-info">
+        <span className="category-name">{cat.name}</span>
+        <span className="category-desc">{cat.description}</span>
+      </div>
+    </Link>
+  );
+
   return (
-    <ControlsContext.Provider value={controls}>
-      <div className="app-root" data-testid="app-container">
+    <MotionConfig reducedMotion={motionMode}>
+      <div className="app-root" data-motion={reducedMotion ? 'reduced' : 'full'} data-testid="app-container">
+        <a className="skip-link" href="#main-content" onClick={handleSkipToMain} data-testid="skip-link">Skip to effect</a>
+        <RouteAnnouncer message={announcement} />
+
         {isLoading && (
           <div className="loader-overlay">
             <div className="loader-spinner"></div>
@@ -3165,116 +2537,223 @@ export default function App() {
         )}
 
         {/* Sidebar */}
-        <nav className="sidebar" data-testid="sidebar">
+        <nav className="sidebar" aria-label="Effects" data-testid="sidebar">
           <div className="sidebar-header">
             <h1 className="sidebar-title">Immersive<span>Horizons</span></h1>
             <p className="sidebar-subtitle">3D Interactive Effects</p>
+            <button className="palette-launch" onClick={handleTogglePalette} title="Command palette" data-testid="palette-launch">
+              Commands <kbd>{MOD_KEY} K</kbd>
+            </button>
+            <MotionToggle mode={motionMode} onChange={handleMotionModeChange} />
+            <QualityToggle
+              mode={qualityMode}
+              level={quality.level}
+              antialiasOnReload={antialiasOnReload}
+              onChange={handleQualityModeChange}
+            />
           </div>
 
-          <div className="sidebar-categories">
-            <div className="sidebar-section-label">Scroll Effects</div>
-            {scrollCategories.map(cat => (
-              <button
-                key={cat.id}
-                className={`category-btn ${activeCategory === cat.id ? 'active' : ''}`}
-                onClick={() => handleSetCategory(cat.id)}
-                data-testid={`category-${cat.id}`}
-                title={cat.name}
+          <SidebarSearch>
+            <div className="sidebar-categories" onKeyDown={handleSidebarKeyDown}>
+              <Link
+                to="/gallery"
+                className={`category-btn ${gallery ? 'active' : ''}`}
+                aria-current={gallery ? 'page' : undefined}
+                tabIndex={gallery || !activeCategory ? 0 : -1}
+                data-testid="category-gallery"
+                title="All Effects"
               >
-                <span className="category-icon">{cat.icon}</span>
+                <span className="category-icon" aria-hidden="true">▦</span>
                 <div className="category-info">
-                  <span className="category-name">{cat.name}</span>
-                  <span className="category-desc">{cat.description}</span>
+                  <span className="category-name">All Effects</span>
+                  <span className="category-desc">Live overview grid</span>
                 </div>
-              </button>
-            ))}
+              </Link>
 
-            <div className="sidebar-section-label">Mouseover Effects</div>
-            {mouseCategories.map(cat => (
-              <button
-                key={cat.id}
-                className={`category-btn ${activeCategory === cat.id ? 'active' : ''}`}
-                onClick={() => handleSetCategory(cat.id)}
-                data-testid={`category-${cat.id}`}
-                title={cat.name}
-              >
-                <span className="category-icon">{cat.icon}</span>
-                <div className="category-info">
-                  <span className="category-name">{cat.name}</span>
-                  <span className="category-desc">{cat.description}</span>
-                </div>
-              </button>
-            ))}
-          </div>
+              <div className="sidebar-section-label">Scroll Effects</div>
+              {scrollCategories.map(renderCategoryLink)}
+
+              <div className="sidebar-section-label">Mouseover Effects</div>
+              {mouseCategories.map(renderCategoryLink)}
+            </div>
+          </SidebarSearch>
         </nav>
 
         {/* Main Content */}
-        <main className="main-content">
-          <div className="example-tabs" data-testid="example-tabs">
-            {currentAnimations.map((anim, i) => (
+        <main className="main-content" id="main-content" tabIndex={-1}>
+          {gallery && <Gallery scrollRef={galleryScrollRef} />}
+          {!gallery && !route && <NotFound />}
+          {route && (
+            <nav className="example-tabs" aria-label={`${activeCategoryData.name} examples`} onKeyDown={handleExampleTabsKeyDown} data-testid="example-tabs">
+              {currentAnimations.map((anim, i) => (
+                <Link
+                  key={i}
+                  to={effectPath(activeCategory, i)}
+                  className={`example-tab ${activeExample === i ? 'active' : ''}`}
+                  aria-current={activeExample === i ? 'page' : undefined}
+                  tabIndex={activeExample === i ? 0 : -1}
+                  data-testid={`example-tab-${i}`}
+                >
+                  Example {i + 1}: {anim.name}
+                </Link>
+              ))}
               <button
-                key={i}
-                className={`example-tab ${activeExample === i ? 'active' : ''}`}
-                onClick={() => handleSetExample(i)}
-                data-testid={`example-tab-${i}`}
+                className={`example-tab compare-toggle ${isComparing ? 'active' : ''}`}
+                onClick={handleToggleCompare}
+                aria-pressed={isComparing}
+                title="Compare two parameter sets side by side"
+                data-testid="compare-toggle"
               >
-                Example {i + 1}: {anim.name}
+                Compare A/B
               </button>
-            ))}
-          </div>
-
-          <div className="canvas-container">
-            {isDomRenderer ? (
-              <div className="dom-scene" key={`${activeCategory}-${activeExample}`}>
-                <CurrentComponent />
+              <div className="capture-anchor">
+                <button
+                  className={`example-tab ${openMenu === 'capture' ? 'active' : ''}`}
+                  onClick={handleToggleCapture}
+                  aria-expanded={openMenu === 'capture'}
+                  title="Download a still of this effect as a PNG"
+                  data-testid="capture-toggle"
+                >
+                  Capture
+                </button>
+                {openMenu === 'capture' && (
+                  <CaptureMenu
+                    options={captureOptions}
+                    onChange={setCaptureOptions}
+                    viewportRef={viewportARef}
+                    onCapture={handleCapture}
+                    onClose={handleCloseMenu}
+                  />
+                )}
+              </div>
+              <div className="capture-anchor">
+                <button
+                  className={`example-tab ${openMenu === 'record' ? 'active' : ''}`}
+                  onClick={handleToggleRecord}
+                  aria-expanded={openMenu === 'record'}
+                  title="Record a WebM or GIF clip of this effect"
+                  data-testid="record-toggle"
+                >
+                  Record
+                </button>
+                {openMenu === 'record' && (
+                  <RecordMenu
+                    options={recordOptions}
+                    onChange={setRecordOptions}
+                    viewportRef={viewportARef}
+                    drive={activeCategoryData.type}
+                    available={activeCategoryData.renderer !== 'dom'}
+                    onRecord={handleRecord}
+                    onClose={handleCloseMenu}
+                  />
+                )}
               </div>
-            ) : (
-              <Canvas
-                key={`${activeCategory}-${activeExample}`}
-                camera={{ position: [0, 0, 10], fov: 55 }}
-                gl={{ antialias: true, powerPreference: 'high-performance' }}
+            </nav>
+          )}
+
+          {/* Mounted on every route, so viewport A's WebGL context lasts as long as the page */}
+          <div
+            className={`canvas-container ${gallery ? 'gallery-stage' : ''} ${showCompare ? 'comparing' : ''}`}
+            hidden={!route && !gallery}
+          >
+            <EffectViewport
+              category={activeCategory}
+              exampleIndex={activeExample}
+              controls={controls}
+              quality={quality}
+              onQualityFactor={qualityMode === 'auto' && route ? setAutoQualityFactor : null}
+              viewportRef={viewportARef}
+              galleryRef={gallery ? galleryScrollRef : null}
+              scrollGroup={showCompare ? scrollGroup : null}
+              scrollProgressRef={scrollProgressRef}
+              frameClock={frameClock}
+              captureRef={captureRef}
+              recorderRef={recorderRef}
+              perfLog={isPerfHudVisible && route ? perfLog : null}
+              keyboardScroll
+            >
+              {isPerfHudVisible && route && (
+                <PerfHud
+                  log={perfLog}
+                  category={activeCategory}
+                  exampleIndex={activeExample}
+                  canvas={activeCategoryData.renderer !== 'dom'}
+                  onExport={handleExportPerf}
+                  onClose={handleTogglePerfHud}
+                />
+              )}
+              {showCompare && (
+                <CompareBadge side="a" editing={editingSide === 'a'} onEdit={() => setEditingSide('a')} onPromote={() => handlePromote('a')} />
+              )}
+            </EffectViewport>
+            {showCompare && (
+              <EffectViewport
+                category={activeCategory}
+                exampleIndex={activeExample}
+                controls={compareControls}
+                quality={quality}
+                viewportRef={viewportBRef}
+                scrollGroup={scrollGroup}
               >
-                <color attach="background" args={['#050505']} />
-                <Suspense fallback={null}>
-                  {isMouseCategory ? (
-                    <MouseScene>
-                      <CurrentComponent />
-                    </MouseScene>
-                  ) : (
-                    <AnimationScene pages={3}>
-                      <CurrentComponent />
-                    </AnimationScene>
-                  )}
-                </Suspense>
-              </Canvas>
+                <CompareBadge side="b" editing={editingSide === 'b'} onEdit={() => setEditingSide('b')} onPromote={() => handlePromote('b')} />
+              </EffectViewport>
             )}
           </div>
 
-          <div className="info-panel" data-testid="info-panel">
-            <h2 className="info-title">{currentInfo.name}</h2>
-            <p className="info-desc">{currentInfo.description}</p>
-            <div className="scroll-hint">
-              {isMouseCategory ? (
-                <><span>🖱</span> Hover to interact</>
-              ) : (
-                <><span>↕</span> Scroll to interact</>
-              )}
-            </div>
-          </div>
+          {route && (
+            <section className="info-panel" aria-labelledby="info-title" data-testid="info-panel">
+              <h2 className="info-title" id="info-title">{currentInfo.name}</h2>
+              <p className="info-desc">{currentInfo.description}</p>
+              <div className="scroll-hint">
+                {isMouseCategory ? (
+                  <><span aria-hidden="true">🖱</span> Hover to interact</>
+                ) : (
+                  <><span aria-hidden="true">↕</span> Scroll to interact</>
+                )}
+              </div>
+            </section>
+          )}
         </main>
 
         {/* Right Panel */}
-        <RightPanel
-          isOpen={isPanelOpen}
-          onToggle={handleTogglePanel}
-          activeTab={activeTab}
-          setActiveTab={setActiveTab}
-          category={activeCategory}
-          example={activeExample}
-          controls={controls}
-          setControls={setControls}
-        />
+        {route && !gallery && (
+          <RightPanel
+            isOpen={isPanelOpen}
+            onToggle={handleTogglePanel}
+            activeTab={activeTab}
+            setActiveTab={setActiveTab}
+            category={activeCategory}
+            example={activeExample}
+            controls={isEditingB ? compareControls : controls}
+            setControls={isEditingB ? setCompareControls : setControls}
+            commitControls={isEditingB ? commitCompareControls : commitControls}
+            history={editedHistory}
+            editingLabel={isComparing ? `Editing ${editingSide.toUpperCase()}` : null}
+            scrollProgressRef={scrollProgressRef}
+            frameClock={frameClock}
+            actionsRef={panelActionsRef}
+          />
+        )}
+
+        <CommandPalette isOpen={isPaletteOpen} onClose={handleClosePalette} commands={commands} />
+        {isShortcutsOpen && <ShortcutsOverlay onClose={handleCloseShortcuts} />}
       </div>
-    </ControlsContext.Provider>
+    </MotionConfig>
+  );
+};
+
+export default function App() {
+  return (
+    <Routes>
+      <Route path="/" element={<Navigate to={DEFAULT_PATH} replace />} />
+      <Route path="/effects/:categoryId" element={<CategoryRedirect />} />
+      <Route path="*" element={<Showcase />} />
+    </Routes>
   );
 }
+
+// The effect catalogue, for tests that walk every example
+export {
+  CATEGORIES, ANIMATIONS, getExampleControls, coerceControl, encodeControls, decodeControls, sanitizeControls,
+  useControlsHistory, HISTORY_LIMIT, COALESCE_MS, toSearchTerms, searchEffects, EffectViewport,
+};
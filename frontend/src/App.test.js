@@ -0,0 +1,175 @@
+import React from 'react';
+import { render, screen, within, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, useNavigate } from 'react-router-dom';
+import { axe } from 'jest-axe';
+import App, { CATEGORIES, ANIMATIONS, getExampleControls } from './App';
+
+// jsdom has no WebGL, so canvases render as their labelled wrapper only. The
+// shell around them is what these tests cover
+jest.mock('@react-three/fiber', () => {
+  const { createElement } = require('react');
+  const Canvas = ({ children, camera, dpr, frameloop, gl, eventSource, eventPrefix, ...props }) => createElement('div', props);
+  return { ...jest.requireActual('@react-three/fiber'), Canvas };
+});
+
+// Hands the test the router's navigate, for back and forward
+const navigateRef = { current: null };
+const NavigateProbe = () => {
+  navigateRef.current = useNavigate();
+  return null;
+};
+
+// Runs the loader overlay's timer out up front so it doesn't update the page
+// mid-test. More than one path fills the history, ending on the last
+const renderAt = (...paths) => {
+  jest.useFakeTimers();
+  const view = render(
+    <MemoryRouter initialEntries={paths} initialIndex={paths.length - 1}>
+      <App />
+      <NavigateProbe />
+    </MemoryRouter>,
+  );
+  act(() => jest.advanceTimersByTime(1000));
+  jest.useRealTimers();
+  return view;
+};
+
+describe('app shell accessibility', () => {
+  test('has no axe violations on an effect page', async () => {
+    const { container } = renderAt('/effects/tunnel/1');
+    expect(await axe(container)).toHaveNoViolations();
+    fireEvent.click(screen.getByRole('tab', { name: 'Tweak' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('has no axe violations in the gallery', async () => {
+    const { container } = renderAt('/gallery');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('exposes the shell landmarks', () => {
+    renderAt('/effects/tunnel/1');
+    expect(screen.getByRole('navigation', { name: 'Effects' })).toBeInTheDocument();
+    expect(screen.getByRole('main')).toBeInTheDocument();
+    expect(screen.getByRole('complementary', { name: 'Code and controls' })).toBeInTheDocument();
+    expect(screen.getByRole('navigation', { name: 'Tunnel Effects examples' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('link', { name: 'Skip to effect' }));
+    expect(screen.getByRole('main')).toHaveFocus();
+  });
+
+  test.each(CATEGORIES.map(category => [category.name, category.id]))('labels every %s control', (name, categoryId) => {
+    renderAt(`/effects/${categoryId}/1`);
+    fireEvent.click(screen.getByRole('tab', { name: 'Tweak' }));
+    const panel = screen.getByRole('tabpanel');
+    getExampleControls(categoryId, 0).forEach((ctrl) => {
+      const field = within(panel).getByTestId(`control-${ctrl.key}`);
+      const labelled = ctrl.type === 'vec3'
+        ? within(panel).getByRole('group', { name: ctrl.label })
+        : within(panel).getByLabelText(ctrl.label);
+      expect(labelled).toBe(field);
+    });
+  });
+
+  test('announces route changes in a polite live region', () => {
+    renderAt('/effects/tunnel/1');
+    const announcer = screen.getByTestId('route-announcer');
+    expect(announcer).toHaveAttribute('role', 'status');
+    expect(announcer).toHaveAttribute('aria-live', 'polite');
+    expect(announcer).toHaveTextContent(/^Ring Tunnel, example 1 of \d+ in Tunnel Effects$/);
+
+    fireEvent.click(within(screen.getByRole('navigation', { name: 'Tunnel Effects examples' })).getAllByRole('link')[1]);
+    expect(announcer).toHaveTextContent(/, example 2 of \d+ in Tunnel Effects$/);
+
+    fireEvent.click(screen.getByTestId('category-gallery'));
+    expect(announcer).toHaveTextContent(/^All Effects gallery, \d+ examples$/);
+  });
+
+  test('reaches every sidebar category from the keyboard', () => {
+    renderAt('/effects/tunnel/1');
+    const links = within(screen.getByRole('navigation', { name: 'Effects' }))
+      .getAllByRole('link')
+      .filter(link => link.classList.contains('category-btn'));
+    const current = screen.getByTestId('category-tunnel');
+    // One tab stop for the list, on the current page
+    expect(links.filter(link => link.tabIndex === 0)).toEqual([current]);
+    expect(current).toHaveAttribute('aria-current', 'page');
+
+    act(() => current.focus());
+    fireEvent.keyDown(current, { key: 'End' });
+    expect(links[links.length - 1]).toHaveFocus();
+    fireEvent.keyDown(links[links.length - 1], { key: 'ArrowDown' });
+    expect(links[0]).toHaveFocus();
+    links.slice(1).forEach((link, i) => {
+      fireEvent.keyDown(links[i], { key: 'ArrowDown' });
+      expect(link).toHaveFocus();
+    });
+  });
+});
+
+describe('renderer', () => {
+  test('keeps one canvas across routes, quality changes and compare mode', () => {
+    renderAt('/effects/tunnel/1');
+    const canvas = screen.getByTestId('viewport-canvas');
+
+    fireEvent.click(screen.getByTestId('quality-low'));
+    fireEvent.click(screen.getByTestId('quality-high'));
+    fireEvent.click(screen.getByTestId('category-gallery'));
+    expect(screen.getByTestId('viewport-canvas')).toBe(canvas);
+
+    fireEvent.click(screen.getByTestId('gallery-tile-dof-0'));
+    expect(screen.getByRole('img', { name: ANIMATIONS.dof[0].alt })).toBe(canvas);
+
+    // Side B brings a second context of its own
+    fireEvent.click(screen.getByTestId('compare-toggle'));
+    expect(screen.getAllByTestId('viewport-canvas')).toEqual([canvas, expect.anything()]);
+    fireEvent.click(screen.getByTestId('compare-toggle'));
+    fireEvent.click(screen.getByTestId('quality-auto'));
+  });
+
+  test('says when the chosen antialiasing waits on a reload', () => {
+    renderAt('/effects/tunnel/0');
+    const note = screen.getByTestId('quality-note');
+    // Auto loads at High, which antialiases
+    expect(note).toBeEmptyDOMElement();
+
+    fireEvent.click(screen.getByTestId('quality-low'));
+    expect(note).toHaveTextContent('Antialiasing turns off after a reload');
+    fireEvent.click(screen.getByTestId('quality-medium'));
+    expect(note).toBeEmptyDOMElement();
+    fireEvent.click(screen.getByTestId('quality-auto'));
+  });
+});
+
+describe('control values in the URL', () => {
+  test('follow back, forward and links within a category', () => {
+    renderAt('/effects/tunnel/1?travelSpeed=80', '/effects/tunnel/1?travelSpeed=150');
+    fireEvent.click(screen.getByRole('tab', { name: 'Tweak' }));
+    const travelSpeed = () => screen.getByTestId('control-travelSpeed');
+    expect(travelSpeed()).toHaveValue('150');
+
+    act(() => navigateRef.current(-1));
+    expect(travelSpeed()).toHaveValue('80');
+    act(() => navigateRef.current(1));
+    expect(travelSpeed()).toHaveValue('150');
+    act(() => navigateRef.current('/effects/tunnel/1?travelSpeed=120'));
+    expect(travelSpeed()).toHaveValue('120');
+
+    // Example tabs link without values; the current ones carry over
+    fireEvent.click(screen.getByTestId('example-tab-1'));
+    expect(travelSpeed()).toHaveValue('120');
+  });
+});
+
+describe('presets', () => {
+  test('apply over the current values and keep the seed', () => {
+    renderAt('/effects/dof/1');
+    fireEvent.click(screen.getByRole('tab', { name: 'Tweak' }));
+    fireEvent.change(screen.getByTestId('control-seed'), { target: { value: '4242' } });
+    fireEvent.change(screen.getByTestId('preset-select'), { target: { value: 'builtin:Dramatic' } });
+
+    expect(screen.getByTestId('control-seed')).toHaveValue(4242);
+    expect(screen.getByTestId('control-focalRange')).toHaveValue('1.5');
+    expect(screen.getByTestId('preset-select')).toHaveValue('builtin:Dramatic');
+  });
+});
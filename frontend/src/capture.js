@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useThree } from '@react-three/fiber';
+
+// ============================================================
+// CAPTURE - PNG stills of the active effect at any resolution
+// ============================================================
+// The viewport registers a capture function on a ref: CaptureProbe inside a
+// Canvas, useElementCapture for DOM scenes. Either one resolves to a PNG Blob:
+//   captureRef.current({ width, height, transparent }) -> Promise<Blob>
+
+const CAPTURE_SCALES = [1, 2, 4];
+const DEFAULT_CAPTURE = { scale: 2, width: 1920, height: 1080, transparent: false };
+
+// Matches the scene's <color attach="background"> and the .dom-scene fill
+const BACKGROUND = '#050505';
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Capture failed: the image is too large'))), 'image/png');
+});
+
+// Output size for the menu's choice; scales are relative to the on-screen viewport
+const resolveCaptureSize = (options, viewportSize) => (options.scale === 'custom'
+  ? { width: options.width, height: options.height }
+  : { width: Math.round(viewportSize.width * options.scale), height: Math.round(viewportSize.height * options.scale) });
+
+// ============================================================
+// CANVAS CAPTURE - Re-render the scene once at the requested size
+// ============================================================
+// Oversized buffers get silently clamped by the browser; shrink to fit instead
+const fitToRenderer = (gl, width, height) => {
+  const context = gl.getContext();
+  const [maxWidth, maxHeight] = context.getParameter(context.MAX_VIEWPORT_DIMS);
+  const fit = Math.min(1, maxWidth / width, maxHeight / height);
+  return { width: Math.floor(width * fit), height: Math.floor(height * fit) };
+};
+
+// Sizes the drawing buffer and camera for an off-screen output without touching the
+// canvas's CSS size. Returns a function that puts both back for on-screen frames
+const resizeRenderer = ({ gl, camera, size }, width, height) => {
+  const pixelRatio = gl.getPixelRatio();
+  const aspect = camera.aspect;
+
+  gl.setPixelRatio(1);
+  gl.setSize(width, height, false);
+  if (camera.isPerspectiveCamera) {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  }
+
+  return () => {
+    gl.setPixelRatio(pixelRatio);
+    gl.setSize(size.width, size.height, false);
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect;
+      camera.updateProjectionMatrix();
+    }
+  };
+};
+
+// Renders synchronously and copies the pixels out before the browser composites,
+// so the drawing buffer is still intact without preserveDrawingBuffer
+const renderScene = (state, { width, height, transparent }) => {
+  const { gl, scene, camera } = state;
+  const out = document.createElement('canvas');
+  Object.assign(out, fitToRenderer(gl, width, height));
+
+  const background = scene.background;
+  const clearAlpha = gl.getClearAlpha();
+  const restoreSize = resizeRenderer(state, out.width, out.height);
+  if (transparent) {
+    scene.background = null;
+    gl.setClearAlpha(0);
+  }
+  gl.render(scene, camera);
+  out.getContext('2d').drawImage(gl.domElement, 0, 0);
+
+  scene.background = background;
+  gl.setClearAlpha(clearAlpha);
+  restoreSize();
+  return out;
+};
+
+// Lives inside the Canvas, where useThree can reach the renderer
+const CaptureProbe = ({ captureRef }) => {
+  const get = useThree(state => state.get);
+
+  useEffect(() => {
+    const capture = (options) => canvasToBlob(renderScene(get(), options));
+    captureRef.current = capture;
+    return () => {
+      if (captureRef.current === capture) captureRef.current = null;
+    };
+  }, [get, captureRef]);
+
+  return null;
+};
+
+// ============================================================
+// DOM CAPTURE - Rasterize a DOM scene through an SVG foreignObject
+// ============================================================
+// Computed styles are copied inline onto a clone so the snapshot doesn't depend
+// on the page's stylesheets. Pseudo-elements and web fonts that aren't installed
+// locally don't survive the trip; the DOM effects use neither for their visuals.
+const inlineStyles = (source, clone) => {
+  const computed = window.getComputedStyle(source);
+  clone.style.cssText = Array.from(computed).map(name => `${name}:${computed.getPropertyValue(name)}`).join(';');
+  [...source.children].forEach((child, i) => inlineStyles(child, clone.children[i]));
+};
+
+const renderElement = async (element, { width, height, transparent }) => {
+  const { width: elWidth, height: elHeight } = element.getBoundingClientRect();
+  const clone = element.cloneNode(true);
+  inlineStyles(element, clone);
+  clone.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+  clone.style.margin = '0';
+  if (transparent) clone.style.background = 'transparent';
+
+  const markup = new XMLSerializer().serializeToString(clone);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${elWidth} ${elHeight}">`
+    + `<foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext('2d');
+  if (!transparent) {
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(image, 0, 0, width, height);
+  return out;
+};
+
+// Registers a capture function for a DOM scene while `enabled`
+const useElementCapture = (captureRef, elementRef, enabled) => {
+  useEffect(() => {
+    if (!captureRef || !enabled) return;
+    const capture = async (options) => canvasToBlob(await renderElement(elementRef.current, options));
+    captureRef.current = capture;
+    return () => {
+      if (captureRef.current === capture) captureRef.current = null;
+    };
+  }, [captureRef, elementRef, enabled]);
+};
+
+// ============================================================
+// CAPTURE MENU - Resolution and background picker
+// ============================================================
+// On-screen size of the element being captured, kept current across window resizes
+const useViewportSize = (viewportRef) => {
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const measure = () => {
+      const rect = viewportRef.current?.getBoundingClientRect();
+      if (rect) setViewportSize({ width: rect.width, height: rect.height });
+    };
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [viewportRef]);
+
+  return viewportSize;
+};
+
+// `viewportRef` is the element being captured; the scale buttons are relative to its size
+const CaptureMenu = ({ options, onChange, viewportRef, onCapture, onClose }) => {
+  const [status, setStatus] = useState(null);
+  const viewportSize = useViewportSize(viewportRef);
+  const { width, height } = resolveCaptureSize(options, viewportSize);
+  const isValid = width > 0 && height > 0;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleCapture = useCallback(async () => {
+    setStatus('Capturing…');
+    try {
+      await onCapture({ width, height, transparent: options.transparent });
+      setStatus(null);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }, [onCapture, width, height, options.transparent]);
+
+  const setSize = (key) => (e) => onChange({ ...options, [key]: Math.max(0, parseInt(e.target.value, 10) || 0) });
+
+  return (
+    <div className="capture-menu" role="dialog" aria-label="Capture PNG" data-testid="capture-menu">
+      <div className="capture-scales" role="group" aria-label="Resolution">
+        {[...CAPTURE_SCALES, 'custom'].map(scale => (
+          <button
+            key={scale}
+            className={`preset-btn ${options.scale === scale ? 'active' : ''}`}
+            onClick={() => onChange({ ...options, scale })}
+            aria-pressed={options.scale === scale}
+            data-testid={`capture-scale-${scale}`}
+          >
+            {scale === 'custom' ? 'Custom' : `${scale}x`}
+          </button>
+        ))}
+      </div>
+      {options.scale === 'custom' && (
+        <div className="capture-size">
+          <input type="number" min="1" value={options.width} onChange={setSize('width')} aria-label="Width in pixels" data-testid="capture-width" />
+          <span aria-hidden="true">×</span>
+          <input type="number" min="1" value={options.height} onChange={setSize('height')} aria-label="Height in pixels" data-testid="capture-height" />
+        </div>
+      )}
+      <label className="capture-option">
+        <input
+          type="checkbox"
+          checked={options.transparent}
+          onChange={(e) => onChange({ ...options, transparent: e.target.checked })}
+          data-testid="capture-transparent"
+        />
+        Transparent background
+      </label>
+      <button className="reset-btn" onClick={handleCapture} disabled={!isValid} data-testid="capture-download">
+        Download PNG · {width} × {height}
+      </button>
+      {status && <p className="capture-status" role="status">{status}</p>}
+    </div>
+  );
+};
+
+export { DEFAULT_CAPTURE, fitToRenderer, resizeRenderer, useViewportSize, CaptureProbe, useElementCapture, CaptureMenu };
@@ -0,0 +1,217 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+
+// ============================================================
+// COMMAND PALETTE - Ctrl/Cmd+K launcher for effects and actions
+// ============================================================
+// Commands are plain objects supplied by the caller:
+//   { id, label, group, hint?, keywords?, run }
+// `id` must be stable across renders; it's what the recent list remembers.
+
+// Modifier shown in shortcut hints
+const MOD_KEY = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+
+const RECENT_STORAGE_KEY = 'immersive-horizons:recent-commands';
+const RECENT_LIMIT = 8;
+
+const readRecentCommands = () => {
+  try {
+    const ids = JSON.parse(window.localStorage.getItem(RECENT_STORAGE_KEY));
+    return Array.isArray(ids) ? ids.filter(id => typeof id === 'string').slice(0, RECENT_LIMIT) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeRecentCommands = (ids) => {
+  try {
+    window.localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(ids));
+  } catch {
+    // Storage full or disabled - recents last for this session only
+  }
+};
+
+const isWordStart = (text, i) => i === 0 || /[\s\-:/(]/.test(text[i - 1]);
+
+// Subsequence match: every query character must appear in order. Runs of
+// consecutive characters and hits on word starts score higher, so "rt" ranks
+// "Ring Tunnel" above "Particle Starfield". Returns null when nothing matches
+const fuzzyMatch = (query, text, preferWordStarts = true) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  const indexes = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of needle) {
+    let i = haystack.indexOf(ch, from);
+    if (i === -1) {
+      // Jumping ahead to a word start can skip characters a plain scan would use
+      return preferWordStarts ? fuzzyMatch(query, text, false) : null;
+    }
+    const previous = indexes[indexes.length - 1];
+    // Prefer the next word start holding this character over a mid-word hit
+    if (preferWordStarts && i !== previous + 1 && !isWordStart(haystack, i)) {
+      for (let j = i + 1; j < haystack.length; j++) {
+        if (haystack[j] === ch && isWordStart(haystack, j)) {
+          i = j;
+          break;
+        }
+      }
+    }
+    score += 1;
+    if (i === previous + 1) score += 3;
+    if (isWordStart(haystack, i)) score += 2;
+    indexes.push(i);
+    from = i + 1;
+  }
+  // Shorter labels win ties
+  return { score: score - haystack.length * 0.01, indexes };
+};
+
+// Label matches are highlighted; keyword-only matches count for less
+const matchCommand = (command, query) => {
+  const label = fuzzyMatch(query, command.label);
+  if (label) return label;
+  const keywords = command.keywords && fuzzyMatch(query, command.keywords);
+  return keywords ? { score: keywords.score * 0.5, indexes: [] } : null;
+};
+
+// Empty query: recents first, then everything in the caller's order.
+// Otherwise fuzzy score plus a bonus that fades with how long ago a command ran
+const rankCommands = (commands, query, recent) => {
+  const recency = (id) => {
+    const rank = recent.indexOf(id);
+    return rank === -1 ? 0 : (RECENT_LIMIT - rank) * 1.5;
+  };
+
+  if (!query.trim()) {
+    const recentCommands = recent
+      .map(id => commands.find(c => c.id === id))
+      .filter(Boolean)
+      .map(command => ({ command, indexes: [], isRecent: true }));
+    const rest = commands
+      .filter(c => !recent.includes(c.id))
+      .map(command => ({ command, indexes: [], isRecent: false }));
+    return [...recentCommands, ...rest];
+  }
+
+  return commands
+    .map(command => {
+      const match = matchCommand(command, query);
+      return match && { command, indexes: match.indexes, score: match.score + recency(command.id), isRecent: recent.includes(command.id) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
+
+const HighlightIndexes = ({ text, indexes }) => {
+  if (!indexes.length) return text;
+  const marked = new Set(indexes);
+  return [...text].map((ch, i) => (marked.has(i) ? <mark key={i} className="search-mark">{ch}</mark> : ch));
+};
+
+/**
+ * Toggle the palette with Ctrl+K (Cmd+K on macOS). Works from inside inputs too,
+ * since that's where keyboard users usually are.
+ */
+const useCommandPaletteHotkey = (onToggle) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'k') return;
+      e.preventDefault();
+      onToggle();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onToggle]);
+};
+
+const CommandPalette = ({ isOpen, onClose, commands }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recent, setRecent] = useState(readRecentCommands);
+  const listRef = useRef();
+
+  const results = useMemo(() => rankCommands(commands, query, recent), [commands, query, recent]);
+
+  // Every open starts from a blank query
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setActiveIndex(0);
+  }, [isOpen]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = useCallback((command) => {
+    const next = [command.id, ...recent.filter(id => id !== command.id)].slice(0, RECENT_LIMIT);
+    setRecent(next);
+    writeRecentCommands(next);
+    onClose();
+    command.run();
+  }, [recent, onClose]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      runCommand(results[activeIndex].command);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  }, [results, activeIndex, runCommand, onClose]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="palette-backdrop" onMouseDown={onClose} data-testid="command-palette">
+      <div className="palette" role="dialog" aria-modal="true" aria-label="Command palette" onMouseDown={(e) => e.stopPropagation()}>
+        <input
+          className="palette-input"
+          placeholder="Jump to an effect or run a command…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results.length ? `palette-option-${activeIndex}` : undefined}
+          autoFocus
+          data-testid="palette-input"
+        />
+        <ul className="palette-results" id="palette-results" role="listbox" ref={listRef}>
+          {results.map(({ command, indexes, isRecent }, i) => (
+            <li
+              key={command.id}
+              id={`palette-option-${i}`}
+              className={`palette-option ${i === activeIndex ? 'selected' : ''}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              onMouseEnter={() => setActiveIndex(i)}
+              onClick={() => runCommand(command)}
+              data-testid={`palette-option-${i}`}
+            >
+              <span className="palette-group">{isRecent ? 'Recent' : command.group}</span>
+              <span className="palette-label"><HighlightIndexes text={command.label} indexes={indexes} /></span>
+              {command.hint && <span className="palette-hint">{command.hint}</span>}
+            </li>
+          ))}
+          {!results.length && <li className="palette-empty">No matching commands</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export { CommandPalette, useCommandPaletteHotkey, MOD_KEY, fuzzyMatch, rankCommands, RECENT_STORAGE_KEY, RECENT_LIMIT };
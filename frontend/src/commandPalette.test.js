@@ -0,0 +1,121 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { CommandPalette, fuzzyMatch, rankCommands, RECENT_STORAGE_KEY, RECENT_LIMIT } from './commandPalette';
+
+const command = (id, label, keywords) => ({ id, label, group: 'Effect', keywords, run: jest.fn() });
+
+const COMMANDS = [
+  command('tunnel', 'Ring Tunnel'),
+  command('starfield', 'Particle Starfield'),
+  command('waves', 'Liquid Waves', 'shader water'),
+  command('copy-link', 'Copy link', 'share url'),
+];
+
+const labels = (results) => results.map(result => result.command.label);
+
+describe('fuzzyMatch', () => {
+  test.each([
+    ['word starts', 'rt', 'Ring Tunnel', [0, 5]],
+    ['a run of characters', 'tun', 'Ring Tunnel', [5, 6, 7]],
+    ['ignoring spaces in the query', 'ring tun', 'Ring Tunnel', [0, 1, 2, 3, 5, 6, 7]],
+    ['ignoring case', 'RING', 'ring', [0, 1, 2, 3]],
+    ['a later word start over a mid-word hit', 'ps', 'Particle Starfield', [0, 9]],
+    ['mid-word when the word start leaves nothing to match', 'bc', 'abc bd', [1, 2]],
+  ])('finds %s', (name, query, text, indexes) => {
+    expect(fuzzyMatch(query, text).indexes).toEqual(indexes);
+  });
+
+  test('returns null when the characters are not all there in order', () => {
+    expect(fuzzyMatch('tr', 'Ring Tunnel')).toBeNull();
+    expect(fuzzyMatch('xyz', 'Ring Tunnel')).toBeNull();
+  });
+
+  test('scores one per character, plus runs and word starts, less a little per label character', () => {
+    // r: 1 + 2 for the word start; i: 1 + 3 for following r
+    expect(fuzzyMatch('ri', 'Ring').score).toBeCloseTo(7 - 0.04);
+  });
+
+  test.each([
+    ['word starts above scattered hits', 'rt', 'Ring Tunnel', 'Particle Starfield'],
+    ['runs above gaps', 'wave', 'Liquid Waves', 'Wide Angle View Editor'],
+    ['shorter labels on ties', 'copy', 'Copy link', 'Copy link to clipboard'],
+  ])('ranks %s', (name, query, better, worse) => {
+    expect(fuzzyMatch(query, better).score).toBeGreaterThan(fuzzyMatch(query, worse).score);
+  });
+});
+
+describe('rankCommands', () => {
+  test('lists recent commands first, newest first, when the query is empty', () => {
+    const results = rankCommands(COMMANDS, '  ', ['copy-link', 'gone', 'starfield']);
+    expect(labels(results)).toEqual(['Copy link', 'Particle Starfield', 'Ring Tunnel', 'Liquid Waves']);
+    expect(results.map(result => result.isRecent)).toEqual([true, true, false, false]);
+  });
+
+  test('drops commands that do not match and sorts the rest by score', () => {
+    expect(labels(rankCommands(COMMANDS, 'ring', []))).toEqual(['Ring Tunnel']);
+    const scores = rankCommands(COMMANDS, 'i', []).map(result => result.score);
+    expect(scores).toHaveLength(COMMANDS.length);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  test('counts keyword matches for less and highlights nothing', () => {
+    const [url, ...rest] = rankCommands(COMMANDS, 'url', []);
+    expect(url.command.id).toBe('copy-link');
+    expect(url.indexes).toEqual([]);
+    expect(rest).toEqual([]);
+    expect(url.score).toBeCloseTo(fuzzyMatch('url', 'share url').score / 2);
+  });
+
+  test('lifts recently run commands', () => {
+    // "r" starts a word in Ring Tunnel but not in Particle Starfield
+    const [best] = rankCommands(COMMANDS, 'r', []);
+    expect(best.command.id).toBe('tunnel');
+    const [recentBest] = rankCommands(COMMANDS, 'r', ['starfield']);
+    expect(recentBest.command.id).toBe('starfield');
+    expect(recentBest.isRecent).toBe(true);
+  });
+});
+
+describe('recent commands', () => {
+  const MANY = Array.from({ length: RECENT_LIMIT + 3 }, (_, i) => command(`command-${i}`, `Command ${i}`));
+
+  const stored = () => JSON.parse(window.localStorage.getItem(RECENT_STORAGE_KEY));
+
+  const renderPalette = () => render(<CommandPalette isOpen onClose={jest.fn()} commands={MANY} />);
+
+  beforeEach(() => window.localStorage.clear());
+
+  test(`keeps the last ${RECENT_LIMIT} commands run, newest first`, () => {
+    renderPalette();
+    MANY.forEach(({ label }) => fireEvent.click(screen.getByText(label)));
+
+    const expected = MANY.slice(-RECENT_LIMIT).reverse().map(({ id }) => id);
+    expect(stored()).toEqual(expected);
+    MANY.forEach(({ run }) => expect(run).toHaveBeenCalledTimes(1));
+  });
+
+  test('moves a command run again to the front instead of listing it twice', () => {
+    renderPalette();
+    ['Command 0', 'Command 1', 'Command 2', 'Command 0'].forEach(label => fireEvent.click(screen.getByText(label)));
+    expect(stored()).toEqual(['command-0', 'command-2', 'command-1']);
+  });
+
+  test('ignores stored ids that are not strings and anything past the limit', () => {
+    const ids = MANY.map(({ id }) => id);
+    window.localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify([ids[3], 7, null, ...ids.slice(4)]));
+    renderPalette();
+
+    const recent = screen.getAllByText('Recent');
+    expect(recent).toHaveLength(RECENT_LIMIT);
+    expect(screen.getByTestId('palette-option-0')).toHaveTextContent('Command 3');
+  });
+
+  test.each([
+    ['an object', '{"not": "a list"}'],
+    ['broken JSON', '["command-0"'],
+  ])('starts empty when storage holds %s', (name, value) => {
+    window.localStorage.setItem(RECENT_STORAGE_KEY, value);
+    renderPalette();
+    expect(screen.queryByText('Recent')).not.toBeInTheDocument();
+  });
+});
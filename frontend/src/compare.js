@@ -0,0 +1,134 @@
+import { useEffect } from 'react';
+import { useScroll } from '@react-three/drei';
+
+// ============================================================
+// A/B COMPARE - Keep two viewports of the same effect in lockstep
+// ============================================================
+
+// Members of a group follow whichever ScrollControls container the user scrolls.
+// Both sides have the same page count and size, so scrollTop maps one to one.
+const createScrollGroup = () => new Set();
+
+// Lives inside ScrollControls, where useScroll exposes the scroll container
+const ScrollSync = ({ group }) => {
+  const { el } = useScroll();
+
+  useEffect(() => {
+    const follow = (top) => {
+      // Programmatic scrolls echo back as scroll events; ignore sub-pixel noise
+      if (Math.abs(el.scrollTop - top) > 1) el.scrollTop = top;
+    };
+    const handleScroll = () => group.forEach(member => member !== follow && member(el.scrollTop));
+    group.add(follow);
+    el.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      group.delete(follow);
+      el.removeEventListener('scroll', handleScroll);
+    };
+  }, [el, group]);
+
+  return null;
+};
+
+// ============================================================
+// POINTER MIRROR - Replay real pointer input on the other viewport
+// ============================================================
+// Synthetic events land on whatever sits at the same relative position in the
+// mirror, so R3F raycasting (onPointerOver, state.pointer) and DOM hover handlers
+// react exactly as they would to a real cursor. Only trusted events are mirrored,
+// which stops the two sides from echoing each other.
+
+// Safari < 13 has no PointerEvent constructor
+const PointerEventClass = typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+
+const MOVE_EVENTS = [['pointermove', PointerEventClass], ['mousemove', MouseEvent]];
+const OVER_EVENTS = [['pointerover', PointerEventClass], ['mouseover', MouseEvent]];
+const OUT_EVENTS = [['pointerout', PointerEventClass], ['mouseout', MouseEvent]];
+const ENTER_EVENTS = [['pointerenter', PointerEventClass], ['mouseenter', MouseEvent]];
+const LEAVE_EVENTS = [['pointerleave', PointerEventClass], ['mouseleave', MouseEvent]];
+
+const dispatchAll = (target, events, init, bubbles = true) => {
+  events.forEach(([type, EventClass]) => {
+    target.dispatchEvent(new EventClass(type, { ...init, bubbles, cancelable: true, pointerType: 'mouse' }));
+  });
+};
+
+// Elements from `node` up to (and including) the viewport root
+const ancestorsWithin = (node, root) => {
+  const chain = [];
+  for (let el = node; el && root.contains(el); el = el.parentElement) chain.push(el);
+  return chain;
+};
+
+const createMirror = (root) => {
+  let current = null;
+
+  const moveTo = (next, init) => {
+    if (next === current) return;
+    const oldChain = current ? ancestorsWithin(current, root) : [];
+    const newChain = next ? ancestorsWithin(next, root) : [];
+    if (current) {
+      dispatchAll(current, OUT_EVENTS, { ...init, relatedTarget: next });
+      oldChain.filter(el => !newChain.includes(el)).forEach(el => dispatchAll(el, LEAVE_EVENTS, init, false));
+    }
+    if (next) {
+      dispatchAll(next, OVER_EVENTS, { ...init, relatedTarget: current });
+      newChain.filter(el => !oldChain.includes(el)).reverse().forEach(el => dispatchAll(el, ENTER_EVENTS, init, false));
+    }
+    current = next;
+  };
+
+  return {
+    move(clientX, clientY, buttons) {
+      const init = { clientX, clientY, buttons };
+      const hit = document.elementFromPoint(clientX, clientY);
+      const next = hit && root.contains(hit) ? hit : null;
+      moveTo(next, init);
+      if (next) dispatchAll(next, MOVE_EVENTS, init);
+    },
+    leave() {
+      moveTo(null, {});
+    },
+  };
+};
+
+/**
+ * Mirror pointer input between two viewport elements in both directions.
+ * Call with refs to the A and B viewport roots; inactive while either is missing.
+ */
+const usePointerMirror = (refA, refB, enabled) => {
+  useEffect(() => {
+    const a = refA.current;
+    const b = refB.current;
+    if (!enabled || !a || !b) return;
+
+    const link = (source, target) => {
+      const mirror = createMirror(target);
+      const handleMove = (e) => {
+        if (!e.isTrusted) return;
+        const from = source.getBoundingClientRect();
+        const to = target.getBoundingClientRect();
+        mirror.move(e.clientX - from.left + to.left, e.clientY - from.top + to.top, e.buttons);
+      };
+      const handleLeave = (e) => {
+        if (e.isTrusted) mirror.leave();
+      };
+      source.addEventListener('pointermove', handleMove);
+      source.addEventListener('pointerleave', handleLeave);
+      return () => {
+        mirror.leave();
+        source.removeEventListener('pointermove', handleMove);
+        source.removeEventListener('pointerleave', handleLeave);
+      };
+    };
+
+    const unlinkA = link(a, b);
+    const unlinkB = link(b, a);
+    return () => {
+      unlinkA();
+      unlinkB();
+    };
+  }, [refA, refB, enabled]);
+};
+
+export { createScrollGroup, ScrollSync, usePointerMirror };
@@ -0,0 +1,188 @@
+import raw from 'raw.macro';
+import * as effects from './effects';
+
+// ============================================================
+// COMPONENT EXPORT - Turn a showcase effect into a standalone .jsx module
+// ============================================================
+// Effect modules are inlined at build time so effects can be exported from their
+// real source. This module is loaded on demand to keep the source out of the main chunk.
+// Note: babel caches this file, so restart the dev server after editing an effect
+// if exports look stale.
+const EFFECTS_SOURCE = [
+  raw('./effects/scrollEffects.js'),
+  raw('./effects/mouseEffects.js'),
+  raw('./effects/domEffects.js'),
+  raw('./effects/scenes.js'),
+  raw('./effects/motion.js'),
+  raw('./effects/random.js'),
+  raw('./effects/quality.js'),
+  raw('./effects/instancing.js'),
+].join('\n');
+
+// Named imports each exported module may need, keyed by package
+const IMPORTABLE = [
+  { from: 'react', names: ['Suspense', 'useRef', 'useMemo', 'useState', 'useEffect', 'useCallback', 'useLayoutEffect', 'createContext', 'useContext'] },
+  { from: '@react-three/fiber', names: ['Canvas', 'useFrame', 'useThree'] },
+  { from: '@react-three/drei', names: ['ScrollControls', 'Scroll', 'useScroll', 'Stars', 'MeshDistortMaterial', 'Float', 'MeshWobbleMaterial'] },
+  { from: 'framer-motion', names: ['motion', 'useReducedMotionConfig'] },
+];
+
+// Top-level declarations start at column 0 and close on the next column-0 `}` or `)` line,
+// or on their first line when it already ends the statement
+const sliceDeclaration = (identifier) => {
+  const start = EFFECTS_SOURCE.search(new RegExp(`^const ${identifier} = `, 'm'));
+  if (start === -1) throw new Error(`Could not find source for ${identifier}`);
+  const lineEnd = EFFECTS_SOURCE.indexOf('\n', start);
+  if (EFFECTS_SOURCE[lineEnd - 1] === ';') return EFFECTS_SOURCE.slice(start, lineEnd);
+  const end = EFFECTS_SOURCE.slice(start).search(/\n[)}][^\n]*\n/);
+  const firstLine = EFFECTS_SOURCE.indexOf('\n', start + end + 1);
+  return EFFECTS_SOURCE.slice(start, firstLine + 1).trimEnd();
+};
+
+// Export names survive minification, unlike component function names
+const findComponentIdentifier = (component) => {
+  const identifier = Object.keys(effects).find(name => effects[name] === component);
+  if (!identifier) throw new Error('Could not find the source of this effect');
+  return identifier;
+};
+
+// Reduced-motion hooks from effects/motion.js, the seeded generator from
+// effects/random.js, the quality levels from effects/quality.js and the instance
+// shader patch from effects/instancing.js, inlined ahead of whatever calls them.
+// Exports have no quality provider, so they render at High
+const QUALITY_HELPERS = ['QUALITY_LEVELS', 'QualityContext', 'useQuality', 'scaleDetail'];
+const INSTANCING_HELPERS = ['INSTANCE_PATCHES', 'instanceShaders', 'instanceShader'];
+
+const sharedHelpers = (code) => {
+  const needsClock = /\buseAmbientClock\(/.test(code);
+  const needsPolicy = needsClock || /\buseReducedMotion\(/.test(code);
+  const needsRandom = /\bcreateRandom\(/.test(code);
+  const needsQuality = /\buseQuality\(/.test(code);
+  const needsInstancing = /\binstanceShader\(/.test(code);
+  const helpers = [
+    needsPolicy && 'useReducedMotion',
+    needsClock && 'useAmbientClock',
+    needsRandom && 'createRandom',
+    ...(needsQuality ? QUALITY_HELPERS : []),
+    ...(needsInstancing ? INSTANCING_HELPERS : []),
+  ].filter(Boolean);
+  return helpers.length ? `${helpers.map(sliceDeclaration).join('\n\n')}\n\n` : '';
+};
+
+const formatValue = (value) => JSON.stringify(value);
+
+// Swap the ControlsContext lookup for props backed by the current values.
+// Effects with no tweakable values still call useControls, so they get plain props
+const bakeControls = (source, controlsConfig, controls) => {
+  const lookup = /const controls = useControls\('\w+', props\);/;
+  if (!lookup.test(source)) return { source, defaults: '' };
+  if (!controlsConfig.length) return { source: source.replace(lookup, 'const controls = { ...props };'), defaults: '' };
+  const values = controlsConfig
+    .map(ctrl => `  ${ctrl.key}: ${formatValue(controls[ctrl.key] ?? ctrl.default)},`)
+    .join('\n');
+  return {
+    defaults: `// Values tuned in the Tweak panel - override any of them via props\nconst defaultControls = {\n${values}\n};\n\n`,
+    source: source.replace(lookup, 'const controls = { ...defaultControls, ...props };'),
+  };
+};
+
+// Blank out comments and string literals so words in them don't count as
+// references. Template literal ${...} interpolations are code and stay
+const stripCommentsAndStrings = (code) => {
+  let out = '';
+  // One entry per open template literal: how many `{` deep its current interpolation is, or -1 in the text
+  const templates = [];
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    const template = templates.length ? templates[templates.length - 1] : null;
+    if (template && template.depth === -1) {
+      if (char === '\\') i++;
+      else if (char === '`') { templates.pop(); out += char; }
+      else if (char === '$' && code[i + 1] === '{') { template.depth = 0; out += code.slice(i, i + 2); i++; }
+      continue;
+    }
+    if (char === '/' && code[i + 1] === '/') {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end - 1;
+    } else if (char === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      i = end === -1 ? code.length : end + 1;
+    } else if (char === '\'' || char === '"') {
+      let j = i + 1;
+      while (j < code.length && code[j] !== char && code[j] !== '\n') j += code[j] === '\\' ? 2 : 1;
+      out += char + char;
+      i = j;
+    } else if (char === '`') {
+      templates.push({ depth: -1 });
+      out += char;
+    } else {
+      // The `}` that closes an interpolation drops back into the template text
+      if (template && char === '{') template.depth++;
+      if (template && char === '}') template.depth--;
+      out += char;
+    }
+  }
+  return out;
+};
+
+const buildImports = (code) => {
+  const lines = [];
+  const references = stripCommentsAndStrings(code);
+  const uses = (name) => new RegExp(`\\b${name}\\b`).test(references);
+  IMPORTABLE.forEach(({ from, names }) => {
+    const used = names.filter(uses);
+    if (from === 'react') {
+      lines.push(`import React${used.length ? `, { ${used.join(', ')} }` : ''} from 'react';`);
+    } else if (used.length) {
+      lines.push(`import { ${used.join(', ')} } from '${from}';`);
+    }
+  });
+  if (uses('THREE')) lines.push(`import * as THREE from 'three';`);
+  return lines.join('\n');
+};
+
+const canvasWrapper = (identifier, sceneName) => `export default function ${identifier}Scene(props) {
+  return (
+    <Canvas
+      camera={{ position: [0, 0, 10], fov: 55 }}
+      gl={{ antialias: true, powerPreference: 'high-performance' }}
+      style={{ width: '100%', height: '100%' }}
+    >
+      <color attach="background" args={['#050505']} />
+      <Suspense fallback={null}>
+        <${sceneName}>
+          <${identifier} {...props} />
+        </${sceneName}>
+      </Suspense>
+    </Canvas>
+  );
+}`;
+
+/**
+ * Build a self-contained React module for one showcase example.
+ * Canvas effects export a default `<Name>Scene` that wraps the effect in its
+ * scene and Canvas; DOM effects export the component itself.
+ */
+export const buildComponentModule = ({ exampleName, component, category, controlsConfig, controls }) => {
+  const identifier = findComponentIdentifier(component);
+  const { source: effectSource, defaults } = bakeControls(sliceDeclaration(identifier), controlsConfig, controls);
+  const isDom = category.renderer === 'dom';
+  const sceneName = category.type === 'mouse' ? 'MouseScene' : 'AnimationScene';
+
+  const sceneSource = isDom ? '' : sliceDeclaration(sceneName);
+  const helpers = sharedHelpers(`${effectSource}\n${sceneSource}`);
+
+  const body = isDom
+    ? `${helpers}${defaults}${effectSource}\n\nexport default ${identifier};`
+    : `${helpers}${defaults}${effectSource}\n\n${sceneSource}\n\n${canvasWrapper(identifier, sceneName)}`;
+
+  const header = [
+    `// ${exampleName} - ${category.name}`,
+    '// Exported from Immersive Horizons. Props default to the values tuned in the Tweak panel.',
+  ].join('\n');
+
+  return {
+    filename: `${identifier}.jsx`,
+    source: `${header}\n${buildImports(body)}\n\n${body}\n`,
+  };
+};
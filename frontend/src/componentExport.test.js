@@ -0,0 +1,75 @@
+import React from 'react';
+import * as ReactJsxRuntime from 'react/jsx-runtime';
+import * as Fiber from '@react-three/fiber';
+import * as Drei from '@react-three/drei';
+import * as FramerMotion from 'framer-motion';
+import * as THREE from 'three';
+import ReactThreeTestRenderer from '@react-three/test-renderer';
+import { render } from '@testing-library/react';
+import { compileFunction } from 'vm';
+import { transformSync } from '@babel/core';
+import { buildComponentModule } from './componentExport';
+import { CATEGORIES, ANIMATIONS, getExampleControls } from './App';
+
+// The test renderer has no DOM around its canvas for ScrollControls to attach
+// to, so exports get a still scroll state instead
+const scrollState = { offset: 0, delta: 0, range: () => 0 };
+const Passthrough = ({ children }) => children;
+
+const MODULES = {
+  react: React,
+  'react/jsx-runtime': ReactJsxRuntime,
+  '@react-three/fiber': { ...Fiber, Canvas: Passthrough },
+  '@react-three/drei': { ...Drei, ScrollControls: Passthrough, Scroll: Passthrough, useScroll: () => scrollState },
+  'framer-motion': FramerMotion,
+  three: THREE,
+};
+
+// Compile a generated module the way a consuming app would and return its default export
+const evaluateModule = (source, filename) => {
+  const { code } = transformSync(source, {
+    filename,
+    babelrc: false,
+    configFile: false,
+    presets: [[require.resolve('@babel/preset-react'), { runtime: 'automatic' }]],
+    plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+  });
+  const loaded = { exports: {} };
+  const requireShim = (name) => {
+    if (!(name in MODULES)) throw new Error(`${filename} imports ${name}, which an export can't rely on`);
+    return MODULES[name];
+  };
+  // The test's globals (document, window) stay in scope for the module body
+  compileFunction(code, ['require', 'module', 'exports'], { filename, contextExtensions: [window] })(requireShim, loaded, loaded.exports);
+  return loaded.exports.default;
+};
+
+const EXAMPLES = CATEGORIES.flatMap(category => ANIMATIONS[category.id].map((example, index) => ({
+  category,
+  example,
+  controlsConfig: getExampleControls(category.id, index),
+})));
+
+describe('buildComponentModule', () => {
+  test.each(EXAMPLES.map(entry => [entry.example.name, entry]))('exports %s as a working component', async (name, { category, example, controlsConfig }) => {
+    const controls = Object.fromEntries(controlsConfig.map(ctrl => [ctrl.key, ctrl.default]));
+    const { filename, source } = buildComponentModule({ exampleName: name, component: example.component, category, controlsConfig, controls });
+    const Exported = evaluateModule(source, filename);
+
+    if (category.renderer === 'dom') {
+      render(<Exported />).unmount();
+      return;
+    }
+    const renderer = await ReactThreeTestRenderer.create(<Exported />);
+    await ReactThreeTestRenderer.act(() => renderer.advanceFrames(2, 1 / 60));
+    expect(renderer.scene.allChildren.length).toBeGreaterThan(0);
+    await renderer.unmount();
+  });
+
+  test('imports only the names the code references', () => {
+    const example = ANIMATIONS.orbit.find(entry => entry.name === 'Speed Orbit');
+    const category = CATEGORIES.find(entry => entry.id === 'orbit');
+    const { source } = buildComponentModule({ exampleName: example.name, component: example.component, category, controlsConfig: [], controls: {} });
+    expect(source).not.toMatch(/import \{[^}]*\bmotion\b[^}]*\} from 'framer-motion'/);
+  });
+});
@@ -0,0 +1,96 @@
+import { renderHook, act } from '@testing-library/react';
+import { useControlsHistory, HISTORY_LIMIT, COALESCE_MS } from './App';
+
+const setup = () => renderHook(() => useControlsHistory({ ringCount: 50 })).result;
+
+const labels = (result) => result.current.history.entries.map(entry => entry.label);
+
+// Date.now follows the fake clock, which is what the coalescing window reads
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('useControlsHistory', () => {
+  test('folds edits to one control within the window into one step', () => {
+    const result = setup();
+    act(() => result.current.commitControls('Ring Count', { ringCount: 60 }, 'ringCount'));
+    act(() => jest.advanceTimersByTime(COALESCE_MS - 1));
+    act(() => result.current.commitControls('Ring Count', { ringCount: 70 }, 'ringCount'));
+
+    expect(labels(result)).toEqual(['Opened', 'Ring Count']);
+    expect(result.current.controls).toEqual({ ringCount: 70 });
+    act(() => result.current.history.undo());
+    expect(result.current.controls).toEqual({ ringCount: 50 });
+  });
+
+  test.each([
+    ['after the window', 'ringCount', 'ringCount', COALESCE_MS],
+    ['for another control', 'ringCount', 'travelSpeed', 0],
+    ['without a key', null, null, 0],
+  ])('keeps separate steps %s', (name, firstKey, secondKey, gap) => {
+    const result = setup();
+    act(() => result.current.commitControls('First', { ringCount: 60 }, firstKey));
+    act(() => jest.advanceTimersByTime(gap));
+    act(() => result.current.commitControls('Second', { ringCount: 70 }, secondKey));
+    expect(labels(result)).toEqual(['Opened', 'First', 'Second']);
+  });
+
+  test('does not fold an edit into a step that was undone', () => {
+    const result = setup();
+    act(() => result.current.commitControls('Ring Count', { ringCount: 60 }, 'ringCount'));
+    act(() => result.current.history.undo());
+    act(() => result.current.commitControls('Ring Count', { ringCount: 70 }, 'ringCount'));
+
+    expect(labels(result)).toEqual(['Opened', 'Ring Count']);
+    expect(result.current.history.entries[1].controls).toEqual({ ringCount: 70 });
+    expect(result.current.history.canRedo).toBe(false);
+  });
+
+  test(`keeps the last ${HISTORY_LIMIT} steps`, () => {
+    const result = setup();
+    for (let i = 1; i <= HISTORY_LIMIT + 10; i++) {
+      act(() => result.current.commitControls(`Edit ${i}`, { ringCount: 50 + i }));
+    }
+
+    const { entries, index } = result.current.history;
+    expect(entries).toHaveLength(HISTORY_LIMIT);
+    expect(index).toBe(HISTORY_LIMIT - 1);
+    expect(entries[0].label).toBe('Edit 11');
+    expect(entries[HISTORY_LIMIT - 1].label).toBe(`Edit ${HISTORY_LIMIT + 10}`);
+
+    // Undo stops at the oldest step kept
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) act(() => result.current.history.undo());
+    expect(result.current.controls).toEqual({ ringCount: 61 });
+    expect(result.current.history.canUndo).toBe(false);
+  });
+
+  test('starts over from the reset values', () => {
+    const result = setup();
+    act(() => result.current.commitControls('Ring Count', { ringCount: 60 }, 'ringCount'));
+    act(() => result.current.commitControls('Travel Speed', { ringCount: 60, travelSpeed: 150 }));
+    act(() => result.current.resetHistory({ hueStart: 90 }));
+
+    expect(labels(result)).toEqual(['Opened']);
+    expect(result.current.history.canUndo).toBe(false);
+    expect(result.current.history.canRedo).toBe(false);
+
+    // The first edit after a reset never folds into one from before it
+    act(() => result.current.commitControls('Hue', { hueStart: 120 }, 'ringCount'));
+    expect(labels(result)).toEqual(['Opened', 'Hue']);
+    act(() => result.current.history.undo());
+    expect(result.current.controls).toEqual({ hueStart: 90 });
+    act(() => result.current.history.redo());
+    expect(result.current.controls).toEqual({ hueStart: 120 });
+  });
+
+  test('undoes values moved without a step back to that step first', () => {
+    const result = setup();
+    act(() => result.current.commitControls('Ring Count', { ringCount: 60 }));
+    act(() => result.current.setControls({ ringCount: 65 }));
+    expect(labels(result)).toEqual(['Opened', 'Ring Count']);
+
+    act(() => result.current.history.undo());
+    expect(result.current.controls).toEqual({ ringCount: 60 });
+    act(() => result.current.history.undo());
+    expect(result.current.controls).toEqual({ ringCount: 50 });
+  });
+});
@@ -0,0 +1,379 @@
+// ============================================================
+// CONTROLS CONFIG - Tweakable parameters with guardrails
+// ============================================================
+// Each entry picks its Tweak panel widget with `type` (defaults to 'number'):
+//   number  - slider; min, max, step
+//   color   - color picker; default is a '#rrggbb' hex string
+//   boolean - switch
+//   select  - dropdown; options: [{ value, label }]
+//   vec3    - X/Y/Z inputs; min, max, step apply to each axis
+//   seed    - whole-number input with a shuffle button; feeds createRandom in random.js
+// Numbers may set `unit` ('°', 's', 'px'); it's shown after the readout and
+// spoken with the slider's value
+const RING_SHAPES = [
+  { value: 'circle', label: 'Circle' },
+  { value: 'hexagon', label: 'Hexagon' },
+  { value: 'diamond', label: 'Diamond' },
+];
+
+// Shared by every category whose effects scatter things at random
+const SEED_CONTROL = { key: 'seed', label: 'Seed', type: 'seed', min: 1, max: 99999, step: 1, default: 1 };
+
+const CONTROLS_CONFIG = {
+  tunnel: [
+    { key: 'ringCount', label: 'Ring Count', min: 10, max: 2000, step: 5, default: 50 },
+    { key: 'ringSpacing', label: 'Ring Spacing', min: 1, max: 5, step: 0.5, default: 2.5 },
+    { key: 'travelSpeed', label: 'Travel Speed', min: 50, max: 200, step: 10, default: 100 },
+    { key: 'hueStart', label: 'Color Hue', min: 0, max: 360, step: 10, default: 180, unit: '°' },
+    { key: 'ringShape', label: 'Ring Shape', type: 'select', options: RING_SHAPES, default: 'circle' },
+    SEED_CONTROL,
+  ],
+  velocity: [
+    { key: 'distortIntensity', label: 'Distort Intensity', min: 0.1, max: 1.5, step: 0.1, default: 0.5 },
+    { key: 'baseSpeed', label: 'Base Animation', min: 0.5, max: 5, step: 0.5, default: 2 },
+    { key: 'velocityMultiplier', label: 'Velocity Effect', min: 20, max: 150, step: 10, default: 80 },
+    { key: 'color', label: 'Color', type: 'color', default: '#a855f7' },
+  ],
+  shader: [
+    { key: 'waveFrequency', label: 'Wave Frequency', min: 1, max: 8, step: 0.5, default: 3.5 },
+    { key: 'waveAmplitude', label: 'Wave Height', min: 0.1, max: 1, step: 0.05, default: 0.35 },
+    { key: 'timeSpeed', label: 'Animation Speed', min: 0.5, max: 5, step: 0.5, default: 2.5 },
+    { key: 'colorStart', label: 'Start Color', type: 'color', default: '#22d3ee' },
+    { key: 'colorEnd', label: 'End Color', type: 'color', default: '#ec4899' },
+  ],
+  exploded: [
+    { key: 'maxExplosion', label: 'Max Distance', min: 1, max: 8, step: 0.5, default: 4 },
+    { key: 'rotationSpeed', label: 'Rotation Speed', min: 0.05, max: 0.5, step: 0.05, default: 0.2 },
+  ],
+  rotation: [
+    { key: 'rotationMultiplier', label: 'Rotation Amount', min: 1, max: 8, step: 1, default: 4 },
+    { key: 'tiltAmount', label: 'Tilt Intensity', min: 0, max: 0.5, step: 0.05, default: 0.2 },
+  ],
+  parallax: [
+    { key: 'speedMultiplier', label: 'Speed Range', min: 2, max: 15, step: 1, default: 8 },
+    { key: 'depthRange', label: 'Depth Spread', min: 5, max: 20, step: 1, default: 12 },
+  ],
+  dof: [
+    { key: 'focusDistance', label: 'Focus Distance', min: 0, max: 20, step: 1, default: 10 },
+    { key: 'blurIntensity', label: 'Blur Intensity', min: 0.1, max: 1, step: 0.1, default: 0.5 },
+    { key: 'focalRange', label: 'Focal Range', min: 1, max: 10, step: 0.5, default: 3 },
+    { key: 'objectCount', label: 'Object Count', min: 5, max: 2000, step: 5, default: 15 },
+    { key: 'particleCount', label: 'Particle Count', min: 10, max: 5000, step: 10, default: 50 },
+    SEED_CONTROL,
+  ],
+  camerapath: [
+    { key: 'pathSpeed', label: 'Path Speed', min: 0.5, max: 3, step: 0.25, default: 1 },
+    { key: 'pathRadius', label: 'Path Radius', min: 5, max: 20, step: 1, default: 10 },
+    { key: 'pathHeight', label: 'Path Height', min: 0, max: 10, step: 0.5, default: 3 },
+    { key: 'pathCenter', label: 'Path Center', type: 'vec3', min: -5, max: 5, step: 0.5, default: [0, 0, 0] },
+  ],
+  morph: [
+    { key: 'morphSpeed', label: 'Morph Speed', min: 0.5, max: 3, step: 0.25, default: 1 },
+    { key: 'morphEasing', label: 'Easing Strength', min: 1, max: 5, step: 0.5, default: 2 },
+  ],
+  reveal: [
+    { key: 'revealSpeed', label: 'Reveal Speed', min: 0.5, max: 3, step: 0.25, default: 1 },
+    { key: 'edgeSoftness', label: 'Edge Softness', min: 0, max: 0.5, step: 0.05, default: 0.1 },
+  ],
+  uvscroll: [
+    { key: 'scrollSpeed', label: 'Scroll Speed', min: 0.5, max: 5, step: 0.5, default: 2 },
+    { key: 'distortAmount', label: 'Distortion', min: 0, max: 0.3, step: 0.02, default: 0.1 },
+  ],
+  orbit: [
+    { key: 'orbitSpeed', label: 'Orbit Speed', min: 0.1, max: 2, step: 0.1, default: 0.5 },
+    { key: 'zoomRange', label: 'Zoom Range', min: 5, max: 25, step: 1, default: 15 },
+    { key: 'autoRotate', label: 'Auto Rotate', type: 'boolean', default: true },
+  ],
+  hovertransform: [
+    { key: 'hoverScale', label: 'Hover Scale', min: 1.1, max: 2.0, step: 0.1, default: 1.4 },
+    { key: 'lerpSpeed', label: 'Smoothness', min: 0.02, max: 0.2, step: 0.02, default: 0.1 },
+    { key: 'spinRate', label: 'Spin Speed', min: 1, max: 8, step: 0.5, default: 3 },
+    { key: 'gridSize', label: 'Grid Size', min: 2, max: 40, step: 1, default: 4 },
+  ],
+  mousefollow: [
+    { key: 'followSpeed', label: 'Follow Speed', min: 0.02, max: 0.2, step: 0.02, default: 0.08 },
+    { key: 'trailCount', label: 'Trail Count', min: 3, max: 12, step: 1, default: 8 },
+    { key: 'worldScale', label: 'Movement Range', min: 2, max: 8, step: 0.5, default: 5 },
+  ],
+  hoverglow: [
+    { key: 'glowIntensity', label: 'Glow Intensity', min: 0.5, max: 3.0, step: 0.1, default: 2.0 },
+    { key: 'fadeSpeed', label: 'Fade Speed', min: 0.02, max: 0.15, step: 0.01, default: 0.08 },
+  ],
+  magnetic: [
+    { key: 'attractStrength', label: 'Attract Force', min: 0.01, max: 0.15, step: 0.01, default: 0.06 },
+    { key: 'springBack', label: 'Spring Back', min: 0.01, max: 0.1, step: 0.01, default: 0.03 },
+    { key: 'repelRadius', label: 'Repel Radius', min: 1, max: 5, step: 0.5, default: 2.5 },
+    { key: 'gridSize', label: 'Grid Size', min: 4, max: 64, step: 1, default: 8 },
+    SEED_CONTROL,
+  ],
+  ripple: [
+    { key: 'rippleStrength', label: 'Ripple Strength', min: 0.1, max: 1.0, step: 0.1, default: 0.4 },
+    { key: 'rippleFreq', label: 'Wave Frequency', min: 10, max: 50, step: 5, default: 30 },
+    { key: 'rippleDecay', label: 'Decay Rate', min: 1, max: 10, step: 0.5, default: 5 },
+  ],
+  cardhover: [
+    { key: 'maxTilt', label: 'Max Tilt', min: 5, max: 30, step: 1, default: 15, unit: '°' },
+    { key: 'flipDuration', label: 'Flip Speed', min: 0.2, max: 1.0, step: 0.1, default: 0.6, unit: 's' },
+  ],
+  texthover: [
+    { key: 'letterDelay', label: 'Letter Delay', min: 0.01, max: 0.08, step: 0.005, default: 0.03, unit: 's' },
+    { key: 'liftHeight', label: 'Lift Height', min: 5, max: 25, step: 1, default: 12, unit: 'px' },
+  ],
+  buttonhover: [
+    { key: 'slideDuration', label: 'Slide Speed', min: 0.2, max: 1.0, step: 0.1, default: 0.5, unit: 's' },
+    { key: 'morphRadius', label: 'Morph Radius', min: 10, max: 50, step: 5, default: 50, unit: 'px' },
+  ],
+  imagehover: [
+    { key: 'zoomScale', label: 'Zoom Amount', min: 1.05, max: 1.4, step: 0.05, default: 1.15 },
+    { key: 'shutterBars', label: 'Shutter Bars', min: 3, max: 8, step: 1, default: 5 },
+  ]
+};
+
+// ============================================================
+// EFFECT PROPS - One optional prop per CONTROLS_CONFIG entry
+// ============================================================
+// Props override values from ControlsContext; anything left unset falls back
+// to the default below, and out-of-range numbers are clamped to min/max.
+// config.test.js fails if these drift from CONTROLS_CONFIG.
+
+/**
+ * @typedef {Object} TunnelProps
+ * @property {number} [ringCount] Ring Count (10-2000, default 50)
+ * @property {number} [ringSpacing] Ring Spacing (1-5, default 2.5)
+ * @property {number} [travelSpeed] Travel Speed (50-200, default 100)
+ * @property {number} [hueStart] Color Hue (0-360°, default 180)
+ * @property {'circle'|'hexagon'|'diamond'} [ringShape] Ring Shape (default 'circle')
+ * @property {number} [seed] Seed (1-99999, default 1)
+ */
+
+/**
+ * @typedef {Object} VelocityProps
+ * @property {number} [distortIntensity] Distort Intensity (0.1-1.5, default 0.5)
+ * @property {number} [baseSpeed] Base Animation (0.5-5, default 2)
+ * @property {number} [velocityMultiplier] Velocity Effect (20-150, default 80)
+ * @property {string} [color] Color (hex, default '#a855f7')
+ */
+
+/**
+ * @typedef {Object} ShaderProps
+ * @property {number} [waveFrequency] Wave Frequency (1-8, default 3.5)
+ * @property {number} [waveAmplitude] Wave Height (0.1-1, default 0.35)
+ * @property {number} [timeSpeed] Animation Speed (0.5-5, default 2.5)
+ * @property {string} [colorStart] Start Color (hex, default '#22d3ee')
+ * @property {string} [colorEnd] End Color (hex, default '#ec4899')
+ */
+
+/**
+ * @typedef {Object} ExplodedProps
+ * @property {number} [maxExplosion] Max Distance (1-8, default 4)
+ * @property {number} [rotationSpeed] Rotation Speed (0.05-0.5, default 0.2)
+ */
+
+/**
+ * @typedef {Object} RotationProps
+ * @property {number} [rotationMultiplier] Rotation Amount (1-8, default 4)
+ * @property {number} [tiltAmount] Tilt Intensity (0-0.5, default 0.2)
+ */
+
+/**
+ * @typedef {Object} ParallaxProps
+ * @property {number} [speedMultiplier] Speed Range (2-15, default 8)
+ * @property {number} [depthRange] Depth Spread (5-20, default 12)
+ */
+
+/**
+ * @typedef {Object} DofProps
+ * @property {number} [focusDistance] Focus Distance (0-20, default 10)
+ * @property {number} [blurIntensity] Blur Intensity (0.1-1, default 0.5)
+ * @property {number} [focalRange] Focal Range (1-10, default 3)
+ * @property {number} [objectCount] Object Count (5-2000, default 15)
+ * @property {number} [particleCount] Particle Count (10-5000, default 50)
+ * @property {number} [seed] Seed (1-99999, default 1)
+ */
+
+/**
+ * @typedef {Object} CameraPathProps
+ * @property {number} [pathSpeed] Path Speed (0.5-3, default 1)
+ * @property {number} [pathRadius] Path Radius (5-20, default 10)
+ * @property {number} [pathHeight] Path Height (0-10, default 3)
+ * @property {number[]} [pathCenter] Path Center ([x, y, z], each -5-5, default [0, 0, 0])
+ */
+
+/**
+ * @typedef {Object} MorphProps
+ * @property {number} [morphSpeed] Morph Speed (0.5-3, default 1)
+ * @property {number} [morphEasing] Easing Strength (1-5, default 2)
+ */
+
+/**
+ * @typedef {Object} RevealProps
+ * @property {number} [revealSpeed] Reveal Speed (0.5-3, default 1)
+ * @property {number} [edgeSoftness] Edge Softness (0-0.5, default 0.1)
+ */
+
+/**
+ * @typedef {Object} UvScrollProps
+ * @property {number} [scrollSpeed] Scroll Speed (0.5-5, default 2)
+ * @property {number} [distortAmount] Distortion (0-0.3, default 0.1)
+ */
+
+/**
+ * @typedef {Object} OrbitProps
+ * @property {number} [orbitSpeed] Orbit Speed (0.1-2, default 0.5)
+ * @property {number} [zoomRange] Zoom Range (5-25, default 15)
+ * @property {boolean} [autoRotate] Auto Rotate (default true)
+ */
+
+/**
+ * @typedef {Object} HoverTransformProps
+ * @property {number} [hoverScale] Hover Scale (1.1-2.0, default 1.4)
+ * @property {number} [lerpSpeed] Smoothness (0.02-0.2, default 0.1)
+ * @property {number} [spinRate] Spin Speed (1-8, default 3)
+ * @property {number} [gridSize] Grid Size (2-40 per side, default 4)
+ */
+
+/**
+ * @typedef {Object} MouseFollowProps
+ * @property {number} [followSpeed] Follow Speed (0.02-0.2, default 0.08)
+ * @property {number} [trailCount] Trail Count (3-12, default 8)
+ * @property {number} [worldScale] Movement Range (2-8, default 5)
+ */
+
+/**
+ * @typedef {Object} HoverGlowProps
+ * @property {number} [glowIntensity] Glow Intensity (0.5-3.0, default 2.0)
+ * @property {number} [fadeSpeed] Fade Speed (0.02-0.15, default 0.08)
+ */
+
+/**
+ * @typedef {Object} MagneticProps
+ * @property {number} [attractStrength] Attract Force (0.01-0.15, default 0.06)
+ * @property {number} [springBack] Spring Back (0.01-0.1, default 0.03)
+ * @property {number} [repelRadius] Repel Radius (1-5, default 2.5)
+ * @property {number} [gridSize] Grid Size (4-64 per side, default 8)
+ * @property {number} [seed] Seed (1-99999, default 1)
+ */
+
+/**
+ * @typedef {Object} RippleProps
+ * @property {number} [rippleStrength] Ripple Strength (0.1-1.0, default 0.4)
+ * @property {number} [rippleFreq] Wave Frequency (10-50, default 30)
+ * @property {number} [rippleDecay] Decay Rate (1-10, default 5)
+ */
+
+/**
+ * @typedef {Object} CardHoverProps
+ * @property {number} [maxTilt] Max Tilt (5-30°, default 15)
+ * @property {number} [flipDuration] Flip Speed (0.2-1.0s, default 0.6)
+ */
+
+/**
+ * @typedef {Object} TextHoverProps
+ * @property {number} [letterDelay] Letter Delay (0.01-0.08s, default 0.03)
+ * @property {number} [liftHeight] Lift Height (5-25px, default 12)
+ */
+
+/**
+ * @typedef {Object} ButtonHoverProps
+ * @property {number} [slideDuration] Slide Speed (0.2-1.0s, default 0.5)
+ * @property {number} [morphRadius] Morph Radius (10-50px, default 50)
+ */
+
+/**
+ * @typedef {Object} ImageHoverProps
+ * @property {number} [zoomScale] Zoom Amount (1.05-1.4, default 1.15)
+ * @property {number} [shutterBars] Shutter Bars (3-8, default 5)
+ */
+
+// ============================================================
+// CONTROL PRESETS - Built-in named looks per category
+// ============================================================
+// Applied over the current values: keys a preset leaves out, like `seed`, keep theirs
+const CONTROL_PRESETS = {
+  tunnel: [
+    { name: 'Subtle', values: { ringCount: 30, ringSpacing: 3.5, travelSpeed: 60, hueStart: 200 } },
+    { name: 'Dramatic', values: { ringCount: 80, ringSpacing: 1.5, travelSpeed: 200, hueStart: 300 } },
+  ],
+  velocity: [
+    { name: 'Subtle', values: { distortIntensity: 0.2, baseSpeed: 1, velocityMultiplier: 40 } },
+    { name: 'Dramatic', values: { distortIntensity: 1.5, baseSpeed: 4, velocityMultiplier: 150 } },
+  ],
+  shader: [
+    { name: 'Subtle', values: { waveFrequency: 2, waveAmplitude: 0.2, timeSpeed: 1 } },
+    { name: 'Dramatic', values: { waveFrequency: 7, waveAmplitude: 0.9, timeSpeed: 4.5 } },
+  ],
+  exploded: [
+    { name: 'Subtle', values: { maxExplosion: 2, rotationSpeed: 0.1 } },
+    { name: 'Dramatic', values: { maxExplosion: 8, rotationSpeed: 0.45 } },
+  ],
+  rotation: [
+    { name: 'Subtle', values: { rotationMultiplier: 2, tiltAmount: 0.05 } },
+    { name: 'Dramatic', values: { rotationMultiplier: 8, tiltAmount: 0.5 } },
+  ],
+  parallax: [
+    { name: 'Subtle', values: { speedMultiplier: 4, depthRange: 8 } },
+    { name: 'Dramatic', values: { speedMultiplier: 15, depthRange: 20 } },
+  ],
+  dof: [
+    { name: 'Subtle', values: { focusDistance: 10, blurIntensity: 0.2, focalRange: 6 } },
+    { name: 'Dramatic', values: { focusDistance: 6, blurIntensity: 1, focalRange: 1.5 } },
+  ],
+  camerapath: [
+    { name: 'Subtle', values: { pathSpeed: 0.75, pathRadius: 12, pathHeight: 1 } },
+    { name: 'Dramatic', values: { pathSpeed: 2.5, pathRadius: 6, pathHeight: 8 } },
+  ],
+  morph: [
+    { name: 'Subtle', values: { morphSpeed: 0.75, morphEasing: 1 } },
+    { name: 'Dramatic', values: { morphSpeed: 2.5, morphEasing: 5 } },
+  ],
+  reveal: [
+    { name: 'Subtle', values: { revealSpeed: 0.75, edgeSoftness: 0.3 } },
+    { name: 'Dramatic', values: { revealSpeed: 2.5, edgeSoftness: 0 } },
+  ],
+  uvscroll: [
+    { name: 'Subtle', values: { scrollSpeed: 1, distortAmount: 0.04 } },
+    { name: 'Dramatic', values: { scrollSpeed: 5, distortAmount: 0.3 } },
+  ],
+  orbit: [
+    { name: 'Subtle', values: { orbitSpeed: 0.3, zoomRange: 8, autoRotate: true } },
+    { name: 'Dramatic', values: { orbitSpeed: 2, zoomRange: 25, autoRotate: true } },
+  ],
+  hovertransform: [
+    { name: 'Subtle', values: { hoverScale: 1.2, lerpSpeed: 0.06, spinRate: 1.5 } },
+    { name: 'Dramatic', values: { hoverScale: 2, lerpSpeed: 0.2, spinRate: 8 } },
+  ],
+  mousefollow: [
+    { name: 'Subtle', values: { followSpeed: 0.04, trailCount: 5, worldScale: 3 } },
+    { name: 'Dramatic', values: { followSpeed: 0.2, trailCount: 12, worldScale: 8 } },
+  ],
+  hoverglow: [
+    { name: 'Subtle', values: { glowIntensity: 1, fadeSpeed: 0.04 } },
+    { name: 'Dramatic', values: { glowIntensity: 3, fadeSpeed: 0.15 } },
+  ],
+  magnetic: [
+    { name: 'Subtle', values: { attractStrength: 0.03, springBack: 0.06, repelRadius: 1.5 } },
+    { name: 'Dramatic', values: { attractStrength: 0.15, springBack: 0.01, repelRadius: 5 } },
+  ],
+  ripple: [
+    { name: 'Subtle', values: { rippleStrength: 0.2, rippleFreq: 20, rippleDecay: 8 } },
+    { name: 'Dramatic', values: { rippleStrength: 1, rippleFreq: 50, rippleDecay: 2 } },
+  ],
+  cardhover: [
+    { name: 'Subtle', values: { maxTilt: 8, flipDuration: 0.9 } },
+    { name: 'Dramatic', values: { maxTilt: 30, flipDuration: 0.3 } },
+  ],
+  texthover: [
+    { name: 'Subtle', values: { letterDelay: 0.015, liftHeight: 6 } },
+    { name: 'Dramatic', values: { letterDelay: 0.06, liftHeight: 25 } },
+  ],
+  buttonhover: [
+    { name: 'Subtle', values: { slideDuration: 0.8, morphRadius: 20 } },
+    { name: 'Dramatic', values: { slideDuration: 0.2, morphRadius: 50 } },
+  ],
+  imagehover: [
+    { name: 'Subtle', values: { zoomScale: 1.05, shutterBars: 3 } },
+    { name: 'Dramatic', values: { zoomScale: 1.4, shutterBars: 8 } },
+  ]
+};
+
+export { CONTROLS_CONFIG, CONTROL_PRESETS };
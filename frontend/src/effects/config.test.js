@@ -0,0 +1,46 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { CONTROLS_CONFIG } from './config';
+
+// The prop typedefs are written out by hand for editors; each TunnelProps-style
+// name lowercases to its category id
+const source = readFileSync(join(__dirname, 'config.js'), 'utf8');
+const TYPEDEFS = Object.fromEntries(
+  [...source.matchAll(/@typedef \{Object\} (\w+)Props\n((?: \* @property .*\n)+)/g)].map(([, name, body]) => [
+    name.toLowerCase(),
+    [...body.matchAll(/@property \{(.+?)\} \[(\w+)\] (.*)/g)].map(([, type, key, description]) => ({ type, key, description })),
+  ]),
+);
+
+const JSDOC_TYPES = { number: 'number', seed: 'number', color: 'string', boolean: 'boolean', vec3: 'number[]' };
+
+const expectedType = (ctrl) => (ctrl.type === 'select'
+  ? ctrl.options.map(option => `'${option.value}'`).join('|')
+  : JSDOC_TYPES[ctrl.type ?? 'number']);
+
+const parseDefault = (text) => {
+  if (text.startsWith("'")) return text.slice(1, -1);
+  if (text.startsWith('[') || text === 'true' || text === 'false') return JSON.parse(text);
+  return Number(text);
+};
+
+describe('effect prop typedefs', () => {
+  test('cover every category', () => {
+    expect(Object.keys(TYPEDEFS).sort()).toEqual(Object.keys(CONTROLS_CONFIG).sort());
+  });
+
+  test.each(Object.keys(CONTROLS_CONFIG))('match CONTROLS_CONFIG.%s', (categoryId) => {
+    const properties = TYPEDEFS[categoryId];
+    expect(properties.map(property => property.key)).toEqual(CONTROLS_CONFIG[categoryId].map(ctrl => ctrl.key));
+
+    CONTROLS_CONFIG[categoryId].forEach((ctrl, i) => {
+      const { type, description } = properties[i];
+      expect(type).toBe(expectedType(ctrl));
+      expect(description.startsWith(`${ctrl.label} (`)).toBe(true);
+      expect(parseDefault(description.match(/default (.+)\)$/)[1])).toEqual(ctrl.default);
+      // Colors, switches and selects have no range to state
+      const range = description.match(/(?:\(|each )(-?[\d.]+)-(-?[\d.]+)/);
+      expect(range && [Number(range[1]), Number(range[2])]).toEqual('min' in ctrl ? [ctrl.min, ctrl.max] : null);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { createContext, useContext } from 'react';
+import * as THREE from 'three';
+import { CONTROLS_CONFIG } from './config';
+
+// ============================================================
+// CONTROLS CONTEXT - Share tweakable values across components
+// ============================================================
+const ControlsContext = createContext({});
+
+// ============================================================
+// CONTROL RESOLVER - One source of truth for effect parameters
+// ============================================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const inRange = (ctrl, value) => value >= ctrl.min && value <= ctrl.max;
+
+// Resolve one value against its CONTROLS_CONFIG entry. Zero and false are real
+// values, so only missing or malformed input falls back to the config default
+const resolveControl = (ctrl, value) => {
+  switch (ctrl.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? value : ctrl.default;
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value : ctrl.default;
+    case 'select':
+      return ctrl.options.some(option => option.value === value) ? value : ctrl.default;
+    case 'vec3':
+      if (!Array.isArray(value) || value.length !== 3 || !value.every(isNumber)) return ctrl.default;
+      // Keep the same array when nothing needs clamping so memoized effects don't rebuild
+      return value.every(v => inRange(ctrl, v)) ? value : value.map(v => THREE.MathUtils.clamp(v, ctrl.min, ctrl.max));
+    default:
+      return isNumber(value) ? THREE.MathUtils.clamp(value, ctrl.min, ctrl.max) : ctrl.default;
+  }
+};
+
+// Resolve every key a category declares; unknown keys are dropped
+const resolveControls = (category, values = {}) => {
+  const resolved = {};
+  (CONTROLS_CONFIG[category] || []).forEach(ctrl => {
+    resolved[ctrl.key] = resolveControl(ctrl, values[ctrl.key]);
+  });
+  return resolved;
+};
+
+// Explicit props win over context values; undefined props are ignored so
+// `<RingTunnel ringCount={undefined} />` still picks up the shared value
+const useControls = (category, props = {}) => {
+  const context = useContext(ControlsContext);
+  const overrides = {};
+  Object.entries(props).forEach(([key, value]) => {
+    if (value !== undefined) overrides[key] = value;
+  });
+  return resolveControls(category, { ...context, ...overrides });
+};
+
+export { ControlsContext, resolveControl, resolveControls, useControls };
@@ -0,0 +1,440 @@
+import React, { useMemo, useState, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useControls } from './controls';
+import { useReducedMotion } from './motion';
+
+// ============================================================
+// DOM-BASED MOUSEOVER COMPONENTS
+// ============================================================
+
+// Card Hover - TiltCard
+/** @param {import('./config').CardHoverProps} props */
+const TiltCard = React.memo((props) => {
+  const [rotateX, setRotateX] = useState(0);
+  const [rotateY, setRotateY] = useState(0);
+  const [isHovered, setIsHovered] = useState(false);
+  const controls = useControls('cardhover', props);
+  // Reduced motion: no tilt, the hovered card brightens instead
+  const reducedMotion = useReducedMotion();
+  const maxTilt = controls.maxTilt;
+
+  const handleMouseMove = useCallback((e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width - 0.5;
+    const y = (e.clientY - rect.top) / rect.height - 0.5;
+    setRotateX(-y * maxTilt);
+    setRotateY(x * maxTilt);
+  }, [maxTilt]);
+
+  const handleMouseLeave = useCallback(() => {
+    setRotateX(0);
+    setRotateY(0);
+    setIsHovered(false);
+  }, []);
+
+  return (
+    <div style={{ display: 'flex', gap: '2rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
+      {[
+        { title: 'Aurora', subtitle: 'Northern Lights', gradient: 'linear-gradient(135deg, #0891b2, #a855f7)' },
+        { title: 'Nebula', subtitle: 'Deep Space', gradient: 'linear-gradient(135deg, #7c3aed, #ec4899)' },
+        { title: 'Prism', subtitle: 'Light Refraction', gradient: 'linear-gradient(135deg, #22d3ee, #10b981)' },
+      ].map((card, i) => (
+        <motion.div
+          key={i}
+          onMouseMove={handleMouseMove}
+          onMouseEnter={() => setIsHovered(true)}
+          onMouseLeave={handleMouseLeave}
+          animate={reducedMotion ? { opacity: 0.8 } : { rotateX, rotateY }}
+          whileHover={reducedMotion ? { opacity: 1 } : undefined}
+          transition={reducedMotion ? { duration: 0.2 } : { type: 'spring', stiffness: 150, damping: 15 }}
+          style={{
+            width: 220,
+            height: 300,
+            borderRadius: 16,
+            background: card.gradient,
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'flex-end',
+            padding: 24,
+            cursor: 'pointer',
+            transformStyle: 'preserve-3d',
+            boxShadow: isHovered ? '0 25px 50px rgba(0,0,0,0.5)' : '0 10px 30px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+          }}
+        >
+          <div style={{ transform: 'translateZ(30px)' }}>
+            <h3 style={{ color: '#fff', fontSize: 22, fontWeight: 700, margin: 0 }}>{card.title}</h3>
+            <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: 13, margin: '4px 0 0' }}>{card.subtitle}</p>
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  );
+});
+
+// Card Hover - FlipCard
+/** @param {import('./config').CardHoverProps} props */
+const FlipCard = React.memo((props) => {
+  const controls = useControls('cardhover', props);
+  // Reduced motion: the faces cross-fade in place instead of flipping
+  const reducedMotion = useReducedMotion();
+  const flipDuration = controls.flipDuration;
+
+  const cards = useMemo(() => [
+    { front: 'React', back: 'Component-based UI library', color: '#22d3ee', icon: '⚛' },
+    { front: 'Three.js', back: '3D graphics library for WebGL', color: '#a855f7', icon: '△' },
+    { front: 'Framer', back: 'Production-ready motion library', color: '#ec4899', icon: '◆' },
+  ], []);
+
+  return (
+    <div style={{ display: 'flex', gap: '2rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
+      {cards.map((card, i) => (
+        <motion.div
+          key={i}
+          initial="rest"
+          whileHover="hovered"
+          variants={reducedMotion ? undefined : { rest: { rotateY: 0 }, hovered: { rotateY: 180 } }}
+          transition={{ duration: flipDuration }}
+          style={{
+            width: 200,
+            height: 260,
+            cursor: 'pointer',
+            transformStyle: 'preserve-3d',
+            perspective: 1000,
+          }}
+        >
+          {/* Front */}
+          <motion.div
+            variants={reducedMotion ? { rest: { opacity: 1 }, hovered: { opacity: 0 } } : undefined}
+            transition={{ duration: flipDuration }}
+            style={{
+              position: 'absolute', inset: 0, borderRadius: 16,
+              background: `linear-gradient(145deg, ${card.color}22, ${card.color}44)`,
+              border: `1px solid ${card.color}66`,
+              backfaceVisibility: 'hidden',
+              display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: 12,
+            }}
+          >
+            <span style={{ fontSize: 48 }}>{card.icon}</span>
+            <h3 style={{ color: '#fff', fontSize: 20, fontWeight: 600, margin: 0 }}>{card.front}</h3>
+          </motion.div>
+          {/* Back */}
+          <motion.div
+            variants={reducedMotion ? { rest: { opacity: 0 }, hovered: { opacity: 1 } } : undefined}
+            transition={{ duration: flipDuration }}
+            style={{
+              position: 'absolute', inset: 0, borderRadius: 16,
+              background: `linear-gradient(145deg, ${card.color}44, ${card.color}22)`,
+              border: `1px solid ${card.color}66`,
+              backfaceVisibility: 'hidden',
+              rotateY: reducedMotion ? 0 : 180,
+              display: 'flex', alignItems: 'center', justifyContent: 'center',
+              padding: 24, textAlign: 'center',
+            }}
+          >
+            <p style={{ color: '#fff', fontSize: 15, lineHeight: 1.5 }}>{card.back}</p>
+          </motion.div>
+        </motion.div>
+      ))}
+    </div>
+  );
+});
+
+// Text Hover - LetterSpread
+/** @param {import('./config').TextHoverProps} props */
+const LetterSpread = React.memo((props) => {
+  const controls = useControls('texthover', props);
+  const letterDelay = controls.letterDelay;
+  const liftHeight = controls.liftHeight;
+
+  const texts = useMemo(() => ['HOVER', 'THESE', 'WORDS'], []);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '3rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+      {texts.map((text, ti) => (
+        <motion.div
+          key={ti}
+          whileHover="hovered"
+          style={{ display: 'flex', cursor: 'pointer', gap: 2 }}
+        >
+          {text.split('').map((char, ci) => (
+            <motion.span
+              key={ci}
+              variants={{
+                hovered: { y: -liftHeight, color: '#22d3ee', transition: { delay: ci * letterDelay, type: 'spring', stiffness: 300 } },
+              }}
+              style={{ fontSize: 48, fontWeight: 800, color: '#ffffff', letterSpacing: 4, display: 'inline-block' }}
+            >
+              {char}
+            </motion.span>
+          ))}
+        </motion.div>
+      ))}
+    </div>
+  );
+});
+
+// Text Hover - GlitchText
+/** @param {import('./config').TextHoverProps} props */
+const GlitchText = React.memo((props) => {
+  const [hoveredIndex, setHoveredIndex] = useState(-1);
+  // Reduced motion keeps the colour split but drops the jitter
+  const reducedMotion = useReducedMotion();
+
+  const lines = useMemo(() => ['GLITCH', 'EFFECT', 'HOVER'], []);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '2.5rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+      {lines.map((text, i) => (
+        <div
+          key={i}
+          onMouseEnter={() => setHoveredIndex(i)}
+          onMouseLeave={() => setHoveredIndex(-1)}
+          style={{ position: 'relative', cursor: 'pointer' }}
+        >
+          <span style={{
+            fontSize: 52, fontWeight: 900, color: '#fff',
+            letterSpacing: 6, display: 'inline-block',
+            textShadow: hoveredIndex === i
+              ? '2px 0 #22d3ee, -2px 0 #ec4899, 0 2px #a855f7'
+              : 'none',
+            animation: hoveredIndex === i ? 'none' : 'none',
+          }}>
+            {hoveredIndex === i && !reducedMotion ? (
+              text.split('').map((char, ci) => (
+                <motion.span
+                  key={ci}
+                  animate={{
+                    x: [0, -2, 3, -1, 0],
+                    y: [0, 1, -2, 1, 0],
+                    opacity: [1, 0.8, 1, 0.7, 1],
+                  }}
+                  transition={{ duration: 0.3, repeat: Infinity, delay: ci * 0.02 }}
+                  style={{ display: 'inline-block' }}
+                >
+                  {char}
+                </motion.span>
+              ))
+            ) : text}
+          </span>
+          {hoveredIndex === i && (
+            <>
+              <span style={{
+                position: 'absolute', top: 2, left: 2, fontSize: 52, fontWeight: 900,
+                color: '#22d3ee', opacity: 0.5, letterSpacing: 6, clipPath: 'inset(20% 0 40% 0)',
+              }}>{text}</span>
+              <span style={{
+                position: 'absolute', top: -2, left: -2, fontSize: 52, fontWeight: 900,
+                color: '#ec4899', opacity: 0.5, letterSpacing: 6, clipPath: 'inset(60% 0 10% 0)',
+              }}>{text}</span>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+// Button Effects - SlideButton
+/** @param {import('./config').ButtonHoverProps} props */
+const SlideButton = React.memo((props) => {
+  const controls = useControls('buttonhover', props);
+  const slideDuration = controls.slideDuration;
+
+  const buttons = useMemo(() => [
+    { label: 'Get Started', gradient: 'linear-gradient(90deg, #22d3ee 0%, #a855f7 50%, #22d3ee 100%)' },
+    { label: 'Learn More', gradient: 'linear-gradient(90deg, #a855f7 0%, #ec4899 50%, #a855f7 100%)' },
+    { label: 'Sign Up', gradient: 'linear-gradient(90deg, #ec4899 0%, #f59e0b 50%, #ec4899 100%)' },
+    { label: 'Download', gradient: 'linear-gradient(90deg, #10b981 0%, #22d3ee 50%, #10b981 100%)' },
+  ], []);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+      {buttons.map((btn, i) => (
+        <motion.button
+          key={i}
+          whileHover={{ backgroundPosition: '100% 0', scale: 1.05, boxShadow: '0 0 30px rgba(34,211,238,0.3)' }}
+          transition={{ duration: slideDuration }}
+          style={{
+            padding: '14px 48px',
+            fontSize: 16,
+            fontWeight: 600,
+            color: '#fff',
+            border: '1px solid rgba(255,255,255,0.15)',
+            borderRadius: 8,
+            cursor: 'pointer',
+            background: btn.gradient,
+            backgroundSize: '200% 100%',
+            backgroundPosition: '0% 0',
+            letterSpacing: 1,
+          }}
+        >
+          {btn.label}
+        </motion.button>
+      ))}
+    </div>
+  );
+});
+
+// Button Effects - MorphButton
+/** @param {import('./config').ButtonHoverProps} props */
+const MorphButton = React.memo((props) => {
+  const controls = useControls('buttonhover', props);
+  const morphRadius = controls.morphRadius;
+
+  const buttons = useMemo(() => [
+    { label: 'Primary', color: '#22d3ee', bg: 'rgba(34,211,238,0.1)' },
+    { label: 'Secondary', color: '#a855f7', bg: 'rgba(168,85,247,0.1)' },
+    { label: 'Accent', color: '#ec4899', bg: 'rgba(236,72,153,0.1)' },
+    { label: 'Success', color: '#10b981', bg: 'rgba(16,185,129,0.1)' },
+  ], []);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+      {buttons.map((btn, i) => (
+        <motion.button
+          key={i}
+          whileHover={{
+            borderRadius: morphRadius,
+            scale: 1.08,
+            backgroundColor: btn.color,
+            color: '#050505',
+            boxShadow: `0 0 25px ${btn.color}66`,
+          }}
+          transition={{ type: 'spring', stiffness: 200, damping: 15 }}
+          style={{
+            padding: '14px 48px',
+            fontSize: 16,
+            fontWeight: 600,
+            color: btn.color,
+            border: `2px solid ${btn.color}`,
+            borderRadius: 8,
+            cursor: 'pointer',
+            background: btn.bg,
+            letterSpacing: 1,
+            minWidth: 180,
+          }}
+        >
+          {btn.label}
+        </motion.button>
+      ))}
+    </div>
+  );
+});
+
+// Image Hover - ZoomReveal
+/** @param {import('./config').ImageHoverProps} props */
+const ZoomReveal = React.memo((props) => {
+  const controls = useControls('imagehover', props);
+  const zoomScale = controls.zoomScale;
+
+  const images = useMemo(() => [
+    { title: 'Mountain Peak', subtitle: 'Elevation 4,200m', gradient: 'linear-gradient(135deg, #1e3a5f, #0891b2)' },
+    { title: 'Ocean Deep', subtitle: 'Depth 3,800m', gradient: 'linear-gradient(135deg, #1e1b4b, #6366f1)' },
+    { title: 'Desert Dunes', subtitle: 'Temperature 52°C', gradient: 'linear-gradient(135deg, #78350f, #f59e0b)' },
+  ], []);
+
+  return (
+    <div style={{ display: 'flex', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
+      {images.map((img, i) => (
+        <motion.div
+          key={i}
+          whileHover="hovered"
+          style={{
+            width: 220, height: 280, borderRadius: 12,
+            overflow: 'hidden', position: 'relative', cursor: 'pointer',
+            border: '1px solid rgba(255,255,255,0.08)',
+          }}
+        >
+          <motion.div
+            variants={{ hovered: { scale: zoomScale } }}
+            transition={{ duration: 0.4 }}
+            style={{
+              width: '100%', height: '100%',
+              background: img.gradient,
+            }}
+          />
+          <motion.div
+            variants={{
+              hovered: { opacity: 1, y: 0 },
+            }}
+            initial={{ opacity: 0, y: 20 }}
+            transition={{ duration: 0.3 }}
+            style={{
+              position: 'absolute', bottom: 0, left: 0, right: 0,
+              padding: 20,
+              background: 'linear-gradient(transparent, rgba(0,0,0,0.8))',
+            }}
+          >
+            <h3 style={{ color: '#fff', fontSize: 18, fontWeight: 700, margin: 0 }}>{img.title}</h3>
+            <p style={{ color: 'rgba(255,255,255,0.7)', fontSize: 12, margin: '4px 0 0' }}>{img.subtitle}</p>
+          </motion.div>
+        </motion.div>
+      ))}
+    </div>
+  );
+});
+
+// Image Hover - ShutterReveal
+/** @param {import('./config').ImageHoverProps} props */
+const ShutterReveal = React.memo((props) => {
+  const controls = useControls('imagehover', props);
+  const shutterBars = controls.shutterBars;
+
+  const images = useMemo(() => [
+    { gradient: 'linear-gradient(135deg, #22d3ee, #a855f7)', label: 'Project Alpha' },
+    { gradient: 'linear-gradient(135deg, #a855f7, #ec4899)', label: 'Project Beta' },
+    { gradient: 'linear-gradient(135deg, #ec4899, #f59e0b)', label: 'Project Gamma' },
+  ], []);
+
+  return (
+    <div style={{ display: 'flex', gap: '1.5rem', justifyContent: 'center', alignItems: 'center', height: '100%', flexWrap: 'wrap' }}>
+      {images.map((img, idx) => (
+        <motion.div
+          key={idx}
+          whileHover="revealed"
+          initial="hidden"
+          style={{
+            width: 220, height: 280, borderRadius: 12,
+            overflow: 'hidden', position: 'relative', cursor: 'pointer',
+            border: '1px solid rgba(255,255,255,0.08)',
+          }}
+        >
+          {/* Background image/gradient */}
+          <div style={{ position: 'absolute', inset: 0, background: img.gradient, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            <span style={{ color: '#fff', fontSize: 18, fontWeight: 700 }}>{img.label}</span>
+          </div>
+          {/* Shutter bars */}
+          {[...Array(shutterBars)].map((_, i) => (
+            <motion.div
+              key={i}
+              variants={{
+                hidden: { scaleY: 1 },
+                revealed: { scaleY: 0, transition: { delay: i * 0.05, duration: 0.3 } },
+              }}
+              style={{
+                position: 'absolute',
+                top: `${(i / shutterBars) * 100}%`,
+                left: 0, right: 0,
+                height: `${100 / shutterBars}%`,
+                background: '#0a0a0a',
+                transformOrigin: 'top',
+              }}
+            />
+          ))}
+        </motion.div>
+      ))}
+    </div>
+  );
+});
+
+export {
+  TiltCard,
+  FlipCard,
+  LetterSpread,
+  GlitchText,
+  SlideButton,
+  MorphButton,
+  ZoomReveal,
+  ShutterReveal,
+};
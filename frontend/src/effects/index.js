@@ -0,0 +1,16 @@
+// ============================================================
+// EFFECTS LIBRARY - Public entry point for reusing effects outside the showcase
+// ============================================================
+// Canvas effects render inside an R3F <Canvas> (scroll effects inside
+// AnimationScene's ScrollControls); DOM effects render anywhere. Every effect
+// takes its CONTROLS_CONFIG keys as props.
+export * from './scrollEffects';
+export * from './mouseEffects';
+export * from './domEffects';
+export * from './scenes';
+export { ControlsContext, resolveControls, useControls } from './controls';
+export { useReducedMotion, useAmbientClock } from './motion';
+export { createRandom } from './random';
+export { QUALITY_LEVELS, QualityContext, useQuality, scaleDetail, resolveQuality, QualityMonitor } from './quality';
+export { instanceShader } from './instancing';
+export { CONTROLS_CONFIG, CONTROL_PRESETS } from './config';
@@ -0,0 +1,58 @@
+// ============================================================
+// INSTANCING - Many copies of one mesh in a single draw call
+// ============================================================
+// Effects made of many similar meshes render one <instancedMesh> and write each
+// copy's matrix (and colour, through setColorAt) themselves. Instances move after
+// three has measured the mesh's bounds, so those effects turn frustumCulled off.
+// Built-in materials have no per-instance opacity or emissive strength;
+// instanceShader() patches them in from float attributes on the geometry:
+//
+//   <instancedMesh args={[undefined, undefined, count]} frustumCulled={false}>
+//     <boxGeometry>
+//       <instancedBufferAttribute attach="attributes-instanceOpacity" args={[opacities, 1]} />
+//     </boxGeometry>
+//     <meshStandardMaterial {...instanceShader('opacity')} transparent />
+//   </instancedMesh>
+//
+// Write new values into the array, then set the attribute's needsUpdate.
+
+const INSTANCE_PATCHES = {
+  // Multiplies the fragment's alpha; the material must be transparent
+  opacity: {
+    attribute: 'instanceOpacity',
+    anchor: '#include <color_fragment>',
+    line: 'diffuseColor.a *= vInstanceOpacity;',
+  },
+  // Emissive light in the instance's own colour (setColorAt), scaled per instance.
+  // Standard materials only; leave the material's emissive white
+  emissive: {
+    attribute: 'instanceEmissive',
+    anchor: '#include <emissivemap_fragment>',
+    line: 'totalEmissiveRadiance *= vColor * vInstanceEmissive;',
+  },
+};
+
+// One material patch per feature set, so materials that share one share a program
+const instanceShaders = new Map();
+
+const instanceShader = (...features) => {
+  const key = features.join('+');
+  if (!instanceShaders.has(key)) {
+    instanceShaders.set(key, {
+      onBeforeCompile: (shader) => {
+        features.forEach((feature) => {
+          const { attribute, anchor, line } = INSTANCE_PATCHES[feature];
+          const varying = `v${attribute[0].toUpperCase()}${attribute.slice(1)}`;
+          shader.vertexShader = `attribute float ${attribute};\nvarying float ${varying};\n${shader.vertexShader}`
+            .replace('#include <begin_vertex>', `#include <begin_vertex>\n${varying} = ${attribute};`);
+          shader.fragmentShader = `varying float ${varying};\n${shader.fragmentShader}`
+            .replace(anchor, `${anchor}\n${line}`);
+        });
+      },
+      customProgramCacheKey: () => `instance-${key}`,
+    });
+  }
+  return instanceShaders.get(key);
+};
+
+export { instanceShader };
@@ -0,0 +1,29 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useReducedMotionConfig } from 'framer-motion';
+
+// ============================================================
+// MOTION POLICY - prefers-reduced-motion for canvas and DOM effects
+// ============================================================
+// Framer's <MotionConfig reducedMotion> is the single switch: "user" follows
+// the OS setting, "always" / "never" override it. DOM effects get framer's own
+// handling for free; canvas effects read the same answer through these hooks.
+
+const useReducedMotion = () => Boolean(useReducedMotionConfig());
+
+// Seconds of ambient motion - idle spins, bobbing, shader time. Stands still
+// while motion is reduced, so effects hold their pose instead of snapping back.
+// Motion the visitor drives (scroll, pointer) doesn't go through this clock
+const useAmbientClock = () => {
+  const reducedMotion = useReducedMotion();
+  const clock = useRef(0);
+
+  // Negative priority: advance before any effect reads it this frame
+  useFrame((state, delta) => {
+    if (!reducedMotion) clock.current += delta;
+  }, -1);
+
+  return clock;
+};
+
+export { useReducedMotion, useAmbientClock };
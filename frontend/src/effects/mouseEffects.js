@@ -0,0 +1,616 @@
+import React, { useRef, useMemo, useCallback, useLayoutEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { MeshDistortMaterial, Float } from '@react-three/drei';
+import * as THREE from 'three';
+import { useControls } from './controls';
+import { useAmbientClock, useReducedMotion } from './motion';
+import { createRandom } from './random';
+import { useQuality, scaleDetail } from './quality';
+import { instanceShader } from './instancing';
+
+// ============================================================
+// HOVER TRANSFORM EFFECTS
+// ============================================================
+
+/** @param {import('./config').HoverTransformProps} props */
+const ScalePop = React.memo((props) => {
+  const groupRef = useRef();
+  const meshRef = useRef();
+  const hoveredIndex = useRef(-1);
+  const controls = useControls('hovertransform', props);
+
+  const hoverScale = controls.hoverScale;
+  const lerpSpeed = controls.lerpSpeed;
+  const gridSize = controls.gridSize;
+
+  // The grid keeps the same footprint at any size; boxes shrink to fit
+  const spacing = 7.2 / gridSize;
+  const boxes = useMemo(() => {
+    const count = gridSize * gridSize;
+    const offset = (gridSize - 1) / 2;
+    const items = [];
+    for (let row = 0; row < gridSize; row++) {
+      for (let col = 0; col < gridSize; col++) {
+        const index = row * gridSize + col;
+        items.push({
+          position: new THREE.Vector3((col - offset) * spacing, (row - offset) * spacing, 0),
+          color: `hsl(${(index / count) * 352 + 180}, 70%, 55%)`,
+          scale: 1,
+        });
+      }
+    }
+    return items;
+  }, [gridSize, spacing]);
+  const emissive = useMemo(() => new Float32Array(boxes.length).fill(0.2), [boxes]);
+  const dummy = useMemo(() => new THREE.Object3D(), []);
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const color = new THREE.Color();
+    boxes.forEach((box, i) => mesh.setColorAt(i, color.setStyle(box.color)));
+    mesh.instanceColor.needsUpdate = true;
+  }, [boxes]);
+
+  useFrame(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    boxes.forEach((box, i) => {
+      const isHovered = i === hoveredIndex.current;
+      const targetScale = isHovered ? hoverScale : 1;
+      box.scale = THREE.MathUtils.lerp(box.scale, targetScale, lerpSpeed);
+      emissive[i] = THREE.MathUtils.lerp(emissive[i], isHovered ? 0.8 : 0.2, 0.1);
+
+      dummy.position.copy(box.position);
+      dummy.scale.setScalar(box.scale);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(i, dummy.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.geometry.attributes.instanceEmissive.needsUpdate = true;
+  });
+
+  const boxSize = spacing * (2 / 3);
+
+  return (
+    <group ref={groupRef}>
+      <instancedMesh
+        key={boxes.length}
+        ref={meshRef}
+        args={[undefined, undefined, boxes.length]}
+        frustumCulled={false}
+        onPointerOver={(e) => { hoveredIndex.current = e.instanceId; }}
+        onPointerOut={(e) => { if (hoveredIndex.current === e.instanceId) hoveredIndex.current = -1; }}
+      >
+        <boxGeometry args={[boxSize, boxSize, boxSize]}>
+          <instancedBufferAttribute attach="attributes-instanceEmissive" args={[emissive, 1]} />
+        </boxGeometry>
+        <meshStandardMaterial {...instanceShader('emissive')} emissive="#ffffff" metalness={0.7} roughness={0.3} />
+      </instancedMesh>
+    </group>
+  );
+});
+
+/** @param {import('./config').HoverTransformProps} props */
+const SpinHover = React.memo((props) => {
+  const meshRefs = useRef([]);
+  const spinSpeeds = useRef([]);
+  const hoveredSet = useRef(new Set());
+  const controls = useControls('hovertransform', props);
+  const clock = useAmbientClock();
+
+  const spinRate = controls.spinRate;
+
+  const shapes = useMemo(() => {
+    const items = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = (i / 6) * Math.PI * 2;
+      items.push({
+        position: [Math.cos(angle) * 3, Math.sin(angle) * 3, 0],
+        color: `hsl(${i * 60 + 200}, 75%, 55%)`,
+      });
+      spinSpeeds.current[i] = 0;
+    }
+    return items;
+  }, []);
+
+  useFrame((state, delta) => {
+    meshRefs.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const target = hoveredSet.current.has(i) ? spinRate : 0;
+      spinSpeeds.current[i] = THREE.MathUtils.lerp(spinSpeeds.current[i], target, 0.05);
+      mesh.rotation.y += spinSpeeds.current[i] * delta;
+      mesh.rotation.x = Math.sin(clock.current * 0.5 + i) * 0.2;
+    });
+  });
+
+  return (
+    <group>
+      {shapes.map((shape, i) => (
+        <mesh
+          key={i}
+          ref={el => meshRefs.current[i] = el}
+          position={shape.position}
+          onPointerOver={() => hoveredSet.current.add(i)}
+          onPointerOut={() => hoveredSet.current.delete(i)}
+        >
+          <torusKnotGeometry args={[0.6, 0.2, 64, 16]} />
+          <meshStandardMaterial color={shape.color} emissive={shape.color} emissiveIntensity={0.3} metalness={0.8} roughness={0.2} />
+        </mesh>
+      ))}
+      <pointLight intensity={2} color="#22d3ee" distance={10} />
+    </group>
+  );
+});
+
+// ============================================================
+// MOUSE FOLLOW EFFECTS
+// ============================================================
+
+/** @param {import('./config').MouseFollowProps} props */
+const TrackingSphere = React.memo((props) => {
+  const meshRef = useRef();
+  const controls = useControls('mousefollow', props);
+  const clock = useAmbientClock();
+  const reducedMotion = useReducedMotion();
+
+  const followSpeed = controls.followSpeed;
+  const worldScale = controls.worldScale;
+
+  useFrame((state) => {
+    if (!meshRef.current) return;
+    const targetX = state.pointer.x * worldScale;
+    const targetY = state.pointer.y * (worldScale * 0.6);
+
+    meshRef.current.position.x = THREE.MathUtils.lerp(meshRef.current.position.x, targetX, followSpeed);
+    meshRef.current.position.y = THREE.MathUtils.lerp(meshRef.current.position.y, targetY, followSpeed);
+
+    meshRef.current.rotation.x = clock.current * 0.4;
+    meshRef.current.rotation.y = clock.current * 0.6;
+  });
+
+  return (
+    <group>
+      <mesh ref={meshRef} scale={1.5}>
+        <icosahedronGeometry args={[1, 4]} />
+        <MeshDistortMaterial color="#22d3ee" emissive="#0891b2" emissiveIntensity={0.5} roughness={0.2} metalness={0.8} distort={0.3} speed={reducedMotion ? 0 : 2} />
+      </mesh>
+      <pointLight intensity={2} color="#22d3ee" distance={12} />
+    </group>
+  );
+});
+
+/** @param {import('./config').MouseFollowProps} props */
+const LazyFollow = React.memo((props) => {
+  const meshRefs = useRef([]);
+  const positions = useRef([]);
+  const controls = useControls('mousefollow', props);
+  const clock = useAmbientClock();
+
+  const followSpeed = controls.followSpeed;
+  const trailCount = controls.trailCount;
+  const worldScale = controls.worldScale;
+
+  const spheres = useMemo(() => {
+    const items = [];
+    for (let i = 0; i < trailCount; i++) {
+      items.push({
+        scale: 0.4 - i * 0.03,
+        color: `hsl(${180 + i * 15}, 80%, ${60 - i * 3}%)`,
+      });
+      positions.current[i] = new THREE.Vector3(0, 0, 0);
+    }
+    return items;
+  }, [trailCount]);
+
+  useFrame((state) => {
+    // Leader follows mouse
+    const targetX = state.pointer.x * worldScale;
+    const targetY = state.pointer.y * (worldScale * 0.6);
+    positions.current[0].lerp(new THREE.Vector3(targetX, targetY, 0), followSpeed);
+
+    // Followers chase the one ahead
+    for (let i = 1; i < positions.current.length; i++) {
+      positions.current[i].lerp(positions.current[i - 1], followSpeed * 0.8);
+    }
+
+    // Update mesh positions
+    meshRefs.current.forEach((mesh, i) => {
+      if (!mesh || !positions.current[i]) return;
+      mesh.position.copy(positions.current[i]);
+      mesh.rotation.x = clock.current * (0.5 + i * 0.1);
+      mesh.rotation.y = clock.current * (0.3 + i * 0.1);
+    });
+  });
+
+  return (
+    <group>
+      {spheres.map((s, i) => (
+        <mesh key={i} ref={el => meshRefs.current[i] = el} scale={s.scale}>
+          <icosahedronGeometry args={[1, 2]} />
+          <meshStandardMaterial color={s.color} emissive={s.color} emissiveIntensity={0.4} metalness={0.7} roughness={0.3} />
+        </mesh>
+      ))}
+      <pointLight intensity={2} color="#22d3ee" distance={10} />
+    </group>
+  );
+});
+
+// ============================================================
+// HOVER GLOW EFFECTS
+// ============================================================
+
+/** @param {import('./config').HoverGlowProps} props */
+const EmissionPulse = React.memo((props) => {
+  const meshRef = useRef();
+  const hovered = useRef(false);
+  const controls = useControls('hoverglow', props);
+  const clock = useAmbientClock();
+  const reducedMotion = useReducedMotion();
+
+  const glowIntensity = controls.glowIntensity;
+  const fadeSpeed = controls.fadeSpeed;
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    const target = hovered.current ? glowIntensity : 0.3;
+    meshRef.current.material.emissiveIntensity = THREE.MathUtils.lerp(
+      meshRef.current.material.emissiveIntensity, target, fadeSpeed
+    );
+
+    const colorTarget = hovered.current ? 1.0 : 0.5;
+    const t = THREE.MathUtils.lerp(meshRef.current.userData.colorT || 0.5, colorTarget, fadeSpeed);
+    meshRef.current.userData.colorT = t;
+    const hue = THREE.MathUtils.lerp(280, 190, t);
+    meshRef.current.material.emissive.setHSL(hue / 360, 0.8, 0.5);
+
+    meshRef.current.rotation.x = clock.current * 0.3;
+    meshRef.current.rotation.y = clock.current * 0.5;
+  });
+
+  return (
+    <group>
+      <Float speed={1.5} rotationIntensity={0.2} enabled={!reducedMotion}>
+        <mesh
+          ref={meshRef}
+          scale={2.5}
+          onPointerOver={() => { hovered.current = true; }}
+          onPointerOut={() => { hovered.current = false; }}
+        >
+          <icosahedronGeometry args={[1, 3]} />
+          <meshStandardMaterial color="#a855f7" emissive="#a855f7" emissiveIntensity={0.3} metalness={0.9} roughness={0.1} />
+        </mesh>
+      </Float>
+      <pointLight intensity={2} color="#a855f7" distance={15} />
+    </group>
+  );
+});
+
+/** @param {import('./config').HoverGlowProps} props */
+const ColorShift = React.memo((props) => {
+  const meshRefs = useRef([]);
+  const controls = useControls('hoverglow', props);
+  const clock = useAmbientClock();
+
+  const fadeSpeed = controls.fadeSpeed;
+
+  const spheres = useMemo(() => {
+    const items = [];
+    for (let i = 0; i < 12; i++) {
+      const angle = (i / 12) * Math.PI * 2;
+      items.push({
+        position: [Math.cos(angle) * 3.5, Math.sin(angle) * 3.5, 0],
+        baseHue: 180 + i * 15,
+      });
+    }
+    return items;
+  }, []);
+
+  useFrame((state) => {
+    const mouseX = state.pointer.x * 5;
+    const mouseY = state.pointer.y * 3;
+    const mousePos = new THREE.Vector3(mouseX, mouseY, 0);
+
+    meshRefs.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const dist = mesh.position.distanceTo(mousePos);
+      const influence = Math.max(0, 1 - dist / 5);
+
+      const hue = THREE.MathUtils.lerp(spheres[i].baseHue, 60, influence);
+      mesh.material.color.setHSL(hue / 360, 0.8, 0.55);
+      mesh.material.emissive.setHSL(hue / 360, 0.8, 0.3);
+      mesh.material.emissiveIntensity = THREE.MathUtils.lerp(mesh.material.emissiveIntensity, 0.2 + influence * 1.5, fadeSpeed);
+
+      mesh.position.y = spheres[i].position[1] + Math.sin(clock.current + i * 0.5) * 0.2;
+    });
+  });
+
+  return (
+    <group>
+      {spheres.map((s, i) => (
+        <mesh key={i} ref={el => meshRefs.current[i] = el} position={s.position}>
+          <sphereGeometry args={[0.5, 24, 24]} />
+          <meshStandardMaterial color={`hsl(${s.baseHue}, 80%, 55%)`} emissive={`hsl(${s.baseHue}, 80%, 30%)`} emissiveIntensity={0.2} metalness={0.6} roughness={0.3} />
+        </mesh>
+      ))}
+      <pointLight intensity={2} color="#22d3ee" distance={12} />
+    </group>
+  );
+});
+
+// ============================================================
+// MAGNETIC CURSOR EFFECTS
+// ============================================================
+
+/** @param {import('./config').MagneticProps} props */
+const AttractGrid = React.memo((props) => {
+  const meshRef = useRef();
+  const controls = useControls('magnetic', props);
+
+  const attractStrength = controls.attractStrength;
+  const gridSize = controls.gridSize;
+
+  // Same footprint at any size; dots shrink as the grid gets denser
+  const grid = useMemo(() => {
+    const count = gridSize * gridSize;
+    const spacing = 7.2 / gridSize;
+    const offset = (gridSize - 1) / 2;
+    const items = [];
+    for (let row = 0; row < gridSize; row++) {
+      for (let col = 0; col < gridSize; col++) {
+        const rest = new THREE.Vector3((col - offset) * spacing, (row - offset) * spacing, 0);
+        items.push({
+          rest,
+          position: rest.clone(),
+          color: `hsl(${((row * gridSize + col) / count) * 320 + 180}, 70%, 55%)`,
+        });
+      }
+    }
+    return items;
+  }, [gridSize]);
+  const emissive = useMemo(() => new Float32Array(grid.length).fill(0.3), [grid]);
+  const dummy = useMemo(() => new THREE.Object3D(), []);
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const color = new THREE.Color();
+    grid.forEach((g, i) => mesh.setColorAt(i, color.setStyle(g.color)));
+    mesh.instanceColor.needsUpdate = true;
+  }, [grid]);
+
+  useFrame((state) => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const mouseX = state.pointer.x * 5;
+    const mouseY = state.pointer.y * 3;
+    const mousePos = new THREE.Vector3(mouseX, mouseY, 0);
+    const dotScale = (0.15 * 8) / gridSize;
+
+    grid.forEach(({ rest, position }, i) => {
+      // Attract toward mouse
+      const dir = mousePos.clone().sub(position);
+      const dist = dir.length();
+      const force = attractStrength / (dist * dist + 0.5);
+      position.add(dir.normalize().multiplyScalar(force));
+
+      // Spring back to rest
+      position.lerp(rest, 0.02);
+
+      dummy.position.copy(position);
+      dummy.scale.setScalar(dotScale);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(i, dummy.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  });
+
+  return (
+    <group>
+      <instancedMesh key={grid.length} ref={meshRef} args={[undefined, undefined, grid.length]} frustumCulled={false}>
+        <sphereGeometry args={[1, 12, 12]}>
+          <instancedBufferAttribute attach="attributes-instanceEmissive" args={[emissive, 1]} />
+        </sphereGeometry>
+        <meshStandardMaterial {...instanceShader('emissive')} emissive="#ffffff" />
+      </instancedMesh>
+      <pointLight intensity={2} color="#a855f7" distance={10} />
+    </group>
+  );
+});
+
+/** @param {import('./config').MagneticProps} props */
+const RepelField = React.memo((props) => {
+  const meshRefs = useRef([]);
+  const controls = useControls('magnetic', props);
+
+  const springBack = controls.springBack;
+  const repelRadius = controls.repelRadius;
+  const seed = controls.seed;
+
+  const objects = useMemo(() => {
+    const random = createRandom(seed);
+    const items = [];
+    for (let i = 0; i < 30; i++) {
+      items.push({
+        rest: new THREE.Vector3(
+          (random() - 0.5) * 8,
+          (random() - 0.5) * 6,
+          (random() - 0.5) * 2
+        ),
+        color: `hsl(${random() * 60 + 270}, 70%, 55%)`,
+        scale: 0.15 + random() * 0.2,
+      });
+    }
+    return items;
+  }, [seed]);
+
+  useFrame((state) => {
+    const mouseX = state.pointer.x * 5;
+    const mouseY = state.pointer.y * 3;
+    const mousePos = new THREE.Vector3(mouseX, mouseY, 0);
+
+    meshRefs.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const away = mesh.position.clone().sub(mousePos);
+      const dist = away.length();
+
+      if (dist < repelRadius) {
+        const force = (repelRadius - dist) * 0.05;
+        mesh.position.add(away.normalize().multiplyScalar(force));
+      }
+
+      // Spring back
+      mesh.position.lerp(objects[i].rest, springBack);
+    });
+  });
+
+  return (
+    <group>
+      {objects.map((obj, i) => (
+        <mesh key={i} ref={el => meshRefs.current[i] = el} position={obj.rest.toArray()} scale={obj.scale}>
+          <dodecahedronGeometry args={[1]} />
+          <meshStandardMaterial color={obj.color} emissive={obj.color} emissiveIntensity={0.3} metalness={0.7} roughness={0.3} />
+        </mesh>
+      ))}
+      <pointLight intensity={2} color="#ec4899" distance={10} />
+    </group>
+  );
+});
+
+// ============================================================
+// RIPPLE HOVER EFFECTS
+// ============================================================
+
+/** @param {import('./config').RippleProps} props */
+const SurfaceRipple = React.memo((props) => {
+  const matRef = useRef();
+  const mouseUV = useRef(new THREE.Vector2(0.5, 0.5));
+  const controls = useControls('ripple', props);
+  const clock = useAmbientClock();
+  const quality = useQuality();
+
+  const rippleStrength = controls.rippleStrength;
+  const rippleFreq = controls.rippleFreq;
+  const rippleDecay = controls.rippleDecay;
+
+  const shader = useMemo(() => ({
+    uniforms: {
+      uTime: { value: 0 },
+      uMouse: { value: new THREE.Vector2(0.5, 0.5) },
+      uStrength: { value: rippleStrength },
+      uFreq: { value: rippleFreq },
+      uDecay: { value: rippleDecay },
+    },
+    vertexShader: `
+      uniform float uTime;
+      uniform vec2 uMouse;
+      uniform float uStrength;
+      uniform float uFreq;
+      uniform float uDecay;
+      varying vec2 vUv;
+      varying float vWave;
+      void main() {
+        vUv = uv;
+        vec3 pos = position;
+        float dist = distance(uv, uMouse);
+        float wave = sin(dist * uFreq - uTime * 5.0) * exp(-dist * uDecay) * uStrength;
+        pos.z += wave;
+        vWave = wave;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      varying vec2 vUv;
+      varying float vWave;
+      void main() {
+        vec3 cyan = vec3(0.133, 0.827, 0.933);
+        vec3 purple = vec3(0.659, 0.341, 0.969);
+        vec3 color = mix(cyan, purple, vUv.y + vWave * 0.5);
+        color += vWave * 0.3;
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `
+  }), [rippleStrength, rippleFreq, rippleDecay]);
+
+  useFrame(() => {
+    if (!matRef.current) return;
+    matRef.current.uniforms.uTime.value = clock.current;
+    matRef.current.uniforms.uMouse.value.copy(mouseUV.current);
+  });
+
+  const handlePointerMove = useCallback((e) => {
+    if (e.uv) {
+      mouseUV.current.copy(e.uv);
+    }
+  }, []);
+
+  return (
+    <mesh rotation={[-0.4, 0, 0]} onPointerMove={handlePointerMove}>
+      <planeGeometry args={[10, 7, scaleDetail(100, quality, 30), scaleDetail(100, quality, 30)]} />
+      <shaderMaterial ref={matRef} args={[shader]} side={THREE.DoubleSide} />
+    </mesh>
+  );
+});
+
+/** @param {import('./config').RippleProps} props */
+const WaveRing = React.memo((props) => {
+  const ringsRef = useRef([]);
+  const controls = useControls('ripple', props);
+  const clock = useAmbientClock();
+
+  const rings = useMemo(() => {
+    const items = [];
+    for (let i = 0; i < 10; i++) {
+      items.push({
+        baseRadius: 0.5 + i * 0.4,
+        color: `hsl(${180 + i * 15}, 80%, 55%)`,
+        phase: i * 0.3,
+      });
+    }
+    return items;
+  }, []);
+
+  useFrame((state) => {
+    const mouseX = state.pointer.x * 3;
+    const mouseY = state.pointer.y * 2;
+    const time = clock.current;
+
+    ringsRef.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const ring = rings[i];
+      const pulse = Math.sin(time * 3 - ring.phase * 2) * 0.15;
+      const scale = ring.baseRadius + pulse;
+
+      mesh.scale.set(scale, scale, 1);
+      mesh.position.x = mouseX * (0.1 * i);
+      mesh.position.y = mouseY * (0.1 * i);
+      mesh.material.opacity = 0.8 - i * 0.06;
+    });
+  });
+
+  return (
+    <group>
+      {rings.map((ring, i) => (
+        <mesh key={i} ref={el => ringsRef.current[i] = el} rotation={[0, 0, 0]}>
+          <torusGeometry args={[1, 0.03, 16, 80]} />
+          <meshBasicMaterial color={ring.color} transparent opacity={0.8} />
+        </mesh>
+      ))}
+      <pointLight intensity={2} color="#22d3ee" distance={10} />
+    </group>
+  );
+});
+
+export {
+  ScalePop,
+  SpinHover,
+  TrackingSphere,
+  LazyFollow,
+  EmissionPulse,
+  ColorShift,
+  AttractGrid,
+  RepelField,
+  SurfaceRipple,
+  WaveRing,
+};
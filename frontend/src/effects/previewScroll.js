@@ -0,0 +1,55 @@
+import { createContext, useContext, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useScroll as useDreiScroll } from '@react-three/drei';
+import { useAmbientClock } from './motion';
+
+// ============================================================
+// PREVIEW SCROLL - ScrollControls stand-in for gallery thumbnails
+// ============================================================
+// ScrollControls takes over the canvas's DOM events and adds its own scroll
+// container, so it can't live inside a shared-canvas thumbnail. Previews get a
+// scroll state that sweeps through the pages on its own instead. Effects import
+// useScroll from here; exported components fall back to drei's useScroll.
+const PreviewScrollContext = createContext(null);
+
+const useScroll = () => {
+  const preview = useContext(PreviewScrollContext);
+  const scroll = useDreiScroll();
+  return preview || scroll;
+};
+
+const createPreviewState = (pages) => ({
+  pages,
+  offset: 0,
+  delta: 0,
+  // Same range helper ScrollControls exposes: 0-1 between from -> from + distance
+  range(from, distance, margin = 0) {
+    const start = from - margin;
+    const end = start + distance + margin * 2;
+    return this.offset < start ? 0 : this.offset > end ? 1 : (this.offset - start) / (end - start);
+  },
+});
+
+// Scrolls down and back up over `period` seconds, moving children the way <Scroll> does.
+// The sweep is ambient motion, so it parks wherever it is while motion is reduced
+const PreviewScroll = ({ children, pages = 3, period = 8 }) => {
+  const [state] = useState(() => createPreviewState(pages));
+  const groupRef = useRef();
+  const { height } = useThree((s) => s.viewport);
+  const clock = useAmbientClock();
+
+  useFrame(() => {
+    const offset = (1 - Math.cos((clock.current / period) * Math.PI * 2)) / 2;
+    state.delta = Math.abs(offset - state.offset);
+    state.offset = offset;
+    groupRef.current.position.y = height * (state.pages - 1) * offset;
+  });
+
+  return (
+    <PreviewScrollContext.Provider value={state}>
+      <group ref={groupRef}>{children}</group>
+    </PreviewScrollContext.Provider>
+  );
+};
+
+export { PreviewScroll, useScroll };
@@ -0,0 +1,56 @@
+import React, { createContext, useContext } from 'react';
+import { useThree } from '@react-three/fiber';
+import { PerformanceMonitor } from '@react-three/drei';
+
+// ============================================================
+// ADAPTIVE QUALITY - Resolution and detail levels for canvas effects
+// ============================================================
+// A level caps the device pixel ratio, turns antialiasing on or off and sets a
+// detail factor that effects apply to particle counts and geometry segments.
+// The shell picks the level - by hand, or from frame times through
+// QualityMonitor in Auto - and provides it through QualityContext. Effects read
+// it with useQuality(); outside a provider they get High.
+
+const QUALITY_LEVELS = {
+  low: { dpr: 0.75, antialias: false, detail: 0.35 },
+  medium: { dpr: 1.25, antialias: true, detail: 0.6 },
+  high: { dpr: 2, antialias: true, detail: 1 },
+};
+
+const QualityContext = createContext({ level: 'high', ...QUALITY_LEVELS.high });
+
+const useQuality = () => useContext(QualityContext);
+
+// A particle or segment count at the current level, never below `min`
+const scaleDetail = (count, quality, min = 1) => Math.max(min, Math.round(count * quality.detail));
+
+// Auto turns the monitor's 0-1 factor into a level for counts and segments, while
+// the pixel ratio moves in smaller steps between Low's and the screen's own.
+// Manual levels never go above the screen's pixel ratio either
+const resolveQuality = (mode, factor = 1) => {
+  const maxDpr = window.devicePixelRatio || 1;
+  if (mode !== 'auto') {
+    const level = QUALITY_LEVELS[mode];
+    return { mode, level: mode, ...level, dpr: Math.min(level.dpr, maxDpr) };
+  }
+  const level = factor >= 0.7 ? 'high' : factor >= 0.4 ? 'medium' : 'low';
+  const { low, high } = QUALITY_LEVELS;
+  const highest = Math.max(low.dpr, Math.min(high.dpr, maxDpr));
+  const dpr = low.dpr + (highest - low.dpr) * factor;
+  return { mode, level, factor, ...QUALITY_LEVELS[level], dpr: Math.round(dpr * 20) / 20 };
+};
+
+// Lives inside the Canvas. drei's PerformanceMonitor averages the frame rate over
+// a few seconds and moves the factor down when it stays under 40 fps (60 on
+// high-refresh screens) or up when it keeps up with the display. After a few
+// reversals it stops, so the level doesn't oscillate. `factor` is the starting
+// point, which carries the last value over when the canvas is recreated.
+// Frame times only mean something in a continuous loop, so monitoring sits out
+// paused and on-demand canvases and clip recording, which steps frames by hand
+const QualityMonitor = ({ factor, onChange }) => {
+  const frameloop = useThree(state => state.frameloop);
+  if (frameloop !== 'always') return null;
+  return <PerformanceMonitor factor={factor} step={0.15} flipflops={6} onChange={api => onChange(Math.round(api.factor * 100) / 100)} />;
+};
+
+export { QUALITY_LEVELS, QualityContext, useQuality, scaleDetail, resolveQuality, QualityMonitor };
@@ -0,0 +1,72 @@
+import { QUALITY_LEVELS, resolveQuality, scaleDetail } from './quality';
+
+const setPixelRatio = (ratio) => {
+  window.devicePixelRatio = ratio;
+};
+
+afterEach(() => setPixelRatio(1));
+
+describe('resolveQuality', () => {
+  test.each(['low', 'medium', 'high'])('uses the %s level as set on a 3x screen', (mode) => {
+    setPixelRatio(3);
+    expect(resolveQuality(mode)).toEqual({ mode, level: mode, ...QUALITY_LEVELS[mode] });
+  });
+
+  test.each([
+    ['low', 1, 0.75],
+    ['medium', 1, 1],
+    ['high', 1.5, 1.5],
+  ])('caps %s at the screen pixel ratio of %s', (mode, ratio, dpr) => {
+    setPixelRatio(ratio);
+    expect(resolveQuality(mode).dpr).toBe(dpr);
+  });
+
+  test('treats a missing pixel ratio as 1', () => {
+    setPixelRatio(undefined);
+    expect(resolveQuality('high').dpr).toBe(1);
+  });
+
+  test('ignores the auto factor for levels picked by hand', () => {
+    expect(resolveQuality('medium', 0.1)).toEqual(resolveQuality('medium'));
+  });
+
+  test.each([
+    [1, 'high', true],
+    [0.7, 'high', true],
+    [0.69, 'medium', true],
+    [0.4, 'medium', true],
+    [0.39, 'low', false],
+    [0, 'low', false],
+  ])('turns an auto factor of %s into %s', (factor, level, antialias) => {
+    const quality = resolveQuality('auto', factor);
+    expect(quality).toMatchObject({ mode: 'auto', level, factor, antialias, detail: QUALITY_LEVELS[level].detail });
+  });
+
+  test.each([
+    [2, 1, 2],
+    [2, 0, 0.75],
+    [2, 0.5, 1.4],
+    [1, 0.5, 0.9],
+    [3, 1, 2],
+    [0.5, 1, 0.75],
+  ])('moves the auto pixel ratio on a %sx screen at factor %s to %s', (ratio, factor, dpr) => {
+    setPixelRatio(ratio);
+    expect(resolveQuality('auto', factor).dpr).toBe(dpr);
+  });
+
+  test('starts Auto at High', () => {
+    expect(resolveQuality('auto')).toMatchObject({ level: 'high', factor: 1, antialias: true });
+  });
+});
+
+describe('scaleDetail', () => {
+  test.each([
+    [100, 'high', 1, 100],
+    [100, 'medium', 1, 60],
+    [100, 'low', 1, 35],
+    [2, 'low', 1, 1],
+    [10, 'low', 8, 8],
+  ])('scales %i at %s, with a minimum of %i, to %i', (count, level, min, expected) => {
+    expect(scaleDetail(count, QUALITY_LEVELS[level], min)).toBe(expected);
+  });
+});
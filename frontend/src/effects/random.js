@@ -0,0 +1,20 @@
+// ============================================================
+// SEEDED RANDOM - Reproducible layouts for effects that scatter things
+// ============================================================
+// Effects that place particles or objects at random build them from
+// createRandom(controls.seed) instead of Math.random(), so a seed always gives the
+// same layout: after a reload, in a shared link, an export or either side of A/B.
+// Call it inside the useMemo that builds the layout so each rebuild starts over.
+
+// mulberry32 - tiny and fast; returns floats in [0, 1) like Math.random
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export { createRandom };
@@ -0,0 +1,67 @@
+import { useThree } from '@react-three/fiber';
+import { ScrollControls, Scroll, Stars, PerspectiveCamera } from '@react-three/drei';
+import { useReducedMotion } from './motion';
+import { useQuality, scaleDetail } from './quality';
+import { PreviewScroll } from './previewScroll';
+
+// ============================================================
+// SCENE WRAPPER
+// ============================================================
+// Stars stop twinkling while motion is reduced or the canvas renders on demand,
+// and thin out at lower quality levels
+const AnimationScene = ({ children, pages = 3 }) => {
+  const reducedMotion = useReducedMotion();
+  const quality = useQuality();
+  const onDemand = useThree(state => state.frameloop === 'demand');
+  return (
+    <>
+      <ambientLight intensity={0.3} />
+      <pointLight position={[-10, 10, 10]} intensity={2} color="#22d3ee" />
+      <pointLight position={[10, -10, -10]} intensity={2} color="#ec4899" />
+      <Stars radius={100} depth={50} count={scaleDetail(2000, quality, 400)} factor={4} fade speed={reducedMotion || onDemand ? 0 : 0.5} />
+      <fog attach="fog" args={['#050505', 10, 80]} />
+      <ScrollControls pages={pages} damping={0.12}>
+        <Scroll>{children}</Scroll>
+      </ScrollControls>
+    </>
+  );
+};
+
+// ============================================================
+// MOUSE SCENE WRAPPER (no ScrollControls)
+// ============================================================
+const MouseScene = ({ children }) => {
+  const reducedMotion = useReducedMotion();
+  const quality = useQuality();
+  const onDemand = useThree(state => state.frameloop === 'demand');
+  return (
+    <>
+      <ambientLight intensity={0.3} />
+      <pointLight position={[-10, 10, 10]} intensity={2} color="#22d3ee" />
+      <pointLight position={[10, -10, -10]} intensity={2} color="#ec4899" />
+      <Stars radius={100} depth={50} count={scaleDetail(2000, quality, 400)} factor={4} fade speed={reducedMotion || onDemand ? 0 : 0.5} />
+      <fog attach="fog" args={['#050505', 10, 80]} />
+      {children}
+    </>
+  );
+};
+
+// ============================================================
+// PREVIEW SCENE - Thumbnail wrapper for a shared-canvas <View>
+// ============================================================
+// Each preview brings its own camera (camera-path effects move it) and
+// background, which also clears the view's scissor area every frame.
+// Stars are left out to keep dozens of previews cheap.
+const PreviewScene = ({ children, type }) => (
+  <>
+    <PerspectiveCamera makeDefault position={[0, 0, 10]} fov={55} />
+    <color attach="background" args={['#050505']} />
+    <ambientLight intensity={0.3} />
+    <pointLight position={[-10, 10, 10]} intensity={2} color="#22d3ee" />
+    <pointLight position={[10, -10, -10]} intensity={2} color="#ec4899" />
+    <fog attach="fog" args={['#050505', 10, 80]} />
+    {type === 'scroll' ? <PreviewScroll pages={3}>{children}</PreviewScroll> : children}
+  </>
+);
+
+export { AnimationScene, MouseScene, PreviewScene };
@@ -0,0 +1,1376 @@
+import React, { useRef, useMemo, useLayoutEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { MeshDistortMaterial, Float, MeshWobbleMaterial } from '@react-three/drei';
+import * as THREE from 'three';
+import { useControls } from './controls';
+import { useAmbientClock, useReducedMotion } from './motion';
+import { createRandom } from './random';
+import { useQuality, scaleDetail } from './quality';
+import { instanceShader } from './instancing';
+import { useScroll } from './previewScroll';
+
+// ============================================================
+// TUNNEL EFFECTS
+// ============================================================
+
+// Performance: Memoized to prevent unnecessary re-renders when parent updates
+/** @param {import('./config').TunnelProps} props */
+const RingTunnel = React.memo((props) => {
+  const groupRef = useRef();
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('tunnel', props);
+  const clock = useAmbientClock();
+  const quality = useQuality();
+  
+  const ringCount = controls.ringCount;
+  const ringSpacing = controls.ringSpacing;
+  const travelSpeed = controls.travelSpeed;
+  const hueStart = controls.hueStart;
+  // Tubular segments per ring shape; a low count turns the torus into a polygon
+  const ringSegments = { circle: scaleDetail(80, quality, 24), hexagon: 6, diamond: 4 }[controls.ringShape];
+  
+  // Instances run back to front, so each ring blends over the ones behind it
+  const rings = useMemo(() => 
+    new Array(ringCount).fill(0).map((_, i) => ({
+      z: -i * ringSpacing,
+      hue: hueStart + i * 3,
+      opacity: Math.max(0.15, 1 - i * 0.018),
+      spin: i % 2 ? 0.1 : -0.1
+    })).reverse(), [ringCount, ringSpacing, hueStart]);
+  const opacities = useMemo(() => Float32Array.from(rings, ring => ring.opacity), [rings]);
+  const dummy = useMemo(() => new THREE.Object3D(), []);
+
+  useLayoutEffect(() => {
+    const color = new THREE.Color();
+    rings.forEach((ring, i) => meshRef.current.setColorAt(i, color.setStyle(`hsl(${ring.hue}, 80%, 55%)`)));
+    meshRef.current.instanceColor.needsUpdate = true;
+  }, [rings]);
+
+  useFrame(() => {
+    if (!groupRef.current || !meshRef.current) return;
+    const progress = scroll.range(0, 0.5);
+    groupRef.current.position.z = progress * travelSpeed;
+    
+    rings.forEach((ring, i) => {
+      dummy.position.set(0, 0, ring.z);
+      dummy.rotation.z = clock.current * ring.spin;
+      dummy.updateMatrix();
+      meshRef.current.setMatrixAt(i, dummy.matrix);
+    });
+    meshRef.current.instanceMatrix.needsUpdate = true;
+  });
+
+  return (
+    <group ref={groupRef}>
+      <instancedMesh key={ringCount} ref={meshRef} args={[undefined, undefined, ringCount]} frustumCulled={false}>
+        <torusGeometry args={[3.5, 0.04, 8, ringSegments]}>
+          <instancedBufferAttribute attach="attributes-instanceOpacity" args={[opacities, 1]} />
+        </torusGeometry>
+        <meshBasicMaterial {...instanceShader('opacity')} transparent />
+      </instancedMesh>
+      <pointLight position={[0, 0, -ringCount * ringSpacing]} intensity={8} color="#22d3ee" distance={120} />
+    </group>
+  );
+});
+
+/** @param {import('./config').TunnelProps} props */
+const ParticleTunnel = React.memo((props) => {
+  const pointsRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('tunnel', props);
+  const quality = useQuality();
+  
+  const travelSpeed = controls.travelSpeed;
+  const hueStart = controls.hueStart;
+  const seed = controls.seed;
+  const count = scaleDetail(2000, quality, 300);
+  
+  const particles = useMemo(() => {
+    const random = createRandom(seed);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    
+    for (let i = 0; i < count; i++) {
+      const angle = random() * Math.PI * 2;
+      const radius = 2 + random() * 4;
+      positions[i * 3] = Math.cos(angle) * radius;
+      positions[i * 3 + 1] = Math.sin(angle) * radius;
+      positions[i * 3 + 2] = -random() * 150;
+      
+      const color = new THREE.Color(`hsl(${hueStart + random() * 60}, 80%, 60%)`);
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+    return { positions, colors };
+  }, [hueStart, seed, count]);
+
+  useFrame(() => {
+    if (!pointsRef.current) return;
+    const progress = scroll.range(0, 0.5);
+    pointsRef.current.position.z = progress * travelSpeed;
+  });
+
+  return (
+    <points ref={pointsRef}>
+      <bufferGeometry>
+        {/* args, not array/count props: a new array then gets a new GPU buffer instead of a stale one */}
+        <bufferAttribute attach="attributes-position" args={[particles.positions, 3]} />
+        <bufferAttribute attach="attributes-color" args={[particles.colors, 3]} />
+      </bufferGeometry>
+      <pointsMaterial size={0.08} vertexColors transparent opacity={0.9} sizeAttenuation />
+    </points>
+  );
+});
+
+// ============================================================
+// VELOCITY DEFORMATION
+// ============================================================
+
+/** @param {import('./config').VelocityProps} props */
+const MorphingSphere = React.memo((props) => {
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const velocity = useRef(0);
+  const controls = useControls('velocity', props);
+  const clock = useAmbientClock();
+  const reducedMotion = useReducedMotion();
+  const quality = useQuality();
+  
+  const distortIntensity = controls.distortIntensity;
+  const baseSpeed = controls.baseSpeed;
+  const velocityMultiplier = controls.velocityMultiplier;
+  const color = controls.color;
+  // Darker shade of the picked color keeps the original glow
+  const emissive = useMemo(() => `#${new THREE.Color(color).offsetHSL(0, 0, -0.15).getHexString()}`, [color]);
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    velocity.current = THREE.MathUtils.lerp(velocity.current, Math.abs(scroll.delta) * velocityMultiplier, 0.08);
+    
+    meshRef.current.rotation.x = clock.current * 0.4;
+    meshRef.current.rotation.y = clock.current * 0.6;
+    
+    if (meshRef.current.material) {
+      meshRef.current.material.distort = 0.2 + Math.min(velocity.current * distortIntensity, 0.8);
+      meshRef.current.material.speed = baseSpeed + velocity.current * 0.05;
+    }
+  });
+
+  return (
+    <Float speed={1.5} rotationIntensity={0.3} enabled={!reducedMotion}>
+      <mesh ref={meshRef} scale={2.5}>
+        <icosahedronGeometry args={[1, scaleDetail(8, quality, 3)]} />
+        <MeshDistortMaterial color={color} emissive={emissive} emissiveIntensity={0.5} roughness={0.15} metalness={0.85} distort={0.3} speed={reducedMotion ? 0 : baseSpeed} />
+      </mesh>
+    </Float>
+  );
+});
+
+/** @param {import('./config').VelocityProps} props */
+const WobblingTorus = React.memo((props) => {
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const velocity = useRef(0);
+  const controls = useControls('velocity', props);
+  const clock = useAmbientClock();
+  const reducedMotion = useReducedMotion();
+  const quality = useQuality();
+  
+  const distortIntensity = controls.distortIntensity;
+  const baseSpeed = controls.baseSpeed;
+  const velocityMultiplier = controls.velocityMultiplier;
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    velocity.current = THREE.MathUtils.lerp(velocity.current, Math.abs(scroll.delta) * velocityMultiplier, 0.1);
+    
+    meshRef.current.rotation.x = clock.current * 0.3;
+    meshRef.current.rotation.y = clock.current * 0.5;
+    
+    if (meshRef.current.material) {
+      meshRef.current.material.factor = 0.5 + velocity.current * distortIntensity;
+    }
+  });
+
+  return (
+    <Float speed={2} rotationIntensity={0.4} enabled={!reducedMotion}>
+      <mesh ref={meshRef} scale={2}>
+        <torusKnotGeometry args={[1, 0.35, scaleDetail(128, quality, 48), scaleDetail(32, quality, 12)]} />
+        <MeshWobbleMaterial color="#ec4899" emissive="#be185d" emissiveIntensity={0.4} factor={0.5} speed={reducedMotion ? 0 : baseSpeed} />
+      </mesh>
+    </Float>
+  );
+});
+
+// ============================================================
+// SHADER EFFECTS
+// ============================================================
+
+/** @param {import('./config').ShaderProps} props */
+const LiquidPlane = React.memo((props) => {
+  const matRef = useRef();
+  const scroll = useScroll();
+  const vel = useRef(0);
+  const controls = useControls('shader', props);
+  const clock = useAmbientClock();
+  const quality = useQuality();
+  
+  const waveFrequency = controls.waveFrequency;
+  const waveAmplitude = controls.waveAmplitude;
+  const timeSpeed = controls.timeSpeed;
+  const colorStart = controls.colorStart;
+  const colorEnd = controls.colorEnd;
+
+  const shader = useMemo(() => ({
+    uniforms: {
+      uTime: { value: 0 }, uVelocity: { value: 0 }, uFreq: { value: waveFrequency }, uAmp: { value: waveAmplitude },
+      uColorStart: { value: new THREE.Color() }, uColorEnd: { value: new THREE.Color() },
+    },
+    vertexShader: `
+      uniform float uTime; uniform float uVelocity; uniform float uFreq; uniform float uAmp;
+      varying vec2 vUv; varying float vWave;
+      void main() {
+        vUv = uv;
+        vec3 pos = position;
+        float wave = sin(pos.x * uFreq + uTime) * uAmp + sin(pos.y * (uFreq + 1.0) + uTime * 0.8) * (uAmp * 0.7);
+        pos.z += wave * (1.0 + uVelocity * 3.5);
+        vWave = pos.z;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime; uniform vec3 uColorStart; uniform vec3 uColorEnd; varying vec2 vUv; varying float vWave;
+      void main() {
+        vec3 color = mix(uColorStart, uColorEnd, vUv.x + sin(uTime * 0.5) * 0.15);
+        color *= 0.9 + vWave * 0.15;
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `
+  }), [waveFrequency, waveAmplitude]);
+
+  useFrame(() => {
+    if (!matRef.current) return;
+    vel.current = THREE.MathUtils.lerp(vel.current, Math.abs(scroll.delta) * 40, 0.1);
+    matRef.current.uniforms.uTime.value = clock.current * timeSpeed;
+    matRef.current.uniforms.uVelocity.value = vel.current;
+    // Colors are uniforms, so picking one doesn't recompile the shader. The raw
+    // shader skips color management, so hex values go in unconverted
+    matRef.current.uniforms.uColorStart.value.setStyle(colorStart, THREE.LinearSRGBColorSpace);
+    matRef.current.uniforms.uColorEnd.value.setStyle(colorEnd, THREE.LinearSRGBColorSpace);
+  });
+
+  return (
+    <mesh rotation={[-0.3, 0, 0]}>
+      <planeGeometry args={[8, 6, scaleDetail(80, quality, 24), scaleDetail(80, quality, 24)]} />
+      <shaderMaterial ref={matRef} args={[shader]} side={THREE.DoubleSide} />
+    </mesh>
+  );
+});
+
+/** @param {import('./config').ShaderProps} props */
+const NoiseSphere = React.memo((props) => {
+  const matRef = useRef();
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const vel = useRef(0);
+  const controls = useControls('shader', props);
+  const clock = useAmbientClock();
+  const quality = useQuality();
+  
+  const waveAmplitude = controls.waveAmplitude;
+  const timeSpeed = controls.timeSpeed;
+
+  const shader = useMemo(() => ({
+    uniforms: { uTime: { value: 0 }, uVelocity: { value: 0 }, uAmp: { value: waveAmplitude } },
+    vertexShader: `
+      uniform float uTime; uniform float uVelocity; uniform float uAmp;
+      varying vec2 vUv; varying float vDisplacement;
+      float noise(vec3 p) { return fract(sin(dot(p, vec3(12.9898, 78.233, 45.5432))) * 43758.5453); }
+      void main() {
+        vUv = uv;
+        vec3 pos = position;
+        float n = noise(pos * 2.0 + uTime);
+        float displacement = n * (uAmp + uVelocity * 0.8);
+        pos += normal * displacement;
+        vDisplacement = displacement;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime; varying vec2 vUv; varying float vDisplacement;
+      void main() {
+        vec3 purple = vec3(0.659, 0.341, 0.969);
+        vec3 orange = vec3(0.969, 0.533, 0.133);
+        vec3 color = mix(purple, orange, vDisplacement * 2.0 + sin(uTime) * 0.2);
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `
+  }), [waveAmplitude]);
+
+  useFrame(() => {
+    if (!matRef.current || !meshRef.current) return;
+    vel.current = THREE.MathUtils.lerp(vel.current, Math.abs(scroll.delta) * 40, 0.1);
+    matRef.current.uniforms.uTime.value = clock.current * timeSpeed;
+    matRef.current.uniforms.uVelocity.value = vel.current;
+    meshRef.current.rotation.y = clock.current * 0.2;
+  });
+
+  return (
+    <mesh ref={meshRef} scale={2.5}>
+      <icosahedronGeometry args={[1, scaleDetail(32, quality, 8)]} />
+      <shaderMaterial ref={matRef} args={[shader]} />
+    </mesh>
+  );
+});
+
+// ============================================================
+// EXPLODED VIEWS
+// ============================================================
+
+/** @param {import('./config').ExplodedProps} props */
+const ExplodedCube = React.memo((props) => {
+  const groupRef = useRef();
+  const partsRef = useRef([]);
+  const scroll = useScroll();
+  const controls = useControls('exploded', props);
+  const clock = useAmbientClock();
+  
+  const maxExplosion = controls.maxExplosion;
+  const rotationSpeed = controls.rotationSpeed;
+
+  const parts = useMemo(() => [
+    { pos: [0, 1, 0], rot: [0, 0, 0], color: '#22d3ee', dir: [0, 1, 0] },
+    { pos: [0, -1, 0], rot: [0, 0, 0], color: '#06b6d4', dir: [0, -1, 0] },
+    { pos: [1, 0, 0], rot: [0, 0, Math.PI/2], color: '#0891b2', dir: [1, 0, 0] },
+    { pos: [-1, 0, 0], rot: [0, 0, Math.PI/2], color: '#0e7490', dir: [-1, 0, 0] },
+    { pos: [0, 0, 1], rot: [Math.PI/2, 0, 0], color: '#155e75', dir: [0, 0, 1] },
+    { pos: [0, 0, -1], rot: [Math.PI/2, 0, 0], color: '#164e63', dir: [0, 0, -1] },
+  ], []);
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const explosion = scroll.range(0.2, 0.6);
+    const dist = explosion * maxExplosion;
+    
+    partsRef.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const p = parts[i];
+      mesh.position.set(p.pos[0] + p.dir[0] * dist, p.pos[1] + p.dir[1] * dist, p.pos[2] + p.dir[2] * dist);
+    });
+    
+    groupRef.current.rotation.x = clock.current * rotationSpeed;
+    groupRef.current.rotation.y = clock.current * rotationSpeed * 1.5;
+  });
+
+  return (
+    <group ref={groupRef}>
+      {parts.map((p, i) => (
+        <mesh key={i} ref={el => partsRef.current[i] = el} position={p.pos} rotation={p.rot}>
+          <boxGeometry args={[2.2, 0.2, 2.2]} />
+          <meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.35} metalness={0.9} roughness={0.1} />
+        </mesh>
+      ))}
+      <mesh scale={0.6}><icosahedronGeometry args={[1, 2]} /><meshBasicMaterial color="#fff" wireframe /></mesh>
+      <pointLight intensity={3} color="#22d3ee" distance={8} />
+    </group>
+  );
+});
+
+/** @param {import('./config').ExplodedProps} props */
+const ExplodedIcosahedron = React.memo((props) => {
+  const groupRef = useRef();
+  const partsRef = useRef([]);
+  const scroll = useScroll();
+  const controls = useControls('exploded', props);
+  const clock = useAmbientClock();
+  
+  const maxExplosion = controls.maxExplosion;
+  const rotationSpeed = controls.rotationSpeed;
+
+  const parts = useMemo(() => {
+    const faces = [];
+    for (let i = 0; i < 20; i++) {
+      const angle1 = (i / 20) * Math.PI * 2;
+      const angle2 = ((i % 5) / 5) * Math.PI;
+      faces.push({
+        pos: [Math.sin(angle1) * 1.2, Math.cos(angle2) * 1.2 - 0.5, Math.cos(angle1) * 1.2],
+        dir: [Math.sin(angle1), Math.cos(angle2) - 0.4, Math.cos(angle1)],
+        color: `hsl(${280 + i * 4}, 70%, 55%)`
+      });
+    }
+    return faces;
+  }, []);
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const explosion = scroll.range(0.2, 0.6);
+    const dist = explosion * maxExplosion;
+    
+    partsRef.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const p = parts[i];
+      mesh.position.set(p.pos[0] + p.dir[0] * dist, p.pos[1] + p.dir[1] * dist, p.pos[2] + p.dir[2] * dist);
+    });
+    
+    groupRef.current.rotation.y = clock.current * rotationSpeed;
+  });
+
+  return (
+    <group ref={groupRef} scale={2}>
+      {parts.map((p, i) => (
+        <mesh key={i} ref={el => partsRef.current[i] = el} position={p.pos}>
+          <tetrahedronGeometry args={[0.35]} />
+          <meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.3} metalness={0.8} roughness={0.2} />
+        </mesh>
+      ))}
+      <pointLight intensity={2} color="#a855f7" distance={6} />
+    </group>
+  );
+});
+
+// ============================================================
+// ROTATION MAPPING
+// ============================================================
+
+/** @param {import('./config').RotationProps} props */
+const WireframeGlobe = React.memo((props) => {
+  const groupRef = useRef();
+  const innerRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('rotation', props);
+  const clock = useAmbientClock();
+  
+  const rotationMultiplier = controls.rotationMultiplier;
+  const tiltAmount = controls.tiltAmount;
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const rot = scroll.offset * Math.PI * rotationMultiplier;
+    groupRef.current.rotation.y = rot;
+    groupRef.current.rotation.x = Math.sin(clock.current * 0.3) * tiltAmount;
+    if (innerRef.current) innerRef.current.rotation.y = -rot * 0.5;
+  });
+
+  return (
+    <group ref={groupRef}>
+      <mesh><sphereGeometry args={[3, 40, 40]} /><meshStandardMaterial color="#7c3aed" emissive="#a855f7" emissiveIntensity={0.4} wireframe /></mesh>
+      <mesh scale={0.8}><sphereGeometry args={[3, 28, 28]} /><meshStandardMaterial color="#8b5cf6" emissive="#c084fc" emissiveIntensity={0.25} wireframe transparent opacity={0.5} /></mesh>
+      <mesh ref={innerRef} scale={0.4}><icosahedronGeometry args={[3, 3]} /><meshStandardMaterial color="#c084fc" emissive="#e879f9" emissiveIntensity={0.6} metalness={0.8} roughness={0.2} /></mesh>
+      <mesh rotation={[Math.PI/2, 0, 0]}><torusGeometry args={[4, 0.025, 16, 100]} /><meshBasicMaterial color="#a855f7" transparent opacity={0.7} /></mesh>
+      <mesh rotation={[Math.PI/3, Math.PI/5, 0]}><torusGeometry args={[4.3, 0.025, 16, 100]} /><meshBasicMaterial color="#8b5cf6" transparent opacity={0.5} /></mesh>
+      <pointLight intensity={4} color="#c084fc" distance={15} />
+    </group>
+  );
+});
+
+/** @param {import('./config').RotationProps} props */
+const DNAHelix = React.memo((props) => {
+  const groupRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('rotation', props);
+  
+  const rotationMultiplier = controls.rotationMultiplier;
+
+  const helixPoints = useMemo(() => {
+    const points = [];
+    for (let i = 0; i < 30; i++) {
+      const t = i / 30 * Math.PI * 4;
+      points.push({
+        pos1: [Math.cos(t) * 1.5, i * 0.3 - 4.5, Math.sin(t) * 1.5],
+        pos2: [Math.cos(t + Math.PI) * 1.5, i * 0.3 - 4.5, Math.sin(t + Math.PI) * 1.5],
+        color: `hsl(${180 + i * 6}, 75%, 55%)`
+      });
+    }
+    return points;
+  }, []);
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    groupRef.current.rotation.y = scroll.offset * Math.PI * rotationMultiplier;
+  });
+
+  return (
+    <group ref={groupRef}>
+      {helixPoints.map((p, i) => (
+        <group key={i}>
+          <mesh position={p.pos1}><sphereGeometry args={[0.2, 16, 16]} /><meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.4} /></mesh>
+          <mesh position={p.pos2}><sphereGeometry args={[0.2, 16, 16]} /><meshStandardMaterial color={p.color} emissive={p.color} emissiveIntensity={0.4} /></mesh>
+          {i % 3 === 0 && (
+            <mesh position={[(p.pos1[0] + p.pos2[0])/2, p.pos1[1], (p.pos1[2] + p.pos2[2])/2]} rotation={[0, Math.atan2(p.pos2[2] - p.pos1[2], p.pos2[0] - p.pos1[0]), Math.PI/2]}>
+              <cylinderGeometry args={[0.05, 0.05, 3, 8]} />
+              <meshBasicMaterial color="#ffffff" transparent opacity={0.4} />
+            </mesh>
+          )}
+        </group>
+      ))}
+    </group>
+  );
+});
+
+// ============================================================
+// PARALLAX LAYERS
+// ============================================================
+
+/** @param {import('./config').ParallaxProps} props */
+const FloatingCards = React.memo((props) => {
+  const cardsRef = useRef([]);
+  const scroll = useScroll();
+  const controls = useControls('parallax', props);
+  const clock = useAmbientClock();
+  
+  const speedMultiplier = controls.speedMultiplier;
+
+  const cards = useMemo(() => [
+    { pos: [-3, 2, -5], speed: 0.3, color: '#22d3ee', size: [1.5, 2, 0.1] },
+    { pos: [3, -1, -8], speed: 0.5, color: '#a855f7', size: [2, 1.2, 0.1] },
+    { pos: [-2, -2, -3], speed: 0.2, color: '#ec4899', size: [1.2, 1.8, 0.1] },
+    { pos: [2, 1.5, -6], speed: 0.4, color: '#10b981', size: [1.8, 1, 0.1] },
+    { pos: [0, 0, -10], speed: 0.6, color: '#f59e0b', size: [2.5, 1.5, 0.1] },
+    { pos: [-4, 0, -7], speed: 0.45, color: '#6366f1', size: [1.4, 2.2, 0.1] },
+  ], []);
+
+  useFrame(() => {
+    cardsRef.current.forEach((card, i) => {
+      if (!card) return;
+      const c = cards[i];
+      card.position.y = c.pos[1] + scroll.offset * c.speed * speedMultiplier;
+      card.rotation.y = Math.sin(clock.current + i) * 0.1;
+    });
+  });
+
+  return (
+    <group>
+      {cards.map((c, i) => (
+        <mesh key={i} ref={el => cardsRef.current[i] = el} position={c.pos}>
+          <boxGeometry args={c.size} />
+          <meshStandardMaterial color={c.color} emissive={c.color} emissiveIntensity={0.3} metalness={0.5} roughness={0.3} />
+        </mesh>
+      ))}
+    </group>
+  );
+});
+
+/** @param {import('./config').ParallaxProps} props */
+const MountainLayers = React.memo((props) => {
+  const layersRef = useRef([]);
+  const scroll = useScroll();
+  const controls = useControls('parallax', props);
+  
+  const speedMultiplier = controls.speedMultiplier;
+  const depthRange = controls.depthRange;
+
+  const layers = useMemo(() => {
+    const baseZ = -15;
+    const spacing = depthRange / 5;
+    return [
+      { z: baseZ, color: '#1e1b4b', height: 4, speed: 0.1 },
+      { z: baseZ + spacing, color: '#312e81', height: 3.5, speed: 0.2 },
+      { z: baseZ + spacing * 2, color: '#4338ca', height: 3, speed: 0.35 },
+      { z: baseZ + spacing * 3, color: '#6366f1', height: 2.5, speed: 0.5 },
+      { z: baseZ + spacing * 4, color: '#818cf8', height: 2, speed: 0.7 },
+    ];
+  }, [depthRange]);
+
+  useFrame(() => {
+    layersRef.current.forEach((layer, i) => {
+      if (!layer) return;
+      layer.position.y = -2 + scroll.offset * layers[i].speed * speedMultiplier;
+    });
+  });
+
+  return (
+    <group>
+      {layers.map((l, i) => (
+        <mesh key={i} ref={el => layersRef.current[i] = el} position={[0, -2, l.z]}>
+          <planeGeometry args={[20, l.height * 2]} />
+          <meshBasicMaterial color={l.color} side={THREE.DoubleSide} />
+        </mesh>
+      ))}
+      <mesh position={[0, 4, -20]}><circleGeometry args={[1.5, 32]} /><meshBasicMaterial color="#fef3c7" /></mesh>
+    </group>
+  );
+});
+
+// ============================================================
+// DEPTH OF FIELD EFFECTS
+// ============================================================
+
+// Example 1: Focus Pull - Objects blur based on distance from focus point
+/** @param {import('./config').DofProps} props */
+const FocusPull = React.memo((props) => {
+  const groupRef = useRef();
+  const meshRefs = useRef([]);
+  const scroll = useScroll();
+  const controls = useControls('dof', props);
+  
+  const focusDistance = controls.focusDistance;
+  const blurIntensity = controls.blurIntensity;
+  const focalRange = controls.focalRange;
+  const objectCount = controls.objectCount;
+  const seed = controls.seed;
+
+  // More objects share the same depth range at a smaller size, so the scene
+  // fills up instead of stretching out of the fog
+  const shapes = useMemo(() => {
+    const random = createRandom(seed);
+    const sizeScale = Math.min(1, Math.cbrt(15 / objectCount));
+    // One instanced mesh per shape
+    const groups = [
+      { geometry: 'sphereGeometry', args: [1, 16, 16], items: [] },
+      { geometry: 'boxGeometry', args: [1, 1, 1], items: [] },
+      { geometry: 'octahedronGeometry', args: [1], items: [] },
+    ];
+    for (let i = 0; i < objectCount; i++) {
+      groups[i % 3].items.push({
+        position: [(random() - 0.5) * 8, (random() - 0.5) * 6, -(i / objectCount) * 22.5 - 2],
+        scale: (0.3 + random() * 0.4) * sizeScale,
+        color: `hsl(${200 + (i / objectCount) * 150}, 70%, 55%)`
+      });
+    }
+    // Back to front, so nearer objects blend over farther ones. Sorted once: the
+    // camera only ever looks straight down -z (scrolling moves the content), so
+    // depth order is z order from any scroll position. A turning camera would
+    // need a re-sort whenever it moves
+    return groups.map(({ items, ...shape }) => {
+      items.reverse();
+      return {
+        ...shape,
+        items,
+        opacity: new Float32Array(items.length).fill(1),
+        emissive: new Float32Array(items.length).fill(0.3)
+      };
+    });
+  }, [objectCount, seed]);
+  const dummy = useMemo(() => new THREE.Object3D(), []);
+
+  useLayoutEffect(() => {
+    const color = new THREE.Color();
+    shapes.forEach(({ items }, type) => {
+      const mesh = meshRefs.current[type];
+      if (!mesh || !items.length) return;
+      items.forEach((obj, i) => mesh.setColorAt(i, color.setStyle(obj.color)));
+      mesh.instanceColor.needsUpdate = true;
+    });
+  }, [shapes]);
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const currentFocus = scroll.offset * focusDistance * 2;
+    
+    shapes.forEach(({ items, opacity }, type) => {
+      const mesh = meshRefs.current[type];
+      if (!mesh) return;
+      items.forEach((obj, i) => {
+        const dist = Math.abs(-obj.position[2] - currentFocus);
+        const blur = Math.min(dist / focalRange, 1) * blurIntensity;
+
+        opacity[i] = 1 - blur * 0.7;
+        dummy.position.set(...obj.position);
+        dummy.scale.setScalar(obj.scale * (1 + blur * 0.3));
+        dummy.updateMatrix();
+        mesh.setMatrixAt(i, dummy.matrix);
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+    });
+  });
+
+  return (
+    <group ref={groupRef}>
+      {shapes.map(({ geometry: Geometry, args, items, opacity, emissive }, type) => (
+        <instancedMesh
+          key={`${type}-${items.length}`}
+          ref={el => meshRefs.current[type] = el}
+          args={[undefined, undefined, items.length]}
+          frustumCulled={false}
+        >
+          <Geometry args={args}>
+            <instancedBufferAttribute attach="attributes-instanceOpacity" args={[opacity, 1]} />
+            <instancedBufferAttribute attach="attributes-instanceEmissive" args={[emissive, 1]} />
+          </Geometry>
+          <meshStandardMaterial {...instanceShader('opacity', 'emissive')} emissive="#ffffff" transparent />
+        </instancedMesh>
+      ))}
+      <pointLight position={[0, 0, 0]} intensity={2} color="#22d3ee" />
+    </group>
+  );
+});
+
+// Example 2: Bokeh Particles - Out of focus lights become soft circles
+/** @param {import('./config').DofProps} props */
+const BokehParticles = React.memo((props) => {
+  const groupRef = useRef();
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('dof', props);
+  
+  const focusDistance = controls.focusDistance;
+  const blurIntensity = controls.blurIntensity;
+  const particleCount = controls.particleCount;
+  const seed = controls.seed;
+
+  const particles = useMemo(() => {
+    const random = createRandom(seed);
+    const sizeScale = Math.min(1, Math.cbrt(50 / particleCount));
+    const items = [];
+    for (let i = 0; i < particleCount; i++) {
+      items.push({
+        position: [(random() - 0.5) * 12, (random() - 0.5) * 8, -random() * 20 - 2],
+        baseScale: (0.1 + random() * 0.15) * sizeScale,
+        color: `hsl(${random() * 60 + 180}, 80%, 60%)`
+      });
+    }
+    // Farthest first, so nearer circles blend over the ones behind them. Same
+    // fixed-camera assumption as FocusPull: z order is depth order
+    return items.sort((a, b) => a.position[2] - b.position[2]);
+  }, [particleCount, seed]);
+  const opacities = useMemo(() => new Float32Array(particles.length).fill(1), [particles]);
+  const dummy = useMemo(() => new THREE.Object3D(), []);
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const color = new THREE.Color();
+    particles.forEach((p, i) => mesh.setColorAt(i, color.setStyle(p.color)));
+    mesh.instanceColor.needsUpdate = true;
+  }, [particles]);
+
+  useFrame(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const currentFocus = scroll.offset * focusDistance * 2;
+    
+    particles.forEach((p, i) => {
+      const dist = Math.abs(-p.position[2] - currentFocus);
+      const bokehSize = p.baseScale * (1 + dist * blurIntensity * 0.3);
+      opacities[i] = 1 / (1 + dist * 0.1);
+
+      dummy.position.set(...p.position);
+      dummy.scale.setScalar(bokehSize);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(i, dummy.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.geometry.attributes.instanceOpacity.needsUpdate = true;
+  });
+
+  return (
+    <group ref={groupRef}>
+      <instancedMesh key={particles.length} ref={meshRef} args={[undefined, undefined, particles.length]} frustumCulled={false}>
+        <circleGeometry args={[1, 32]}>
+          <instancedBufferAttribute attach="attributes-instanceOpacity" args={[opacities, 1]} />
+        </circleGeometry>
+        <meshBasicMaterial {...instanceShader('opacity')} transparent side={THREE.DoubleSide} />
+      </instancedMesh>
+    </group>
+  );
+});
+
+// ============================================================
+// CAMERA PATH EFFECTS
+// ============================================================
+
+// Example 1: Spline Camera - Camera follows a curved path
+/** @param {import('./config').CameraPathProps} props */
+const SplineCamera = React.memo((props) => {
+  const groupRef = useRef();
+  const pathRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('camerapath', props);
+  
+  // Laps of the path over the full scroll
+  const pathSpeed = controls.pathSpeed;
+  const pathRadius = controls.pathRadius;
+  const pathHeight = controls.pathHeight;
+  const pathCenter = controls.pathCenter;
+
+  // Performance: Memoize geometry args to avoid recreation on every render
+  const boxGeometryArgs = useMemo(() => [1, 1, 1], []);
+  const sceneObjects = useMemo(() => 
+    [...Array(8)].map((_, i) => ({
+      position: [Math.cos(i * 0.8) * 5, Math.sin(i * 0.5) * 2, Math.sin(i * 0.8) * 5],
+      color: `hsl(${i * 45}, 70%, 50%)`
+    })), []);
+
+  const pathPoints = useMemo(() => {
+    const points = [];
+    for (let i = 0; i <= 20; i++) {
+      const t = i / 20;
+      const angle = t * Math.PI * 2;
+      points.push(new THREE.Vector3(
+        Math.cos(angle) * pathRadius,
+        Math.sin(t * Math.PI * 2) * pathHeight,
+        Math.sin(angle) * pathRadius
+      ));
+    }
+    return points;
+  }, [pathRadius, pathHeight]);
+
+  const curve = useMemo(() => new THREE.CatmullRomCurve3(pathPoints, true), [pathPoints]);
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const laps = scroll.offset * pathSpeed;
+    const position = curve.getPointAt(laps % 1);
+    
+    // Visualize camera position with a marker
+    groupRef.current.position.copy(position);
+    groupRef.current.rotation.y = laps * Math.PI * 4;
+  });
+
+  return (
+    <group position={pathCenter}>
+      {/* Path visualization */}
+      <line ref={pathRef}>
+        <bufferGeometry>
+          <bufferAttribute
+            attach="attributes-position"
+            count={pathPoints.length}
+            array={new Float32Array(pathPoints.flatMap(p => [p.x, p.y, p.z]))}
+            itemSize={3}
+          />
+        </bufferGeometry>
+        <lineBasicMaterial color="#22d3ee" transparent opacity={0.5} />
+      </line>
+      
+      {/* Camera marker */}
+      <group ref={groupRef}>
+        <mesh>
+          <coneGeometry args={[0.5, 1, 4]} />
+          <meshStandardMaterial color="#ec4899" emissive="#ec4899" emissiveIntensity={0.5} />
+        </mesh>
+        <pointLight intensity={2} color="#ec4899" distance={5} />
+      </group>
+      
+      {/* Scene objects to fly past */}
+      {sceneObjects.map((obj, i) => (
+        <mesh key={i} position={obj.position}>
+          <boxGeometry args={boxGeometryArgs} />
+          <meshStandardMaterial color={obj.color} />
+        </mesh>
+      ))}
+    </group>
+  );
+});
+
+// Example 2: Orbit Path - Camera orbits around central object
+/** @param {import('./config').CameraPathProps} props */
+const OrbitPath = React.memo((props) => {
+  const orbitRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('camerapath', props);
+  
+  // Laps of the orbit over the full scroll
+  const pathSpeed = controls.pathSpeed;
+  const pathRadius = controls.pathRadius;
+  const pathCenter = controls.pathCenter;
+
+  useFrame((state) => {
+    if (!orbitRef.current) return;
+    const laps = scroll.offset * pathSpeed;
+    const angle = laps * Math.PI * 2;
+    
+    orbitRef.current.position.x = Math.cos(angle) * pathRadius;
+    orbitRef.current.position.z = Math.sin(angle) * pathRadius;
+    orbitRef.current.position.y = Math.sin(laps * Math.PI * 4) * 2;
+    orbitRef.current.lookAt(...pathCenter);
+  });
+
+  return (
+    <group position={pathCenter}>
+      {/* Central object */}
+      <mesh>
+        <icosahedronGeometry args={[2, 2]} />
+        <meshStandardMaterial color="#a855f7" emissive="#7c3aed" emissiveIntensity={0.5} wireframe />
+      </mesh>
+      <mesh scale={1.5}>
+        <icosahedronGeometry args={[2, 1]} />
+        <meshStandardMaterial color="#c084fc" transparent opacity={0.2} wireframe />
+      </mesh>
+      
+      {/* Orbiting camera marker */}
+      <group ref={orbitRef}>
+        <mesh>
+          <sphereGeometry args={[0.4, 16, 16]} />
+          <meshStandardMaterial color="#22d3ee" emissive="#22d3ee" emissiveIntensity={0.8} />
+        </mesh>
+        <pointLight intensity={3} color="#22d3ee" distance={8} />
+      </group>
+      
+      {/* Orbit ring */}
+      <mesh rotation={[Math.PI / 2, 0, 0]}>
+        <torusGeometry args={[pathRadius, 0.02, 16, 100]} />
+        <meshBasicMaterial color="#22d3ee" transparent opacity={0.3} />
+      </mesh>
+    </group>
+  );
+});
+
+// ============================================================
+// MORPH TARGETS
+// ============================================================
+
+// Example 1: Shape Morph - Geometry interpolates between shapes
+/** @param {import('./config').MorphProps} props */
+const ShapeMorph = React.memo((props) => {
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('morph', props);
+  const clock = useAmbientClock();
+  
+  const morphSpeed = controls.morphSpeed;
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    const t = scroll.offset * morphSpeed;
+    
+    // Morph via scale transformation
+    const phase = t * 3;
+    const stage = Math.floor(phase) % 3;
+    const progress = phase - Math.floor(phase);
+    
+    let scaleX, scaleY, scaleZ;
+    
+    if (stage === 0) {
+      // Cube to flat disc
+      scaleX = THREE.MathUtils.lerp(1, 2.5, progress);
+      scaleY = THREE.MathUtils.lerp(1, 0.1, progress);
+      scaleZ = THREE.MathUtils.lerp(1, 2.5, progress);
+    } else if (stage === 1) {
+      // Flat disc to tall pillar
+      scaleX = THREE.MathUtils.lerp(2.5, 0.3, progress);
+      scaleY = THREE.MathUtils.lerp(0.1, 4, progress);
+      scaleZ = THREE.MathUtils.lerp(2.5, 0.3, progress);
+    } else {
+      // Pillar back to cube
+      scaleX = THREE.MathUtils.lerp(0.3, 1, progress);
+      scaleY = THREE.MathUtils.lerp(4, 1, progress);
+      scaleZ = THREE.MathUtils.lerp(0.3, 1, progress);
+    }
+    
+    meshRef.current.scale.set(scaleX, scaleY, scaleZ);
+    meshRef.current.rotation.y = clock.current * 0.5;
+  });
+
+  return (
+    <group>
+      <mesh ref={meshRef}>
+        <boxGeometry args={[1.5, 1.5, 1.5]} />
+        <meshStandardMaterial color="#ec4899" emissive="#be185d" emissiveIntensity={0.4} metalness={0.8} roughness={0.2} />
+      </mesh>
+      <pointLight position={[3, 3, 3]} intensity={2} color="#ec4899" />
+    </group>
+  );
+});
+
+// Example 2: Blob Morph - Organic shape morphing
+/** @param {import('./config').MorphProps} props */
+const BlobMorph = React.memo((props) => {
+  const meshRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('morph', props);
+  const clock = useAmbientClock();
+  const reducedMotion = useReducedMotion();
+  
+  const morphSpeed = controls.morphSpeed;
+  const morphEasing = controls.morphEasing;
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    const t = scroll.offset;
+    const time = clock.current;
+    
+    // Animated distortion based on scroll
+    const distort = 0.2 + t * 0.6;
+    meshRef.current.material.distort = distort;
+    meshRef.current.material.speed = morphSpeed + t * morphEasing;
+    
+    meshRef.current.rotation.x = time * 0.2;
+    meshRef.current.rotation.y = time * 0.3;
+  });
+
+  return (
+    <Float speed={1.5} rotationIntensity={0.2} enabled={!reducedMotion}>
+      <mesh ref={meshRef} scale={2}>
+        <icosahedronGeometry args={[1, 8]} />
+        <MeshDistortMaterial
+          color="#10b981"
+          emissive="#059669"
+          emissiveIntensity={0.4}
+          roughness={0.2}
+          metalness={0.8}
+          distort={0.3}
+          speed={reducedMotion ? 0 : 2}
+        />
+      </mesh>
+    </Float>
+  );
+});
+
+// ============================================================
+// REVEAL EFFECTS
+// ============================================================
+
+// Example 1: Circle Reveal - Content reveals through expanding circle
+/** @param {import('./config').RevealProps} props */
+const CircleReveal = React.memo((props) => {
+  const groupRef = useRef();
+  const maskRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('reveal', props);
+  
+  const revealSpeed = controls.revealSpeed;
+  const edgeSoftness = controls.edgeSoftness;
+
+  const revealShader = useMemo(() => ({
+    uniforms: {
+      uProgress: { value: 0 },
+      uSoftness: { value: edgeSoftness }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uProgress;
+      uniform float uSoftness;
+      varying vec2 vUv;
+      
+      void main() {
+        vec2 center = vec2(0.5);
+        float dist = distance(vUv, center);
+        float radius = uProgress * 0.75;
+        
+        float alpha = smoothstep(radius + uSoftness, radius - uSoftness, dist);
+        
+        vec3 color = mix(
+          vec3(0.133, 0.827, 0.933),
+          vec3(0.659, 0.341, 0.969),
+          vUv.y
+        );
+        
+        gl_FragColor = vec4(color, alpha);
+      }
+    `
+  }), [edgeSoftness]);
+
+  useFrame(() => {
+    if (!maskRef.current) return;
+    maskRef.current.uniforms.uProgress.value = scroll.offset * revealSpeed;
+  });
+
+  return (
+    <group ref={groupRef}>
+      <mesh>
+        <planeGeometry args={[8, 6]} />
+        <shaderMaterial ref={maskRef} args={[revealShader]} transparent />
+      </mesh>
+      
+      {/* Hidden content behind */}
+      <mesh position={[0, 0, -0.1]}>
+        <planeGeometry args={[8, 6]} />
+        <meshBasicMaterial color="#1e1b4b" />
+      </mesh>
+    </group>
+  );
+});
+
+// Example 2: Wipe Reveal - Horizontal wipe effect
+/** @param {import('./config').RevealProps} props */
+const WipeReveal = React.memo((props) => {
+  const contentRef = useRef([]);
+  const scroll = useScroll();
+  const controls = useControls('reveal', props);
+  
+  const revealSpeed = controls.revealSpeed;
+
+  const items = useMemo(() => [
+    { x: -3, color: '#22d3ee' },
+    { x: -1.5, color: '#a855f7' },
+    { x: 0, color: '#ec4899' },
+    { x: 1.5, color: '#f59e0b' },
+    { x: 3, color: '#10b981' },
+  ], []);
+
+  useFrame(() => {
+    const progress = scroll.offset * revealSpeed;
+    
+    contentRef.current.forEach((mesh, i) => {
+      if (!mesh) return;
+      const itemProgress = (progress - i * 0.15) * 2;
+      const scale = THREE.MathUtils.clamp(itemProgress, 0, 1);
+      
+      mesh.scale.y = scale;
+      mesh.material.opacity = scale;
+    });
+  });
+
+  return (
+    <group>
+      {items.map((item, i) => (
+        <mesh key={i} ref={el => contentRef.current[i] = el} position={[item.x, 0, 0]}>
+          <boxGeometry args={[1, 4, 0.5]} />
+          <meshStandardMaterial color={item.color} emissive={item.color} emissiveIntensity={0.3} transparent />
+        </mesh>
+      ))}
+    </group>
+  );
+});
+
+// ============================================================
+// TEXTURE/UV SCROLL EFFECTS
+// ============================================================
+
+// Example 1: Grid Scroll - Scrolling grid pattern
+/** @param {import('./config').UvScrollProps} props */
+const GridScroll = React.memo((props) => {
+  const meshRef = useRef();
+  const matRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('uvscroll', props);
+  const clock = useAmbientClock();
+  
+  const scrollSpeed = controls.scrollSpeed;
+
+  const gridShader = useMemo(() => ({
+    uniforms: {
+      uTime: { value: 0 },
+      uScroll: { value: 0 }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      uniform float uScroll;
+      varying vec2 vUv;
+      
+      void main() {
+        vec2 uv = vUv;
+        uv.y += uScroll;
+        
+        float gridX = step(0.9, fract(uv.x * 10.0));
+        float gridY = step(0.9, fract(uv.y * 10.0));
+        float grid = max(gridX, gridY);
+        
+        vec3 bgColor = vec3(0.05);
+        vec3 lineColor = vec3(0.133, 0.827, 0.933);
+        
+        vec3 color = mix(bgColor, lineColor, grid);
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `
+  }), []);
+
+  useFrame(() => {
+    if (!matRef.current) return;
+    matRef.current.uniforms.uTime.value = clock.current;
+    matRef.current.uniforms.uScroll.value = scroll.offset * scrollSpeed;
+  });
+
+  return (
+    <mesh ref={meshRef} rotation={[-0.5, 0, 0]}>
+      <planeGeometry args={[12, 8, 1, 1]} />
+      <shaderMaterial ref={matRef} args={[gridShader]} />
+    </mesh>
+  );
+});
+
+// Example 2: Wave UV Distortion
+/** @param {import('./config').UvScrollProps} props */
+const WaveUVDistortion = React.memo((props) => {
+  const matRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('uvscroll', props);
+  const clock = useAmbientClock();
+  
+  const scrollSpeed = controls.scrollSpeed;
+  const distortAmount = controls.distortAmount;
+
+  const waveShader = useMemo(() => ({
+    uniforms: {
+      uTime: { value: 0 },
+      uScroll: { value: 0 },
+      uDistort: { value: distortAmount }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      uniform float uScroll;
+      uniform float uDistort;
+      varying vec2 vUv;
+      
+      void main() {
+        vec2 uv = vUv;
+        uv.x += sin(vUv.y * 10.0 + uScroll * 5.0) * uDistort;
+        uv.y += cos(vUv.x * 10.0 + uScroll * 3.0) * uDistort;
+        
+        vec3 color1 = vec3(0.925, 0.282, 0.6);
+        vec3 color2 = vec3(0.659, 0.341, 0.969);
+        vec3 color3 = vec3(0.133, 0.827, 0.933);
+        
+        vec3 color = mix(color1, color2, uv.x);
+        color = mix(color, color3, uv.y);
+        
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `
+  }), [distortAmount]);
+
+  useFrame(() => {
+    if (!matRef.current) return;
+    matRef.current.uniforms.uTime.value = clock.current;
+    matRef.current.uniforms.uScroll.value = scroll.offset * scrollSpeed;
+  });
+
+  return (
+    <mesh>
+      <planeGeometry args={[8, 6, 1, 1]} />
+      <shaderMaterial ref={matRef} args={[waveShader]} />
+    </mesh>
+  );
+});
+
+// ============================================================
+// ORBIT CONTROLS EFFECTS
+// ============================================================
+
+// Example 1: Zoom Orbit - Mouse orbit with scroll zoom
+/** @param {import('./config').OrbitProps} props */
+const ZoomOrbit = React.memo((props) => {
+  const groupRef = useRef();
+  const scroll = useScroll();
+  const controls = useControls('orbit', props);
+  const reducedMotion = useReducedMotion();
+  
+  const orbitSpeed = controls.orbitSpeed;
+  const zoomRange = controls.zoomRange;
+  // Idle spin is ambient motion; scroll zoom still responds
+  const autoRotate = controls.autoRotate && !reducedMotion;
+
+  useFrame((state) => {
+    if (!groupRef.current) return;
+    
+    // Auto rotation
+    if (autoRotate) groupRef.current.rotation.y += orbitSpeed * 0.01;
+    
+    // Scroll controls zoom (scale as proxy for zoom)
+    const zoom = 1 + scroll.offset * (zoomRange / 10);
+    groupRef.current.scale.setScalar(zoom);
+  });
+
+  return (
+    <group ref={groupRef}>
+      <mesh>
+        <torusKnotGeometry args={[1, 0.3, 128, 32]} />
+        <meshStandardMaterial color="#a855f7" emissive="#7c3aed" emissiveIntensity={0.4} metalness={0.8} roughness={0.2} />
+      </mesh>
+      <mesh scale={1.5}>
+        <torusKnotGeometry args={[1, 0.3, 64, 16]} />
+        <meshStandardMaterial color="#22d3ee" wireframe transparent opacity={0.3} />
+      </mesh>
+      <pointLight intensity={2} color="#a855f7" distance={10} />
+    </group>
+  );
+});
+
+// Example 2: Speed Orbit - Rotation speed based on scroll velocity
+/** @param {import('./config').OrbitProps} props */
+const SpeedOrbit = React.memo((props) => {
+  const groupRef = useRef();
+  const scroll = useScroll();
+  const velocityRef = useRef(0);
+  const rotationRef = useRef(0);
+  const controls = useControls('orbit', props);
+  const clock = useAmbientClock();
+  const reducedMotion = useReducedMotion();
+  
+  const orbitSpeed = controls.orbitSpeed;
+
+  // Performance: Memoize geometry args and orbiting objects
+  const octahedronGeometryArgs = useMemo(() => [0.8], []);
+  const sphereGeometryArgs = useMemo(() => [1, 32, 32], []);
+  const orbitingObjects = useMemo(() => 
+    [...Array(6)].map((_, i) => ({
+      position: [Math.cos(i * Math.PI / 3) * 3, 0, Math.sin(i * Math.PI / 3) * 3],
+      color: `hsl(${i * 60 + 180}, 70%, 55%)`,
+      emissive: `hsl(${i * 60 + 180}, 70%, 35%)`
+    })), []);
+
+  useFrame((state, delta) => {
+    if (!groupRef.current) return;
+    
+    // Track velocity
+    const targetVel = Math.abs(scroll.delta) * 50;
+    velocityRef.current = THREE.MathUtils.lerp(velocityRef.current, targetVel, 0.1);
+    
+    // Base rotation + velocity boost; only the boost survives reduced motion
+    const speed = (reducedMotion ? 0 : orbitSpeed) + velocityRef.current * 0.5;
+    rotationRef.current += speed * delta;
+    
+    groupRef.current.rotation.y = rotationRef.current;
+    groupRef.current.rotation.x = Math.sin(clock.current * 0.5) * 0.2;
+  });
+
+  return (
+    <group ref={groupRef}>
+      {orbitingObjects.map((obj, i) => (
+        <mesh key={i} position={obj.position}>
+          <octahedronGeometry args={octahedronGeometryArgs} />
+          <meshStandardMaterial 
+            color={obj.color} 
+            emissive={obj.emissive}
+            emissiveIntensity={0.4}
+          />
+        </mesh>
+      ))}
+      <mesh>
+        <sphereGeometry args={sphereGeometryArgs} />
+        <meshStandardMaterial color="#ffffff" emissive="#ffffff" emissiveIntensity={0.5} />
+      </mesh>
+      <pointLight intensity={3} color="#ffffff" distance={10} />
+    </group>
+  );
+});
+
+export {
+  RingTunnel,
+  ParticleTunnel,
+  MorphingSphere,
+  WobblingTorus,
+  LiquidPlane,
+  NoiseSphere,
+  ExplodedCube,
+  ExplodedIcosahedron,
+  WireframeGlobe,
+  DNAHelix,
+  FloatingCards,
+  MountainLayers,
+  FocusPull,
+  BokehParticles,
+  SplineCamera,
+  OrbitPath,
+  ShapeMorph,
+  BlobMorph,
+  CircleReveal,
+  WipeReveal,
+  GridScroll,
+  WaveUVDistortion,
+  ZoomOrbit,
+  SpeedOrbit,
+};
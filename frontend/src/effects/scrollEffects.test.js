@@ -0,0 +1,95 @@
+import React from 'react';
+import * as THREE from 'three';
+import ReactThreeTestRenderer from '@react-three/test-renderer';
+import { FocusPull, BokehParticles, OrbitPath } from './scrollEffects';
+import { PreviewScroll } from './previewScroll';
+
+// PreviewScroll stands in for ScrollControls, which needs a DOM around the canvas
+const create = (element) => ReactThreeTestRenderer.create(<PreviewScroll>{element}</PreviewScroll>);
+
+const step = (renderer) => ReactThreeTestRenderer.act(() => renderer.advanceFrames(2, 1 / 60));
+
+// InstancedMesh keeps Mesh's type, so match on the flag instead
+const instancedMeshes = (renderer) => renderer.scene
+  .findAll(node => node.instance.isInstancedMesh)
+  .map(node => node.instance);
+
+// Every per-instance buffer has to match the mesh it belongs to, including the
+// attributes the instance shader patch reads
+const expectInstanceBuffers = (mesh, attributes) => {
+  expect(mesh.instanceMatrix.count).toBe(mesh.count);
+  expect(mesh.instanceColor.count).toBe(mesh.count);
+  attributes.forEach((name) => {
+    const attribute = mesh.geometry.attributes[name];
+    expect(attribute).toBeInstanceOf(THREE.InstancedBufferAttribute);
+    expect(attribute.count).toBe(mesh.count);
+  });
+};
+
+// Instances are drawn in buffer order, so farther ones must come first
+const instanceDepths = (mesh) => {
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  return Array.from({ length: mesh.count }, (_, i) => {
+    mesh.getMatrixAt(i, matrix);
+    return position.setFromMatrixPosition(matrix).z;
+  });
+};
+
+const expectBackToFront = (mesh) => {
+  const depths = instanceDepths(mesh);
+  depths.slice(1).forEach((z, i) => expect(z).toBeGreaterThanOrEqual(depths[i]));
+};
+
+describe('FocusPull', () => {
+  test.each([15, 300, 8])('keeps instance buffers in step at %i objects', async (objectCount) => {
+    const renderer = await create(<FocusPull objectCount={15} />);
+    await ReactThreeTestRenderer.act(() => renderer.update(<PreviewScroll><FocusPull objectCount={objectCount} /></PreviewScroll>));
+    await step(renderer);
+
+    const meshes = instancedMeshes(renderer);
+    expect(meshes).toHaveLength(3);
+    expect(meshes.reduce((sum, mesh) => sum + mesh.count, 0)).toBe(objectCount);
+    meshes.forEach((mesh) => {
+      expectInstanceBuffers(mesh, ['instanceOpacity', 'instanceEmissive']);
+      expectBackToFront(mesh);
+      // Written every frame from the blur amount
+      expect(mesh.geometry.attributes.instanceOpacity.array.some(opacity => opacity < 1)).toBe(true);
+    });
+    await renderer.unmount();
+  });
+});
+
+describe('BokehParticles', () => {
+  test.each([50, 1000, 10])('keeps instance buffers in step at %i particles', async (particleCount) => {
+    const renderer = await create(<BokehParticles particleCount={50} />);
+    await ReactThreeTestRenderer.act(() => renderer.update(<PreviewScroll><BokehParticles particleCount={particleCount} /></PreviewScroll>));
+    await step(renderer);
+
+    const [mesh, ...rest] = instancedMeshes(renderer);
+    expect(rest).toHaveLength(0);
+    expect(mesh.count).toBe(particleCount);
+    expectInstanceBuffers(mesh, ['instanceOpacity']);
+    expectBackToFront(mesh);
+    expect(mesh.geometry.attributes.instanceOpacity.array.every(opacity => opacity > 0 && opacity < 1)).toBe(true);
+    await renderer.unmount();
+  });
+});
+
+describe('OrbitPath', () => {
+  test.each([
+    [1, -10],
+    [2, 10],
+  ])('makes %i lap(s) of the orbit over the full scroll', async (pathSpeed, x) => {
+    const renderer = await create(<OrbitPath pathSpeed={pathSpeed} pathRadius={10} />);
+    // Two seconds of the eight-second preview sweep is halfway down. The marker
+    // reads the offset before the preview moves it, so it needs one more frame
+    await ReactThreeTestRenderer.act(() => renderer.advanceFrames(1, 2));
+    await ReactThreeTestRenderer.act(() => renderer.advanceFrames(1, 0));
+
+    const marker = renderer.scene.find(node => node.instance.geometry?.type === 'SphereGeometry').instance.parent;
+    expect(marker.position.x).toBeCloseTo(x);
+    expect(marker.position.z).toBeCloseTo(0);
+    await renderer.unmount();
+  });
+});
@@ -0,0 +1,143 @@
+// ============================================================
+// GIF ENCODER - Quantizer, LZW and GIF89a framing
+// ============================================================
+// Runs inside gifWorker.js; kept out of the worker's message handling so tests
+// can encode and decode frames directly. Each frame gets its own 256-colour
+// palette, so gradients survive better than with one palette for the whole clip.
+
+const bytes = (...values) => new Uint8Array(values);
+const word = (n) => bytes(n & 0xff, (n >> 8) & 0xff);
+const ascii = (text) => new Uint8Array([...text].map(ch => ch.charCodeAt(0)));
+
+// Popularity quantizer: bucket colours at 5 bits per channel, keep the 256 most
+// common buckets and map every pixel to its nearest palette entry
+const quantize = (pixels) => {
+  const counts = new Uint32Array(32768);
+  for (let i = 0; i < pixels.length; i += 4) {
+    counts[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]++;
+  }
+  const buckets = [];
+  for (let key = 0; key < counts.length; key++) if (counts[key]) buckets.push(key);
+  buckets.sort((a, b) => counts[b] - counts[a]);
+  const used = buckets.slice(0, 256);
+
+  const palette = new Uint8Array(768);
+  used.forEach((key, i) => {
+    palette[i * 3] = ((key >> 10) << 3) | 4;
+    palette[i * 3 + 1] = (((key >> 5) & 31) << 3) | 4;
+    palette[i * 3 + 2] = ((key & 31) << 3) | 4;
+  });
+
+  const lookup = new Int16Array(32768).fill(-1);
+  const indices = new Uint8Array(pixels.length / 4);
+  for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+    const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+    if (lookup[key] === -1) {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let j = 0; j < used.length; j++) {
+        const dr = palette[j * 3] - pixels[i];
+        const dg = palette[j * 3 + 1] - pixels[i + 1];
+        const db = palette[j * 3 + 2] - pixels[i + 2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = j;
+        }
+      }
+      lookup[key] = best;
+    }
+    indices[p] = lookup[key];
+  }
+  return { palette, indices };
+};
+
+// Variable-width LZW as the GIF spec wants it, packed into 255-byte sub-blocks
+const lzwEncode = (indices, minCodeSize = 8) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let block = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bits = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+      if (block.length === 255) {
+        out.push(255, ...block);
+        block = [];
+      }
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bits & 0xff);
+  if (block.length) out.push(block.length, ...block);
+  out.push(0);
+  return new Uint8Array(out);
+};
+
+// Frames go in as RGBA pixels with a delay in 1/100 s; finish() returns the GIF file
+const createGifEncoder = (width, height) => {
+  const chunks = [
+    ascii('GIF89a'),
+    word(width), word(height), bytes(0, 0, 0),
+    // Loop forever
+    bytes(0x21, 0xff, 11), ascii('NETSCAPE2.0'), bytes(3, 1, 0, 0, 0),
+  ];
+
+  return {
+    addFrame(pixels, delay) {
+      const { palette, indices } = quantize(pixels);
+      chunks.push(
+        bytes(0x21, 0xf9, 4, 0), word(delay), bytes(0, 0),
+        bytes(0x2c), word(0), word(0), word(width), word(height), bytes(0x87),
+        palette,
+        bytes(8), lzwEncode(indices),
+      );
+    },
+    finish() {
+      chunks.push(bytes(0x3b));
+      const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      const buffer = new Uint8Array(length);
+      let offset = 0;
+      chunks.forEach((chunk) => {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return buffer.buffer;
+    },
+  };
+};
+
+export { quantize, lzwEncode, createGifEncoder };
@@ -0,0 +1,132 @@
+import { quantize, lzwEncode, createGifEncoder } from './gifEncoder';
+
+// A GIF decoder written from the spec rather than from the encoder, so the two
+// can't share a mistake: codes grow a bit once the table fills the current
+// width, up to 12 bits, and a clear code starts the table over
+const lzwDecode = (data, minCodeSize) => {
+  const stream = [];
+  let offset = 0;
+  while (data[offset] !== 0) {
+    stream.push(...data.subarray(offset + 1, offset + 1 + data[offset]));
+    offset += data[offset] + 1;
+  }
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let table = [];
+  let codeSize = minCodeSize + 1;
+  let previous = null;
+  let bit = 0;
+  const out = [];
+  const reset = () => {
+    table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  for (;;) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) code |= ((stream[bit >> 3] >> (bit & 7)) & 1) << i;
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    let entry;
+    if (code < table.length) entry = table[code];
+    else if (code === table.length && previous) entry = [...previous, previous[0]];
+    else throw new Error(`Unexpected code ${code} with ${table.length} table entries`);
+    out.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    previous = entry;
+  }
+  return { indices: out, length: offset + 1 };
+};
+
+// Small deterministic generator so failures reproduce
+const sequence = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const pixelsFrom = (colours) => {
+  const pixels = new Uint8ClampedArray(colours.length * 4);
+  colours.forEach(([r, g, b], i) => pixels.set([r, g, b, 255], i * 4));
+  return pixels;
+};
+
+describe('lzwEncode', () => {
+  test.each([
+    ['a single pixel', [7]],
+    ['one long run', new Array(5000).fill(3)],
+    ['noise that fills the code table several times', Array.from({ length: 40000 }, sequence(7)).map(n => Math.floor(n * 256))],
+    ['a repeating gradient', Array.from({ length: 20000 }, (_, i) => i % 256)],
+  ])('round-trips %s', (name, values) => {
+    const indices = new Uint8Array(values);
+    const { indices: decoded } = lzwDecode(lzwEncode(indices), 8);
+    expect(decoded).toEqual([...indices]);
+  });
+});
+
+describe('quantize', () => {
+  test('keeps up to 256 colours within their 5-bit bucket', () => {
+    const swatches = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [8, 8, 8], [250, 250, 250]];
+    const colours = Array.from({ length: 500 }, (_, i) => swatches[i % swatches.length]);
+    const { palette, indices } = quantize(pixelsFrom(colours));
+    colours.forEach((colour, i) => {
+      colour.forEach((c, ch) => expect(Math.abs(palette[indices[i] * 3 + ch] - c)).toBeLessThanOrEqual(4));
+    });
+  });
+
+  test('maps colours past the first 256 to the nearest palette entry', () => {
+    const random = sequence(42);
+    const colours = Array.from({ length: 4096 }, () => [0, 0, 0].map(() => Math.floor(random() * 256)));
+    const { palette, indices } = quantize(pixelsFrom(colours));
+    const distance = (colour, entry) => colour.reduce((sum, c, ch) => sum + (palette[entry * 3 + ch] - c) ** 2, 0);
+
+    colours.forEach((colour, i) => {
+      let nearest = Infinity;
+      for (let entry = 0; entry < 256; entry++) nearest = Math.min(nearest, distance(colour, entry));
+      expect(distance(colour, indices[i])).toBe(nearest);
+    });
+  });
+});
+
+describe('createGifEncoder', () => {
+  test('writes frames a decoder reads back', () => {
+    // Few enough colours to fit one palette, so every pixel comes back within its bucket
+    const width = 16;
+    const height = 16;
+    const frames = [0, 1].map(frame => pixelsFrom(Array.from({ length: width * height }, (_, i) => [
+      (i % width) * 6, Math.floor(i / width) * 8, frame * 200,
+    ])));
+    const encoder = createGifEncoder(width, height);
+    frames.forEach(pixels => encoder.addFrame(pixels, 4));
+    const gif = new Uint8Array(encoder.finish());
+
+    expect(String.fromCharCode(...gif.subarray(0, 6))).toBe('GIF89a');
+    expect(gif[6] | (gif[7] << 8)).toBe(width);
+    expect(gif[8] | (gif[9] << 8)).toBe(height);
+
+    // Header (13 bytes) and the looping extension (19 bytes), then one
+    // graphic control extension, image descriptor and local palette per frame
+    let offset = 32;
+    frames.forEach((pixels) => {
+      expect(gif[offset + 4] | (gif[offset + 5] << 8)).toBe(4);
+      offset += 8 + 10;
+      const palette = gif.subarray(offset, offset + 768);
+      offset += 768;
+      const { indices, length } = lzwDecode(gif.subarray(offset + 1), gif[offset]);
+      offset += 1 + length;
+
+      expect(indices).toHaveLength(width * height);
+      indices.forEach((index, i) => {
+        for (let ch = 0; ch < 3; ch++) expect(Math.abs(palette[index * 3 + ch] - pixels[i * 4 + ch])).toBeLessThanOrEqual(4);
+      });
+    });
+    expect(gif[offset]).toBe(0x3b);
+    expect(offset).toBe(gif.length - 1);
+  });
+});
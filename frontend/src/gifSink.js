@@ -0,0 +1,48 @@
+// ============================================================
+// GIF SINK - Feeds recorded frames to the encoder worker
+// ============================================================
+// Loaded on demand by the recorder; kept apart because bundling the worker
+// needs import.meta, which Jest can't parse, and App.test.js imports the
+// recorder. The encoding itself is covered by gifEncoder.test.js.
+
+// Frames are spread over whole hundredths of a second without drifting from the real duration
+const frameDelay = (index, fps) => Math.round(((index + 1) * 100) / fps) - Math.round((index * 100) / fps);
+
+const createGifSink = (canvas, fps) => {
+  const worker = new Worker(new URL('./gifWorker.js', import.meta.url));
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  let pending = null;
+
+  const next = (type) => new Promise((resolve, reject) => {
+    pending = { type, resolve };
+    worker.onerror = (e) => reject(new Error(e.message || 'GIF encoding failed'));
+  });
+
+  worker.onmessage = ({ data }) => {
+    if (pending?.type === data.type) pending.resolve(data);
+  };
+  worker.postMessage({ type: 'start', width: canvas.width, height: canvas.height });
+
+  let index = 0;
+  return {
+    // Waits for the worker so frames don't pile up in memory faster than they encode
+    async addFrame() {
+      const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const done = next('frame-done');
+      worker.postMessage({ type: 'frame', pixels: data, delay: frameDelay(index++, fps) }, [data.buffer]);
+      await done;
+    },
+    async finish() {
+      const done = next('done');
+      worker.postMessage({ type: 'finish' });
+      const { buffer } = await done;
+      worker.terminate();
+      return new Blob([buffer], { type: 'image/gif' });
+    },
+    cancel() {
+      worker.terminate();
+    },
+  };
+};
+
+export { createGifSink };
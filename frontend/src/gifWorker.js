@@ -0,0 +1,28 @@
+import { createGifEncoder } from './gifEncoder';
+
+// ============================================================
+// GIF WORKER - Encodes recorded frames off the main thread
+// ============================================================
+// Messages in:
+//   { type: 'start', width, height }
+//   { type: 'frame', pixels, delay }   pixels: RGBA Uint8ClampedArray, delay in 1/100 s
+//   { type: 'finish' }
+// Messages out:
+//   { type: 'frame-done' } after each frame, { type: 'done', buffer } at the end
+// The encoding itself lives in gifEncoder.js.
+
+let encoder = null;
+
+// `self` is the worker's global scope; package.json lints this file with worker globals
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'start') {
+    encoder = createGifEncoder(data.width, data.height);
+  } else if (data.type === 'frame') {
+    encoder.addFrame(data.pixels, data.delay);
+    self.postMessage({ type: 'frame-done' });
+  } else if (data.type === 'finish') {
+    const buffer = encoder.finish();
+    encoder = null;
+    self.postMessage({ type: 'done', buffer }, [buffer]);
+  }
+});
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+
+// ============================================================
+// PERFORMANCE HUD - Frame timing and renderer counters per effect
+// ============================================================
+// PerfProbe samples inside the Canvas and hands each sample to a perf log, which
+// keeps a record per ANIMATIONS entry so effects can be compared side by side.
+// PerfHud draws the live numbers over the viewport:
+//   perfLog.record({ category, exampleIndex, name }, sample) / perfLog.toJSON()
+
+const PERF_STORAGE_KEY = 'immersive-horizons:perf-hud';
+
+// How often the probe reports, and how many recent frames the live percentiles cover
+const SAMPLE_MS = 500;
+const LIVE_FRAMES = 240;
+// Frame times kept per effect for the exported percentiles (about a minute at 60 fps)
+const MAX_RECORDED_FRAMES = 3600;
+// Longer gaps are a hidden tab or a paused loop, not a slow frame
+const MAX_FRAME_MS = 1000;
+
+const readPerfHudVisible = () => {
+  try {
+    return window.localStorage.getItem(PERF_STORAGE_KEY) === '1';
+  } catch {
+    return false;
+  }
+};
+
+const writePerfHudVisible = (visible) => {
+  try {
+    window.localStorage.setItem(PERF_STORAGE_KEY, visible ? '1' : '0');
+  } catch {
+    // Storage full or disabled - the choice lasts for this session only
+  }
+};
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const round = (value, decimals = 1) => Number(value.toFixed(decimals));
+
+const summarizeFrames = (frames) => {
+  if (!frames.length) return null;
+  const sorted = [...frames].sort((a, b) => a - b);
+  const total = frames.reduce((sum, ms) => sum + ms, 0);
+  return {
+    fps: round((frames.length * 1000) / total),
+    p50: round(percentile(sorted, 50), 2),
+    p95: round(percentile(sorted, 95), 2),
+    p99: round(percentile(sorted, 99), 2),
+    max: round(sorted[sorted.length - 1], 2),
+  };
+};
+
+// Chromium only; null elsewhere
+const readHeapBytes = () => performance.memory?.usedJSHeapSize ?? null;
+
+// ============================================================
+// PERF LOG - Per-example records, kept for the whole session
+// ============================================================
+const createPerfLog = () => {
+  const entries = new Map();
+  const listeners = new Set();
+
+  const summarize = (entry) => {
+    const frameTime = summarizeFrames(entry.frames);
+    return {
+      category: entry.category,
+      exampleIndex: entry.exampleIndex,
+      name: entry.name,
+      frames: entry.frameCount,
+      seconds: round(entry.totalMs / 1000),
+      fps: frameTime?.fps ?? null,
+      frameTimeMs: frameTime && { p50: frameTime.p50, p95: frameTime.p95, p99: frameTime.p99, max: frameTime.max },
+      drawCalls: { avg: round(entry.calls / entry.samples), max: entry.maxCalls },
+      triangles: { avg: Math.round(entry.triangles / entry.samples), max: entry.maxTriangles },
+      textures: entry.maxTextures,
+      geometries: entry.maxGeometries,
+      programs: entry.maxPrograms,
+      heapMB: entry.maxHeap === null ? null : round(entry.maxHeap / 1048576),
+    };
+  };
+
+  return {
+    record({ category, exampleIndex, name }, sample) {
+      const key = `${category}/${exampleIndex}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          category, exampleIndex, name, frames: [], frameCount: 0, totalMs: 0, samples: 0,
+          calls: 0, maxCalls: 0, triangles: 0, maxTriangles: 0, maxTextures: 0, maxGeometries: 0, maxPrograms: 0, maxHeap: null,
+        });
+      }
+      const entry = entries.get(key);
+      entry.frames.push(...sample.frames);
+      if (entry.frames.length > MAX_RECORDED_FRAMES) entry.frames.splice(0, entry.frames.length - MAX_RECORDED_FRAMES);
+      entry.frameCount += sample.frames.length;
+      entry.totalMs += sample.frames.reduce((sum, ms) => sum + ms, 0);
+      entry.samples++;
+      entry.calls += sample.calls;
+      entry.maxCalls = Math.max(entry.maxCalls, sample.calls);
+      entry.triangles += sample.triangles;
+      entry.maxTriangles = Math.max(entry.maxTriangles, sample.triangles);
+      entry.maxTextures = Math.max(entry.maxTextures, sample.textures);
+      entry.maxGeometries = Math.max(entry.maxGeometries, sample.geometries);
+      entry.maxPrograms = Math.max(entry.maxPrograms, sample.programs);
+      if (sample.heap !== null) entry.maxHeap = Math.max(entry.maxHeap ?? 0, sample.heap);
+
+      const live = { ...sample, key, frameTime: summarizeFrames(entry.frames.slice(-LIVE_FRAMES)) };
+      listeners.forEach(listener => listener(live));
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    get size() {
+      return entries.size;
+    },
+    clear() {
+      entries.clear();
+    },
+    toJSON: () => ({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      devicePixelRatio: window.devicePixelRatio,
+      effects: [...entries.values()].map(summarize),
+    }),
+  };
+};
+
+// ============================================================
+// PERF PROBE - Samples frame times and gl.info inside the Canvas
+// ============================================================
+// useFrame runs before the scene renders, so gl.info.render still holds the
+// previous frame's counts - the last complete render, which is what we want.
+const PerfProbe = ({ log, category, exampleIndex, name }) => {
+  const gl = useThree(state => state.gl);
+  const frameRef = useRef({ last: 0, sampledAt: 0, frames: [] });
+  const idRef = useRef(null);
+  idRef.current = { category, exampleIndex, name };
+
+  useFrame((state) => {
+    const now = performance.now();
+    const frame = frameRef.current;
+    // Clip recording steps the loop by hand; those frames aren't real timings
+    if (state.frameloop === 'never') {
+      frame.last = 0;
+      return;
+    }
+    if (frame.last && now - frame.last < MAX_FRAME_MS) frame.frames.push(now - frame.last);
+    frame.last = now;
+    if (!frame.sampledAt) frame.sampledAt = now;
+    if (now - frame.sampledAt < SAMPLE_MS || !frame.frames.length) return;
+
+    const { render, memory, programs } = gl.info;
+    log.record(idRef.current, {
+      frames: frame.frames,
+      calls: render.calls,
+      triangles: render.triangles,
+      textures: memory.textures,
+      geometries: memory.geometries,
+      programs: programs?.length ?? 0,
+      heap: readHeapBytes(),
+    });
+    frame.frames = [];
+    frame.sampledAt = now;
+  });
+
+  return null;
+};
+
+// ============================================================
+// PERF HUD - Live readout over the viewport
+// ============================================================
+const formatCount = (n) => (n >= 1e6 ? `${round(n / 1e6)}M` : n >= 1e4 ? `${round(n / 1e3)}k` : String(n));
+
+// `canvas` is false for DOM effects, which have no renderer to sample
+const PerfHud = ({ log, category, exampleIndex, canvas, onExport, onClose }) => {
+  const [live, setLive] = useState(null);
+  const [recorded, setRecorded] = useState(log.size);
+  const key = `${category}/${exampleIndex}`;
+
+  useEffect(() => {
+    setLive(null);
+    return log.subscribe((sample) => {
+      if (sample.key === key) setLive(sample);
+      setRecorded(log.size);
+    });
+  }, [log, key]);
+
+  const handleClear = () => {
+    log.clear();
+    setRecorded(0);
+  };
+
+  const { frameTime } = live ?? {};
+
+  return (
+    <section className="perf-hud" aria-label="Performance" data-testid="perf-hud">
+      <div className="perf-hud-header">
+        <span className="perf-hud-fps" data-testid="perf-fps">{frameTime ? `${Math.round(frameTime.fps)} FPS` : '— FPS'}</span>
+        <button className="perf-hud-close" onClick={onClose} aria-label="Hide performance HUD" data-testid="perf-close">×</button>
+      </div>
+      {!canvas ? (
+        <p className="perf-hud-note">DOM effect: no WebGL renderer to measure.</p>
+      ) : (
+        <dl className="perf-hud-stats">
+          <dt>Frame p50 / p95 / p99</dt>
+          <dd>{frameTime ? `${frameTime.p50} / ${frameTime.p95} / ${frameTime.p99} ms` : '—'}</dd>
+          <dt>Draw calls</dt>
+          <dd>{live ? live.calls : '—'}</dd>
+          <dt>Triangles</dt>
+          <dd>{live ? formatCount(live.triangles) : '—'}</dd>
+          <dt>Textures / geometries</dt>
+          <dd>{live ? `${live.textures} / ${live.geometries}` : '—'}</dd>
+          <dt>Programs</dt>
+          <dd>{live ? live.programs : '—'}</dd>
+          <dt>JS heap</dt>
+          <dd>{live?.heap ? `${round(live.heap / 1048576)} MB` : 'n/a'}</dd>
+        </dl>
+      )}
+      <div className="perf-hud-actions">
+        <span className="perf-hud-note" data-testid="perf-recorded">{recorded} recorded</span>
+        <button className="preset-btn" onClick={onExport} disabled={!recorded} data-testid="perf-export">Export JSON</button>
+        <button className="preset-btn" onClick={handleClear} disabled={!recorded} data-testid="perf-clear">Clear</button>
+      </div>
+    </section>
+  );
+};
+
+export { createPerfLog, readPerfHudVisible, writePerfHudVisible, PerfProbe, PerfHud };
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useScroll } from '@react-three/drei';
+import { fitToRenderer, resizeRenderer, useViewportSize } from './capture';
+
+// ============================================================
+// RECORDER - Frame-by-frame WebM / GIF clips of a canvas effect
+// ============================================================
+// R3F's own loop is paused for the length of the clip and every frame is stepped
+// by exactly 1/fps, so a slow machine takes longer to record but produces the same
+// clip. Scroll categories scroll from 0 to 1; mouse categories get a synthetic
+// pointer path. Usage mirrors capture: RecordingProbe registers on a ref,
+//   recorderRef.current.record({ width, height, fps, duration, format }, { onProgress, signal }) -> Promise<Blob>
+
+const RECORD_FORMATS = [
+  { value: 'webm', label: 'WebM' },
+  { value: 'gif', label: 'GIF' },
+];
+const RECORD_FPS = [15, 24, 30, 60];
+// GIF frame delays are whole hundredths of a second and browsers slow anything under 2
+const GIF_MAX_FPS = 50;
+const RECORD_SIZES = [
+  { value: 'viewport', label: 'Viewport' },
+  { value: '720p', label: '720p', width: 1280, height: 720 },
+  { value: '1080p', label: '1080p', width: 1920, height: 1080 },
+  { value: 'square', label: 'Square', width: 1080, height: 1080 },
+];
+const DEFAULT_RECORDING = { format: 'webm', size: '720p', fps: 30, duration: 5 };
+const MAX_DURATION = 60;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Safari < 13 has no PointerEvent constructor
+const PointerEventClass = typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+
+// Figure-eight through the middle of the viewport, in normalized device coordinates
+const pointerPath = (t) => ({ x: 0.6 * Math.sin(t * Math.PI * 2), y: 0.4 * Math.sin(t * Math.PI * 4) });
+
+// Goes through R3F's event system like a real cursor, so hover handlers fire too
+const movePointer = (target, t) => {
+  const rect = target.getBoundingClientRect();
+  const { x, y } = pointerPath(t);
+  target.dispatchEvent(new PointerEventClass('pointermove', {
+    clientX: rect.left + ((x + 1) / 2) * rect.width,
+    clientY: rect.top + ((1 - y) / 2) * rect.height,
+    bubbles: true,
+    cancelable: true,
+    pointerType: 'mouse',
+  }));
+};
+
+// ============================================================
+// WEBM SINK - MediaRecorder fed one frame at a time
+// ============================================================
+// MediaRecorder timestamps frames by when they arrive. It stays paused while a
+// frame renders and runs for exactly one frame interval after each one, so the
+// clip plays at the chosen fps however long rendering took.
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const createWebmSink = (canvas, fps) => {
+  const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) throw new Error("This browser can't record WebM. Try GIF instead.");
+
+  // Frame rate 0: a frame is only taken when requestFrame() asks for one
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * 0.2),
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  recorder.start();
+  recorder.pause();
+
+  return {
+    async addFrame() {
+      recorder.resume();
+      track.requestFrame();
+      await wait(1000 / fps);
+      recorder.pause();
+    },
+    finish: () => new Promise((resolve) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+      recorder.stop();
+      track.stop();
+    }),
+    cancel() {
+      recorder.stop();
+      track.stop();
+    },
+  };
+};
+
+// ============================================================
+// CANVAS RECORDING
+// ============================================================
+const recordCanvas = async (get, scroll, { width, height, fps, duration, format }, { onProgress, signal } = {}) => {
+  const state = get();
+  const frames = Math.max(2, Math.round(duration * fps));
+  const out = document.createElement('canvas');
+  Object.assign(out, fitToRenderer(state.gl, width, height));
+  const ctx = out.getContext('2d', { willReadFrequently: format === 'gif' });
+  // Loaded on demand: the encoder worker is only needed for GIFs
+  const sink = format === 'gif'
+    ? (await import('./gifSink')).createGifSink(out, fps)
+    : createWebmSink(out, fps);
+
+  const frameloop = state.frameloop;
+  const scrollTarget = scroll?.scroll.current;
+  const restoreSize = resizeRenderer(state, out.width, out.height);
+  state.setFrameloop('never');
+
+  try {
+    for (let i = 0; i < frames; i++) {
+      if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+      const t = i / (frames - 1);
+      // ScrollControls still damps towards the target, so velocity-driven effects react as usual
+      if (scroll) scroll.scroll.current = smoothstep(t);
+      else if (state.events.connected) movePointer(state.events.connected, t);
+
+      // A Canvas re-render puts its frameloop prop back; keep stepping by hand
+      const current = get();
+      if (current.frameloop !== 'never') current.setFrameloop('never');
+      current.advance(current.clock.elapsedTime + 1 / fps);
+      ctx.drawImage(state.gl.domElement, 0, 0);
+
+      await sink.addFrame();
+      onProgress?.((i + 1) / frames);
+    }
+    return await sink.finish();
+  } catch (err) {
+    sink.cancel();
+    throw err;
+  } finally {
+    restoreSize();
+    if (scroll) scroll.scroll.current = scrollTarget;
+    state.setFrameloop(frameloop);
+  }
+};
+
+// Lives inside the Canvas - and inside ScrollControls for scroll categories, where
+// useScroll returns the state to drive. Mouse scenes have none and get the pointer path
+const RecordingProbe = ({ recorderRef }) => {
+  const get = useThree(state => state.get);
+  const scroll = useScroll();
+
+  useEffect(() => {
+    const recorder = { record: (options, hooks) => recordCanvas(get, scroll, options, hooks) };
+    recorderRef.current = recorder;
+    return () => {
+      if (recorderRef.current === recorder) recorderRef.current = null;
+    };
+  }, [get, scroll, recorderRef]);
+
+  return null;
+};
+
+// ============================================================
+// RECORD MENU - Format, size, frame rate and duration
+// ============================================================
+// `drive` is the category type: 'scroll' or 'mouse'. DOM categories pass `available={false}`
+const RecordMenu = ({ options, onChange, viewportRef, drive, available, onRecord, onClose }) => {
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState(null);
+  const abortRef = useRef(null);
+  const viewportSize = useViewportSize(viewportRef);
+  const isRecording = progress !== null;
+
+  const preset = RECORD_SIZES.find(s => s.value === options.size);
+  const width = Math.round(preset.width ?? viewportSize.width);
+  const height = Math.round(preset.height ?? viewportSize.height);
+  const fpsLimit = options.format === 'gif' ? GIF_MAX_FPS : Infinity;
+
+  // Closing the menu mid-recording cancels it
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      if (abortRef.current) abortRef.current.abort();
+      else onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleRecord = useCallback(async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setStatus(null);
+    setProgress(0);
+    try {
+      await onRecord(
+        { format: options.format, fps: Math.min(options.fps, fpsLimit), duration: options.duration, width, height },
+        { onProgress: setProgress, signal: controller.signal },
+      );
+    } catch (err) {
+      if (!controller.signal.aborted || err.name !== 'AbortError') setStatus(err.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  }, [onRecord, options, fpsLimit, width, height]);
+
+  const handleCancel = useCallback(() => abortRef.current?.abort(), []);
+
+  if (!available) {
+    return (
+      <div className="capture-menu" role="dialog" aria-label="Record clip" data-testid="record-menu">
+        <p className="capture-status">Only canvas effects can be recorded. Use Capture for a still of this one.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="capture-menu" role="dialog" aria-label="Record clip" data-testid="record-menu">
+      <fieldset className="capture-fields" disabled={isRecording}>
+        <div className="capture-scales" role="group" aria-label="Format">
+          {RECORD_FORMATS.map(f => (
+            <button
+              key={f.value}
+              className={`preset-btn ${options.format === f.value ? 'active' : ''}`}
+              onClick={() => onChange({ ...options, format: f.value })}
+              aria-pressed={options.format === f.value}
+              data-testid={`record-format-${f.value}`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <div className="capture-scales" role="group" aria-label="Size">
+          {RECORD_SIZES.map(s => (
+            <button
+              key={s.value}
+              className={`preset-btn ${options.size === s.value ? 'active' : ''}`}
+              onClick={() => onChange({ ...options, size: s.value })}
+              aria-pressed={options.size === s.value}
+              data-testid={`record-size-${s.value}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <div className="capture-size">
+          <label className="capture-field">
+            <span>FPS</span>
+            <select
+              value={Math.min(options.fps, fpsLimit)}
+              onChange={(e) => onChange({ ...options, fps: Number(e.target.value) })}
+              data-testid="record-fps"
+            >
+              {RECORD_FPS.filter(fps => fps <= fpsLimit).map(fps => <option key={fps} value={fps}>{fps}</option>)}
+            </select>
+          </label>
+          <label className="capture-field">
+            <span>Seconds</span>
+            <input
+              type="number"
+              min="1"
+              max={MAX_DURATION}
+              step="0.5"
+              value={options.duration}
+              onChange={(e) => {
+                const duration = parseFloat(e.target.value);
+                if (Number.isFinite(duration)) onChange({ ...options, duration: Math.min(Math.max(duration, 0.5), MAX_DURATION) });
+              }}
+              data-testid="record-duration"
+            />
+          </label>
+        </div>
+      </fieldset>
+      <p className="capture-status">
+        {drive === 'scroll' ? 'Scrolls from top to bottom with ease-in-out.' : 'The pointer traces a figure-eight across the effect.'}
+      </p>
+      {isRecording ? (
+        <button className="reset-btn" onClick={handleCancel} data-testid="record-cancel">
+          Cancel · {Math.round(progress * 100)}%
+        </button>
+      ) : (
+        <button className="reset-btn" onClick={handleRecord} disabled={!width || !height} data-testid="record-start">
+          Record {options.format === 'gif' ? 'GIF' : 'WebM'} · {width} × {height}
+        </button>
+      )}
+      {status && <p className="capture-status" role="status">{status}</p>}
+    </div>
+  );
+};
+
+export { DEFAULT_RECORDING, RecordingProbe, RecordMenu };
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+
+// ============================================================
+// RENDER LOOP - Pause hidden canvases, render input-driven ones on demand
+// ============================================================
+// A canvas stops rendering (frameloop "never") while the tab is hidden or its
+// viewport is scrolled out of view. Effects with no motion of their own render
+// on demand instead: RenderLoopProbe keeps frames coming for a few seconds after
+// each scroll, pointer or control change, long enough for lerps and damping to
+// settle, then lets the canvas go idle.
+
+// How long input keeps an on-demand canvas rendering
+const SETTLE_MS = 4000;
+const INPUT_EVENTS = ['pointermove', 'pointerdown', 'pointerup', 'pointerleave', 'wheel'];
+
+const usePageVisible = () => {
+  const [visible, setVisible] = useState(() => document.visibilityState !== 'hidden');
+
+  useEffect(() => {
+    const handleChange = () => setVisible(document.visibilityState !== 'hidden');
+    document.addEventListener('visibilitychange', handleChange);
+    return () => document.removeEventListener('visibilitychange', handleChange);
+  }, []);
+
+  return visible;
+};
+
+// True while any part of the element is inside the browser viewport
+const useOnScreen = (ref) => {
+  const [onScreen, setOnScreen] = useState(true);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(([entry]) => setOnScreen(entry.isIntersecting));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return onScreen;
+};
+
+// Why a viewport's canvas should stop rendering: 'hidden' | 'offscreen' | null
+const useRenderPause = (ref) => {
+  const pageVisible = usePageVisible();
+  const onScreen = useOnScreen(ref);
+  if (!pageVisible) return 'hidden';
+  if (!onScreen) return 'offscreen';
+  return null;
+};
+
+// ============================================================
+// RENDER LOOP PROBE - Lives inside the Canvas
+// ============================================================
+// `changes` is anything outside the scene that should trigger a redraw, like the
+// control values. `onIdleChange(idle)` reports when an on-demand canvas stops.
+const RenderLoopProbe = ({ changes, onIdleChange }) => {
+  const gl = useThree(state => state.gl);
+  const clock = useThree(state => state.clock);
+  const invalidate = useThree(state => state.invalidate);
+  const frameloop = useThree(state => state.frameloop);
+  const elapsedRef = useRef(0);
+  const activeUntilRef = useRef(0);
+  const idleRef = useRef(false);
+
+  const setIdle = useCallback((idle) => {
+    if (idleRef.current === idle) return;
+    idleRef.current = idle;
+    onIdleChange?.(idle);
+  }, [onIdleChange]);
+
+  const wake = useCallback(() => {
+    activeUntilRef.current = performance.now() + SETTLE_MS;
+    setIdle(false);
+    invalidate();
+  }, [invalidate, setIdle]);
+
+  // Switching frameloop restarts the clock at zero; carry on from the last frame
+  // so time-driven motion resumes where it paused. Clip recording ("never")
+  // steps its own time from zero, as before
+  useLayoutEffect(() => {
+    if (frameloop !== 'never') clock.elapsedTime = elapsedRef.current;
+  }, [frameloop, clock]);
+
+  useEffect(() => {
+    if (frameloop !== 'demand') return;
+    // Holds the canvas and drei's scroll container; scroll doesn't bubble, so capture it
+    const target = gl.domElement.parentNode;
+    INPUT_EVENTS.forEach(type => target.addEventListener(type, wake, { passive: true }));
+    target.addEventListener('scroll', wake, { passive: true, capture: true });
+    wake();
+    return () => {
+      INPUT_EVENTS.forEach(type => target.removeEventListener(type, wake));
+      target.removeEventListener('scroll', wake, { capture: true });
+      setIdle(false);
+    };
+  }, [frameloop, gl, wake, setIdle]);
+
+  useEffect(() => {
+    if (frameloop === 'demand') wake();
+  }, [changes, frameloop, wake]);
+
+  useFrame((state) => {
+    elapsedRef.current = state.clock.elapsedTime;
+    if (state.frameloop !== 'demand') return;
+    if (performance.now() < activeUntilRef.current) state.invalidate();
+    else setIdle(true);
+  });
+
+  return null;
+};
+
+// ============================================================
+// PAUSED BADGE - Why the viewport isn't rendering right now
+// ============================================================
+const PAUSE_LABELS = {
+  hidden: 'Paused: tab hidden',
+  offscreen: 'Paused: off-screen',
+  scroll: 'Paused: scroll to resume',
+  mouse: 'Paused: move the pointer to resume',
+};
+
+// `status` is a useRenderPause reason or 'idle'; `type` is the category type
+const PausedBadge = ({ status, type }) => (
+  <div className="paused-badge" role="status" data-testid="paused-badge">
+    <span className="paused-badge-dot" aria-hidden="true" />
+    {PAUSE_LABELS[status === 'idle' ? type : status]}
+  </div>
+);
+
+export { usePageVisible, useRenderPause, RenderLoopProbe, PausedBadge };
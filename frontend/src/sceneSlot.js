@@ -0,0 +1,44 @@
+import { useLayoutEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+
+// ============================================================
+// SCENE SLOT - Swap effects inside one long-lived Canvas
+// ============================================================
+// The viewport keeps its renderer across example switches and keys a SceneSlot
+// by example instead. Gallery tiles have one each inside their <View>, where the
+// scene is the tile's own. When a slot unmounts it frees the GPU side of everything in
+// the scene straight away: geometries, materials and the textures they hold, and
+// instance buffers. That includes objects an effect built in a useMemo and passed
+// as props, which R3F never disposes. Shell probes render nothing into the scene,
+// so whatever is in it belongs to the outgoing effect.
+
+const disposeTextures = (values) => {
+  Object.values(values).forEach((value) => {
+    if (value?.isTexture) value.dispose();
+  });
+};
+
+const disposeMaterial = (material) => {
+  disposeTextures(material);
+  // Shader materials keep theirs in uniforms
+  if (material.uniforms) disposeTextures(Object.values(material.uniforms).map(uniform => uniform.value));
+  material.dispose();
+};
+
+const disposeObject = (object) => {
+  object.geometry?.dispose();
+  [].concat(object.material ?? []).forEach(disposeMaterial);
+  // Instance matrices and colours have buffers of their own
+  if (object.isInstancedMesh) object.dispose();
+};
+
+const SceneSlot = ({ children }) => {
+  const scene = useThree(state => state.scene);
+
+  // Layout cleanups run before React removes the slot's objects from the scene
+  useLayoutEffect(() => () => scene.traverse(disposeObject), [scene]);
+
+  return children;
+};
+
+export { SceneSlot };
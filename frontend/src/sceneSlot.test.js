@@ -0,0 +1,85 @@
+import React, { createRef, useState } from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { _roots } from '@react-three/fiber';
+import ReactThreeTestRenderer from '@react-three/test-renderer';
+import { resolveQuality } from './effects';
+import { createFrameClock } from './timeline';
+import { CATEGORIES, ANIMATIONS, EffectViewport } from './App';
+
+// The real Canvas waits for its container to have a size, which jsdom never
+// gives it, and runs its own frame loop; frames are stepped by hand instead
+jest.mock('react-use-measure', () => () => [() => {}, { width: 1280, height: 800, top: 0, left: 0, bottom: 800, right: 1280, x: 0, y: 0 }]);
+jest.mock('@react-three/fiber', () => {
+  const { createElement } = require('react');
+  const fiber = jest.requireActual('@react-three/fiber');
+  const Canvas = (props) => createElement(fiber.Canvas, { ...props, frameloop: 'never' });
+  return { ...fiber, Canvas };
+});
+
+// Creating a test renderer installs its mock WebGL context on every canvas element
+beforeAll(async () => {
+  const renderer = await ReactThreeTestRenderer.create(null);
+  await renderer.unmount();
+});
+
+const EXAMPLES = CATEGORIES.flatMap(category => ANIMATIONS[category.id].map((example, exampleIndex) => ({
+  category, example, exampleIndex,
+})));
+
+const QUALITY = resolveQuality('high');
+
+// Viewport A as the showcase renders it, with every probe it mounts
+const Viewport = ({ entry }) => {
+  const [refs] = useState(() => ({
+    viewportRef: createRef(),
+    scrollProgressRef: { current: 0 },
+    captureRef: { current: null },
+    recorderRef: { current: null },
+    frameClock: createFrameClock(),
+  }));
+  return (
+    <EffectViewport
+      category={entry?.category.id ?? null}
+      exampleIndex={entry?.exampleIndex ?? 0}
+      controls={{}}
+      quality={QUALITY}
+      {...refs}
+      keyboardScroll
+    />
+  );
+};
+
+describe('EffectViewport', () => {
+  test('frees what every example uploads when it is left', async () => {
+    const view = render(<Viewport entry={null} />);
+    // R3F keeps its roots by canvas element
+    const viewport = screen.getByTestId('viewport-canvas');
+    const [, { store }] = [..._roots].find(([canvas]) => viewport.contains(canvas));
+    const state = () => store.getState();
+
+    // Frames run the effects; the draw is what uploads buffers and textures
+    let time = 0;
+    const show = async (entry) => {
+      view.rerender(<Viewport entry={entry} />);
+      await act(async () => {
+        for (let i = 0; i < 2; i++) state().advance((time += 1 / 60));
+      });
+      const { geometries, textures } = state().gl.info.memory;
+      return { geometries, textures };
+    };
+
+    const baseline = await show(null);
+    const visits = [];
+    for (const entry of EXAMPLES) {
+      const shown = await show(entry);
+      const left = await show(null);
+      visits.push({ name: entry.example.name, isDom: entry.category.renderer === 'dom', shown, left });
+    }
+
+    expect(visits.map(({ name, left }) => ({ name, ...left }))).toEqual(visits.map(({ name }) => ({ name, ...baseline })));
+    // Otherwise the check above would pass for a canvas that never drew anything
+    visits.filter(({ isDom }) => !isDom).forEach(({ shown }) => expect(shown.geometries).toBeGreaterThan(baseline.geometries));
+    expect(visits.some(({ isDom }) => isDom)).toBe(true);
+    view.unmount();
+  });
+});
@@ -0,0 +1,67 @@
+import { toSearchTerms, searchEffects } from './App';
+
+const search = (query, tags = []) => searchEffects(toSearchTerms(query), tags);
+
+const names = (results) => results.map(result => result.fields.name);
+
+const exampleId = ({ category, exampleIndex }) => `${category.id}-${exampleIndex}`;
+
+// With no terms or tags every example matches, in CATEGORIES and ANIMATIONS order
+const CATALOG = search('').map(exampleId);
+
+describe('toSearchTerms', () => {
+  test('lowercases and splits on any whitespace', () => {
+    expect(toSearchTerms('  Purple\tSPHERE \n')).toEqual(['purple', 'sphere']);
+    expect(toSearchTerms('   ')).toEqual([]);
+  });
+});
+
+describe('searchEffects', () => {
+  test('matches alt text', () => {
+    // Only Shutter Reveal's alt text mentions its slats
+    expect(names(search('slats'))).toEqual(['Shutter Reveal']);
+  });
+
+  test('matches a typed tag like its chip', () => {
+    const typed = search('framer-motion');
+    expect(typed.length).toBeGreaterThan(0);
+    expect(names(typed)).toEqual(names(search('', ['framer-motion'])));
+  });
+
+  test('needs every term to match somewhere', () => {
+    const results = search('purple sphere');
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach(({ fields }) => {
+      const text = Object.values(fields).join(' ').toLowerCase();
+      expect(text).toContain('purple');
+      expect(text).toContain('sphere');
+    });
+    expect(search('purple zzz')).toEqual([]);
+  });
+
+  test('narrows by every selected tag', () => {
+    expect(names(search('wireframe', ['camera']))).toEqual(['Orbit Path']);
+    expect(names(search('', ['DOM', 'text']))).toEqual(['Letter Spread', 'Glitch Text']);
+  });
+
+  test.each([
+    ['an example name over a category name', 'tunnel', ['Ring Tunnel', 'Particle Starfield']],
+    ['an example name over tags', 'wireframe', ['Wireframe Globe', 'Exploded Cube', 'Orbit Path', 'Zoom Orbit']],
+  ])('ranks %s', (name, query, expected) => {
+    expect(names(search(query))).toEqual(expected);
+  });
+
+  test('adds up the best field for each term', () => {
+    // "sphere" in the name and "purple" in the alt text
+    const [best] = search('purple sphere');
+    expect(best.fields.name).toBe('Morphing Sphere');
+    expect(best.score).toBe(6);
+  });
+
+  test('keeps catalog order for equal scores', () => {
+    const results = search('cyan');
+    expect(new Set(results.map(result => result.score)).size).toBe(1);
+    const ids = results.map(exampleId);
+    expect(ids).toEqual(CATALOG.filter(id => ids.includes(id)));
+  });
+});
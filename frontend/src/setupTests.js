@@ -0,0 +1,9 @@
+// Loaded by react-scripts before every test file
+import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
+
+// Testing Library turns on React's act() environment when it's imported; the
+// three.js test renderer relies on it too
+window.IS_REACT_ACT_ENVIRONMENT = true;
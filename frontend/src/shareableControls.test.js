@@ -0,0 +1,107 @@
+import { CONTROLS_CONFIG, CONTROL_PRESETS } from './effects';
+import { coerceControl, encodeControls, decodeControls, sanitizeControls } from './App';
+
+const control = (category, key) => CONTROLS_CONFIG[category].find(ctrl => ctrl.key === key);
+
+const RING_COUNT = control('tunnel', 'ringCount'); // 10-2000, step 5
+const RING_SPACING = control('tunnel', 'ringSpacing'); // 1-5, step 0.5
+const RING_SHAPE = control('tunnel', 'ringShape');
+const SEED = control('tunnel', 'seed');
+const DISTORT = control('uvscroll', 'distortAmount'); // 0-0.3, step 0.02
+const COLOR = control('velocity', 'color');
+const PATH_CENTER = control('camerapath', 'pathCenter'); // -5-5, step 0.5
+const AUTO_ROTATE = control('orbit', 'autoRotate');
+
+describe('coerceControl', () => {
+  test.each([
+    ['a number', RING_COUNT, '120', 120],
+    ['a number from JSON', RING_COUNT, 120, 120],
+    ['up to min', RING_COUNT, '-40', 10],
+    ['down to max', RING_COUNT, '99999', 2000],
+    ['onto the step grid', RING_COUNT, '123', 125],
+    ['onto a fractional step', RING_SPACING, '2.3', 2.5],
+    ['without float noise', DISTORT, '0.07', 0.08],
+    ['a seed', SEED, '4242', 4242],
+    ['a hex colour without #', COLOR, 'FF00aa', '#ff00aa'],
+    ['a hex colour with #', COLOR, '#22d3ee', '#22d3ee'],
+    ['a select option', RING_SHAPE, 'hexagon', 'hexagon'],
+    ['a vector, per axis', PATH_CENTER, '1.2,-9,3', [1, -5, 3]],
+    ['a vector from JSON', PATH_CENTER, [0, 0.5, -1], [0, 0.5, -1]],
+    ['a switch from 1', AUTO_ROTATE, '1', true],
+    ['a switch from false', AUTO_ROTATE, 'false', false],
+    ['a switch from JSON', AUTO_ROTATE, false, false],
+  ])('reads %s', (name, ctrl, raw, expected) => {
+    expect(coerceControl(ctrl, raw)).toEqual(expected);
+  });
+
+  test.each([
+    ['a missing value', RING_COUNT, null],
+    ['an unset key', RING_COUNT, undefined],
+    ['a blank number', RING_COUNT, '  '],
+    ['text for a number', RING_COUNT, 'lots'],
+    ['an infinite number', RING_COUNT, 'Infinity'],
+    ['a short colour', COLOR, 'fff'],
+    ['a named colour', COLOR, 'red'],
+    ['an unknown option', RING_SHAPE, 'star'],
+    ['a two-axis vector', PATH_CENTER, '1,2'],
+    ['a vector with text', PATH_CENTER, '1,x,3'],
+    ['a switch from yes', AUTO_ROTATE, 'yes'],
+  ])('rejects %s', (name, ctrl, raw) => {
+    expect(coerceControl(ctrl, raw)).toBeUndefined();
+  });
+});
+
+describe('encodeControls', () => {
+  test('writes values in CONTROLS_CONFIG order, skipping unset ones', () => {
+    const controls = { seed: 7, ringShape: 'diamond', ringCount: 120, unknown: 1 };
+    expect(encodeControls(controls, CONTROLS_CONFIG.tunnel)).toBe('ringCount=120&ringShape=diamond&seed=7');
+  });
+
+  test.each([
+    ['colours without #', 'velocity', { color: '#a855f7' }, 'color=a855f7'],
+    ['vectors as a list', 'camerapath', { pathCenter: [1, -0.5, 0] }, 'pathCenter=1%2C-0.5%2C0'],
+    ['switches as 1 and 0', 'orbit', { autoRotate: false }, 'autoRotate=0'],
+  ])('writes %s', (name, category, controls, expected) => {
+    expect(encodeControls(controls, CONTROLS_CONFIG[category])).toBe(expected);
+  });
+});
+
+describe('decodeControls', () => {
+  const DEFAULTS = Object.fromEntries(
+    Object.entries(CONTROLS_CONFIG).map(([category, config]) => [
+      category,
+      Object.fromEntries(config.map(ctrl => [ctrl.key, ctrl.default])),
+    ]),
+  );
+
+  test.each(Object.keys(CONTROLS_CONFIG))('round-trips the %s defaults', (category) => {
+    const query = encodeControls(DEFAULTS[category], CONTROLS_CONFIG[category]);
+    expect(decodeControls(new URLSearchParams(query), category)).toEqual(DEFAULTS[category]);
+  });
+
+  // Built-in presets are shared as links too, so their values must sit on the grid
+  test.each(Object.keys(CONTROL_PRESETS))('round-trips the %s presets', (category) => {
+    CONTROL_PRESETS[category].forEach(({ values }) => {
+      const query = encodeControls(values, CONTROLS_CONFIG[category]);
+      expect(decodeControls(new URLSearchParams(query), category)).toEqual(values);
+    });
+  });
+
+  test('drops unknown keys and malformed values, and keeps the rest', () => {
+    const params = new URLSearchParams('ringCount=abc&ringSpacing=9&ringShape=star&hueStart=185&stray=1');
+    expect(decodeControls(params, 'tunnel')).toEqual({ ringSpacing: 5, hueStart: 190 });
+  });
+
+  test('reads nothing for an unknown category', () => {
+    expect(decodeControls(new URLSearchParams('ringCount=50'), 'missing')).toEqual({});
+  });
+});
+
+describe('sanitizeControls', () => {
+  test('applies the same rules to preset JSON', () => {
+    const values = { ringCount: 33, ringShape: 'circle', seed: -4, hueStart: '200', extra: true };
+    expect(sanitizeControls('tunnel', key => values[key])).toEqual({
+      ringCount: 35, ringShape: 'circle', seed: 1, hueStart: 200,
+    });
+  });
+});
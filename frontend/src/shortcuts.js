@@ -0,0 +1,110 @@
+import { useEffect } from 'react';
+import { useScroll } from '@react-three/drei';
+import { MOD_KEY } from './commandPalette';
+import { useReducedMotion } from './effects';
+
+// ============================================================
+// KEYBOARD SHORTCUTS - Shell-wide bindings and the `?` overlay
+// ============================================================
+
+// Listed in the overlay; the handlers live next to the state they change
+const SHORTCUTS = [
+  { keys: [`${MOD_KEY}+K`], action: 'Open the command palette' },
+  { keys: ['?'], action: 'Show or hide this list' },
+  { keys: ['[', ']'], action: 'Previous / next category' },
+  { keys: ['1-9'], action: 'Jump to an example in the current category' },
+  { keys: ['P'], action: 'Open or close the side panel' },
+  { keys: ['F'], action: 'Show or hide the performance HUD' },
+  { keys: ['↑', '↓'], action: 'Move between sidebar entries' },
+  { keys: ['←', '→'], action: 'Move between example tabs' },
+  { keys: ['PgUp', 'PgDn'], action: 'Scroll a scroll-driven effect by one screen' },
+  { keys: ['Home', 'End'], action: 'Jump to the start / end of a scroll-driven effect' },
+  { keys: [`${MOD_KEY}+Z`], action: 'Undo a Tweak panel change' },
+  { keys: [`Shift+${MOD_KEY}+Z`], action: 'Redo' },
+  { keys: ['Esc'], action: 'Close overlays, clear the search' },
+];
+
+// Keys pressed here belong to the field, not to shell shortcuts
+const isTextEntry = (target) => (
+  target.isContentEditable
+  || target.tagName === 'TEXTAREA'
+  || target.tagName === 'SELECT'
+  || (target.tagName === 'INPUT' && !['range', 'color', 'checkbox', 'button'].includes(target.type))
+);
+
+// Focused controls keep their own keys: sliders step with PageUp/PageDown and
+// jump with Home/End, and buttons, tabs and switches shouldn't scroll the preview
+const INTERACTIVE_SELECTOR = [
+  'input', 'textarea', 'select', 'button',
+  '[role="slider"]', '[role="spinbutton"]', '[role="tab"]', '[role="switch"]',
+  '[role="option"]', '[role="listbox"]', '[role="menuitem"]',
+].join(', ');
+
+const isInteractive = (target) => target instanceof Element
+  && (target.isContentEditable || target.closest(INTERACTIVE_SELECTOR) !== null);
+
+// Arrow keys move focus between `itemSelector` matches inside the element the
+// handler is attached to. Only focus moves: the tab stop stays on the item the
+// markup marks with tabIndex={0}, so Tab still leaves the group in one press
+const createRovingKeyDown = (itemSelector, orientation = 'vertical') => {
+  const [prevKey, nextKey] = orientation === 'vertical' ? ['ArrowUp', 'ArrowDown'] : ['ArrowLeft', 'ArrowRight'];
+  return (e) => {
+    const items = [...e.currentTarget.querySelectorAll(itemSelector)];
+    const index = items.indexOf(document.activeElement);
+    if (index === -1) return;
+    let next;
+    if (e.key === nextKey) next = (index + 1) % items.length;
+    else if (e.key === prevKey) next = (index - 1 + items.length) % items.length;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = items.length - 1;
+    else return;
+    e.preventDefault();
+    items[next].focus();
+  };
+};
+
+// Lives inside ScrollControls. PageUp/PageDown move one screen, Home/End to either end,
+// unless a control has focus. Jumps instead of gliding while motion is reduced
+const ScrollKeys = () => {
+  const { el } = useScroll();
+  const reducedMotion = useReducedMotion();
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isInteractive(e.target)) return;
+      let top;
+      if (e.key === 'PageDown') top = el.scrollTop + el.clientHeight;
+      else if (e.key === 'PageUp') top = el.scrollTop - el.clientHeight;
+      else if (e.key === 'Home') top = 0;
+      else if (e.key === 'End') top = el.scrollHeight;
+      else return;
+      e.preventDefault();
+      el.scrollTo({ top, behavior: reducedMotion ? 'auto' : 'smooth' });
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [el, reducedMotion]);
+
+  return null;
+};
+
+const ShortcutsOverlay = ({ onClose }) => (
+  <div className="palette-backdrop" onMouseDown={onClose} data-testid="shortcuts-overlay">
+    <div className="palette shortcuts" role="dialog" aria-modal="true" aria-labelledby="shortcuts-title" onMouseDown={(e) => e.stopPropagation()}>
+      <div className="shortcuts-header">
+        <h2 className="shortcuts-title" id="shortcuts-title">Keyboard Shortcuts</h2>
+        <button className="preset-btn" onClick={onClose} autoFocus data-testid="shortcuts-close">Close</button>
+      </div>
+      <dl className="shortcuts-list">
+        {SHORTCUTS.map(({ keys, action }) => (
+          <div className="shortcuts-row" key={action}>
+            <dt>{keys.map(key => <kbd key={key}>{key}</kbd>)}</dt>
+            <dd>{action}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  </div>
+);
+
+export { createRovingKeyDown, isTextEntry, ScrollKeys, ShortcutsOverlay };
@@ -0,0 +1,50 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { ScrollKeys } from './shortcuts';
+
+// ScrollKeys only needs the scroll container drei's ScrollControls creates
+const mockScrollElement = { scrollTop: 500, clientHeight: 400, scrollHeight: 2000, scrollTo: jest.fn() };
+jest.mock('@react-three/drei', () => ({
+  ...jest.requireActual('@react-three/drei'),
+  useScroll: () => ({ el: mockScrollElement }),
+}));
+
+const renderWithControls = () => render(
+  <>
+    <ScrollKeys />
+    <p data-testid="text">Preview</p>
+    <input type="range" aria-label="Ring Count" min={0} max={10} />
+    <button type="button">Reset</button>
+    <div role="tablist"><button type="button" role="tab" aria-selected="true">Tweak</button></div>
+    <div role="switch" aria-checked="false" aria-label="Auto Rotate" tabIndex={0} />
+  </>,
+);
+
+beforeEach(() => mockScrollElement.scrollTo.mockClear());
+
+describe('ScrollKeys', () => {
+  test.each([
+    ['PageDown', 900],
+    ['PageUp', 100],
+    ['Home', 0],
+    ['End', 2000],
+  ])('scrolls the preview on %s', (key, top) => {
+    renderWithControls();
+    expect(fireEvent.keyDown(screen.getByTestId('text'), { key })).toBe(false);
+    expect(mockScrollElement.scrollTo).toHaveBeenCalledWith(expect.objectContaining({ top }));
+  });
+
+  test.each([
+    ['a slider', () => screen.getByRole('slider', { name: 'Ring Count' })],
+    ['a button', () => screen.getByRole('button', { name: 'Reset' })],
+    ['a tab', () => screen.getByRole('tab', { name: 'Tweak' })],
+    ['a switch', () => screen.getByRole('switch', { name: 'Auto Rotate' })],
+  ])('leaves the keys to %s', (name, getTarget) => {
+    renderWithControls();
+    ['PageDown', 'PageUp', 'Home', 'End'].forEach((key) => {
+      // fireEvent returns false when a handler prevented the default action
+      expect(fireEvent.keyDown(getTarget(), { key })).toBe(true);
+    });
+    expect(mockScrollElement.scrollTo).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,409 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useScroll } from '@react-three/drei';
+import * as THREE from 'three';
+
+// ============================================================
+// KEYFRAME TIMELINE - Animate Tweak panel values over time or scroll
+// ============================================================
+// A track is a list of snapshots: { t, easing, values }. `t` is a 0-1 position
+// along the timeline - seconds / duration when driven by time, the scroll offset
+// when driven by scroll. `easing` shapes the segment leading to the next keyframe.
+
+const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  step: t => (t < 1 ? 0 : 1),
+};
+
+const EASING_OPTIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'easeIn', label: 'Ease In' },
+  { value: 'easeOut', label: 'Ease Out' },
+  { value: 'easeInOut', label: 'Ease In-Out' },
+  { value: 'step', label: 'Hold' },
+];
+
+const DEFAULT_TRACK = { driver: 'time', duration: 4, loop: true, keyframes: [] };
+
+// Keyframes closer than this share a slot on the strip
+const KEYFRAME_SNAP = 0.005;
+
+const lerpControl = (ctrl, from, to, e) => {
+  switch (ctrl.type) {
+    case 'color':
+      return `#${new THREE.Color(from).lerp(new THREE.Color(to), e).getHexString()}`;
+    case 'vec3':
+      return from.map((v, i) => THREE.MathUtils.lerp(v, to[i], e));
+    case 'boolean':
+    case 'select':
+    case 'seed':
+      // Discrete values hold until the next keyframe is reached
+      return e < 1 ? from : to;
+    default: {
+      const value = THREE.MathUtils.lerp(from, to, e);
+      // Whole-number steps are counts (rings, bars) that must stay integers
+      return Number.isInteger(ctrl.step) ? Math.round(value) : value;
+    }
+  }
+};
+
+/**
+ * Values for every keyed control at position `t`. Controls that no keyframe
+ * sets are left out so they keep whatever the panel holds.
+ */
+const sampleTimeline = (keyframes, controlsConfig, t) => {
+  const values = {};
+  controlsConfig.forEach(ctrl => {
+    const keyed = keyframes.filter(kf => kf.values[ctrl.key] !== undefined);
+    if (!keyed.length) return;
+    const next = keyed.findIndex(kf => kf.t > t);
+    if (next === 0) values[ctrl.key] = keyed[0].values[ctrl.key];
+    else if (next === -1) values[ctrl.key] = keyed[keyed.length - 1].values[ctrl.key];
+    else {
+      const from = keyed[next - 1];
+      const to = keyed[next];
+      const local = (t - from.t) / (to.t - from.t);
+      const e = (EASINGS[from.easing] || EASINGS.linear)(local);
+      values[ctrl.key] = lerpControl(ctrl, from.values[ctrl.key], to.values[ctrl.key], e);
+    }
+  });
+  return values;
+};
+
+// JSON written next to an exported component; positions are rounded to keep diffs readable
+const serializeTimeline = (track, meta) => JSON.stringify({
+  version: 1,
+  ...meta,
+  driver: track.driver,
+  duration: track.duration,
+  loop: track.loop,
+  keyframes: track.keyframes.map(({ t, easing, values }) => ({ t: Number(t.toFixed(4)), easing, values })),
+}, null, 2);
+
+// ============================================================
+// SCROLL PROBE - Reports ScrollControls offset to the timeline
+// ============================================================
+// Lives inside the Canvas, where useScroll works; the panel reads the ref
+const ScrollProgressProbe = ({ progressRef }) => {
+  const scroll = useScroll();
+  useFrame(() => {
+    progressRef.current = scroll.offset;
+  });
+  return null;
+};
+
+// ============================================================
+// FRAME CLOCK - What time-driven playback counts seconds with
+// ============================================================
+// While a canvas effect is showing, its frame loop drives playback through
+// FrameClockProbe. That follows the R3F clock, which the recorder steps by
+// exactly 1/fps, so a recorded timeline lines up with the recorded frames.
+// DOM effects have no running canvas and fall back to requestAnimationFrame.
+
+// Longer gaps, like a canvas resuming after a pause, count as one short step
+const MAX_STEP = 0.1;
+
+const createFrameClock = () => {
+  let listener = null;
+  let wakeCanvas = null;
+  let frame = null;
+
+  const tick = (delta) => listener?.(Math.min(delta, MAX_STEP));
+
+  const sync = () => {
+    cancelAnimationFrame(frame);
+    frame = null;
+    if (!listener) return;
+    if (wakeCanvas) {
+      wakeCanvas();
+      return;
+    }
+    let last = null;
+    const loop = (now) => {
+      tick(last === null ? 0 : (now - last) / 1000);
+      last = now;
+      frame = requestAnimationFrame(loop);
+    };
+    frame = requestAnimationFrame(loop);
+  };
+
+  return {
+    isListening: () => listener !== null,
+    tick,
+    // One listener at a time: the open timeline while it plays
+    subscribe(next) {
+      listener = next;
+      sync();
+      return () => {
+        listener = null;
+        sync();
+      };
+    },
+    attach(invalidate) {
+      wakeCanvas = invalidate;
+      sync();
+      return () => {
+        wakeCanvas = null;
+        sync();
+      };
+    },
+  };
+};
+
+// Lives inside the Canvas while a canvas effect is showing
+const FrameClockProbe = ({ clock }) => {
+  const invalidate = useThree(state => state.invalidate);
+
+  useEffect(() => clock.attach(invalidate), [clock, invalidate]);
+
+  useFrame((state, delta) => {
+    if (!clock.isListening()) return;
+    clock.tick(delta);
+    // On-demand canvases keep rendering while the timeline plays
+    state.invalidate();
+  });
+
+  return null;
+};
+
+// ============================================================
+// PLAYBACK HOOK
+// ============================================================
+/**
+ * Owns one track and drives playback. While playing, sampled values are written
+ * straight into the controls state, so effects and sliders follow along and
+ * pausing leaves the current frame in place for editing.
+ */
+const useTimeline = ({ resetKey, controlsConfig, setControls, scrollProgressRef, frameClock }) => {
+  const [track, setTrack] = useState(DEFAULT_TRACK);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [selectedT, setSelectedT] = useState(null);
+  const positionRef = useRef(0);
+
+  // A track only makes sense for the controls it was recorded against
+  useEffect(() => {
+    setTrack(DEFAULT_TRACK);
+    setPlaying(false);
+    setSelectedT(null);
+    setPosition(0);
+    positionRef.current = 0;
+  }, [resetKey]);
+
+  const applyAt = useCallback((t) => {
+    positionRef.current = t;
+    setPosition(t);
+    const values = sampleTimeline(track.keyframes, controlsConfig, t);
+    if (Object.keys(values).length) setControls(prev => ({ ...prev, ...values }));
+  }, [track.keyframes, controlsConfig, setControls]);
+
+  useEffect(() => {
+    if (!playing) return;
+    return frameClock.subscribe((delta) => {
+      let next;
+      if (track.driver === 'scroll') {
+        next = scrollProgressRef.current ?? 0;
+      } else {
+        next = positionRef.current + delta / track.duration;
+        if (next >= 1) {
+          if (track.loop) next %= 1;
+          else {
+            next = 1;
+            setPlaying(false);
+          }
+        }
+      }
+      applyAt(next);
+    });
+  }, [playing, track.driver, track.duration, track.loop, applyAt, scrollProgressRef, frameClock]);
+
+  const togglePlaying = useCallback(() => {
+    // Restart a finished one-shot run from the top
+    if (!playing && track.driver === 'time' && positionRef.current >= 1) positionRef.current = 0;
+    setPlaying(prev => !prev);
+  }, [playing, track.driver]);
+
+  const seek = useCallback((t) => {
+    applyAt(THREE.MathUtils.clamp(t, 0, 1));
+  }, [applyAt]);
+
+  // Snapshot the current values at the playhead, replacing any keyframe already there
+  const addKeyframe = useCallback((values) => {
+    const existing = track.keyframes.find(kf => Math.abs(kf.t - positionRef.current) < KEYFRAME_SNAP);
+    const keyframe = { t: existing?.t ?? positionRef.current, easing: existing?.easing ?? 'easeInOut', values };
+    setTrack(prev => ({
+      ...prev,
+      keyframes: [...prev.keyframes.filter(kf => kf.t !== keyframe.t), keyframe].sort((a, b) => a.t - b.t),
+    }));
+    setSelectedT(keyframe.t);
+  }, [track.keyframes]);
+
+  const updateKeyframe = useCallback((t, update) => {
+    setTrack(prev => ({ ...prev, keyframes: prev.keyframes.map(kf => (kf.t === t ? { ...kf, ...update } : kf)) }));
+  }, []);
+
+  const removeKeyframe = useCallback((t) => {
+    setTrack(prev => ({ ...prev, keyframes: prev.keyframes.filter(kf => kf.t !== t) }));
+    setSelectedT(null);
+  }, []);
+
+  const updateTrack = useCallback((update) => {
+    setTrack(prev => ({ ...prev, ...update }));
+  }, []);
+
+  return {
+    track, position, playing, selectedT,
+    togglePlaying, seek, addKeyframe, updateKeyframe, removeKeyframe, updateTrack, setSelectedT,
+  };
+};
+
+// ============================================================
+// TIMELINE STRIP - Compact editor in the Tweak tab
+// ============================================================
+const TimelineStrip = React.memo(({ timeline, controlsConfig, controls, canFollowScroll, onExport }) => {
+  const { track, position, playing, selectedT } = timeline;
+  const trackRef = useRef();
+  const scrubbing = useRef(false);
+  const selected = track.keyframes.find(kf => kf.t === selectedT);
+
+  const positionFromEvent = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    return rect.width ? (e.clientX - rect.left) / rect.width : 0;
+  };
+
+  // Click or drag anywhere on the strip to scrub
+  const handlePointerDown = (e) => {
+    scrubbing.current = true;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    timeline.seek(positionFromEvent(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (scrubbing.current) timeline.seek(positionFromEvent(e));
+  };
+
+  const handlePointerUp = () => {
+    scrubbing.current = false;
+  };
+
+  const handleKeyframeClick = (e, t) => {
+    e.stopPropagation();
+    timeline.setSelectedT(t);
+    timeline.seek(t);
+  };
+
+  const handleAddKeyframe = () => {
+    timeline.addKeyframe(Object.fromEntries(controlsConfig.map(ctrl => [ctrl.key, controls[ctrl.key] ?? ctrl.default])));
+  };
+
+  const readout = track.driver === 'scroll'
+    ? `${Math.round(position * 100)}% scroll`
+    : `${(position * track.duration).toFixed(1)}s / ${track.duration}s`;
+
+  return (
+    <div className="control-item timeline" data-testid="timeline">
+      <div className="control-header">
+        <span className="control-label">Timeline</span>
+        <span className="control-value" data-testid="timeline-position">{readout}</span>
+      </div>
+
+      <div
+        ref={trackRef}
+        className="timeline-track"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        data-testid="timeline-track"
+      >
+        {track.keyframes.map(kf => (
+          <button
+            key={kf.t}
+            className={`timeline-key ${kf.t === selectedT ? 'selected' : ''}`}
+            style={{ left: `${kf.t * 100}%` }}
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={(e) => handleKeyframeClick(e, kf.t)}
+            title={`Keyframe at ${Math.round(kf.t * 100)}%`}
+            data-testid="timeline-key"
+          />
+        ))}
+        <div className="timeline-playhead" style={{ left: `${position * 100}%` }} />
+      </div>
+
+      <div className="preset-actions">
+        <button
+          className="preset-btn"
+          onClick={timeline.togglePlaying}
+          disabled={!track.keyframes.length}
+          data-testid="timeline-play"
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button className="preset-btn" onClick={handleAddKeyframe} data-testid="timeline-add-key">Add Key</button>
+        <button
+          className={`preset-btn ${track.loop ? 'active' : ''}`}
+          onClick={() => timeline.updateTrack({ loop: !track.loop })}
+          disabled={track.driver === 'scroll'}
+          aria-pressed={track.loop}
+          data-testid="timeline-loop"
+        >
+          Loop
+        </button>
+        <button className="preset-btn" onClick={onExport} disabled={!track.keyframes.length} data-testid="timeline-export">Export</button>
+      </div>
+
+      <div className="timeline-settings">
+        {canFollowScroll && (
+          <select
+            className="control-select"
+            value={track.driver}
+            onChange={(e) => timeline.updateTrack({ driver: e.target.value })}
+            aria-label="Timeline driver"
+            data-testid="timeline-driver"
+          >
+            <option value="time">Drive by time</option>
+            <option value="scroll">Drive by scroll</option>
+          </select>
+        )}
+        {track.driver === 'time' && (
+          <label className="control-axis">
+            <span>Sec</span>
+            <input
+              type="number"
+              min={0.5}
+              max={60}
+              step={0.5}
+              value={track.duration}
+              onChange={(e) => {
+                const duration = parseFloat(e.target.value);
+                if (Number.isFinite(duration)) timeline.updateTrack({ duration: THREE.MathUtils.clamp(duration, 0.5, 60) });
+              }}
+              data-testid="timeline-duration"
+            />
+          </label>
+        )}
+      </div>
+
+      {selected && (
+        <div className="timeline-settings" data-testid="timeline-keyframe">
+          <select
+            className="control-select"
+            value={selected.easing}
+            onChange={(e) => timeline.updateKeyframe(selected.t, { easing: e.target.value })}
+            title="Easing into the next keyframe"
+            data-testid="timeline-easing"
+          >
+            {EASING_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <button className="preset-btn" onClick={() => timeline.removeKeyframe(selected.t)} data-testid="timeline-remove-key">
+            Delete Key
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export { EASINGS, lerpControl, sampleTimeline, serializeTimeline, createFrameClock, FrameClockProbe, ScrollProgressProbe, useTimeline, TimelineStrip };
@@ -0,0 +1,114 @@
+import { renderHook, act } from '@testing-library/react';
+import { lerpControl, sampleTimeline, createFrameClock, useTimeline } from './timeline';
+
+const COUNT = { key: 'ringCount', type: 'number', step: 1 };
+const SPEED = { key: 'speed', type: 'number', step: 0.1 };
+const COLOR = { key: 'color', type: 'color' };
+const OFFSET = { key: 'offset', type: 'vec3', step: 0.1 };
+const WIRE = { key: 'wireframe', type: 'boolean' };
+const SHAPE = { key: 'shape', type: 'select' };
+const SEED = { key: 'seed', type: 'seed', step: 1 };
+
+describe('lerpControl', () => {
+  test.each([
+    ['rounds whole-number steps', COUNT, 2, 5, 0.5, 4],
+    ['keeps fractional steps', SPEED, 1, 2, 0.25, 1.25],
+    ['mixes colours', COLOR, '#000000', '#ffffff', 0.5, '#bcbcbc'],
+    ['mixes vectors per axis', OFFSET, [0, -2, 4], [2, 2, 4], 0.5, [1, 0, 4]],
+    ['holds switches', WIRE, false, true, 0.99, false],
+    ['holds selects', SHAPE, 'ring', 'star', 0.5, 'ring'],
+    ['holds seeds', SEED, 7, 42, 0.5, 7],
+    ['reaches switches at the key', WIRE, false, true, 1, true],
+    ['reaches selects at the key', SHAPE, 'ring', 'star', 1, 'star'],
+  ])('%s', (name, ctrl, from, to, e, expected) => {
+    expect(lerpControl(ctrl, from, to, e)).toEqual(expected);
+  });
+});
+
+describe('sampleTimeline', () => {
+  const keyframes = [
+    { t: 0.2, easing: 'linear', values: { speed: 1, shape: 'ring' } },
+    { t: 0.6, easing: 'easeIn', values: { speed: 3 } },
+    { t: 1, easing: 'linear', values: { speed: 1, shape: 'star' } },
+  ];
+  const config = [SPEED, SHAPE, COUNT];
+
+  test.each([
+    ['holds the first key before it', 0, { speed: 1, shape: 'ring' }],
+    ['interpolates linearly', 0.4, { speed: 2, shape: 'ring' }],
+    ['eases with the segment start', 0.8, { speed: 3 - 2 * 0.125, shape: 'ring' }],
+    ['holds the last key after it', 1, { speed: 1, shape: 'star' }],
+  ])('%s', (name, t, expected) => {
+    const values = sampleTimeline(keyframes, config, t);
+    expect(Object.keys(values).sort()).toEqual(Object.keys(expected).sort());
+    expect(values.speed).toBeCloseTo(expected.speed);
+    expect(values.shape).toBe(expected.shape);
+  });
+
+  test('leaves out controls no keyframe sets', () => {
+    expect(sampleTimeline(keyframes, config, 0.5)).not.toHaveProperty('ringCount');
+    expect(sampleTimeline([], config, 0.5)).toEqual({});
+  });
+
+  test('skips keyframes that leave a control unset', () => {
+    // shape isn't keyed at 0.6, so it steps from the first key to the last
+    expect(sampleTimeline(keyframes, config, 0.9).shape).toBe('ring');
+  });
+});
+
+describe('createFrameClock', () => {
+  test('passes frame deltas to the listener and caps long gaps', () => {
+    const clock = createFrameClock();
+    const invalidate = jest.fn();
+    clock.attach(invalidate);
+    const listener = jest.fn();
+    const unsubscribe = clock.subscribe(listener);
+    expect(invalidate).toHaveBeenCalled();
+
+    clock.tick(1 / 30);
+    clock.tick(5);
+    expect(listener.mock.calls).toEqual([[1 / 30], [0.1]]);
+
+    unsubscribe();
+    expect(clock.isListening()).toBe(false);
+    clock.tick(1 / 30);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('useTimeline', () => {
+  const setup = () => {
+    const frameClock = createFrameClock();
+    frameClock.attach(() => {});
+    const setControls = jest.fn();
+    const { result } = renderHook(() => useTimeline({
+      resetKey: 'tunnel-0', controlsConfig: [SPEED], setControls, scrollProgressRef: { current: 0 }, frameClock,
+    }));
+    act(() => result.current.seek(0));
+    act(() => result.current.addKeyframe({ speed: 0 }));
+    act(() => result.current.seek(1));
+    act(() => result.current.addKeyframe({ speed: 4 }));
+    act(() => result.current.updateKeyframe(0, { easing: 'linear' }));
+    act(() => result.current.seek(0));
+    return { frameClock, result };
+  };
+
+  test('advances by the frames it is given, however long they take', () => {
+    const { frameClock, result } = setup();
+    act(() => result.current.togglePlaying());
+
+    // One second of 30 fps frames along a four-second track
+    act(() => {
+      for (let i = 0; i < 30; i++) frameClock.tick(1 / 30);
+    });
+    expect(result.current.position).toBeCloseTo(0.25);
+  });
+
+  test('stops listening when paused', () => {
+    const { frameClock, result } = setup();
+    act(() => result.current.togglePlaying());
+    expect(frameClock.isListening()).toBe(true);
+    act(() => result.current.togglePlaying());
+    expect(frameClock.isListening()).toBe(false);
+  });
+});